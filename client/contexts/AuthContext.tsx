@@ -0,0 +1,99 @@
+import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import { authAPI, getAuthToken, setAuthToken, AUTH_EXPIRED_EVENT } from '../utils/api';
+
+export type UserRole = 'planner' | 'property_admin' | 'super_admin';
+
+export interface User {
+  id: number;
+  email: string;
+  name: string | null;
+  role: UserRole;
+  property_ids: number[];
+}
+
+interface AuthContextType {
+  user: User | null;
+  isLoading: boolean;
+  login: (email: string, password: string) => Promise<User>;
+  logout: () => void;
+  canUseProperty: (propertyId: number) => boolean;
+  canManageProperty: (propertyId: number) => boolean;
+}
+
+const AuthContext = createContext<AuthContextType | undefined>(undefined);
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (context === undefined) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export const ROLE_LABELS: Record<UserRole, string> = {
+  planner: 'Planner',
+  property_admin: 'Property Admin',
+  super_admin: 'Super Admin',
+};
+
+interface AuthProviderProps {
+  children: ReactNode;
+}
+
+export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
+  const [user, setUser] = useState<User | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    if (!getAuthToken()) {
+      setIsLoading(false);
+      return;
+    }
+
+    authAPI.me()
+      .then(response => setUser(response.data))
+      .catch(() => setAuthToken(null))
+      .finally(() => setIsLoading(false));
+  }, []);
+
+  // The API client clears the token when the server rejects it
+  useEffect(() => {
+    const handleExpired = () => setUser(null);
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  const login = async (email: string, password: string) => {
+    const response = await authAPI.login(email, password);
+    setAuthToken(response.data.token);
+    setUser(response.data.user);
+    return response.data.user as User;
+  };
+
+  const logout = () => {
+    setAuthToken(null);
+    setUser(null);
+  };
+
+  const canUseProperty = (propertyId: number) =>
+    !!user && (user.role === 'super_admin' || user.property_ids.includes(propertyId));
+
+  const canManageProperty = (propertyId: number) =>
+    !!user && user.role !== 'planner' && canUseProperty(propertyId);
+
+  const value: AuthContextType = {
+    user,
+    isLoading,
+    login,
+    logout,
+    canUseProperty,
+    canManageProperty,
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
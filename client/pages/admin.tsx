@@ -3,7 +3,8 @@ import Head from 'next/head';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { useProperty } from '../contexts/PropertyContext';
-import { api, roomsAPI, unionsAPI, importAPI, inventoryAPI } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { api, roomsAPI, unionsAPI, importAPI, inventoryAPI, ordersAPI, equivalencesAPI, auditAPI, importProfilesAPI, InventoryImportMode, UnionRuleResource } from '../utils/api';
 import { 
   ArrowLeft, 
   Upload, 
@@ -23,7 +24,14 @@ import {
   FileUp,
   CheckCircle,
   Zap,
-  Shield
+  Shield,
+  ClipboardList,
+  Calendar,
+  Repeat,
+  FileText,
+  History,
+  Columns,
+  Radio
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -35,8 +43,44 @@ interface Room {
   dimensions: string;
   built_in_av: string;
   features: string;
+  length_ft?: number | null;
+  width_ft?: number | null;
+  ceiling_height_ft?: number | null;
+  capacity_theater?: number | null;
+  capacity_classroom?: number | null;
+  capacity_banquet?: number | null;
+  capacity_reception?: number | null;
+  rigging_points?: RiggingPoint[];
+  power_circuits?: PowerCircuit[];
+  av_items?: RoomAvItem[];
 }
 
+interface RiggingPoint {
+  name: string;
+  load_limit_lbs: number | null;
+  notes: string;
+}
+
+interface PowerCircuit {
+  name: string;
+  amps: number | null;
+  voltage: number | null;
+  connector_type: string;
+  quantity: number | null;
+  notes: string;
+}
+
+interface RoomAvItem {
+  av_type: string;
+  description: string;
+  quantity: number | null;
+}
+
+type RoomItemKey = 'rigging_points' | 'power_circuits' | 'av_items';
+
+const SETUP_STYLES = ['theater', 'classroom', 'banquet', 'reception'] as const;
+const AV_ITEM_TYPES = ['projector', 'screen', 'display', 'speaker', 'microphone', 'mixer', 'lighting', 'other'];
+
 interface Union {
   id: number;
   property_id: number;
@@ -50,6 +94,7 @@ interface Union {
   doubletime_rate: number | null;
   overtime_threshold: number;
   doubletime_threshold: number;
+  minimum_call_hours: number | null;
   weekend_rules: string;
   holiday_rules: string;
   contact_info: string;
@@ -72,24 +117,364 @@ interface InventoryItem {
   model: string;
   manufacturer: string;
   condition_notes: string;
+  lumens?: number | string | null;
+  throw_ratio_min?: number | string | null;
+  throw_ratio_max?: number | string | null;
+  coverage_angle_deg?: number | null;
+  max_spl_db?: number | null;
+  power_draw_watts?: number | null;
+  frequency_min_mhz?: number | null;
+  frequency_max_mhz?: number | null;
+}
+
+type InventorySpecKey = 'lumens' | 'throw_ratio_min' | 'throw_ratio_max' | 'coverage_angle_deg' | 'max_spl_db' | 'power_draw_watts' | 'frequency_min_mhz' | 'frequency_max_mhz';
+
+// Technical specs read by the projection and audio calculators
+const INVENTORY_SPEC_FIELDS: { key: InventorySpecKey; label: string; step: string }[] = [
+  { key: 'lumens', label: 'Lumens', step: '1' },
+  { key: 'throw_ratio_min', label: 'Throw ratio min', step: '0.01' },
+  { key: 'throw_ratio_max', label: 'Throw ratio max', step: '0.01' },
+  { key: 'coverage_angle_deg', label: 'Coverage angle (°)', step: '1' },
+  { key: 'max_spl_db', label: 'Max SPL (dB)', step: '1' },
+  { key: 'power_draw_watts', label: 'Power draw (W)', step: '1' },
+  { key: 'frequency_min_mhz', label: 'Freq. from (MHz)', step: '0.025' },
+  { key: 'frequency_max_mhz', label: 'Freq. to (MHz)', step: '0.025' },
+];
+
+interface Equivalence {
+  id: number;
+  property_id: number;
+  item_a: string;
+  item_b: string;
+  notes: string | null;
+}
+
+interface OrderItem {
+  item_name: string;
+  quantity: number;
+  category?: string;
+  model?: string;
+}
+
+interface EventOrder {
+  id: number;
+  property_id: number;
+  event_name: string;
+  event_date: string | null;
+  start_time: string | null;
+  end_time: string | null;
+  attendees: number | null;
+  room_id: number | null;
+  room_name?: string | null;
+  equipment_list: OrderItem[];
+  labor_plan: any;
+  total_cost: number | null;
+  status: string;
+  notes: string;
+  created_at?: string;
+}
+
+interface CrewCall {
+  phase: string;
+  description: string;
+  union_id: number | null;
+  union: string;
+  trade: string;
+  date: string;
+  start_time: string;
+  end_time: string;
+  crew_size: number;
+  positions: string[];
+  notes: string;
+}
+
+interface CrewPlan {
+  order_id: number;
+  saved: boolean;
+  calls: CrewCall[];
+  warnings: string[];
+  cost: { total_cost: number; warnings: string[] } | null;
 }
 
+const CREW_PHASES = [
+  { key: 'load_in', label: 'Load-In' },
+  { key: 'set', label: 'Set' },
+  { key: 'show', label: 'Show' },
+  { key: 'strike', label: 'Strike' },
+];
+
+interface ImportProfile {
+  id: number;
+  property_id: number;
+  name: string;
+  column_map: Record<string, string>;
+  status_map: Record<string, string>;
+}
+
+// Editable form of an import profile: one row per mapping
+interface ImportProfileDraft {
+  id?: number;
+  name: string;
+  columns: { header: string; field: string }[];
+  statuses: { value: string; status: string }[];
+}
+
+const IMPORT_FIELD_LABELS: Record<string, string> = {
+  barcode: 'Barcode / Asset Tag',
+  category: 'Category',
+  subcategory: 'Sub Category',
+  class: 'Class',
+  subclass: 'Sub Class',
+  item: 'Item Name',
+  description: 'Description',
+  status: 'Status',
+  quantity: 'Quantity',
+  model: 'Model',
+  manufacturer: 'Manufacturer',
+  location: 'Location',
+  notes: 'Notes',
+};
+
+const INVENTORY_STATUSES = ['available', 'maintenance', 'reserved', 'out_of_service'];
+
+interface ImportPreview {
+  sheet: string;
+  header_row: number;
+  headers: string[];
+  column_map: Record<string, string | null>;
+  profile_id: number | null;
+  mode: InventoryImportMode;
+  mark_missing: boolean;
+  summary: {
+    total: number;
+    added: number;
+    changed: number;
+    unchanged: number;
+    removed: number;
+    retired: number;
+    skipped: number;
+  };
+  diff: {
+    added: { row: number; item: Record<string, any>; duplicate_of: number | null }[];
+    changed: { row: number; id: number; item: Record<string, any>; changes: Record<string, { from: any; to: any }> }[];
+    unchanged: { row: number; id: number; name: string }[];
+    removed: { id: number; name: string; asset_tag: string; model: string; quantity_available: number }[];
+    retired: { id: number; name: string; asset_tag: string; model: string; quantity_available: number }[];
+  };
+  errors: string[];
+}
+
+interface PendingImport {
+  file: File;
+  mode: InventoryImportMode;
+  markMissing: boolean;
+  columnMap: Record<string, string | null>;
+  headerRow: number;
+  profileId?: number;
+  preview: ImportPreview;
+}
+
+type AuditEntity = 'inventory_item' | 'room' | 'union' | 'labor_rule';
+
+interface AuditEntry {
+  id: number;
+  entity: AuditEntity;
+  entity_id: number | null;
+  action: 'create' | 'update' | 'delete' | 'import';
+  user_email: string | null;
+  user_name: string | null;
+  before: Record<string, any> | null;
+  after: Record<string, any> | null;
+  changed_fields: string[];
+  created_at: string;
+}
+
+interface HistoryTarget {
+  entity: AuditEntity;
+  id: number;
+  label: string;
+}
+
+const AUDIT_ACTION_LABELS: Record<AuditEntry['action'], string> = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  import: 'Imported',
+};
+
+type UnionRule = Record<string, any>;
+
+interface UnionRuleField {
+  name: string;
+  label: string;
+  type: 'text' | 'number' | 'time' | 'date' | 'checkbox' | 'day' | 'room' | 'select';
+  options?: string[];
+}
+
+interface UnionRuleSection {
+  resource: UnionRuleResource;
+  title: string;
+  fields: UnionRuleField[];
+  describe: (rule: UnionRule, rooms: Room[]) => string;
+}
+
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const UNION_RULE_SECTIONS: UnionRuleSection[] = [
+  {
+    resource: 'schedules',
+    title: 'Schedules',
+    fields: [
+      { name: 'day_of_week', label: 'Day', type: 'day' },
+      { name: 'start_time', label: 'Start', type: 'time' },
+      { name: 'end_time', label: 'End', type: 'time' },
+      { name: 'rate_type', label: 'Rate Type', type: 'select', options: ['regular', 'overtime', 'doubletime'] },
+      { name: 'rate_multiplier', label: 'Multiplier', type: 'number' },
+      { name: 'description', label: 'Description', type: 'text' },
+    ],
+    describe: (rule) =>
+      `${DAY_LABELS[rule.day_of_week] || rule.day_of_week} ${String(rule.start_time).substring(0, 5)}–${String(rule.end_time).substring(0, 5)}: ${rule.rate_type} ×${rule.rate_multiplier}`,
+  },
+  {
+    resource: 'equipment',
+    title: 'Equipment Requirements',
+    fields: [
+      { name: 'equipment_category', label: 'Category', type: 'text' },
+      { name: 'equipment_type', label: 'Type', type: 'text' },
+      { name: 'minimum_crew_size', label: 'Minimum Crew', type: 'number' },
+      { name: 'is_required', label: 'Required', type: 'checkbox' },
+      { name: 'notes', label: 'Notes', type: 'text' },
+    ],
+    describe: (rule) =>
+      `${[rule.equipment_category, rule.equipment_type].filter(Boolean).join(' / ')}: crew of ${rule.minimum_crew_size}${rule.is_required ? ' (required)' : ''}`,
+  },
+  {
+    resource: 'venue-rules',
+    title: 'Venue Rules',
+    fields: [
+      { name: 'room_id', label: 'Room', type: 'room' },
+      { name: 'rule_type', label: 'Rule Type', type: 'select', options: ['exception', 'requirement', 'limitation'] },
+      { name: 'condition_text', label: 'Condition', type: 'text' },
+      { name: 'threshold_value', label: 'Threshold', type: 'number' },
+      // Units order validation can measure; anything else is shown but not checked
+      { name: 'threshold_unit', label: 'Threshold Unit', type: 'select', options: ['rooms', 'hours', 'people'] },
+      { name: 'action_required', label: 'Action Required', type: 'text' },
+      { name: 'notes', label: 'Notes', type: 'text' },
+    ],
+    describe: (rule, rooms) => {
+      const room = rooms.find(r => r.id === rule.room_id)?.name || 'All rooms';
+      const threshold = rule.threshold_value !== null ? ` (${rule.threshold_value} ${rule.threshold_unit || ''})` : '';
+      return `${room}: ${rule.condition_text}${threshold}${rule.action_required ? ` → ${rule.action_required}` : ''}`;
+    },
+  },
+  {
+    resource: 'penalties',
+    title: 'Time Penalties',
+    fields: [
+      { name: 'penalty_type', label: 'Penalty Type', type: 'select', options: ['meal_penalty', 'early_call', 'late_call', 'turnaround'] },
+      { name: 'condition_description', label: 'Condition', type: 'text' },
+      { name: 'penalty_amount', label: 'Amount', type: 'number' },
+      { name: 'penalty_type_amount', label: 'Amount Type', type: 'select', options: ['flat_fee', 'hourly_rate', 'percentage'] },
+      { name: 'applies_after_hours', label: 'After Hours', type: 'number' },
+      { name: 'applies_before_time', label: 'Before Time', type: 'time' },
+      { name: 'notes', label: 'Notes', type: 'text' },
+    ],
+    describe: (rule) =>
+      `${rule.penalty_type}: ${rule.condition_description}${rule.penalty_amount !== null ? ` (${rule.penalty_amount} ${rule.penalty_type_amount || ''})` : ''}`,
+  },
+  {
+    resource: 'special-days',
+    title: 'Holidays & Special Days',
+    fields: [
+      { name: 'holiday_name', label: 'Holiday', type: 'text' },
+      { name: 'date_specific', label: 'Date', type: 'date' },
+      { name: 'date_pattern', label: 'Or Pattern (e.g. last_monday_may)', type: 'text' },
+      { name: 'rate_multiplier', label: 'Multiplier', type: 'number' },
+      { name: 'minimum_call', label: 'Minimum Call (hours)', type: 'number' },
+      { name: 'special_rules', label: 'Special Rules', type: 'text' },
+    ],
+    describe: (rule) =>
+      `${rule.holiday_name || 'Special day'} (${rule.date_specific ? String(rule.date_specific).substring(0, 10) : rule.date_pattern}) ×${rule.rate_multiplier}${rule.minimum_call ? `, ${rule.minimum_call}h minimum` : ''}`,
+  },
+];
+
+// Trims server values (TIME "08:00:00", DATE timestamps) to what the inputs show
+const toRuleDraft = (section: UnionRuleSection, rule: UnionRule): UnionRule => {
+  const draft: UnionRule = { id: rule.id || 0 };
+  section.fields.forEach(field => {
+    const value = rule[field.name];
+    if (field.type === 'time' || field.type === 'date') {
+      draft[field.name] = value ? String(value).substring(0, field.type === 'time' ? 5 : 10) : '';
+    } else if (field.type === 'checkbox') {
+      draft[field.name] = !!value;
+    } else {
+      draft[field.name] = value === null || value === undefined ? '' : value;
+    }
+  });
+  return draft;
+};
+
+const fromRuleDraft = (section: UnionRuleSection, draft: UnionRule) => {
+  const data: UnionRule = {};
+  section.fields.forEach(field => {
+    const value = draft[field.name];
+    if (field.type === 'checkbox') {
+      data[field.name] = !!value;
+    } else if (value === '' || value === null || value === undefined) {
+      data[field.name] = null;
+    } else if (field.type === 'number' || field.type === 'day' || field.type === 'room') {
+      data[field.name] = Number(value);
+    } else {
+      data[field.name] = value;
+    }
+  });
+  return data;
+};
+
+const formatAuditValue = (value: any) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
 export default function AdminPage() {
   const router = useRouter();
   const { selectedProperty } = useProperty();
-  const [activeTab, setActiveTab] = useState<'inventory' | 'rooms' | 'unions'>('inventory');
+  const [activeTab, setActiveTab] = useState<'inventory' | 'rooms' | 'unions' | 'orders'>('inventory');
   const [rooms, setRooms] = useState<Room[]>([]);
   const [unions, setUnions] = useState<Union[]>([]);
   const [inventory, setInventory] = useState<InventoryItem[]>([]);
+  const [orders, setOrders] = useState<EventOrder[]>([]);
+  const [equivalences, setEquivalences] = useState<Equivalence[]>([]);
+  const [newEquivalence, setNewEquivalence] = useState({ item_a: '', item_b: '', notes: '' });
+  const [editingOrder, setEditingOrder] = useState<EventOrder | null>(null);
+  const [crewPlan, setCrewPlan] = useState<CrewPlan | null>(null);
   const [editingRoom, setEditingRoom] = useState<Room | null>(null);
   const [editingUnion, setEditingUnion] = useState<Union | null>(null);
+  const [unionRules, setUnionRules] = useState<Partial<Record<UnionRuleResource, UnionRule[]>>>({});
+  const [editingRule, setEditingRule] = useState<{ section: UnionRuleSection; draft: UnionRule } | null>(null);
+  const [unionHolidays, setUnionHolidays] = useState<{ year: number; data: UnionRule[]; unresolved: UnionRule[] } | null>(null);
   const [editingInventory, setEditingInventory] = useState<InventoryItem | null>(null);
+  const [historyTarget, setHistoryTarget] = useState<HistoryTarget | null>(null);
+  const [historyEntries, setHistoryEntries] = useState<AuditEntry[]>([]);
+  const [isHistoryLoading, setIsHistoryLoading] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState<string>('');
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [showUploadSection, setShowUploadSection] = useState(false);
+  const [pendingImport, setPendingImport] = useState<PendingImport | null>(null);
+  const [syncMarkMissing, setSyncMarkMissing] = useState(false);
+  const [importProfiles, setImportProfiles] = useState<ImportProfile[]>([]);
+  const [selectedProfileId, setSelectedProfileId] = useState<number | undefined>(undefined);
+  const [editingProfile, setEditingProfile] = useState<ImportProfileDraft | null>(null);
+  const { user, isLoading: isAuthLoading, canManageProperty } = useAuth();
+
+  useEffect(() => {
+    if (!isAuthLoading && !user) {
+      router.replace('/login?next=/admin');
+    }
+  }, [isAuthLoading, user]);
 
   // Auto-save form data to localStorage
   useEffect(() => {
@@ -178,6 +563,9 @@ export default function AdminPage() {
       loadRooms();
       loadUnions();
       loadInventory();
+      loadEquivalences();
+      loadImportProfiles();
+      loadOrders();
     }
   }, [selectedProperty]);
 
@@ -263,7 +651,11 @@ export default function AdminPage() {
       loadInventory();
     } catch (error: any) {
       console.error('Failed to save inventory item:', error);
-      toast.error(error.response?.data?.message || 'Failed to save inventory item');
+      if (error.response?.data?.details) {
+        toast.error(`Validation failed: ${error.response.data.details.join(', ')}`);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to save inventory item');
+      }
     }
   };
 
@@ -280,72 +672,158 @@ export default function AdminPage() {
     }
   };
 
-  const replaceInventory = async (event: React.ChangeEvent<HTMLInputElement>) => {
-    const file = event.target.files?.[0];
-    if (!file || !selectedProperty) return;
-
-    const confirmed = window.confirm(
-      'This will REPLACE all existing inventory for this property. Are you sure you want to continue?'
-    );
-    
-    if (!confirmed) {
-      event.target.value = '';
-      return;
-    }
+  // Imports are previewed first; nothing is written until the admin confirms
+  const previewImport = async (
+    file: File,
+    mode: InventoryImportMode,
+    markMissing: boolean,
+    columnMap?: Record<string, string | null>,
+    headerRow?: number,
+    profileId?: number
+  ) => {
+    if (!selectedProperty) return;
 
     setIsUploading(true);
-    setUploadProgress('Replacing inventory...');
+    setUploadProgress('Reading file...');
 
     try {
-      const response = await importAPI.uploadInventory(selectedProperty.id, file, true);
-      
-      toast.success(`Successfully replaced inventory with ${response.data.imported} items!`);
-      loadInventory();
+      const response = await importAPI.uploadInventory(selectedProperty.id, file, false, {
+        preview: true,
+        mode,
+        markMissing,
+        columnMap,
+        headerRow,
+        profileId,
+      });
+      const preview: ImportPreview = response.data;
+      setPendingImport({
+        file,
+        mode,
+        markMissing,
+        columnMap: preview.column_map,
+        headerRow: preview.header_row,
+        profileId,
+        preview,
+      });
     } catch (error: any) {
-      console.error('Replace failed:', error);
-      toast.error(error.response?.data?.message || 'Replace failed');
+      console.error('Preview failed:', error);
+      const details = error.response?.data?.details;
+      toast.error(details ? details.join(', ') : error.response?.data?.message || 'Preview failed');
     } finally {
       setIsUploading(false);
       setUploadProgress('');
-      event.target.value = '';
     }
   };
 
-  const downloadTemplate = () => {
-    toast.success('Template download will be available soon');
-  };
+  const confirmImport = async () => {
+    if (!pendingImport || !selectedProperty) return;
 
-  const handleFileUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
-    const file = event.target.files?.[0];
-    if (!file || !selectedProperty) return;
+    if (pendingImport.mode === 'replace') {
+      const confirmed = window.confirm(
+        'This will REPLACE all existing inventory for this property. Are you sure you want to continue?'
+      );
+      if (!confirmed) return;
+    }
 
     setIsUploading(true);
-    setUploadProgress('Uploading file...');
+    setUploadProgress(
+      pendingImport.mode === 'replace' ? 'Replacing inventory...'
+        : pendingImport.mode === 'sync' ? 'Syncing inventory...'
+        : 'Importing inventory...'
+    );
 
     try {
-      const response = await importAPI.uploadInventory(selectedProperty.id, file, false);
-      
+      const response = await importAPI.uploadInventory(
+        selectedProperty.id,
+        pendingImport.file,
+        false,
+        {
+          mode: pendingImport.mode,
+          markMissing: pendingImport.markMissing,
+          columnMap: pendingImport.columnMap,
+          headerRow: pendingImport.headerRow,
+          profileId: pendingImport.profileId,
+        }
+      );
+      const results = response.data.results;
+
       // Store upload info for display
       if (typeof window !== 'undefined') {
         const uploadInfo = {
-          filename: file.name,
+          filename: pendingImport.file.name,
           timestamp: new Date().toISOString(),
           results: response.data
         };
         localStorage.setItem(`last-upload-${selectedProperty.id}`, JSON.stringify(uploadInfo));
       }
 
-      toast.success(`Successfully imported ${response.data.imported} items!`);
-      if (response.data.errors?.length > 0) {
-        toast.error(`${response.data.errors.length} items had errors`);
+      toast.success(
+        results.updated || results.retired
+          ? `Imported ${results.imported}, updated ${results.updated} and retired ${results.retired} items`
+          : `Successfully imported ${results.imported} items!`
+      );
+      if (results.errors?.length > 0) {
+        toast.error(`${results.errors.length} items had errors`);
       }
+      setPendingImport(null);
+      loadInventory();
     } catch (error: any) {
-      console.error('Upload failed:', error);
-      toast.error(error.response?.data?.message || 'Upload failed');
+      console.error('Import failed:', error);
+      toast.error(error.response?.data?.message || 'Import failed');
     } finally {
       setIsUploading(false);
       setUploadProgress('');
-      event.target.value = '';
+    }
+  };
+
+  const replaceInventory = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) {
+      await previewImport(file, 'replace', false, undefined, undefined, selectedProfileId);
+    }
+  };
+
+  const handleUnionUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || !selectedProperty) return;
+
+    setIsUploading(true);
+    try {
+      const response = await importAPI.uploadUnions(selectedProperty.id, file);
+      const results = response.data.results;
+      toast.success(response.data.message);
+      if (results.errors?.length > 0) {
+        console.warn('Union import errors:', results.errors);
+        toast.error(`${results.errors.length} rows had errors: ${results.errors.slice(0, 3).join('; ')}`);
+      }
+      loadUnions();
+    } catch (error: any) {
+      console.error('Union import failed:', error);
+      toast.error(error.response?.data?.message || 'Union import failed');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const downloadTemplate = () => {
+    toast.success('Template download will be available soon');
+  };
+
+  const handleFileUpload = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) {
+      await previewImport(file, 'append', false, undefined, undefined, selectedProfileId);
+    }
+  };
+
+  const syncInventory = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) {
+      await previewImport(file, 'sync', syncMarkMissing, undefined, undefined, selectedProfileId);
     }
   };
 
@@ -376,10 +854,39 @@ export default function AdminPage() {
       loadRooms();
     } catch (error: any) {
       console.error('Failed to save room:', error);
-      toast.error(error.response?.data?.message || 'Failed to save room');
+      if (error.response?.data?.details) {
+        toast.error(`Validation failed: ${error.response.data.details.join(', ')}`);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to save room');
+      }
     }
   };
 
+  const updateRoomItem = (key: RoomItemKey, index: number, changes: Record<string, string | number | null>) => {
+    if (!editingRoom) return;
+    setEditingRoom({
+      ...editingRoom,
+      [key]: (editingRoom[key] || []).map((item, i) => (i === index ? { ...item, ...changes } : item)),
+    });
+  };
+
+  const addRoomItem = (key: RoomItemKey) => {
+    if (!editingRoom) return;
+    const blank = {
+      rigging_points: { name: '', load_limit_lbs: null, notes: '' },
+      power_circuits: { name: '', amps: null, voltage: 120, connector_type: '', quantity: 1, notes: '' },
+      av_items: { av_type: 'projector', description: '', quantity: 1 },
+    }[key];
+    setEditingRoom({ ...editingRoom, [key]: [...(editingRoom[key] || []), blank] });
+  };
+
+  const removeRoomItem = (key: RoomItemKey, index: number) => {
+    if (!editingRoom) return;
+    setEditingRoom({ ...editingRoom, [key]: (editingRoom[key] || []).filter((_, i) => i !== index) });
+  };
+
+  const numberOrNull = (value: string) => (value === '' ? null : Number(value));
+
   const deleteRoom = async (id: number) => {
     if (!confirm('Are you sure you want to delete this room?')) return;
 
@@ -393,6 +900,73 @@ export default function AdminPage() {
     }
   };
 
+  // Sub-rules are edited against the saved union, so they load once it has an id
+  useEffect(() => {
+    setEditingRule(null);
+    if (editingUnion?.id) {
+      loadUnionRules(editingUnion.id);
+    } else {
+      setUnionRules({});
+      setUnionHolidays(null);
+    }
+  }, [editingUnion?.id]);
+
+  const loadUnionRules = async (unionId: number) => {
+    try {
+      const [holidays, ...responses] = await Promise.all([
+        unionsAPI.getHolidays(unionId, new Date().getFullYear()),
+        ...UNION_RULE_SECTIONS.map(section => unionsAPI.getRules(unionId, section.resource))
+      ]);
+      const rules: Partial<Record<UnionRuleResource, UnionRule[]>> = {};
+      UNION_RULE_SECTIONS.forEach((section, index) => {
+        rules[section.resource] = responses[index].data.data;
+      });
+      setUnionRules(rules);
+      setUnionHolidays(holidays.data);
+    } catch (error) {
+      console.error('Failed to load union rules:', error);
+      toast.error('Failed to load union rules');
+    }
+  };
+
+  const saveUnionRule = async () => {
+    if (!editingUnion?.id || !editingRule) return;
+    const { section, draft } = editingRule;
+
+    try {
+      const data = fromRuleDraft(section, draft);
+      if (draft.id) {
+        await unionsAPI.updateRule(editingUnion.id, section.resource, draft.id, data);
+      } else {
+        await unionsAPI.createRule(editingUnion.id, section.resource, data);
+      }
+      toast.success(`${section.title} saved`);
+      setEditingRule(null);
+      loadUnionRules(editingUnion.id);
+    } catch (error: any) {
+      console.error('Failed to save union rule:', error);
+      if (error.response?.data?.errors) {
+        toast.error(`Validation failed: ${error.response.data.errors.join(', ')}`);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to save rule');
+      }
+    }
+  };
+
+  const deleteUnionRule = async (section: UnionRuleSection, rule: UnionRule) => {
+    if (!editingUnion?.id) return;
+    if (!window.confirm(`Delete this entry from ${section.title}?`)) return;
+
+    try {
+      await unionsAPI.deleteRule(editingUnion.id, section.resource, rule.id);
+      toast.success(`${section.title} updated`);
+      loadUnionRules(editingUnion.id);
+    } catch (error: any) {
+      console.error('Failed to delete union rule:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete rule');
+    }
+  };
+
   const saveUnion = async (union: Partial<Union>) => {
     if (!selectedProperty) return;
 
@@ -407,6 +981,7 @@ export default function AdminPage() {
         doubletime_rate: union.doubletime_rate ? parseFloat(union.doubletime_rate.toString()) : null,
         overtime_threshold: union.overtime_threshold || 8,
         doubletime_threshold: union.doubletime_threshold || 12,
+        minimum_call_hours: union.minimum_call_hours ? parseFloat(union.minimum_call_hours.toString()) : null,
       };
 
       console.log('Union data being sent:', unionData); // Debug log
@@ -452,84 +1027,383 @@ export default function AdminPage() {
     }
   };
 
-  // Show last upload info if available
-  useEffect(() => {
-    if (selectedProperty && typeof window !== 'undefined') {
-      const lastUpload = localStorage.getItem(`last-upload-${selectedProperty.id}`);
-      if (lastUpload) {
-        try {
-          const uploadData = JSON.parse(lastUpload);
-          const uploadTime = new Date(uploadData.timestamp);
-          const timeDiff = Date.now() - uploadTime.getTime();
-          
-          // Show info if upload was within last 5 minutes
-          if (timeDiff < 5 * 60 * 1000) {
-            toast.success(`Recent upload: ${uploadData.filename} - ${uploadData.results.imported} items imported`, {
-              duration: 6000,
-              icon: '📊'
-            });
-          }
-        } catch (e) {
-          localStorage.removeItem(`last-upload-${selectedProperty.id}`);
-        }
+  const loadEquivalences = async () => {
+    if (!selectedProperty) return;
+
+    try {
+      const response = await equivalencesAPI.getAll(selectedProperty.id);
+      const equivalencesData = response.data?.equivalences || [];
+      setEquivalences(Array.isArray(equivalencesData) ? equivalencesData : []);
+    } catch (error) {
+      console.error('Failed to load equivalences:', error);
+      setEquivalences([]);
+    }
+  };
+
+  const addEquivalence = async () => {
+    if (!selectedProperty) return;
+
+    try {
+      await equivalencesAPI.create({ ...newEquivalence, property_id: selectedProperty.id });
+      toast.success('Equivalence added');
+      setNewEquivalence({ item_a: '', item_b: '', notes: '' });
+      loadEquivalences();
+    } catch (error: any) {
+      console.error('Failed to add equivalence:', error);
+      if (error.response?.data?.details) {
+        toast.error(`Validation failed: ${error.response.data.details.join(', ')}`);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to add equivalence');
       }
     }
-  }, [selectedProperty]);
+  };
 
-  if (!selectedProperty) {
-    return (
-      <div className="min-h-screen bg-space-900 flex items-center justify-center relative overflow-hidden">
-        <div className="absolute inset-0 bg-mesh-gradient opacity-20 animate-gradient"></div>
-        <div className="text-center relative z-10">
-          <h1 className="text-2xl font-bold text-white mb-4">No Property Selected</h1>
-          <p className="text-gray-400 mb-6">Please select a property to access admin features.</p>
-          <Link href="/" className="btn-primary">
-            Go Back
-          </Link>
-        </div>
-      </div>
-    );
-  }
+  const deleteEquivalence = async (id: number) => {
+    try {
+      await equivalencesAPI.delete(id);
+      toast.success('Equivalence removed');
+      loadEquivalences();
+    } catch (error: any) {
+      console.error('Failed to delete equivalence:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete equivalence');
+    }
+  };
 
-  return (
-    <>
-      <Head>
-        <title>Admin - Encore Architect</title>
-        <meta name="description" content="Property administration and data management" />
-      </Head>
+  const loadImportProfiles = async () => {
+    if (!selectedProperty) return;
 
-      <div className="min-h-screen bg-space-900 relative overflow-hidden">
-        {/* Background effects */}
-        <div className="absolute inset-0 bg-mesh-gradient opacity-10 animate-gradient"></div>
-        
-        {/* Header */}
-        <header className="glass-card-dark border-b border-white/10 px-4 py-4 relative z-10">
-          <div className="max-w-7xl mx-auto flex items-center justify-between">
-            <div className="flex items-center">
-              <Link href="/" className="icon-btn mr-4 group">
-                <ArrowLeft className="w-5 h-5 text-gray-400 group-hover:text-white transition-colors" />
-              </Link>
-              <div>
-                <h1 className="text-2xl font-semibold text-white flex items-center">
-                  <Database className="w-6 h-6 mr-3 text-primary-400" />
-                  Property Administration
-                </h1>
-                <p className="text-sm text-gray-400">{selectedProperty.name}</p>
-              </div>
-            </div>
-            <div className="flex items-center space-x-2">
-              <span className="badge-success animate-pulse">
-                <CheckCircle className="w-3 h-3 mr-1" />
-                All saved
-              </span>
-            </div>
-          </div>
-        </header>
+    try {
+      const response = await importProfilesAPI.getAll(selectedProperty.id);
+      setImportProfiles(response.data?.profiles || []);
+    } catch (error) {
+      console.error('Failed to load import profiles:', error);
+      setImportProfiles([]);
+    }
+  };
 
-        {/* Main Content */}
-        <div className="relative z-10">
-          <div className="max-w-7xl mx-auto px-4 py-6">
-            {/* Tabs */}
+  const toProfileDraft = (profile: ImportProfile): ImportProfileDraft => ({
+    id: profile.id,
+    name: profile.name,
+    columns: Object.entries(profile.column_map).map(([header, field]) => ({ header, field })),
+    statuses: Object.entries(profile.status_map).map(([value, status]) => ({ value, status })),
+  });
+
+  // Starts a new profile from the column map an import preview settled on
+  const saveMappingAsProfile = () => {
+    if (!pendingImport) return;
+
+    setEditingProfile({
+      name: pendingImport.file.name.replace(/\.[^.]+$/, ''),
+      columns: Object.entries(pendingImport.columnMap)
+        .filter(([, header]) => !!header)
+        .map(([field, header]) => ({ header: header as string, field })),
+      statuses: [],
+    });
+  };
+
+  const saveImportProfile = async (draft: ImportProfileDraft) => {
+    if (!selectedProperty) return;
+
+    const data = {
+      property_id: selectedProperty.id,
+      name: draft.name,
+      column_map: Object.fromEntries(
+        draft.columns.filter(column => column.header.trim()).map(column => [column.header.trim(), column.field])
+      ),
+      status_map: Object.fromEntries(
+        draft.statuses.filter(status => status.value.trim()).map(status => [status.value.trim(), status.status])
+      ),
+    };
+
+    try {
+      const response = draft.id
+        ? await importProfilesAPI.update(draft.id, data)
+        : await importProfilesAPI.create(data);
+      toast.success(draft.id ? 'Import profile updated' : 'Import profile created');
+      setEditingProfile(null);
+      setSelectedProfileId(response.data.id);
+      loadImportProfiles();
+    } catch (error: any) {
+      console.error('Failed to save import profile:', error);
+      if (error.response?.data?.details) {
+        toast.error(`Validation failed: ${error.response.data.details.join(', ')}`);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to save import profile');
+      }
+    }
+  };
+
+  const deleteImportProfile = async (id: number) => {
+    if (!confirm('Are you sure you want to delete this import profile?')) return;
+
+    try {
+      await importProfilesAPI.delete(id);
+      toast.success('Import profile deleted');
+      if (selectedProfileId === id) setSelectedProfileId(undefined);
+      loadImportProfiles();
+    } catch (error: any) {
+      console.error('Failed to delete import profile:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete import profile');
+    }
+  };
+
+  const openHistory = async (target: HistoryTarget) => {
+    if (!selectedProperty) return;
+
+    setHistoryTarget(target);
+    setHistoryEntries([]);
+    setIsHistoryLoading(true);
+    try {
+      const response = await auditAPI.getHistory(selectedProperty.id, target.entity, target.id);
+      setHistoryEntries(response.data?.entries || []);
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Failed to load history');
+    } finally {
+      setIsHistoryLoading(false);
+    }
+  };
+
+  const loadOrders = async () => {
+    if (!selectedProperty) return;
+
+    try {
+      const response = await ordersAPI.getAll(selectedProperty.id);
+      const ordersData = response.data?.orders || [];
+      setOrders(Array.isArray(ordersData) ? ordersData : []);
+    } catch (error) {
+      console.error('Failed to load orders:', error);
+      toast.error('Failed to load orders');
+      setOrders([]);
+    }
+  };
+
+  const saveOrder = async (order: EventOrder) => {
+    if (!selectedProperty) return;
+
+    try {
+      const orderData = {
+        ...order,
+        property_id: selectedProperty.id,
+        equipment_list: order.equipment_list.filter(item => item.item_name.trim() !== ''),
+      };
+
+      const response = order.id
+        ? await ordersAPI.update(order.id, orderData)
+        : await ordersAPI.create(orderData);
+      toast.success(order.id ? 'Order updated successfully' : 'Order created successfully');
+
+      const shortfalls = response.data?.reservation_shortfalls || [];
+      if (shortfalls.length > 0) {
+        toast.error(`Could not reserve: ${shortfalls.map((s: any) => `${s.unreserved}× ${s.item_name}`).join(', ')}`);
+      }
+
+      setEditingOrder(null);
+      loadOrders();
+    } catch (error: any) {
+      console.error('Failed to save order:', error);
+      if (error.response?.data?.details) {
+        toast.error(`Validation failed: ${error.response.data.details.join(', ')}`);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to save order');
+      }
+    }
+  };
+
+  const deleteOrder = async (id: number) => {
+    if (!confirm('Are you sure you want to delete this order?')) return;
+
+    try {
+      await ordersAPI.delete(id);
+      toast.success('Order deleted successfully');
+      loadOrders();
+    } catch (error: any) {
+      console.error('Failed to delete order:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete order');
+    }
+  };
+
+  // Crew calls are planned against the saved order, so they load once it has an id
+  useEffect(() => {
+    if (editingOrder?.id) {
+      loadCrewPlan(editingOrder.id);
+    } else {
+      setCrewPlan(null);
+    }
+  }, [editingOrder?.id]);
+
+  const loadCrewPlan = async (orderId: number, regenerate = false) => {
+    try {
+      const response = await ordersAPI.getCrewPlan(orderId, regenerate);
+      setCrewPlan(response.data);
+    } catch (error) {
+      console.error('Failed to load crew plan:', error);
+      toast.error('Failed to load crew plan');
+    }
+  };
+
+  const updateCrewCall = (index: number, changes: Partial<CrewCall>) => {
+    if (!crewPlan) return;
+    setCrewPlan({
+      ...crewPlan,
+      calls: crewPlan.calls.map((call, i) => (i === index ? { ...call, ...changes } : call)),
+    });
+  };
+
+  const addCrewCall = () => {
+    if (!crewPlan || !editingOrder) return;
+    const union = unions[0];
+    setCrewPlan({
+      ...crewPlan,
+      calls: [...crewPlan.calls, {
+        phase: 'show',
+        description: '',
+        union_id: union?.id ?? null,
+        union: union ? `Local ${union.local_number}` : '',
+        trade: union?.trade || '',
+        date: editingOrder.event_date ? editingOrder.event_date.substring(0, 10) : '',
+        start_time: editingOrder.start_time ? editingOrder.start_time.substring(0, 5) : '',
+        end_time: editingOrder.end_time ? editingOrder.end_time.substring(0, 5) : '',
+        crew_size: 1,
+        positions: [],
+        notes: '',
+      }],
+    });
+  };
+
+  const saveCrewPlan = async () => {
+    if (!crewPlan || !editingOrder?.id) return;
+
+    try {
+      const calls = crewPlan.calls.map((call) => {
+        const phase = CREW_PHASES.find(p => p.key === call.phase);
+        return {
+          ...call,
+          description: call.description || `${phase ? phase.label : 'Call'} - ${call.union}`,
+          positions: call.positions.map(position => position.trim()).filter(Boolean),
+        };
+      });
+      const response = await ordersAPI.saveCrewPlan(editingOrder.id, calls);
+      setCrewPlan(response.data);
+      toast.success('Crew plan saved');
+    } catch (error: any) {
+      console.error('Failed to save crew plan:', error);
+      if (error.response?.data?.details) {
+        toast.error(`Validation failed: ${error.response.data.details.join(', ')}`);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to save crew plan');
+      }
+    }
+  };
+
+  const updateOrderItem = (index: number, changes: Partial<OrderItem>) => {
+    if (!editingOrder) return;
+    const equipmentList = editingOrder.equipment_list.map((item, i) =>
+      i === index ? { ...item, ...changes } : item
+    );
+    setEditingOrder({ ...editingOrder, equipment_list: equipmentList });
+  };
+
+  // Show last upload info if available
+  useEffect(() => {
+    if (selectedProperty && typeof window !== 'undefined') {
+      const lastUpload = localStorage.getItem(`last-upload-${selectedProperty.id}`);
+      if (lastUpload) {
+        try {
+          const uploadData = JSON.parse(lastUpload);
+          const uploadTime = new Date(uploadData.timestamp);
+          const timeDiff = Date.now() - uploadTime.getTime();
+          
+          // Show info if upload was within last 5 minutes
+          if (timeDiff < 5 * 60 * 1000) {
+            toast.success(`Recent upload: ${uploadData.filename} - ${uploadData.results.imported} items imported`, {
+              duration: 6000,
+              icon: '📊'
+            });
+          }
+        } catch (e) {
+          localStorage.removeItem(`last-upload-${selectedProperty.id}`);
+        }
+      }
+    }
+  }, [selectedProperty]);
+
+  if (!selectedProperty) {
+    return (
+      <div className="min-h-screen bg-space-900 flex items-center justify-center relative overflow-hidden">
+        <div className="absolute inset-0 bg-mesh-gradient opacity-20 animate-gradient"></div>
+        <div className="text-center relative z-10">
+          <h1 className="text-2xl font-bold text-white mb-4">No Property Selected</h1>
+          <p className="text-gray-400 mb-6">Please select a property to access admin features.</p>
+          <Link href="/" className="btn-primary">
+            Go Back
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (isAuthLoading || !user) {
+    return (
+      <div className="min-h-screen bg-space-900 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-400"></div>
+      </div>
+    );
+  }
+
+  if (!canManageProperty(selectedProperty.id)) {
+    return (
+      <div className="min-h-screen bg-space-900 flex items-center justify-center relative overflow-hidden">
+        <div className="absolute inset-0 bg-mesh-gradient opacity-20 animate-gradient"></div>
+        <div className="text-center relative z-10">
+          <h1 className="text-2xl font-bold text-white mb-4">Access Restricted</h1>
+          <p className="text-gray-400 mb-6">Your account can't manage {selectedProperty.name}. Ask a super-admin for access.</p>
+          <Link href="/" className="btn-primary">
+            Go Back
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Admin - Encore Architect</title>
+        <meta name="description" content="Property administration and data management" />
+      </Head>
+
+      <div className="min-h-screen bg-space-900 relative overflow-hidden">
+        {/* Background effects */}
+        <div className="absolute inset-0 bg-mesh-gradient opacity-10 animate-gradient"></div>
+        
+        {/* Header */}
+        <header className="glass-card-dark border-b border-white/10 px-4 py-4 relative z-10">
+          <div className="max-w-7xl mx-auto flex items-center justify-between">
+            <div className="flex items-center">
+              <Link href="/" className="icon-btn mr-4 group">
+                <ArrowLeft className="w-5 h-5 text-gray-400 group-hover:text-white transition-colors" />
+              </Link>
+              <div>
+                <h1 className="text-2xl font-semibold text-white flex items-center">
+                  <Database className="w-6 h-6 mr-3 text-primary-400" />
+                  Property Administration
+                </h1>
+                <p className="text-sm text-gray-400">{selectedProperty.name}</p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-2">
+              <span className="badge-success animate-pulse">
+                <CheckCircle className="w-3 h-3 mr-1" />
+                All saved
+              </span>
+            </div>
+          </div>
+        </header>
+
+        {/* Main Content */}
+        <div className="relative z-10">
+          <div className="max-w-7xl mx-auto px-4 py-6">
+            {/* Tabs */}
             <div className="flex space-x-1 mb-8 p-1 bg-white/5 rounded-xl backdrop-blur-sm">
               <button
                 onClick={() => setActiveTab('inventory')}
@@ -564,6 +1438,17 @@ export default function AdminPage() {
                 <Users className="w-5 h-5 mr-2" />
                 Unions ({unions.length})
               </button>
+              <button
+                onClick={() => setActiveTab('orders')}
+                className={`flex-1 flex items-center justify-center py-3 px-6 rounded-lg font-medium transition-all duration-300 ${
+                  activeTab === 'orders'
+                    ? 'bg-gradient-to-r from-primary-500 to-primary-600 text-white shadow-glow'
+                    : 'text-gray-400 hover:text-white hover:bg-white/5'
+                }`}
+              >
+                <ClipboardList className="w-5 h-5 mr-2" />
+                Orders ({orders.length})
+              </button>
             </div>
 
             {/* Tab Content */}
@@ -628,6 +1513,21 @@ export default function AdminPage() {
                         </h3>
                         <div className="grid md:grid-cols-2 gap-4">
                           <div className="space-y-4">
+                            <div>
+                              <label className="block text-sm font-medium text-gray-300 mb-2">
+                                Import profile
+                              </label>
+                              <select
+                                value={selectedProfileId ?? ''}
+                                onChange={(e) => setSelectedProfileId(e.target.value ? parseInt(e.target.value) : undefined)}
+                                className="input-field text-sm"
+                              >
+                                <option value="">Detect columns automatically</option>
+                                {importProfiles.map((profile) => (
+                                  <option key={profile.id} value={profile.id}>{profile.name}</option>
+                                ))}
+                              </select>
+                            </div>
                             <div>
                               <label className="block text-sm font-medium text-gray-300 mb-2">
                                 Add to existing inventory
@@ -668,6 +1568,35 @@ export default function AdminPage() {
                                 Replace All
                               </label>
                             </div>
+                            <div>
+                              <label className="block text-sm font-medium text-gray-300 mb-2">
+                                Sync by asset tag
+                              </label>
+                              <input
+                                type="file"
+                                accept=".csv,.xlsx,.xls"
+                                onChange={syncInventory}
+                                disabled={isUploading}
+                                className="hidden"
+                                id="sync-upload"
+                              />
+                              <label
+                                htmlFor="sync-upload"
+                                className="btn-secondary text-sm flex items-center justify-center cursor-pointer"
+                              >
+                                <Repeat className="w-4 h-4 mr-2" />
+                                Sync File
+                              </label>
+                              <label className="mt-2 flex items-center text-xs text-gray-400">
+                                <input
+                                  type="checkbox"
+                                  checked={syncMarkMissing}
+                                  onChange={(e) => setSyncMarkMissing(e.target.checked)}
+                                  className="mr-2"
+                                />
+                                Mark items missing from the file out of service
+                              </label>
+                            </div>
                           </div>
                           <div className="glass-card p-4">
                             <h4 className="font-medium text-white mb-2">File Format</h4>
@@ -790,6 +1719,13 @@ export default function AdminPage() {
                                 </td>
                                 <td className="py-4 text-right">
                                   <div className="flex items-center justify-end space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                                    <button
+                                      onClick={() => openHistory({ entity: 'inventory_item', id: item.id, label: item.name })}
+                                      className="icon-btn"
+                                      title="History"
+                                    >
+                                      <History className="w-4 h-4 text-gray-400" />
+                                    </button>
                                     <button
                                       onClick={() => setEditingInventory(item)}
                                       className="icon-btn"
@@ -816,35 +1752,158 @@ export default function AdminPage() {
                       )}
                     </div>
                   </div>
-                </div>
-              )}
 
-              {activeTab === 'rooms' && (
-                <div>
+                  {/* Equivalent Items */}
                   <div className="glass-card-dark p-6 mb-6">
-                    <div className="flex items-center justify-between mb-6">
-                      <h2 className="text-xl font-semibold text-white">
-                        Room Management
+                    <div className="mb-6">
+                      <h2 className="text-xl font-semibold text-white flex items-center">
+                        <Repeat className="w-5 h-5 mr-2 text-accent-400" />
+                        Equivalent Items
                       </h2>
+                      <p className="text-sm text-gray-400 mt-1">
+                        Items the assistant may swap for each other when one is short, matched by name or model (e.g. ULXD4 ≈ QLXD4)
+                      </p>
+                    </div>
+
+                    <div className="flex flex-col md:flex-row gap-3 mb-6">
+                      <input
+                        type="text"
+                        placeholder="Item or model"
+                        value={newEquivalence.item_a}
+                        onChange={(e) => setNewEquivalence({ ...newEquivalence, item_a: e.target.value })}
+                        className="input-field flex-1"
+                      />
+                      <input
+                        type="text"
+                        placeholder="Equivalent item or model"
+                        value={newEquivalence.item_b}
+                        onChange={(e) => setNewEquivalence({ ...newEquivalence, item_b: e.target.value })}
+                        className="input-field flex-1"
+                      />
+                      <input
+                        type="text"
+                        placeholder="Notes (optional)"
+                        value={newEquivalence.notes}
+                        onChange={(e) => setNewEquivalence({ ...newEquivalence, notes: e.target.value })}
+                        className="input-field flex-1"
+                      />
                       <button
-                        onClick={() => setEditingRoom({ property_id: selectedProperty.id } as Room)}
+                        onClick={addEquivalence}
+                        disabled={!newEquivalence.item_a.trim() || !newEquivalence.item_b.trim()}
+                        className="btn-primary text-sm flex items-center justify-center"
+                      >
+                        <Plus className="w-4 h-4 mr-2" />
+                        Add
+                      </button>
+                    </div>
+
+                    {equivalences.length > 0 ? (
+                      <div className="divide-y divide-white/5">
+                        {equivalences.map((equivalence) => (
+                          <div key={equivalence.id} className="group flex items-center justify-between py-3">
+                            <div>
+                              <span className="font-medium text-white">{equivalence.item_a}</span>
+                              <span className="text-gray-500 mx-2">≈</span>
+                              <span className="font-medium text-white">{equivalence.item_b}</span>
+                              {equivalence.notes && (
+                                <div className="text-xs text-gray-500 mt-1">{equivalence.notes}</div>
+                              )}
+                            </div>
+                            <button
+                              onClick={() => deleteEquivalence(equivalence.id)}
+                              className="icon-btn opacity-0 group-hover:opacity-100 transition-opacity"
+                            >
+                              <Trash2 className="w-4 h-4 text-red-400" />
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="text-sm text-gray-500">No equivalences yet</p>
+                    )}
+                  </div>
+
+                  {/* Import Profiles */}
+                  <div className="glass-card-dark p-6 mb-6">
+                    <div className="flex items-center justify-between mb-6">
+                      <div>
+                        <h2 className="text-xl font-semibold text-white flex items-center">
+                          <Columns className="w-5 h-5 mr-2 text-accent-400" />
+                          Import Profiles
+                        </h2>
+                        <p className="text-sm text-gray-400 mt-1">
+                          How this property's spreadsheet columns and status values map onto inventory fields
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => setEditingProfile({ name: '', columns: [], statuses: [] })}
                         className="btn-primary text-sm flex items-center"
                       >
                         <Plus className="w-4 h-4 mr-2" />
-                        Add Room
+                        New Profile
                       </button>
                     </div>
 
-                    {/* Rooms List */}
-                    <div className="grid gap-4">
-                      {rooms.map((room) => (
-                        <div key={room.id} className="glass-card p-6 hover-card group">
-                          <div className="flex justify-between items-start">
-                            <div className="flex-1">
-                              <h3 className="font-semibold text-white text-lg mb-3">{room.name}</h3>
-                              <div className="space-y-2 text-sm">
-                                {room.capacity && (
-                                  <div className="flex items-center text-gray-300">
+                    {importProfiles.length > 0 ? (
+                      <div className="divide-y divide-white/5">
+                        {importProfiles.map((profile) => (
+                          <div key={profile.id} className="group flex items-center justify-between py-3">
+                            <div>
+                              <span className="font-medium text-white">{profile.name}</span>
+                              <div className="text-xs text-gray-500 mt-1">
+                                {Object.keys(profile.column_map).length} columns, {Object.keys(profile.status_map).length} status values
+                              </div>
+                            </div>
+                            <div className="flex space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                              <button
+                                onClick={() => setEditingProfile(toProfileDraft(profile))}
+                                className="icon-btn"
+                              >
+                                <Edit2 className="w-4 h-4 text-primary-400" />
+                              </button>
+                              <button
+                                onClick={() => deleteImportProfile(profile.id)}
+                                className="icon-btn"
+                              >
+                                <Trash2 className="w-4 h-4 text-red-400" />
+                              </button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="text-sm text-gray-500">No import profiles yet</p>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {activeTab === 'rooms' && (
+                <div>
+                  <div className="glass-card-dark p-6 mb-6">
+                    <div className="flex items-center justify-between mb-6">
+                      <h2 className="text-xl font-semibold text-white">
+                        Room Management
+                      </h2>
+                      <button
+                        onClick={() => setEditingRoom({ property_id: selectedProperty.id } as Room)}
+                        className="btn-primary text-sm flex items-center"
+                      >
+                        <Plus className="w-4 h-4 mr-2" />
+                        Add Room
+                      </button>
+                    </div>
+
+                    {/* Rooms List */}
+                    <div className="grid gap-4">
+                      {rooms.map((room) => (
+                        <div key={room.id} className="glass-card p-6 hover-card group">
+                          <div className="flex justify-between items-start">
+                            <div className="flex-1">
+                              <h3 className="font-semibold text-white text-lg mb-3">{room.name}</h3>
+                              <div className="space-y-2 text-sm">
+                                {room.capacity && (
+                                  <div className="flex items-center text-gray-300">
                                     <Users className="w-4 h-4 mr-2 text-primary-400" />
                                     <span>Capacity: <span className="text-white font-medium">{room.capacity} people</span></span>
                                   </div>
@@ -855,12 +1914,45 @@ export default function AdminPage() {
                                     <span>Dimensions: <span className="text-white">{room.dimensions}</span></span>
                                   </div>
                                 )}
+                                {(room.length_ft || room.width_ft || room.ceiling_height_ft) && (
+                                  <div className="flex items-start text-gray-300">
+                                    <span className="text-accent-400 mr-2">•</span>
+                                    <span>
+                                      Size: <span className="text-white">
+                                        {room.length_ft && room.width_ft ? `${room.length_ft} x ${room.width_ft} ft` : ''}
+                                        {room.ceiling_height_ft ? `${room.length_ft && room.width_ft ? ', ' : ''}${room.ceiling_height_ft} ft ceiling` : ''}
+                                      </span>
+                                    </span>
+                                  </div>
+                                )}
+                                {SETUP_STYLES.some(style => room[`capacity_${style}`]) && (
+                                  <div className="flex items-start text-gray-300">
+                                    <span className="text-accent-400 mr-2">•</span>
+                                    <span>
+                                      Setups: <span className="text-white">
+                                        {SETUP_STYLES.filter(style => room[`capacity_${style}`])
+                                          .map(style => `${style} ${room[`capacity_${style}`]}`)
+                                          .join(', ')}
+                                      </span>
+                                    </span>
+                                  </div>
+                                )}
                                 {room.built_in_av && (
                                   <div className="flex items-start text-gray-300">
                                     <span className="text-accent-400 mr-2">•</span>
                                     <span>Built-in AV: <span className="text-white">{room.built_in_av}</span></span>
                                   </div>
                                 )}
+                                {((room.av_items?.length || 0) > 0 || (room.rigging_points?.length || 0) > 0 || (room.power_circuits?.length || 0) > 0) && (
+                                  <div className="flex items-start text-gray-300">
+                                    <span className="text-accent-400 mr-2">•</span>
+                                    <span>
+                                      Recorded: <span className="text-white">
+                                        {room.av_items?.length || 0} AV items, {room.rigging_points?.length || 0} rigging points, {room.power_circuits?.length || 0} power circuits
+                                      </span>
+                                    </span>
+                                  </div>
+                                )}
                                 {room.features && (
                                   <div className="flex items-start text-gray-300">
                                     <span className="text-accent-400 mr-2">•</span>
@@ -870,6 +1962,13 @@ export default function AdminPage() {
                               </div>
                             </div>
                             <div className="flex space-x-2 ml-4 opacity-0 group-hover:opacity-100 transition-opacity">
+                              <button
+                                onClick={() => openHistory({ entity: 'room', id: room.id, label: room.name })}
+                                className="icon-btn"
+                                title="History"
+                              >
+                                <History className="w-4 h-4 text-gray-400" />
+                              </button>
                               <button
                                 onClick={() => setEditingRoom(room)}
                                 className="icon-btn"
@@ -905,30 +2004,49 @@ export default function AdminPage() {
                       <h2 className="text-xl font-semibold text-white">
                         Union Management
                       </h2>
-                      <button
-                        onClick={() => setEditingUnion({
-                          id: 0,
-                          property_id: selectedProperty?.id || 0,
-                          local_number: '',
-                          name: '',
-                          trade: '',
-                          regular_hours_start: '08:00',
-                          regular_hours_end: '17:00',
-                          regular_rate: null,
-                          overtime_rate: null,
-                          doubletime_rate: null,
-                          overtime_threshold: 8,
-                          doubletime_threshold: 12,
-                          weekend_rules: '',
-                          holiday_rules: '',
-                          contact_info: '',
-                          notes: ''
-                        } as Union)}
-                        className="btn-primary text-sm flex items-center"
-                      >
-                        <Plus className="w-4 h-4 mr-2" />
-                        Add Union
-                      </button>
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="file"
+                          accept=".csv,.xlsx,.xls"
+                          onChange={handleUnionUpload}
+                          disabled={isUploading}
+                          className="hidden"
+                          id="union-upload"
+                        />
+                        <label
+                          htmlFor="union-upload"
+                          className="btn-secondary text-sm flex items-center cursor-pointer"
+                          title="Workbook with Unions, Schedules, Equipment Requirements, Venue Rules, Time Penalties and Special Days sheets"
+                        >
+                          <Upload className="w-4 h-4 mr-2" />
+                          Import Workbook
+                        </label>
+                        <button
+                          onClick={() => setEditingUnion({
+                            id: 0,
+                            property_id: selectedProperty?.id || 0,
+                            local_number: '',
+                            name: '',
+                            trade: '',
+                            regular_hours_start: '08:00',
+                            regular_hours_end: '17:00',
+                            regular_rate: null,
+                            overtime_rate: null,
+                            doubletime_rate: null,
+                            overtime_threshold: 8,
+                            doubletime_threshold: 12,
+                            minimum_call_hours: null,
+                            weekend_rules: '',
+                            holiday_rules: '',
+                            contact_info: '',
+                            notes: ''
+                          } as Union)}
+                          className="btn-primary text-sm flex items-center"
+                        >
+                          <Plus className="w-4 h-4 mr-2" />
+                          Add Union
+                        </button>
+                      </div>
                     </div>
 
                     {/* Unions List */}
@@ -977,6 +2095,7 @@ export default function AdminPage() {
                                   {union.regular_rate ? `$${union.regular_rate}/hr` : 'No rate set'} | 
                                   OT: {union.overtime_threshold}h | 
                                   DT: {union.doubletime_threshold}h
+                                  {union.minimum_call_hours ? ` | Min call: ${union.minimum_call_hours}h` : ''}
                                 </div>
                               </td>
                               <td className="py-4 pr-4">
@@ -1000,6 +2119,13 @@ export default function AdminPage() {
                               </td>
                               <td className="py-4 text-right">
                                 <div className="flex items-center justify-end space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                                  <button
+                                    onClick={() => openHistory({ entity: 'union', id: union.id, label: `Local ${union.local_number} - ${union.name}` })}
+                                    className="icon-btn"
+                                    title="History"
+                                  >
+                                    <History className="w-4 h-4 text-gray-400" />
+                                  </button>
                                   <button
                                     onClick={() => setEditingUnion(union)}
                                     className="icon-btn"
@@ -1028,6 +2154,146 @@ export default function AdminPage() {
                   </div>
                 </div>
               )}
+
+              {activeTab === 'orders' && (
+                <div>
+                  <div className="glass-card-dark p-6 mb-6">
+                    <div className="flex items-center justify-between mb-6">
+                      <h2 className="text-xl font-semibold text-white">
+                        Event Orders
+                      </h2>
+                      <button
+                        onClick={() => setEditingOrder({
+                          id: 0,
+                          property_id: selectedProperty.id,
+                          event_name: '',
+                          event_date: null,
+                          start_time: null,
+                          end_time: null,
+                          attendees: null,
+                          room_id: null,
+                          equipment_list: [{ item_name: '', quantity: 1 }],
+                          labor_plan: null,
+                          total_cost: null,
+                          status: 'draft',
+                          notes: ''
+                        })}
+                        className="btn-primary text-sm flex items-center"
+                      >
+                        <Plus className="w-4 h-4 mr-2" />
+                        Add Order
+                      </button>
+                    </div>
+
+                    {/* Orders List */}
+                    <div className="overflow-x-auto">
+                      <table className="w-full">
+                        <thead>
+                          <tr className="text-left border-b border-white/10">
+                            <th className="pb-4 pr-4 text-xs font-medium text-gray-400 uppercase tracking-wider">
+                              Event
+                            </th>
+                            <th className="pb-4 pr-4 text-xs font-medium text-gray-400 uppercase tracking-wider">
+                              Room
+                            </th>
+                            <th className="pb-4 pr-4 text-xs font-medium text-gray-400 uppercase tracking-wider">
+                              Equipment
+                            </th>
+                            <th className="pb-4 pr-4 text-xs font-medium text-gray-400 uppercase tracking-wider">
+                              Total
+                            </th>
+                            <th className="pb-4 pr-4 text-xs font-medium text-gray-400 uppercase tracking-wider">
+                              Status
+                            </th>
+                            <th className="pb-4 text-xs font-medium text-gray-400 uppercase tracking-wider text-right">
+                              Actions
+                            </th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-white/5">
+                          {orders.map((order) => (
+                            <tr key={order.id} className="group hover:bg-white/5 transition-colors">
+                              <td className="py-4 pr-4">
+                                <div className="font-medium text-white">
+                                  #{order.id} {order.event_name || 'Untitled event'}
+                                </div>
+                                <div className="text-sm text-gray-400 mt-1 flex items-center">
+                                  <Calendar className="w-3 h-3 mr-1" />
+                                  {order.event_date ? new Date(order.event_date).toLocaleDateString() : 'No date'}
+                                  {order.start_time ? ` ${order.start_time.substring(0, 5)}` : ''}
+                                  {order.end_time ? `–${order.end_time.substring(0, 5)}` : ''}
+                                  {order.attendees ? ` • ${order.attendees} attendees` : ''}
+                                </div>
+                              </td>
+                              <td className="py-4 pr-4 text-gray-300">
+                                {order.room_name || '—'}
+                              </td>
+                              <td className="py-4 pr-4">
+                                <div className="text-white font-medium">{order.equipment_list.length} line items</div>
+                                <div className="text-xs text-gray-500">
+                                  {order.equipment_list.slice(0, 2).map(item => `${item.quantity}× ${item.item_name}`).join(', ')}
+                                  {order.equipment_list.length > 2 ? '…' : ''}
+                                </div>
+                              </td>
+                              <td className="py-4 pr-4 text-white">
+                                {order.total_cost !== null ? `$${order.total_cost.toFixed(2)}` : '—'}
+                              </td>
+                              <td className="py-4 pr-4">
+                                <span className={
+                                  order.status === 'confirmed' ? 'badge-success' :
+                                  order.status === 'cancelled' ? 'badge-warning' : 'badge-info'
+                                }>
+                                  {order.status}
+                                </span>
+                              </td>
+                              <td className="py-4 text-right">
+                                <div className="flex items-center justify-end space-x-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                                  <a
+                                    href={ordersAPI.proposalUrl(order.id)}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="icon-btn"
+                                    title="Proposal PDF"
+                                  >
+                                    <FileText className="w-4 h-4 text-accent-400" />
+                                  </a>
+                                  <a
+                                    href={ordersAPI.frequencyPlanUrl(order.id)}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="icon-btn"
+                                    title="Wireless Frequency Plan PDF"
+                                  >
+                                    <Radio className="w-4 h-4 text-accent-400" />
+                                  </a>
+                                  <button
+                                    onClick={() => setEditingOrder(order)}
+                                    className="icon-btn"
+                                  >
+                                    <Edit2 className="w-4 h-4 text-primary-400" />
+                                  </button>
+                                  <button
+                                    onClick={() => deleteOrder(order.id)}
+                                    className="icon-btn"
+                                  >
+                                    <Trash2 className="w-4 h-4 text-red-400" />
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {orders.length === 0 && (
+                        <div className="text-center py-12">
+                          <ClipboardList className="w-12 h-12 text-gray-600 mx-auto mb-4" />
+                          <p className="text-gray-400">No orders yet. Orders saved from the AI Assistant will appear here.</p>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -1035,7 +2301,7 @@ export default function AdminPage() {
         {/* Room Edit Modal */}
         {editingRoom && (
           <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
-            <div className="glass-card-dark max-w-md w-full p-8 animate-scale-in">
+            <div className="glass-card-dark max-w-3xl w-full max-h-[90vh] overflow-y-auto p-8 animate-scale-in">
               <div className="flex justify-between items-center mb-6">
                 <h3 className="text-2xl font-semibold text-white flex items-center">
                   <Building2 className="w-6 h-6 mr-3 text-primary-400" />
@@ -1101,6 +2367,44 @@ export default function AdminPage() {
                   />
                 </div>
 
+                <div className="grid grid-cols-3 gap-4">
+                  {([['length_ft', 'Length (ft)'], ['width_ft', 'Width (ft)'], ['ceiling_height_ft', 'Ceiling Height (ft)']] as const).map(([field, label]) => (
+                    <div key={field}>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        {label}
+                      </label>
+                      <input
+                        type="number"
+                        value={editingRoom[field] ?? ''}
+                        onChange={(e) => setEditingRoom({ ...editingRoom, [field]: numberOrNull(e.target.value) })}
+                        className="input-field"
+                        min="0"
+                        step="0.1"
+                      />
+                    </div>
+                  ))}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Capacity by Setup Style
+                  </label>
+                  <div className="grid grid-cols-4 gap-4">
+                    {SETUP_STYLES.map((style) => (
+                      <div key={style}>
+                        <span className="block text-xs text-gray-400 mb-1 capitalize">{style}</span>
+                        <input
+                          type="number"
+                          value={editingRoom[`capacity_${style}`] ?? ''}
+                          onChange={(e) => setEditingRoom({ ...editingRoom, [`capacity_${style}`]: numberOrNull(e.target.value) })}
+                          className="input-field"
+                          min="0"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
                     Built-in AV Equipment
@@ -1114,6 +2418,156 @@ export default function AdminPage() {
                   />
                 </div>
 
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-gray-300">
+                      Built-in AV Items
+                    </label>
+                    <button type="button" onClick={() => addRoomItem('av_items')} className="text-sm text-primary-400 hover:text-primary-300 flex items-center">
+                      <Plus className="w-4 h-4 mr-1" />
+                      Add Item
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {(editingRoom.av_items || []).map((item, index) => (
+                      <div key={index} className="grid grid-cols-12 gap-2">
+                        <select
+                          value={item.av_type}
+                          onChange={(e) => updateRoomItem('av_items', index, { av_type: e.target.value })}
+                          className="input-field col-span-3 capitalize"
+                        >
+                          {AV_ITEM_TYPES.map((type) => (
+                            <option key={type} value={type}>{type}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          value={item.description || ''}
+                          onChange={(e) => updateRoomItem('av_items', index, { description: e.target.value })}
+                          className="input-field col-span-6"
+                          placeholder="Description"
+                        />
+                        <input
+                          type="number"
+                          value={item.quantity ?? ''}
+                          onChange={(e) => updateRoomItem('av_items', index, { quantity: numberOrNull(e.target.value) })}
+                          className="input-field col-span-2"
+                          min="1"
+                          title="Quantity"
+                        />
+                        <button type="button" onClick={() => removeRoomItem('av_items', index)} className="icon-btn col-span-1">
+                          <Trash2 className="w-4 h-4 text-red-400" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-gray-300">
+                      Rigging Points
+                    </label>
+                    <button type="button" onClick={() => addRoomItem('rigging_points')} className="text-sm text-primary-400 hover:text-primary-300 flex items-center">
+                      <Plus className="w-4 h-4 mr-1" />
+                      Add Point
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {(editingRoom.rigging_points || []).map((point, index) => (
+                      <div key={index} className="grid grid-cols-12 gap-2">
+                        <input
+                          type="text"
+                          value={point.name}
+                          onChange={(e) => updateRoomItem('rigging_points', index, { name: e.target.value })}
+                          className="input-field col-span-4"
+                          placeholder="Name"
+                          required
+                        />
+                        <input
+                          type="number"
+                          value={point.load_limit_lbs ?? ''}
+                          onChange={(e) => updateRoomItem('rigging_points', index, { load_limit_lbs: numberOrNull(e.target.value) })}
+                          className="input-field col-span-3"
+                          min="0"
+                          placeholder="Load limit (lbs)"
+                        />
+                        <input
+                          type="text"
+                          value={point.notes || ''}
+                          onChange={(e) => updateRoomItem('rigging_points', index, { notes: e.target.value })}
+                          className="input-field col-span-4"
+                          placeholder="Notes"
+                        />
+                        <button type="button" onClick={() => removeRoomItem('rigging_points', index)} className="icon-btn col-span-1">
+                          <Trash2 className="w-4 h-4 text-red-400" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-gray-300">
+                      Power Circuits
+                    </label>
+                    <button type="button" onClick={() => addRoomItem('power_circuits')} className="text-sm text-primary-400 hover:text-primary-300 flex items-center">
+                      <Plus className="w-4 h-4 mr-1" />
+                      Add Circuit
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {(editingRoom.power_circuits || []).map((circuit, index) => (
+                      <div key={index} className="grid grid-cols-12 gap-2">
+                        <input
+                          type="text"
+                          value={circuit.name}
+                          onChange={(e) => updateRoomItem('power_circuits', index, { name: e.target.value })}
+                          className="input-field col-span-3"
+                          placeholder="Name"
+                          required
+                        />
+                        <input
+                          type="number"
+                          value={circuit.amps ?? ''}
+                          onChange={(e) => updateRoomItem('power_circuits', index, { amps: numberOrNull(e.target.value) })}
+                          className="input-field col-span-2"
+                          min="1"
+                          placeholder="Amps"
+                          required
+                        />
+                        <input
+                          type="number"
+                          value={circuit.voltage ?? ''}
+                          onChange={(e) => updateRoomItem('power_circuits', index, { voltage: numberOrNull(e.target.value) })}
+                          className="input-field col-span-2"
+                          min="1"
+                          placeholder="Volts"
+                        />
+                        <input
+                          type="text"
+                          value={circuit.connector_type || ''}
+                          onChange={(e) => updateRoomItem('power_circuits', index, { connector_type: e.target.value })}
+                          className="input-field col-span-3"
+                          placeholder="Connector"
+                        />
+                        <input
+                          type="number"
+                          value={circuit.quantity ?? ''}
+                          onChange={(e) => updateRoomItem('power_circuits', index, { quantity: numberOrNull(e.target.value) })}
+                          className="input-field col-span-1"
+                          min="1"
+                          title="Quantity"
+                        />
+                        <button type="button" onClick={() => removeRoomItem('power_circuits', index)} className="icon-btn col-span-1">
+                          <Trash2 className="w-4 h-4 text-red-400" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
                     Additional Features
@@ -1351,6 +2805,24 @@ export default function AdminPage() {
                         />
                       </div>
                     </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Minimum Call (hours)
+                      </label>
+                      <input
+                        type="number"
+                        step="0.5"
+                        value={editingUnion.minimum_call_hours ?? ''}
+                        onChange={(e) => setEditingUnion({
+                          ...editingUnion,
+                          minimum_call_hours: e.target.value ? parseFloat(e.target.value) : null
+                        })}
+                        className="input-field"
+                        placeholder="e.g., 4"
+                        min="0"
+                      />
+                    </div>
                   </div>
                 </div>
 
@@ -1427,10 +2899,146 @@ export default function AdminPage() {
                   </div>
                 </div>
 
-                <div className="mt-8 flex justify-end gap-3">
-                  <button
-                    onClick={() => {
-                      setEditingUnion(null);
+                {/* Union Sub-Rules */}
+                <div className="mt-8 space-y-4">
+                  <h4 className="text-lg font-semibold text-white">Rules & Requirements</h4>
+                  {!editingUnion.id ? (
+                    <p className="text-sm text-gray-400">
+                      Save the union first to add schedules, equipment requirements, venue rules, penalties and holidays.
+                    </p>
+                  ) : UNION_RULE_SECTIONS.map((section) => {
+                    const rules = unionRules[section.resource] || [];
+                    const isEditingSection = editingRule?.section.resource === section.resource;
+                    return (
+                      <div key={section.resource} className="glass-card p-4">
+                        <div className="flex items-center justify-between mb-2">
+                          <h5 className="font-medium text-white">
+                            {section.title}
+                            <span className="text-sm text-gray-400 ml-2">({rules.length})</span>
+                          </h5>
+                          <button
+                            onClick={() => setEditingRule({ section, draft: toRuleDraft(section, {}) })}
+                            className="btn-secondary text-xs flex items-center"
+                          >
+                            <Plus className="w-3 h-3 mr-1" />
+                            Add
+                          </button>
+                        </div>
+
+                        {rules.length > 0 && (
+                          <ul className="space-y-1 text-sm text-gray-300">
+                            {rules.map((rule) => (
+                              <li key={rule.id} className="flex items-center justify-between">
+                                <span>{section.describe(rule, rooms)}</span>
+                                <span className="flex items-center">
+                                  <button
+                                    onClick={() => setEditingRule({ section, draft: toRuleDraft(section, rule) })}
+                                    className="icon-btn"
+                                    title="Edit"
+                                  >
+                                    <Edit2 className="w-4 h-4 text-gray-400" />
+                                  </button>
+                                  <button
+                                    onClick={() => deleteUnionRule(section, rule)}
+                                    className="icon-btn"
+                                    title="Delete"
+                                  >
+                                    <Trash2 className="w-4 h-4 text-red-400" />
+                                  </button>
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+
+                        {/* Patterns resolved to this year's dates, as costing and validation see them */}
+                        {section.resource === 'special-days' && unionHolidays && rules.length > 0 && (
+                          <div className="mt-2 text-xs text-gray-400">
+                            <span className="font-medium">{unionHolidays.year}: </span>
+                            {unionHolidays.data.length > 0
+                              ? unionHolidays.data.map((day) => `${day.holiday_name || 'Special day'} ${day.date}`).join(', ')
+                              : 'none this year'}
+                            {unionHolidays.unresolved.length > 0 && (
+                              <span className="text-yellow-400 ml-2">
+                                Unrecognized pattern: {unionHolidays.unresolved.map((day) => day.date_pattern).join(', ')}
+                              </span>
+                            )}
+                          </div>
+                        )}
+
+                        {isEditingSection && editingRule && (
+                          <div className="mt-3 p-3 bg-white/5 rounded-lg">
+                            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                              {section.fields.map((field) => {
+                                const value = editingRule.draft[field.name];
+                                const update = (next: any) => setEditingRule({
+                                  section,
+                                  draft: { ...editingRule.draft, [field.name]: next },
+                                });
+                                return (
+                                  <div key={field.name}>
+                                    <label className="block text-xs font-medium text-gray-400 mb-1">{field.label}</label>
+                                    {field.type === 'checkbox' ? (
+                                      <input
+                                        type="checkbox"
+                                        checked={!!value}
+                                        onChange={(e) => update(e.target.checked)}
+                                      />
+                                    ) : field.type === 'day' ? (
+                                      <select value={value} onChange={(e) => update(e.target.value)} className="input-field">
+                                        <option value="">Select day</option>
+                                        {DAY_LABELS.map((day, index) => (
+                                          <option key={day} value={index}>{day}</option>
+                                        ))}
+                                      </select>
+                                    ) : field.type === 'room' ? (
+                                      <select value={value} onChange={(e) => update(e.target.value)} className="input-field">
+                                        <option value="">All rooms</option>
+                                        {rooms.map((room) => (
+                                          <option key={room.id} value={room.id}>{room.name}</option>
+                                        ))}
+                                      </select>
+                                    ) : field.type === 'select' ? (
+                                      <select value={value} onChange={(e) => update(e.target.value)} className="input-field">
+                                        <option value="">Select...</option>
+                                        {/* Keep values outside the usual list (e.g. imported ones) selectable */}
+                                        {[...(field.options || []), ...(value && !field.options?.includes(value) ? [value] : [])].map((option) => (
+                                          <option key={option} value={option}>{option}</option>
+                                        ))}
+                                      </select>
+                                    ) : (
+                                      <input
+                                        type={field.type}
+                                        step={field.type === 'number' ? 'any' : undefined}
+                                        value={value}
+                                        onChange={(e) => update(e.target.value)}
+                                        className="input-field"
+                                      />
+                                    )}
+                                  </div>
+                                );
+                              })}
+                            </div>
+                            <div className="mt-3 flex justify-end gap-2">
+                              <button onClick={() => setEditingRule(null)} className="btn-secondary text-sm">
+                                Cancel
+                              </button>
+                              <button onClick={saveUnionRule} className="btn-primary text-sm flex items-center">
+                                <Save className="w-4 h-4 mr-1" />
+                                {editingRule.draft.id ? 'Update' : 'Add'}
+                              </button>
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+
+                <div className="mt-8 flex justify-end gap-3">
+                  <button
+                    onClick={() => {
+                      setEditingUnion(null);
                       setHasUnsavedChanges(false);
                     }}
                     className="btn-secondary"
@@ -1450,6 +3058,394 @@ export default function AdminPage() {
           </div>
         )}
 
+        {/* Order Edit Modal */}
+        {editingOrder && (
+          <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+            <div className="glass-card-dark max-w-3xl w-full p-8 max-h-[90vh] overflow-y-auto custom-scrollbar animate-scale-in">
+              <div className="flex justify-between items-center mb-6">
+                <h3 className="text-2xl font-semibold text-white flex items-center">
+                  <ClipboardList className="w-6 h-6 mr-3 text-primary-400" />
+                  {editingOrder.id ? `Edit Order #${editingOrder.id}` : 'Add Order'}
+                </h3>
+                <button
+                  onClick={() => setEditingOrder(null)}
+                  className="icon-btn"
+                >
+                  <X className="w-5 h-5 text-gray-400" />
+                </button>
+              </div>
+
+              <form onSubmit={(e) => {
+                e.preventDefault();
+                saveOrder(editingOrder);
+              }} className="space-y-6">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Event Name
+                    </label>
+                    <input
+                      type="text"
+                      value={editingOrder.event_name || ''}
+                      onChange={(e) => setEditingOrder({ ...editingOrder, event_name: e.target.value })}
+                      className="input-field"
+                      placeholder="e.g., Annual Sales Kickoff"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Event Date
+                    </label>
+                    <input
+                      type="date"
+                      value={editingOrder.event_date ? editingOrder.event_date.substring(0, 10) : ''}
+                      onChange={(e) => setEditingOrder({ ...editingOrder, event_date: e.target.value || null })}
+                      className="input-field"
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Start Time
+                    </label>
+                    <input
+                      type="time"
+                      value={editingOrder.start_time ? editingOrder.start_time.substring(0, 5) : ''}
+                      onChange={(e) => setEditingOrder({ ...editingOrder, start_time: e.target.value || null })}
+                      className="input-field"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      End Time
+                    </label>
+                    <input
+                      type="time"
+                      value={editingOrder.end_time ? editingOrder.end_time.substring(0, 5) : ''}
+                      onChange={(e) => setEditingOrder({ ...editingOrder, end_time: e.target.value || null })}
+                      className="input-field"
+                    />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 -mt-4">
+                  Equipment is reserved for this window (the whole day if no times are set). Cancelled orders release their reservations.
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Attendees
+                    </label>
+                    <input
+                      type="number"
+                      value={editingOrder.attendees ?? ''}
+                      onChange={(e) => setEditingOrder({ ...editingOrder, attendees: e.target.value ? parseInt(e.target.value) : null })}
+                      className="input-field"
+                      min="0"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Room
+                    </label>
+                    <select
+                      value={editingOrder.room_id ?? ''}
+                      onChange={(e) => setEditingOrder({ ...editingOrder, room_id: e.target.value ? parseInt(e.target.value) : null })}
+                      className="select-field"
+                    >
+                      <option value="">No room selected</option>
+                      {rooms.map(room => (
+                        <option key={room.id} value={room.id}>{room.name}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Status
+                    </label>
+                    <select
+                      value={editingOrder.status}
+                      onChange={(e) => setEditingOrder({ ...editingOrder, status: e.target.value })}
+                      className="select-field"
+                    >
+                      <option value="draft">Draft</option>
+                      <option value="confirmed">Confirmed</option>
+                      <option value="cancelled">Cancelled</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-gray-300">
+                      Equipment
+                    </label>
+                    <button
+                      type="button"
+                      onClick={() => setEditingOrder({
+                        ...editingOrder,
+                        equipment_list: [...editingOrder.equipment_list, { item_name: '', quantity: 1 }]
+                      })}
+                      className="text-accent-400 hover:text-accent-300 text-sm flex items-center"
+                    >
+                      <Plus className="w-4 h-4 mr-1" />
+                      Add Line
+                    </button>
+                  </div>
+                  <div className="space-y-2">
+                    {editingOrder.equipment_list.map((item, index) => (
+                      <div key={index} className="grid grid-cols-12 gap-2">
+                        <input
+                          type="text"
+                          value={item.item_name}
+                          onChange={(e) => updateOrderItem(index, { item_name: e.target.value })}
+                          className="input-field col-span-5"
+                          placeholder="Item name"
+                        />
+                        <input
+                          type="text"
+                          value={item.category || ''}
+                          onChange={(e) => updateOrderItem(index, { category: e.target.value })}
+                          className="input-field col-span-4"
+                          placeholder="Category"
+                        />
+                        <input
+                          type="number"
+                          value={item.quantity}
+                          onChange={(e) => updateOrderItem(index, { quantity: parseInt(e.target.value) || 0 })}
+                          className="input-field col-span-2"
+                          min="1"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => setEditingOrder({
+                            ...editingOrder,
+                            equipment_list: editingOrder.equipment_list.filter((_, i) => i !== index)
+                          })}
+                          className="icon-btn col-span-1"
+                        >
+                          <Trash2 className="w-4 h-4 text-red-400" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                {editingOrder.labor_plan && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Labor Plan
+                    </label>
+                    <pre className="text-xs text-gray-300 bg-white/5 rounded-lg p-3 overflow-x-auto max-h-48 custom-scrollbar">
+                      {JSON.stringify(editingOrder.labor_plan, null, 2)}
+                    </pre>
+                  </div>
+                )}
+
+                {editingOrder.id && crewPlan && (
+                  <div>
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="block text-sm font-medium text-gray-300">
+                        Crew Calls
+                        <span className="text-xs text-gray-500 ml-2">
+                          {crewPlan.saved ? 'edited' : 'generated from union equipment requirements'}
+                          {crewPlan.cost ? ` · est. $${crewPlan.cost.total_cost.toFixed(2)}` : ''}
+                        </span>
+                      </label>
+                      <div className="flex items-center space-x-3">
+                        <button
+                          type="button"
+                          onClick={() => loadCrewPlan(editingOrder.id, true)}
+                          className="text-gray-400 hover:text-gray-300 text-sm flex items-center"
+                          title="Rebuild calls from the order's equipment (unsaved until you save the crew plan)"
+                        >
+                          <Repeat className="w-4 h-4 mr-1" />
+                          Regenerate
+                        </button>
+                        <button
+                          type="button"
+                          onClick={addCrewCall}
+                          className="text-accent-400 hover:text-accent-300 text-sm flex items-center"
+                        >
+                          <Plus className="w-4 h-4 mr-1" />
+                          Add Call
+                        </button>
+                      </div>
+                    </div>
+
+                    {crewPlan.warnings.length > 0 && (
+                      <ul className="mb-2 text-xs text-yellow-400 space-y-1">
+                        {crewPlan.warnings.map((warning) => (
+                          <li key={warning} className="flex items-center">
+                            <AlertTriangle className="w-3 h-3 mr-1 flex-shrink-0" />
+                            {warning}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <div className="space-y-3">
+                      {crewPlan.calls.map((call, index) => (
+                        <div key={index} className="p-3 bg-white/5 rounded-lg space-y-2">
+                          <div className="grid grid-cols-12 gap-2">
+                            <select
+                              value={call.phase}
+                              onChange={(e) => updateCrewCall(index, { phase: e.target.value })}
+                              className="input-field col-span-3"
+                            >
+                              {CREW_PHASES.map((phase) => (
+                                <option key={phase.key} value={phase.key}>{phase.label}</option>
+                              ))}
+                            </select>
+                            <select
+                              value={call.union_id ?? ''}
+                              onChange={(e) => {
+                                const union = unions.find(u => u.id === parseInt(e.target.value));
+                                updateCrewCall(index, union
+                                  ? { union_id: union.id, union: `Local ${union.local_number}`, trade: union.trade }
+                                  : { union_id: null });
+                              }}
+                              className="input-field col-span-4"
+                            >
+                              <option value="">Select union</option>
+                              {unions.map((union) => (
+                                <option key={union.id} value={union.id}>Local {union.local_number} - {union.trade}</option>
+                              ))}
+                            </select>
+                            <input
+                              type="number"
+                              value={call.crew_size}
+                              onChange={(e) => updateCrewCall(index, { crew_size: parseInt(e.target.value) || 0 })}
+                              className="input-field col-span-2"
+                              min="1"
+                              title="Crew size"
+                            />
+                            <div className="col-span-3 flex items-center justify-end">
+                              <button
+                                type="button"
+                                onClick={() => setCrewPlan({
+                                  ...crewPlan,
+                                  calls: crewPlan.calls.filter((_, i) => i !== index),
+                                })}
+                                className="icon-btn"
+                              >
+                                <Trash2 className="w-4 h-4 text-red-400" />
+                              </button>
+                            </div>
+                          </div>
+                          <div className="grid grid-cols-12 gap-2">
+                            <input
+                              type="date"
+                              value={call.date}
+                              onChange={(e) => updateCrewCall(index, { date: e.target.value })}
+                              className="input-field col-span-4"
+                            />
+                            <input
+                              type="time"
+                              value={call.start_time}
+                              onChange={(e) => updateCrewCall(index, { start_time: e.target.value })}
+                              className="input-field col-span-4"
+                            />
+                            <input
+                              type="time"
+                              value={call.end_time}
+                              onChange={(e) => updateCrewCall(index, { end_time: e.target.value })}
+                              className="input-field col-span-4"
+                            />
+                          </div>
+                          <div className="grid grid-cols-12 gap-2">
+                            <input
+                              type="text"
+                              value={call.positions.join(', ')}
+                              onChange={(e) => updateCrewCall(index, { positions: e.target.value.split(/,\s*/) })}
+                              className="input-field col-span-7"
+                              placeholder="Positions, comma separated (A1, V1, LD)"
+                            />
+                            <input
+                              type="text"
+                              value={call.notes || ''}
+                              onChange={(e) => updateCrewCall(index, { notes: e.target.value })}
+                              className="input-field col-span-5"
+                              placeholder="Notes"
+                            />
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="flex items-center space-x-3 mt-3">
+                      <button type="button" onClick={saveCrewPlan} className="btn-secondary text-sm flex items-center">
+                        <Save className="w-4 h-4 mr-2" />
+                        Save Crew Plan
+                      </button>
+                      <a
+                        href={ordersAPI.crewSheetUrl(editingOrder.id)}
+                        title="Downloads the saved crew plan"
+                        className="text-accent-400 hover:text-accent-300 text-sm flex items-center"
+                      >
+                        <Download className="w-4 h-4 mr-1" />
+                        Crew Sheet (.xlsx)
+                      </a>
+                    </div>
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Total Cost
+                    </label>
+                    <div className="relative">
+                      <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400">$</span>
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={editingOrder.total_cost ?? ''}
+                        onChange={(e) => setEditingOrder({ ...editingOrder, total_cost: e.target.value ? parseFloat(e.target.value) : null })}
+                        className="input-field pl-8"
+                        min="0"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-300 mb-2">
+                      Notes
+                    </label>
+                    <textarea
+                      value={editingOrder.notes || ''}
+                      onChange={(e) => setEditingOrder({ ...editingOrder, notes: e.target.value })}
+                      className="input-field"
+                      rows={2}
+                      placeholder="Client requests, load-in details, etc."
+                    />
+                  </div>
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button type="submit" className="btn-primary flex items-center">
+                    <Save className="w-4 h-4 mr-2" />
+                    Save Order
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditingOrder(null)}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
         {/* Inventory Edit Modal */}
         {editingInventory && (
           <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
@@ -1605,6 +3601,28 @@ export default function AdminPage() {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Technical Specs
+                  </label>
+                  <div className="grid grid-cols-3 gap-4">
+                    {INVENTORY_SPEC_FIELDS.map((spec) => (
+                      <input
+                        key={spec.key}
+                        type="number"
+                        value={editingInventory[spec.key] ?? ''}
+                        onChange={(e) => setEditingInventory({ ...editingInventory, [spec.key]: numberOrNull(e.target.value) })}
+                        className="input-field"
+                        min="0"
+                        step={spec.step}
+                        placeholder={spec.label}
+                        title={spec.label}
+                      />
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">Used by the projection and audio calculators: lumens and throw ratio (distance to screen width) for projectors, horizontal coverage angle and max SPL for speakers. Power draw feeds the power budget checked when orders are validated, and a wireless mic or IEM's tuning range is used to coordinate its frequencies</p>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-300 mb-2">
                     Condition Notes
@@ -1635,6 +3653,411 @@ export default function AdminPage() {
             </div>
           </div>
         )}
+
+        {/* Import Preview Modal */}
+        {pendingImport && (
+          <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+            <div className="glass-card-dark max-w-4xl w-full p-8 max-h-[90vh] overflow-y-auto custom-scrollbar animate-scale-in">
+              <div className="flex justify-between items-center mb-6">
+                <h3 className="text-2xl font-semibold text-white flex items-center">
+                  <FileUp className="w-6 h-6 mr-3 text-primary-400" />
+                  Import Preview: {pendingImport.file.name}
+                </h3>
+                <button
+                  onClick={() => setPendingImport(null)}
+                  className="icon-btn"
+                >
+                  <X className="w-5 h-5 text-gray-400" />
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-6">
+                {([
+                  ['Added', pendingImport.preview.summary.added, 'text-green-300'],
+                  ['Changed', pendingImport.preview.summary.changed, 'text-yellow-300'],
+                  ['Unchanged', pendingImport.preview.summary.unchanged, 'text-gray-300'],
+                  ['Removed', pendingImport.preview.summary.removed, 'text-red-300'],
+                  ['Out of Service', pendingImport.preview.summary.retired, 'text-red-300'],
+                  ['Skipped', pendingImport.preview.summary.skipped, 'text-orange-300'],
+                ] as [string, number, string][]).map(([label, count, color]) => (
+                  <div key={label} className="glass-card p-4 text-center">
+                    <div className={`text-2xl font-bold ${color}`}>{count}</div>
+                    <div className="text-xs text-gray-400">{label}</div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="mb-6">
+                <h4 className="font-medium text-white mb-3">
+                  Column Mapping
+                  {pendingImport.profileId && (
+                    <span className="text-sm text-gray-400 ml-2">
+                      (profile: {importProfiles.find(profile => profile.id === pendingImport.profileId)?.name})
+                    </span>
+                  )}
+                </h4>
+                <div className="mb-3 flex items-center text-sm text-gray-300">
+                  <label className="mr-2">Header row (sheet "{pendingImport.preview.sheet}")</label>
+                  <input
+                    type="number"
+                    min={1}
+                    value={pendingImport.headerRow + 1}
+                    onChange={(e) => setPendingImport({ ...pendingImport, headerRow: Math.max(0, (parseInt(e.target.value) || 1) - 1) })}
+                    className="input-field w-24"
+                  />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  {Object.keys(pendingImport.columnMap).map((field) => (
+                    <div key={field}>
+                      <label className="block text-xs font-medium text-gray-400 mb-1">{IMPORT_FIELD_LABELS[field] || field}</label>
+                      <select
+                        value={pendingImport.columnMap[field] || ''}
+                        onChange={(e) => setPendingImport({
+                          ...pendingImport,
+                          columnMap: { ...pendingImport.columnMap, [field]: e.target.value || null }
+                        })}
+                        className="input-field text-sm"
+                      >
+                        <option value="">(not mapped)</option>
+                        {pendingImport.preview.headers.map((header) => (
+                          <option key={header} value={header}>{header}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  onClick={saveMappingAsProfile}
+                  className="btn-secondary text-sm mt-3 mr-3"
+                >
+                  Save as Profile
+                </button>
+                <button
+                  onClick={() => previewImport(
+                    pendingImport.file,
+                    pendingImport.mode,
+                    pendingImport.markMissing,
+                    // A different header row has different columns, so let the server map them afresh
+                    pendingImport.headerRow === pendingImport.preview.header_row ? pendingImport.columnMap : undefined,
+                    pendingImport.headerRow,
+                    pendingImport.profileId
+                  )}
+                  disabled={isUploading}
+                  className="btn-secondary text-sm mt-3"
+                >
+                  Refresh Preview
+                </button>
+              </div>
+
+              {pendingImport.preview.errors.length > 0 && (
+                <div className="mb-6 p-3 bg-red-500/10 border border-red-500/30 rounded-xl">
+                  <h4 className="font-medium text-red-300 mb-2">Rows that will be skipped</h4>
+                  <ul className="text-sm text-red-200 space-y-1">
+                    {pendingImport.preview.errors.map((error) => (
+                      <li key={error}>{error}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {pendingImport.preview.diff.changed.length > 0 && (
+                <div className="mb-6">
+                  <h4 className="font-medium text-white mb-2">Changed</h4>
+                  <div className="space-y-2">
+                    {pendingImport.preview.diff.changed.map((entry) => (
+                      <div key={entry.id} className="glass-card p-3 text-sm">
+                        <div className="text-white mb-1">Row {entry.row}: {entry.item.name}</div>
+                        {Object.entries(entry.changes).map(([field, change]) => (
+                          <div key={field} className="text-gray-300">
+                            <span className="text-accent-400 mr-2">{field}:</span>
+                            <span className="text-red-300 line-through mr-2">{formatAuditValue(change.from)}</span>
+                            <span className="text-green-300">{formatAuditValue(change.to)}</span>
+                          </div>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {pendingImport.preview.diff.added.length > 0 && (
+                <div className="mb-6">
+                  <h4 className="font-medium text-white mb-2">Added</h4>
+                  <ul className="text-sm text-gray-300 space-y-1">
+                    {pendingImport.preview.diff.added.map((entry) => (
+                      <li key={entry.row}>
+                        Row {entry.row}: {entry.item.name} × {entry.item.quantity_available}
+                        {entry.duplicate_of && <span className="text-yellow-300 ml-2">(already in inventory)</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {pendingImport.preview.diff.removed.length > 0 && (
+                <div className="mb-6">
+                  <h4 className="font-medium text-white mb-2">Removed</h4>
+                  <ul className="text-sm text-red-300 space-y-1">
+                    {pendingImport.preview.diff.removed.map((entry) => (
+                      <li key={entry.id}>{entry.name}{entry.asset_tag && ` (${entry.asset_tag})`} × {entry.quantity_available}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {pendingImport.preview.diff.retired.length > 0 && (
+                <div className="mb-6">
+                  <h4 className="font-medium text-white mb-2">Marked Out of Service</h4>
+                  <ul className="text-sm text-red-300 space-y-1">
+                    {pendingImport.preview.diff.retired.map((entry) => (
+                      <li key={entry.id}>{entry.name}{entry.asset_tag && ` (${entry.asset_tag})`} × {entry.quantity_available}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  onClick={confirmImport}
+                  disabled={isUploading}
+                  className={`${pendingImport.mode === 'replace' ? 'btn-danger' : 'btn-primary'} flex items-center`}
+                >
+                  <CheckCircle className="w-4 h-4 mr-2" />
+                  {pendingImport.mode === 'replace' ? 'Confirm Replace'
+                    : pendingImport.mode === 'sync' ? 'Confirm Sync'
+                    : 'Confirm Import'}
+                </button>
+                <button
+                  onClick={() => setPendingImport(null)}
+                  className="btn-secondary"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Import Profile Edit Modal */}
+        {editingProfile && (
+          <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+            <div className="glass-card-dark max-w-2xl w-full p-8 max-h-[90vh] overflow-y-auto custom-scrollbar animate-scale-in">
+              <div className="flex justify-between items-center mb-6">
+                <h3 className="text-2xl font-semibold text-white flex items-center">
+                  <Columns className="w-6 h-6 mr-3 text-primary-400" />
+                  {editingProfile.id ? 'Edit Import Profile' : 'New Import Profile'}
+                </h3>
+                <button
+                  onClick={() => setEditingProfile(null)}
+                  className="icon-btn"
+                >
+                  <X className="w-5 h-5 text-gray-400" />
+                </button>
+              </div>
+
+              <form onSubmit={(e) => {
+                e.preventDefault();
+                saveImportProfile(editingProfile);
+              }} className="space-y-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Profile Name *
+                  </label>
+                  <input
+                    type="text"
+                    value={editingProfile.name}
+                    onChange={(e) => setEditingProfile({ ...editingProfile, name: e.target.value })}
+                    className="input-field"
+                    placeholder="e.g. Asset tracker export"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Columns
+                  </label>
+                  <div className="space-y-2">
+                    {editingProfile.columns.map((column, index) => (
+                      <div key={index} className="flex gap-2 items-center">
+                        <input
+                          type="text"
+                          value={column.header}
+                          onChange={(e) => setEditingProfile({
+                            ...editingProfile,
+                            columns: editingProfile.columns.map((c, i) => i === index ? { ...c, header: e.target.value } : c)
+                          })}
+                          className="input-field flex-1"
+                          placeholder="Spreadsheet header"
+                        />
+                        <span className="text-gray-500">→</span>
+                        <select
+                          value={column.field}
+                          onChange={(e) => setEditingProfile({
+                            ...editingProfile,
+                            columns: editingProfile.columns.map((c, i) => i === index ? { ...c, field: e.target.value } : c)
+                          })}
+                          className="input-field flex-1"
+                        >
+                          {Object.entries(IMPORT_FIELD_LABELS).map(([field, label]) => (
+                            <option key={field} value={field}>{label}</option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={() => setEditingProfile({
+                            ...editingProfile,
+                            columns: editingProfile.columns.filter((_, i) => i !== index)
+                          })}
+                          className="icon-btn"
+                        >
+                          <Trash2 className="w-4 h-4 text-red-400" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setEditingProfile({
+                      ...editingProfile,
+                      columns: [...editingProfile.columns, { header: '', field: 'item' }]
+                    })}
+                    className="mt-2 text-accent-400 hover:text-accent-300 text-sm flex items-center"
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add column
+                  </button>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-300 mb-2">
+                    Status Values
+                  </label>
+                  <div className="space-y-2">
+                    {editingProfile.statuses.map((status, index) => (
+                      <div key={index} className="flex gap-2 items-center">
+                        <input
+                          type="text"
+                          value={status.value}
+                          onChange={(e) => setEditingProfile({
+                            ...editingProfile,
+                            statuses: editingProfile.statuses.map((s, i) => i === index ? { ...s, value: e.target.value } : s)
+                          })}
+                          className="input-field flex-1"
+                          placeholder="e.g. On Hand"
+                        />
+                        <span className="text-gray-500">→</span>
+                        <select
+                          value={status.status}
+                          onChange={(e) => setEditingProfile({
+                            ...editingProfile,
+                            statuses: editingProfile.statuses.map((s, i) => i === index ? { ...s, status: e.target.value } : s)
+                          })}
+                          className="input-field flex-1"
+                        >
+                          {INVENTORY_STATUSES.map((value) => (
+                            <option key={value} value={value}>{value}</option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={() => setEditingProfile({
+                            ...editingProfile,
+                            statuses: editingProfile.statuses.filter((_, i) => i !== index)
+                          })}
+                          className="icon-btn"
+                        >
+                          <Trash2 className="w-4 h-4 text-red-400" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setEditingProfile({
+                      ...editingProfile,
+                      statuses: [...editingProfile.statuses, { value: '', status: 'available' }]
+                    })}
+                    className="mt-2 text-accent-400 hover:text-accent-300 text-sm flex items-center"
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add status value
+                  </button>
+                </div>
+
+                <div className="flex space-x-3 pt-4">
+                  <button type="submit" className="btn-primary flex items-center">
+                    <Save className="w-4 h-4 mr-2" />
+                    Save Profile
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditingProfile(null)}
+                    className="btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {/* Record History Modal */}
+        {historyTarget && (
+          <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-fade-in">
+            <div className="glass-card-dark max-w-2xl w-full p-8 max-h-[90vh] overflow-y-auto custom-scrollbar animate-scale-in">
+              <div className="flex justify-between items-center mb-6">
+                <h3 className="text-2xl font-semibold text-white flex items-center">
+                  <History className="w-6 h-6 mr-3 text-primary-400" />
+                  History: {historyTarget.label}
+                </h3>
+                <button
+                  onClick={() => setHistoryTarget(null)}
+                  className="icon-btn"
+                >
+                  <X className="w-5 h-5 text-gray-400" />
+                </button>
+              </div>
+
+              {isHistoryLoading ? (
+                <p className="text-gray-400">Loading history...</p>
+              ) : historyEntries.length === 0 ? (
+                <p className="text-gray-400">No changes recorded for this record yet</p>
+              ) : (
+                <div className="space-y-4">
+                  {historyEntries.map((entry) => (
+                    <div key={entry.id} className="glass-card p-4">
+                      <div className="flex justify-between items-center mb-2">
+                        <span className="text-white font-medium">
+                          {AUDIT_ACTION_LABELS[entry.action]}
+                          {entry.action === 'import' && !entry.after && ' (replaced)'}
+                        </span>
+                        <span className="text-xs text-gray-400">
+                          {new Date(entry.created_at).toLocaleString()}
+                        </span>
+                      </div>
+                      <div className="text-sm text-gray-400 mb-2">
+                        by {entry.user_name || entry.user_email || 'system'}
+                      </div>
+                      {entry.changed_fields.length > 0 && (
+                        <div className="space-y-1 text-sm">
+                          {entry.changed_fields.map((field) => (
+                            <div key={field} className="text-gray-300">
+                              <span className="text-accent-400 mr-2">{field}:</span>
+                              <span className="text-red-300 line-through mr-2">{formatAuditValue(entry.before?.[field])}</span>
+                              <span className="text-green-300">{formatAuditValue(entry.after?.[field])}</span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
       </div>
     </>
   );
@@ -1,16 +1,56 @@
 import React, { useState, useRef, useEffect } from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
+import { useRouter } from 'next/router';
 import { useProperty } from '../contexts/PropertyContext';
+import { useAuth } from '../contexts/AuthContext';
 import { chatAPI } from '../utils/api';
-import { ArrowLeft, Send, RotateCcw, User, Bot, Sparkles, Zap, Paperclip, X, FileText, Image as ImageIcon, Compass } from 'lucide-react';
+import { ArrowLeft, Send, RotateCcw, User, Bot, Sparkles, Zap, Paperclip, X, FileText, Image as ImageIcon, Compass, History, Trash2, CheckCircle, AlertTriangle, ArrowRight } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
 import toast from 'react-hot-toast';
 
+interface ChatSessionSummary {
+  session_id: string;
+  title: string;
+  message_count: number;
+  created_at: string;
+  updated_at: string;
+}
+
+// Status lines shown while the assistant is working
+const FUNCTION_LABELS: Record<string, string> = {
+  fetch_inventory: 'Checking inventory',
+  check_room_capabilities: 'Checking room capabilities',
+  validate_order: 'Validating the order',
+  calculate_labor_requirements: 'Calculating labor costs',
+  create_event_order: 'Saving the draft order',
+  suggest_substitutes: 'Finding alternatives',
+};
+
+interface ValidationSubstitution {
+  item_name: string;
+  requested: number;
+  available: number;
+  reason: string;
+  resolution: 'substituted' | 'reduced' | 'removed' | 'unchanged' | null;
+  replaced_with?: { item_name: string; quantity: number }[];
+  reduced_to?: number;
+}
+
+interface ValidationReport {
+  valid: boolean;
+  retries: number;
+  attempts: { attempt: number; valid: boolean }[];
+  substitutions: ValidationSubstitution[];
+  errors: string[];
+  warnings: string[];
+}
+
 interface Message {
   role: 'user' | 'assistant';
   content: string;
   timestamp: Date;
+  validation?: ValidationReport | null;
   file?: {
     name: string;
     type: string;
@@ -19,12 +59,19 @@ interface Message {
 }
 
 export default function Chat() {
+  const router = useRouter();
   const { selectedProperty } = useProperty();
+  const { user, isLoading: isAuthLoading, canUseProperty } = useAuth();
   const [messages, setMessages] = useState<Message[]>([]);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
   const [filePreview, setFilePreview] = useState<string | null>(null);
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [sessions, setSessions] = useState<ChatSessionSummary[]>([]);
+  const [showSessions, setShowSessions] = useState(false);
+  const [streamingContent, setStreamingContent] = useState('');
+  const [streamStatus, setStreamStatus] = useState<string | null>(null);
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
@@ -34,46 +81,103 @@ export default function Chat() {
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, streamingContent, streamStatus]);
 
-  // Save chat messages to localStorage whenever they change
   useEffect(() => {
-    if (selectedProperty && messages.length > 0) {
-      localStorage.setItem(`chat-messages-${selectedProperty.id}`, JSON.stringify(messages));
+    if (!isAuthLoading && !user) {
+      router.replace('/login?next=/chat');
     }
-  }, [messages, selectedProperty]);
+  }, [isAuthLoading, user]);
 
-  // Restore chat messages on page load
+  // Remember the active session so a reload picks the same conversation back up
   useEffect(() => {
     if (selectedProperty && typeof window !== 'undefined') {
-      const savedMessages = localStorage.getItem(`chat-messages-${selectedProperty.id}`);
-      if (savedMessages && messages.length === 0) {
-        try {
-          const parsedMessages = JSON.parse(savedMessages);
-          // Convert timestamp strings back to Date objects
-          const messagesWithDates = parsedMessages.map((msg: any) => ({
-            ...msg,
-            timestamp: new Date(msg.timestamp)
-          }));
-          setMessages(messagesWithDates);
-          toast('Restored previous conversation', { 
-            icon: '💬', 
-            duration: 3000,
-            style: {
-              background: 'rgba(255, 255, 255, 0.1)',
-              color: '#fff',
-              backdropFilter: 'blur(10px)',
-              border: '1px solid rgba(255, 255, 255, 0.2)',
-            },
-          });
-        } catch (e) {
-          console.error('Failed to restore chat messages:', e);
-          localStorage.removeItem(`chat-messages-${selectedProperty.id}`);
-        }
+      if (sessionId) {
+        localStorage.setItem(`chat-session-${selectedProperty.id}`, sessionId);
+      } else {
+        localStorage.removeItem(`chat-session-${selectedProperty.id}`);
+      }
+    }
+  }, [sessionId, selectedProperty]);
+
+  // Load the session list and restore the last active conversation on page load
+  useEffect(() => {
+    if (selectedProperty && typeof window !== 'undefined') {
+      loadSessions();
+
+      const savedSessionId = localStorage.getItem(`chat-session-${selectedProperty.id}`);
+      if (savedSessionId && messages.length === 0) {
+        openSession(savedSessionId, true);
       }
     }
   }, [selectedProperty]);
 
+  const loadSessions = async () => {
+    if (!selectedProperty) return;
+
+    try {
+      const response = await chatAPI.getSessions(selectedProperty.id);
+      setSessions(response.data.sessions || []);
+    } catch (error) {
+      console.error('Failed to load chat sessions:', error);
+    }
+  };
+
+  const openSession = async (id: string, restoring: boolean = false) => {
+    if (!selectedProperty) return;
+
+    try {
+      const response = await chatAPI.getSession(selectedProperty.id, id);
+      // Convert timestamp strings back to Date objects
+      const messagesWithDates = (response.data.messages || []).map((msg: any) => ({
+        ...msg,
+        timestamp: new Date(msg.timestamp)
+      }));
+      setMessages(messagesWithDates);
+      setSessionId(id);
+      setShowSessions(false);
+
+      if (restoring) {
+        toast('Restored previous conversation', { 
+          icon: '💬', 
+          duration: 3000,
+          style: {
+            background: 'rgba(255, 255, 255, 0.1)',
+            color: '#fff',
+            backdropFilter: 'blur(10px)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+          },
+        });
+      }
+    } catch (error: any) {
+      console.error('Failed to open chat session:', error);
+      if (restoring) {
+        // The saved session no longer exists on the server
+        setSessionId(null);
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to open conversation');
+      }
+    }
+  };
+
+  const deleteSession = async (id: string) => {
+    if (!selectedProperty) return;
+    if (!confirm('Are you sure you want to delete this conversation?')) return;
+
+    try {
+      await chatAPI.deleteSession(selectedProperty.id, id);
+      if (id === sessionId) {
+        setSessionId(null);
+        setMessages([]);
+      }
+      loadSessions();
+      toast.success('Conversation deleted');
+    } catch (error: any) {
+      console.error('Failed to delete chat session:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete conversation');
+    }
+  };
+
   const handleFileSelect = (event: React.ChangeEvent<HTMLInputElement>) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -139,6 +243,31 @@ export default function Chat() {
         content: msg.content,
       }));
 
+      // Tools can run in parallel, so track every call still in flight
+      const runningTools = new Map<string, string>();
+      const showRunningTools = () => {
+        const labels = Array.from(new Set(Array.from(runningTools.values())));
+        setStreamStatus(labels.length > 0 ? `${labels.join(', ')}…` : null);
+      };
+
+      const handlers = {
+        onToken: (content: string) => setStreamingContent(prev => prev + content),
+        onFunctionCall: (name: string, _args: any, id?: string) => {
+          // Text streamed before a tool call is superseded by the next reply
+          setStreamingContent('');
+          runningTools.set(id || name, FUNCTION_LABELS[name] || `Calling ${name}`);
+          showRunningTools();
+        },
+        onFunctionResult: (name: string, _success: boolean, id?: string) => {
+          runningTools.delete(id || name);
+          showRunningTools();
+        },
+        onValidationRetry: (retry: number, maxRetries: number) => {
+          setStreamingContent('');
+          setStreamStatus(`Order failed validation, finding substitutes (retry ${retry} of ${maxRetries})…`);
+        },
+      };
+
       let response;
       
       if (fileToSend) {
@@ -146,18 +275,27 @@ export default function Chat() {
         const formData = new FormData();
         formData.append('messages', JSON.stringify(chatMessages));
         formData.append('propertyId', selectedProperty.id.toString());
+        if (sessionId) {
+          formData.append('sessionId', sessionId);
+        }
         formData.append('file', fileToSend);
         
-        response = await chatAPI.sendMessageWithFile(formData);
+        response = await chatAPI.streamMessageWithFile(formData, handlers);
       } else {
         // Regular text message
-        response = await chatAPI.sendMessage(chatMessages, selectedProperty.id);
+        response = await chatAPI.streamMessage(chatMessages, selectedProperty.id, sessionId, handlers);
       }
       
+      if (response.sessionId) {
+        setSessionId(response.sessionId);
+      }
+      loadSessions();
+      
       const assistantMessage: Message = {
         role: 'assistant',
-        content: response.data.message,
+        content: response.message,
         timestamp: new Date(),
+        validation: response.validation,
       };
 
       setMessages(prev => [...prev, assistantMessage]);
@@ -181,9 +319,65 @@ export default function Chat() {
       setMessages(prev => [...prev, errorMessage]);
     } finally {
       setIsLoading(false);
+      setStreamingContent('');
+      setStreamStatus(null);
+    }
+  };
+
+  const describeResolution = (substitution: ValidationSubstitution) => {
+    switch (substitution.resolution) {
+      case 'substituted':
+        return (substitution.replaced_with || []).map(item => `${item.quantity}× ${item.item_name}`).join(', ');
+      case 'reduced':
+        return `reduced to ${substitution.reduced_to}`;
+      case 'removed':
+        return 'removed from the order';
+      case 'unchanged':
+        return 'left unchanged';
+      default:
+        return 'not revised';
     }
   };
 
+  const renderValidationReport = (report: ValidationReport) => (
+    <div className="mt-4 p-3 rounded-lg bg-white/5 border border-white/10 text-sm">
+      <div className={`flex items-center font-medium ${report.valid ? 'text-green-400' : 'text-yellow-400'}`}>
+        {report.valid ? (
+          <CheckCircle className="w-4 h-4 mr-2" />
+        ) : (
+          <AlertTriangle className="w-4 h-4 mr-2" />
+        )}
+        {report.valid ? 'Order validated' : 'Order still has issues'}
+        <span className="ml-2 text-xs text-gray-500">
+          {report.attempts.length} validation {report.attempts.length === 1 ? 'attempt' : 'attempts'}
+        </span>
+      </div>
+
+      {report.substitutions.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {report.substitutions.map((substitution, index) => (
+            <li key={index} className="text-gray-300">
+              <div className="flex items-center flex-wrap">
+                <span>{substitution.requested}× {substitution.item_name}</span>
+                <ArrowRight className="w-3 h-3 mx-2 text-gray-500" />
+                <span className="text-white">{describeResolution(substitution)}</span>
+              </div>
+              <div className="text-xs text-gray-500">{substitution.reason}</div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!report.valid && report.errors.length > 0 && (
+        <ul className="mt-2 text-xs text-red-300 list-disc list-inside">
+          {report.errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
   const handleKeyPress = (e: React.KeyboardEvent) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -192,12 +386,11 @@ export default function Chat() {
   };
 
   const clearConversation = () => {
+    // The previous conversation stays saved on the server and can be reopened
     setMessages([]);
-    // Clear from localStorage as well
-    if (selectedProperty && typeof window !== 'undefined') {
-      localStorage.removeItem(`chat-messages-${selectedProperty.id}`);
-    }
-    toast.success('Conversation cleared', {
+    setSessionId(null);
+    setShowSessions(false);
+    toast.success('Started a new conversation', {
       style: {
         background: 'rgba(34, 197, 94, 0.1)',
         color: '#86efac',
@@ -222,6 +415,29 @@ export default function Chat() {
     );
   }
 
+  if (isAuthLoading || !user) {
+    return (
+      <div className="min-h-screen bg-space-900 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-400"></div>
+      </div>
+    );
+  }
+
+  if (!canUseProperty(selectedProperty.id)) {
+    return (
+      <div className="min-h-screen bg-space-900 flex items-center justify-center relative overflow-hidden">
+        <div className="absolute inset-0 bg-mesh-gradient opacity-20 animate-gradient"></div>
+        <div className="text-center relative z-10">
+          <h1 className="text-2xl font-bold text-white mb-4">Access Restricted</h1>
+          <p className="text-gray-400 mb-6">Your account isn't assigned to {selectedProperty.name}. Ask a super-admin for access.</p>
+          <Link href="/" className="btn-primary">
+            Go Back
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <>
       <Head>
@@ -248,14 +464,60 @@ export default function Chat() {
                 <p className="text-sm text-gray-400">{selectedProperty.name}</p>
               </div>
             </div>
-            <button
-              onClick={clearConversation}
-              className="btn-secondary text-sm flex items-center"
-              disabled={messages.length === 0}
-            >
-              <RotateCcw className="w-4 h-4 mr-2" />
-              New Conversation
-            </button>
+            <div className="flex items-center space-x-3">
+              <div className="relative">
+                <button
+                  onClick={() => setShowSessions(!showSessions)}
+                  className="btn-secondary text-sm flex items-center"
+                >
+                  <History className="w-4 h-4 mr-2" />
+                  History ({sessions.length})
+                </button>
+                {showSessions && (
+                  <div className="absolute right-0 mt-2 w-80 glass-card-dark border border-white/10 rounded-lg max-h-96 overflow-y-auto custom-scrollbar z-20 animate-slide-down">
+                    {sessions.length === 0 ? (
+                      <p className="p-4 text-sm text-gray-400">No saved conversations yet</p>
+                    ) : (
+                      <ul className="divide-y divide-white/5">
+                        {sessions.map((session) => (
+                          <li
+                            key={session.session_id}
+                            className={`group flex items-start justify-between p-3 hover:bg-white/5 transition-colors ${
+                              session.session_id === sessionId ? 'bg-primary-500/10' : ''
+                            }`}
+                          >
+                            <button
+                              onClick={() => openSession(session.session_id)}
+                              className="flex-1 text-left"
+                            >
+                              <div className="text-sm text-white">{session.title}</div>
+                              <div className="text-xs text-gray-500 mt-1">
+                                {session.message_count} messages • {new Date(session.updated_at).toLocaleString()}
+                              </div>
+                            </button>
+                            <button
+                              onClick={() => deleteSession(session.session_id)}
+                              className="icon-btn ml-2 opacity-0 group-hover:opacity-100 transition-opacity"
+                              title="Delete conversation"
+                            >
+                              <Trash2 className="w-4 h-4 text-red-400" />
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+              <button
+                onClick={clearConversation}
+                className="btn-secondary text-sm flex items-center"
+                disabled={messages.length === 0}
+              >
+                <RotateCcw className="w-4 h-4 mr-2" />
+                New Conversation
+              </button>
+            </div>
           </div>
         </header>
 
@@ -323,9 +585,12 @@ export default function Chat() {
                         : 'chat-message-assistant'
                     }`}>
                       {message.role === 'assistant' ? (
-                        <div className="markdown-content">
-                          <ReactMarkdown>{message.content}</ReactMarkdown>
-                        </div>
+                        <>
+                          <div className="markdown-content">
+                            <ReactMarkdown>{message.content}</ReactMarkdown>
+                          </div>
+                          {message.validation && renderValidationReport(message.validation)}
+                        </>
                       ) : (
                         <>
                           {message.file && (
@@ -361,11 +626,23 @@ export default function Chat() {
                     </div>
                   </div>
                   <div className="chat-message-assistant">
-                    <div className="loading-dots">
-                      <div className="loading-dot"></div>
-                      <div className="loading-dot"></div>
-                      <div className="loading-dot"></div>
-                    </div>
+                    {streamStatus && (
+                      <div className="flex items-center text-xs text-accent-400 mb-2">
+                        <Zap className="w-3 h-3 mr-1 animate-pulse" />
+                        {streamStatus}
+                      </div>
+                    )}
+                    {streamingContent ? (
+                      <div className="markdown-content">
+                        <ReactMarkdown>{streamingContent}</ReactMarkdown>
+                      </div>
+                    ) : (
+                      <div className="loading-dots">
+                        <div className="loading-dot"></div>
+                        <div className="loading-dot"></div>
+                        <div className="loading-dot"></div>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
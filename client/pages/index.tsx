@@ -2,7 +2,8 @@ import React, { useState, useEffect } from 'react';
 import Head from 'next/head';
 import { useRouter } from 'next/router';
 import { useProperty } from '../contexts/PropertyContext';
-import { Building2, MessageSquare, Settings, Search, MapPin, Sparkles, Zap, Shield, AlertTriangle, Compass, Layers } from 'lucide-react';
+import { useAuth, ROLE_LABELS } from '../contexts/AuthContext';
+import { Building2, MessageSquare, Settings, Search, MapPin, Sparkles, Zap, Shield, AlertTriangle, Compass, Layers, LogIn, LogOut } from 'lucide-react';
 
 interface Property {
   id: number;
@@ -16,9 +17,9 @@ interface Property {
 export default function Home() {
   const router = useRouter();
   const { selectedProperty, setSelectedProperty, properties, isLoading, loadProperties } = useProperty();
+  const { user, logout, canManageProperty } = useAuth();
   const [filteredProperties, setFilteredProperties] = useState<Property[]>([]);
   const [error, setError] = useState<string | null>(null);
-  const [isAdmin, setIsAdmin] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
 
   // Filter properties based on search term
@@ -52,7 +53,7 @@ export default function Home() {
       setError('Please select a property first');
       return;
     }
-    router.push('/chat');
+    router.push(user ? '/chat' : '/login?next=/chat');
   };
 
   const handleAdminAccess = () => {
@@ -276,27 +277,32 @@ export default function Home() {
             </div>
           </div>
 
-          {/* Role Toggle */}
+          {/* Account */}
           <div className="max-w-md mx-auto mb-8 animate-fade-in">
             <div className="flex items-center justify-center glass-card-dark py-4 px-6 rounded-full">
-              <span className={`text-sm font-medium transition-all duration-300 ${!isAdmin ? 'text-primary-400' : 'text-gray-400'}`}>
-                Sales Manager
-              </span>
-              <button
-                onClick={() => setIsAdmin(!isAdmin)}
-                className={`mx-4 relative inline-flex h-7 w-14 items-center rounded-full transition-all duration-300 ${
-                  isAdmin ? 'bg-gradient-to-r from-primary-600 to-accent-600' : 'bg-gray-700'
-                }`}
-              >
-                <span
-                  className={`inline-block h-5 w-5 transform rounded-full bg-white shadow-lg transition-transform duration-300 ${
-                    isAdmin ? 'translate-x-7' : 'translate-x-1'
-                  }`}
-                />
-              </button>
-              <span className={`text-sm font-medium transition-all duration-300 ${isAdmin ? 'text-accent-400' : 'text-gray-400'}`}>
-                Admin
-              </span>
+              {user ? (
+                <>
+                  <span className="text-sm text-gray-300">
+                    {user.name || user.email}
+                    <span className="text-accent-400 ml-2">{ROLE_LABELS[user.role]}</span>
+                  </span>
+                  <button
+                    onClick={logout}
+                    className="ml-4 text-sm text-gray-400 hover:text-white flex items-center transition-colors"
+                  >
+                    <LogOut className="w-4 h-4 mr-1" />
+                    Sign out
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={() => router.push('/login')}
+                  className="text-sm text-primary-400 hover:text-primary-300 flex items-center transition-colors"
+                >
+                  <LogIn className="w-4 h-4 mr-2" />
+                  Sign in to plan events or manage data
+                </button>
+              )}
             </div>
           </div>
 
@@ -314,7 +320,7 @@ export default function Home() {
                 </button>
 
                 {/* Admin Button */}
-                {isAdmin && (
+                {canManageProperty(selectedProperty.id) && (
                   <button
                     onClick={handleAdminAccess}
                     className="w-full btn-secondary group flex items-center justify-center"
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { useAuth } from '../contexts/AuthContext';
+import { ArrowLeft, LogIn, AlertTriangle, Compass } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+export default function LoginPage() {
+  const router = useRouter();
+  const { user, login } = useAuth();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Only follow same-site paths after signing in
+  const next = typeof router.query.next === 'string' && router.query.next.startsWith('/')
+    ? router.query.next
+    : '/';
+
+  useEffect(() => {
+    if (user) {
+      router.replace(next);
+    }
+  }, [user]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      const signedIn = await login(email, password);
+      toast.success(`Welcome back${signedIn.name ? `, ${signedIn.name}` : ''}`);
+    } catch (error: any) {
+      setError(error.response?.data?.message || 'Unable to sign in');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Sign In - Encore Architect</title>
+      </Head>
+
+      <div className="min-h-screen bg-space-900 flex items-center justify-center relative overflow-hidden px-4">
+        <div className="absolute inset-0 bg-mesh-gradient opacity-20 animate-gradient"></div>
+
+        <div className="w-full max-w-md relative z-10 animate-fade-in">
+          <Link href="/" className="text-sm text-gray-400 hover:text-white flex items-center mb-6 transition-colors">
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back
+          </Link>
+
+          <div className="glass-card-dark p-8">
+            <div className="flex items-center mb-8">
+              <Compass className="w-8 h-8 text-primary-400 mr-3" />
+              <h1 className="text-2xl font-display font-bold gradient-text">Sign in</h1>
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-5">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-300 mb-2">
+                  Email
+                </label>
+                <input
+                  id="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="input-field w-full"
+                />
+              </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-300 mb-2">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  autoComplete="current-password"
+                  required
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="input-field w-full"
+                />
+              </div>
+
+              {error && (
+                <div className="p-3 bg-red-500/10 border border-red-500/30 rounded-xl">
+                  <p className="text-red-300 text-sm flex items-center">
+                    <AlertTriangle className="w-4 h-4 mr-2" />
+                    {error}
+                  </p>
+                </div>
+              )}
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full btn-primary flex items-center justify-center"
+              >
+                <LogIn className="w-5 h-5 mr-2" />
+                {isSubmitting ? 'Signing in...' : 'Sign in'}
+              </button>
+            </form>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -5,6 +5,22 @@ const BASE_URL = process.env.NEXT_PUBLIC_API_URL ||
     ? 'https://web-production-ff93.up.railway.app' 
     : 'http://localhost:3001');
 
+export const AUTH_TOKEN_KEY = 'authToken';
+// Dispatched on window when the server rejects the stored session
+export const AUTH_EXPIRED_EVENT = 'auth:expired';
+
+export const getAuthToken = (): string | null =>
+  typeof window !== 'undefined' ? localStorage.getItem(AUTH_TOKEN_KEY) : null;
+
+export const setAuthToken = (token: string | null) => {
+  if (typeof window === 'undefined') return;
+  if (token) {
+    localStorage.setItem(AUTH_TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(AUTH_TOKEN_KEY);
+  }
+};
+
 // Create axios instance with default config
 export const api = axios.create({
   baseURL: `${BASE_URL}/api`,
@@ -17,6 +33,11 @@ export const api = axios.create({
 // Request interceptor to add property ID to requests
 api.interceptors.request.use(
   (config) => {
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+
     // Add property ID to requests that need it (only on client side)
     if (typeof window !== 'undefined') {
       const propertyId = localStorage.getItem('selectedPropertyId');
@@ -42,17 +63,123 @@ api.interceptors.request.use(
 api.interceptors.response.use(
   (response) => response,
   (error) => {
+    if (error.response?.status === 401 && getAuthToken() && typeof window !== 'undefined') {
+      setAuthToken(null);
+      window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+    }
     console.error('API Error:', error.response?.data || error.message);
     return Promise.reject(error);
   }
 );
 
+export interface ChatStreamHandlers {
+  onToken?: (content: string) => void;
+  onFunctionCall?: (name: string, args: any, id?: string) => void;
+  onFunctionResult?: (name: string, success: boolean, id?: string) => void;
+  onValidationRetry?: (retry: number, maxRetries: number) => void;
+}
+
+export interface ChatStreamResult {
+  message: string;
+  sessionId?: string;
+  usage?: any;
+  functionCallCount?: number;
+  validation?: any;
+  timestamp?: string;
+}
+
+// Errors carry the server payload under response.data, like axios errors
+const streamError = (data: any) =>
+  Object.assign(new Error(data?.message || 'Failed to send message'), { response: { data } });
+
+/**
+ * Posts to /api/chat/stream and dispatches its Server-Sent Events to the
+ * handlers. Resolves with the final "done" payload. Uses fetch rather than
+ * axios so the response body can be read as it arrives, without a timeout.
+ */
+const streamChat = async (
+  body: { messages: any[]; propertyId: number; sessionId?: string | null } | FormData,
+  handlers: ChatStreamHandlers
+): Promise<ChatStreamResult> => {
+  const isForm = body instanceof FormData;
+  const token = getAuthToken();
+  const headers: Record<string, string> = isForm ? {} : { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${BASE_URL}/api/chat/stream`, {
+    method: 'POST',
+    headers,
+    body: isForm ? body : JSON.stringify(body),
+  });
+
+  if (response.status === 401 && token) {
+    setAuthToken(null);
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  if (!response.ok || !response.body) {
+    throw streamError(await response.json().catch(() => null));
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result: ChatStreamResult | null = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (!data) continue;
+
+      const payload = JSON.parse(data);
+      switch (event) {
+        case 'token':
+          handlers.onToken?.(payload.content);
+          break;
+        case 'function_call':
+          handlers.onFunctionCall?.(payload.name, payload.arguments, payload.id);
+          break;
+        case 'function_result':
+          handlers.onFunctionResult?.(payload.name, payload.success, payload.id);
+          break;
+        case 'validation_retry':
+          handlers.onValidationRetry?.(payload.retry, payload.max_retries);
+          break;
+        case 'done':
+          result = payload;
+          break;
+        case 'error':
+          throw streamError(payload);
+      }
+    }
+  }
+
+  if (!result) {
+    throw streamError({ message: 'The response stream ended unexpectedly' });
+  }
+  return result;
+};
+
 // API methods
 export const chatAPI = {
-  sendMessage: (messages: any[], propertyId: number) => {
+  sendMessage: (messages: any[], propertyId: number, sessionId?: string | null) => {
     return api.post('/chat', {
       messages,
-      propertyId
+      propertyId,
+      sessionId
     });
   },
   
@@ -64,9 +191,24 @@ export const chatAPI = {
     });
   },
   
+  streamMessage: (messages: any[], propertyId: number, sessionId: string | null, handlers: ChatStreamHandlers) =>
+    streamChat({ messages, propertyId, sessionId }, handlers),
+
+  streamMessageWithFile: (formData: FormData, handlers: ChatStreamHandlers) =>
+    streamChat(formData, handlers),
+  
+  getSessions: (propertyId: number) => api.get(`/chat/sessions?property_id=${propertyId}`),
+  getSession: (propertyId: number, sessionId: string) => api.get(`/chat/sessions/${sessionId}?property_id=${propertyId}`),
+  deleteSession: (propertyId: number, sessionId: string) => api.delete(`/chat/sessions/${sessionId}?property_id=${propertyId}`),
+  
   health: () => api.get('/health')
 };
 
+export const authAPI = {
+  login: (email: string, password: string) => api.post('/auth/login', { email, password }),
+  me: () => api.get('/auth/me')
+};
+
 export const propertiesAPI = {
   getAll: () => api.get('/properties'),
   getById: (id: number) => api.get(`/properties/${id}`),
@@ -88,7 +230,25 @@ export const inventoryAPI = {
   getById: (id: number) => api.get(`/inventory/${id}`),
   create: (data: any) => api.post('/inventory', data),
   update: (id: number, data: any) => api.put(`/inventory/${id}`, data),
-  delete: (id: number) => api.delete(`/inventory/${id}`)
+  delete: (id: number) => api.delete(`/inventory/${id}`),
+  getAlternatives: (id: number, eventDate?: string) =>
+    api.get(`/inventory/${id}/alternatives${eventDate ? `?event_date=${eventDate}` : ''}`)
+};
+
+export const equivalencesAPI = {
+  getAll: (propertyId: number) => api.get(`/equivalences?property_id=${propertyId}`),
+  create: (data: any) => api.post('/equivalences', data),
+  update: (id: number, data: any) => api.put(`/equivalences/${id}`, data),
+  delete: (id: number) => api.delete(`/equivalences/${id}`)
+};
+
+export const auditAPI = {
+  getHistory: (propertyId: number, entity?: string, entityId?: number) => {
+    const params = new URLSearchParams({ property_id: String(propertyId) });
+    if (entity) params.append('entity', entity);
+    if (entityId !== undefined) params.append('entity_id', String(entityId));
+    return api.get(`/audit?${params.toString()}`);
+  }
 };
 
 export const laborRulesAPI = {
@@ -99,20 +259,67 @@ export const laborRulesAPI = {
   delete: (id: number) => api.delete(`/labor-rules/${id}`)
 };
 
+// Union child tables, each under /unions/:id/<resource>
+export type UnionRuleResource = 'schedules' | 'equipment' | 'venue-rules' | 'penalties' | 'special-days';
+
 export const unionsAPI = {
   getAll: (propertyId: number) => api.get(`/unions?property_id=${propertyId}`),
   getById: (id: number) => api.get(`/unions/${id}`),
   create: (data: any) => api.post('/unions', data),
   update: (id: number, data: any) => api.put(`/unions/${id}`, data),
-  delete: (id: number) => api.delete(`/unions/${id}`)
+  delete: (id: number) => api.delete(`/unions/${id}`),
+  getRules: (unionId: number, resource: UnionRuleResource) => api.get(`/unions/${unionId}/${resource}`),
+  createRule: (unionId: number, resource: UnionRuleResource, data: any) => api.post(`/unions/${unionId}/${resource}`, data),
+  updateRule: (unionId: number, resource: UnionRuleResource, ruleId: number, data: any) =>
+    api.put(`/unions/${unionId}/${resource}/${ruleId}`, data),
+  deleteRule: (unionId: number, resource: UnionRuleResource, ruleId: number) =>
+    api.delete(`/unions/${unionId}/${resource}/${ruleId}`),
+  getHolidays: (unionId: number, year: number) => api.get(`/unions/${unionId}/holidays?year=${year}`)
 };
 
+export const ordersAPI = {
+  getAll: (propertyId: number) => api.get(`/orders?property_id=${propertyId}`),
+  getById: (id: number) => api.get(`/orders/${id}`),
+  create: (data: any) => api.post('/orders', data),
+  update: (id: number, data: any) => api.put(`/orders/${id}`, data),
+  delete: (id: number) => api.delete(`/orders/${id}`),
+  proposalUrl: (id: number) => `${BASE_URL}/api/orders/${id}/proposal.pdf`,
+  frequencyPlanUrl: (id: number) => `${BASE_URL}/api/orders/${id}/frequencies.pdf`,
+  getCrewPlan: (id: number, regenerate = false) => api.get(`/orders/${id}/crew${regenerate ? '?regenerate=1' : ''}`),
+  saveCrewPlan: (id: number, calls: any[] | null) => api.put(`/orders/${id}/crew`, { calls }),
+  crewSheetUrl: (id: number) => `${BASE_URL}/api/orders/${id}/crew.xlsx`
+};
+
+export const importProfilesAPI = {
+  getAll: (propertyId: number) => api.get(`/import-profiles?property_id=${propertyId}`),
+  create: (data: any) => api.post('/import-profiles', data),
+  update: (id: number, data: any) => api.put(`/import-profiles/${id}`, data),
+  delete: (id: number) => api.delete(`/import-profiles/${id}`)
+};
+
+export type InventoryImportMode = 'append' | 'replace' | 'sync';
+
+export interface InventoryImportOptions {
+  preview?: boolean;
+  mode?: InventoryImportMode;
+  markMissing?: boolean;
+  columnMap?: Record<string, string | null>;
+  headerRow?: number;
+  profileId?: number;
+}
+
 export const importAPI = {
-  uploadInventory: (propertyId: number, file: File, replaceExisting: boolean = false) => {
+  uploadInventory: (propertyId: number, file: File, replaceExisting: boolean = false, options: InventoryImportOptions = {}) => {
     const formData = new FormData();
     formData.append('file', file);
     formData.append('property_id', propertyId.toString());
     formData.append('replace_existing', replaceExisting.toString());
+    if (options.preview) formData.append('preview', 'true');
+    if (options.mode) formData.append('mode', options.mode);
+    if (options.markMissing) formData.append('mark_missing', 'true');
+    if (options.columnMap) formData.append('column_map', JSON.stringify(options.columnMap));
+    if (options.headerRow !== undefined) formData.append('header_row', options.headerRow.toString());
+    if (options.profileId) formData.append('profile_id', options.profileId.toString());
     
     return api.post('/import/inventory', formData, {
       headers: {
@@ -134,6 +341,19 @@ export const importAPI = {
     });
   },
   
+  uploadUnions: (propertyId: number, file: File) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('property_id', propertyId.toString());
+    
+    return api.post('/import/unions', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 60000,
+    });
+  },
+  
   uploadLaborRules: (propertyId: number, file: File) => {
     const formData = new FormData();
     formData.append('file', file);
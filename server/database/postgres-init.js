@@ -77,6 +77,54 @@ const createTables = async () => {
       )
     `);
 
+    // Structured room attributes, added after the original free-text columns
+    await client.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS length_ft DECIMAL(8,2)`);
+    await client.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS width_ft DECIMAL(8,2)`);
+    await client.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS ceiling_height_ft DECIMAL(8,2)`);
+    await client.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS capacity_theater INTEGER`);
+    await client.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS capacity_classroom INTEGER`);
+    await client.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS capacity_banquet INTEGER`);
+    await client.query(`ALTER TABLE rooms ADD COLUMN IF NOT EXISTS capacity_reception INTEGER`);
+
+    // Rigging points, each with its rated load
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS room_rigging_points (
+        id SERIAL PRIMARY KEY,
+        room_id INTEGER NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        load_limit_lbs DECIMAL(10,2),
+        notes TEXT,
+        FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Power available in the room, e.g. 6 x 20A 120V Edison or 1 x 400A 208V cam-lok
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS room_power_circuits (
+        id SERIAL PRIMARY KEY,
+        room_id INTEGER NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        amps INTEGER NOT NULL,
+        voltage INTEGER NOT NULL DEFAULT 120,
+        connector_type VARCHAR(100), -- 'edison', 'l21-30', 'cam-lok'
+        quantity INTEGER NOT NULL DEFAULT 1,
+        notes TEXT,
+        FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Built-in AV as typed line items
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS room_av_items (
+        id SERIAL PRIMARY KEY,
+        room_id INTEGER NOT NULL,
+        av_type VARCHAR(50) NOT NULL, -- 'projector', 'screen', 'display', 'speaker', 'microphone', 'mixer', 'lighting', 'other'
+        description TEXT,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        FOREIGN KEY (room_id) REFERENCES rooms (id) ON DELETE CASCADE
+      )
+    `);
+
     // Inventory Items table
     await client.query(`
       CREATE TABLE IF NOT EXISTS inventory_items (
@@ -98,6 +146,32 @@ const createTables = async () => {
       )
     `);
 
+    // Technical specs used by the AV calculators and power budget; blank when not recorded
+    await client.query(`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS lumens INTEGER`);
+    await client.query(`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS throw_ratio_min DECIMAL(4,2)`);
+    await client.query(`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS throw_ratio_max DECIMAL(4,2)`);
+    await client.query(`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS coverage_angle_deg INTEGER`);
+    await client.query(`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS max_spl_db INTEGER`);
+    await client.query(`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS power_draw_watts INTEGER`);
+    // Tuning range of wireless mics and IEMs, for frequency coordination
+    await client.query(`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS frequency_min_mhz DECIMAL(7,3)`);
+    await client.query(`ALTER TABLE inventory_items ADD COLUMN IF NOT EXISTS frequency_max_mhz DECIMAL(7,3)`);
+
+    // Inventory Equivalences table - admin-maintained interchangeable items
+    // (e.g. ULXD4 ≈ QLXD4); each side is matched against item name or model
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inventory_equivalences (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL,
+        item_a VARCHAR(255) NOT NULL,
+        item_b VARCHAR(255) NOT NULL,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (property_id) REFERENCES properties (id) ON DELETE CASCADE
+      )
+    `);
+
     // Labor Rules table
     await client.query(`
       CREATE TABLE IF NOT EXISTS labor_rules (
@@ -137,6 +211,9 @@ const createTables = async () => {
       )
     `);
 
+    // Minimum paid hours per call, added after the original schema shipped
+    await client.query(`ALTER TABLE unions ADD COLUMN IF NOT EXISTS minimum_call_hours DECIMAL(4,2)`);
+
     // Complex schedule rules for different days and times
     await client.query(`
       CREATE TABLE IF NOT EXISTS union_schedules (
@@ -245,17 +322,113 @@ const createTables = async () => {
       )
     `);
 
+    // Order details added after the original schema shipped
+    await client.query(`ALTER TABLE event_orders ADD COLUMN IF NOT EXISTS room_id INTEGER REFERENCES rooms (id) ON DELETE SET NULL`);
+    await client.query(`ALTER TABLE event_orders ADD COLUMN IF NOT EXISTS notes TEXT`);
+    await client.query(`ALTER TABLE event_orders ADD COLUMN IF NOT EXISTS start_time TIME`);
+    await client.query(`ALTER TABLE event_orders ADD COLUMN IF NOT EXISTS end_time TIME`);
+    // Edited crew calls (load-in, set, show, strike) as JSON; NULL means use the generated plan
+    await client.query(`ALTER TABLE event_orders ADD COLUMN IF NOT EXISTS crew_plan TEXT`);
+
+    // Inventory Reservations table - holds gear against an order's event window
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS inventory_reservations (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL,
+        inventory_item_id INTEGER NOT NULL,
+        property_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES event_orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (inventory_item_id) REFERENCES inventory_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (property_id) REFERENCES properties (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Users table - planners, property admins and super-admins
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255),
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'planner',
+        active BOOLEAN DEFAULT TRUE,
+        last_login_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (role IN ('planner', 'property_admin', 'super_admin'))
+      )
+    `);
+
+    // User Properties table - the properties a planner or property admin may work on
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_properties (
+        user_id INTEGER NOT NULL,
+        property_id INTEGER NOT NULL,
+        PRIMARY KEY (user_id, property_id),
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (property_id) REFERENCES properties (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Import Profiles table - how a property's spreadsheet headers and status values map onto inventory
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS import_profiles (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        column_map TEXT NOT NULL DEFAULT '{}',
+        status_map TEXT NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (property_id, name),
+        FOREIGN KEY (property_id) REFERENCES properties (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Audit Log table - who changed which record, with the row before and after
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL,
+        user_id INTEGER,
+        user_email VARCHAR(255),
+        entity VARCHAR(50) NOT NULL,
+        entity_id INTEGER,
+        action VARCHAR(20) NOT NULL,
+        before_data TEXT,
+        after_data TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (property_id) REFERENCES properties (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL,
+        CHECK (action IN ('create', 'update', 'delete', 'import'))
+      )
+    `);
+
     // Create indexes for better performance
     await client.query(`CREATE INDEX IF NOT EXISTS idx_properties_code ON properties (property_code)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_inventory_property ON inventory_items (property_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_inventory_category ON inventory_items (category)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_inventory_equivalences_property ON inventory_equivalences (property_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_rooms_property ON rooms (property_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_room_rigging_points_room ON room_rigging_points (room_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_room_power_circuits_room ON room_power_circuits (room_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_room_av_items_room ON room_av_items (room_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_labor_rules_property ON labor_rules (property_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_unions_property ON unions (property_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_unions_local ON unions (local_number)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_union_schedules_union ON union_schedules (union_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_chat_sessions_property ON chat_sessions (property_id)`);
+    await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_sessions_session ON chat_sessions (session_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_event_orders_property ON event_orders (property_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_event_orders_date ON event_orders (event_date)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_reservations_order ON inventory_reservations (order_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_user_properties_property ON user_properties (property_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (property_id, entity, entity_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_reservations_item_window ON inventory_reservations (inventory_item_id, starts_at, ends_at)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_union_equipment_union ON union_equipment_requirements(union_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_union_venue_rules_union ON union_venue_rules(union_id)`);
     await client.query(`CREATE INDEX IF NOT EXISTS idx_union_venue_rules_room ON union_venue_rules(room_id)`);
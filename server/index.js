@@ -20,6 +20,26 @@ const laborRulesRouter = require('./routes/laborRules');
 const unionsRouter = require('./routes/unions');
 const chatRouter = require('./routes/chat');
 const importRouter = require('./routes/import');
+const importProfilesRouter = require('./routes/importProfiles');
+const ordersRouter = require('./routes/orders');
+const equivalencesRouter = require('./routes/equivalences');
+const authRouter = require('./routes/auth');
+const usersRouter = require('./routes/users');
+const auditRouter = require('./routes/audit');
+const calculatorsRouter = require('./routes/calculators');
+const { ensureBootstrapAdmin } = require('./services/users');
+const { auditedChange } = require('./services/audit');
+const { validateRoomDetails, validateInventorySpecs } = require('./services/validation');
+const { ROOM_DETAIL_COLUMNS, attachRoomDetails, replaceRoomDetails, roomDetailValues } = require('./services/rooms');
+const { INVENTORY_SPEC_COLUMNS, inventorySpecValues } = require('./services/inventorySpecs');
+const {
+  authenticate,
+  requireAuthForWrites,
+  requireRole,
+  requirePropertyRole,
+  fromBody,
+  fromRecord
+} = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -48,6 +68,12 @@ app.use('/api/', limiter);
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
+// Authentication: identify the caller from a bearer token and require a
+// signed-in user for anything that changes data. Routes below add role and
+// property checks on top.
+app.use('/api', authenticate);
+app.use('/api', requireAuthForWrites);
+
 // Serve static files from client build (for production)
 if (process.env.NODE_ENV === 'production') {
   const clientBuildPath = path.join(__dirname, '..', 'client', '.next');
@@ -143,7 +169,7 @@ app.get('/api/rooms', async (req, res) => {
       query += ' ORDER BY created_at DESC';
       
       const result = await client.query(query, params);
-      res.json(result.rows);
+      res.json(await attachRoomDetails(client, result.rows));
     } finally {
       client.release();
     }
@@ -195,7 +221,7 @@ app.get('/api/unions', async (req, res) => {
 });
 
 // POST /api/rooms - Create a new room
-app.post('/api/rooms', async (req, res) => {
+app.post('/api/rooms', requirePropertyRole('property_admin', fromBody()), async (req, res) => {
   try {
     const { property_id, name, capacity, dimensions, built_in_av, features } = req.body;
     
@@ -207,21 +233,28 @@ app.post('/api/rooms', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
+    const detailErrors = validateRoomDetails(req.body);
+    if (detailErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid room data',
+        details: detailErrors
+      });
+    }
     
-    try {
+    const { after: room } = await auditedChange(req.user, 'room', 'create', async (client) => {
       const result = await client.query(`
-        INSERT INTO rooms (property_id, name, capacity, dimensions, built_in_av, features) 
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO rooms (property_id, name, capacity, dimensions, built_in_av, features, ${ROOM_DETAIL_COLUMNS.join(', ')}) 
+        VALUES ($1, $2, $3, $4, $5, $6, ${ROOM_DETAIL_COLUMNS.map((column, i) => `$${i + 7}`).join(', ')})
         RETURNING *
-      `, [property_id, name, capacity || 0, dimensions || '', built_in_av || '', features || '']);
-      
-      logger.info('Room created successfully', { id: result.rows[0].id, name, property_id });
-      res.status(201).json(result.rows[0]);
-    } finally {
-      client.release();
-    }
+      `, [property_id, name, capacity || 0, dimensions || '', built_in_av || '', features || '', ...roomDetailValues(req.body)]);
+      await replaceRoomDetails(client, result.rows[0].id, req.body);
+      const [created] = await attachRoomDetails(client, result.rows);
+      return { after: created };
+    });
+    
+    logger.info('Room created successfully', { id: room.id, name, property_id });
+    res.status(201).json(room);
   } catch (error) {
     logger.error('Create room override endpoint error:', error);
     res.status(500).json({
@@ -232,7 +265,7 @@ app.post('/api/rooms', async (req, res) => {
 });
 
 // POST /api/inventory - Create a new inventory item  
-app.post('/api/inventory', async (req, res) => {
+app.post('/api/inventory', requirePropertyRole('property_admin', fromBody()), async (req, res) => {
   try {
     const { property_id, name, description, category, sub_category, quantity_available, status, asset_tag, model, manufacturer, condition_notes } = req.body;
     
@@ -244,14 +277,20 @@ app.post('/api/inventory', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
+    const specErrors = validateInventorySpecs(req.body);
+    if (specErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid inventory specs',
+        details: specErrors
+      });
+    }
     
-    try {
+    const { after: item } = await auditedChange(req.user, 'inventory_item', 'create', async (client) => {
       const result = await client.query(`
         INSERT INTO inventory_items 
-        (property_id, name, description, category, sub_category, quantity_available, status, asset_tag, model, manufacturer, condition_notes) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        (property_id, name, description, category, sub_category, quantity_available, status, asset_tag, model, manufacturer, condition_notes, ${INVENTORY_SPEC_COLUMNS.join(', ')}) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, ${INVENTORY_SPEC_COLUMNS.map((column, index) => `$${index + 12}`).join(', ')})
         RETURNING *
       `, [
         property_id, 
@@ -264,14 +303,14 @@ app.post('/api/inventory', async (req, res) => {
         asset_tag || '', 
         model || '', 
         manufacturer || '', 
-        condition_notes || ''
+        condition_notes || '',
+        ...inventorySpecValues(req.body)
       ]);
-      
-      logger.info('Inventory item created successfully', { id: result.rows[0].id, name, property_id });
-      res.status(201).json(result.rows[0]);
-    } finally {
-      client.release();
-    }
+      return { after: result.rows[0] };
+    });
+    
+    logger.info('Inventory item created successfully', { id: item.id, name, property_id });
+    res.status(201).json(item);
   } catch (error) {
     logger.error('Create inventory override endpoint error:', error);
     res.status(500).json({
@@ -282,9 +321,9 @@ app.post('/api/inventory', async (req, res) => {
 });
 
 // POST /api/unions - Create a new union
-app.post('/api/unions', async (req, res) => {
+app.post('/api/unions', requirePropertyRole('property_admin', fromBody()), async (req, res) => {
   try {
-    const { property_id, local_number, name, trade, regular_hours_start, regular_hours_end, regular_rate, overtime_rate, doubletime_rate, overtime_threshold, doubletime_threshold, weekend_rules, holiday_rules, contact_info, notes } = req.body;
+    const { property_id, local_number, name, trade, regular_hours_start, regular_hours_end, regular_rate, overtime_rate, doubletime_rate, overtime_threshold, doubletime_threshold, minimum_call_hours, weekend_rules, holiday_rules, contact_info, notes } = req.body;
     
     // Basic validation
     if (!property_id || !local_number || !name || !trade) {
@@ -294,18 +333,15 @@ app.post('/api/unions', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
-    
-    try {
+    const { after: union } = await auditedChange(req.user, 'union', 'create', async (client) => {
       const result = await client.query(`
         INSERT INTO unions (
           property_id, local_number, name, trade, 
           regular_hours_start, regular_hours_end,
           regular_rate, overtime_rate, doubletime_rate,
-          overtime_threshold, doubletime_threshold,
+          overtime_threshold, doubletime_threshold, minimum_call_hours,
           weekend_rules, holiday_rules, contact_info, notes
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
         RETURNING *
       `, [
         property_id,
@@ -319,21 +355,21 @@ app.post('/api/unions', async (req, res) => {
         doubletime_rate || null,
         overtime_threshold || 8,
         doubletime_threshold || 12,
+        minimum_call_hours || null,
         weekend_rules || '',
         holiday_rules || '',
         contact_info || '',
         notes || ''
       ]);
-      
-      logger.info(`Created union: Local ${local_number} - ${name}`);
-      res.status(201).json({
-        success: true,
-        message: 'Union created successfully',
-        data: result.rows[0]
-      });
-    } finally {
-      client.release();
-    }
+      return { after: result.rows[0] };
+    });
+    
+    logger.info(`Created union: Local ${local_number} - ${name}`);
+    res.status(201).json({
+      success: true,
+      message: 'Union created successfully',
+      data: union
+    });
   } catch (error) {
     logger.error('Create union override endpoint error:', error);
     res.status(500).json({
@@ -345,7 +381,7 @@ app.post('/api/unions', async (req, res) => {
 });
 
 // PUT /api/inventory/:id - Update inventory item
-app.put('/api/inventory/:id', async (req, res) => {
+app.put('/api/inventory/:id', requirePropertyRole('property_admin', fromRecord('inventory_items'), fromBody()), async (req, res) => {
   try {
     const itemId = parseInt(req.params.id);
     const { property_id, name, description, category, sub_category, quantity_available, status, asset_tag, model, manufacturer, condition_notes } = req.body;
@@ -364,15 +400,27 @@ app.put('/api/inventory/:id', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
+    const specErrors = validateInventorySpecs(req.body);
+    if (specErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid inventory specs',
+        details: specErrors
+      });
+    }
     
-    try {
+    const change = await auditedChange(req.user, 'inventory_item', 'update', async (client) => {
+      const existing = await client.query('SELECT * FROM inventory_items WHERE id = $1 FOR UPDATE', [itemId]);
+      if (existing.rows.length === 0) {
+        return null;
+      }
+      
       const result = await client.query(`
         UPDATE inventory_items 
         SET property_id = $1, name = $2, description = $3, category = $4, sub_category = $5, 
             quantity_available = $6, status = $7, asset_tag = $8, model = $9, manufacturer = $10, 
-            condition_notes = $11, updated_at = CURRENT_TIMESTAMP 
+            condition_notes = $11, ${INVENTORY_SPEC_COLUMNS.map((column, index) => `${column} = $${index + 13}`).join(', ')},
+            updated_at = CURRENT_TIMESTAMP 
         WHERE id = $12
         RETURNING *
       `, [
@@ -387,21 +435,21 @@ app.put('/api/inventory/:id', async (req, res) => {
         model || '', 
         manufacturer || '', 
         condition_notes || '', 
-        itemId
+        itemId,
+        ...inventorySpecValues(req.body, existing.rows[0])
       ]);
-      
-      if (result.rowCount === 0) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: 'Inventory item not found'
-        });
-      }
-      
-      logger.info('Inventory item updated successfully', { id: itemId, name });
-      res.json(result.rows[0]);
-    } finally {
-      client.release();
+      return { before: existing.rows[0], after: result.rows[0] };
+    });
+    
+    if (!change) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item not found'
+      });
     }
+    
+    logger.info('Inventory item updated successfully', { id: itemId, name });
+    res.json(change.after);
   } catch (error) {
     logger.error('Update inventory override endpoint error:', error);
     res.status(500).json({
@@ -412,7 +460,7 @@ app.put('/api/inventory/:id', async (req, res) => {
 });
 
 // PUT /api/rooms/:id - Update room
-app.put('/api/rooms/:id', async (req, res) => {
+app.put('/api/rooms/:id', requirePropertyRole('property_admin', fromRecord('rooms'), fromBody()), async (req, res) => {
   try {
     const roomId = parseInt(req.params.id);
     const { property_id, name, capacity, dimensions, built_in_av, features } = req.body;
@@ -431,30 +479,44 @@ app.put('/api/rooms/:id', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
+    const detailErrors = validateRoomDetails(req.body);
+    if (detailErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid room data',
+        details: detailErrors
+      });
+    }
     
-    try {
+    const change = await auditedChange(req.user, 'room', 'update', async (client) => {
+      const existing = await client.query('SELECT * FROM rooms WHERE id = $1 FOR UPDATE', [roomId]);
+      if (existing.rows.length === 0) {
+        return null;
+      }
+      const [before] = await attachRoomDetails(client, existing.rows);
+      
       const result = await client.query(`
         UPDATE rooms 
         SET property_id = $1, name = $2, capacity = $3, dimensions = $4, 
-            built_in_av = $5, features = $6, updated_at = CURRENT_TIMESTAMP 
+            built_in_av = $5, features = $6, ${ROOM_DETAIL_COLUMNS.map((column, i) => `${column} = $${i + 8}`).join(', ')},
+            updated_at = CURRENT_TIMESTAMP 
         WHERE id = $7
         RETURNING *
-      `, [property_id, name, capacity || 0, dimensions || '', built_in_av || '', features || '', roomId]);
-      
-      if (result.rowCount === 0) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: 'Room not found'
-        });
-      }
-      
-      logger.info('Room updated successfully', { id: roomId, name });
-      res.json(result.rows[0]);
-    } finally {
-      client.release();
+      `, [property_id, name, capacity || 0, dimensions || '', built_in_av || '', features || '', roomId, ...roomDetailValues(req.body, existing.rows[0])]);
+      await replaceRoomDetails(client, roomId, req.body);
+      const [after] = await attachRoomDetails(client, result.rows);
+      return { before, after };
+    });
+    
+    if (!change) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Room not found'
+      });
     }
+    
+    logger.info('Room updated successfully', { id: roomId, name });
+    res.json(change.after);
   } catch (error) {
     logger.error('Update room override endpoint error:', error);
     res.status(500).json({
@@ -465,10 +527,10 @@ app.put('/api/rooms/:id', async (req, res) => {
 });
 
 // PUT /api/unions/:id - Update union
-app.put('/api/unions/:id', async (req, res) => {
+app.put('/api/unions/:id', requirePropertyRole('property_admin', fromRecord('unions'), fromBody()), async (req, res) => {
   try {
     const unionId = parseInt(req.params.id);
-    const { property_id, local_number, name, trade, regular_hours_start, regular_hours_end, regular_rate, overtime_rate, doubletime_rate, overtime_threshold, doubletime_threshold, weekend_rules, holiday_rules, contact_info, notes } = req.body;
+    const { property_id, local_number, name, trade, regular_hours_start, regular_hours_end, regular_rate, overtime_rate, doubletime_rate, overtime_threshold, doubletime_threshold, minimum_call_hours, weekend_rules, holiday_rules, contact_info, notes } = req.body;
     
     if (isNaN(unionId)) {
       return res.status(400).json({
@@ -484,19 +546,21 @@ app.put('/api/unions/:id', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
-    
-    try {
+    const change = await auditedChange(req.user, 'union', 'update', async (client) => {
+      const existing = await client.query('SELECT * FROM unions WHERE id = $1 FOR UPDATE', [unionId]);
+      if (existing.rows.length === 0) {
+        return null;
+      }
+      
       const result = await client.query(`
         UPDATE unions SET 
           property_id = $1, local_number = $2, name = $3, trade = $4,
           regular_hours_start = $5, regular_hours_end = $6,
           regular_rate = $7, overtime_rate = $8, doubletime_rate = $9,
-          overtime_threshold = $10, doubletime_threshold = $11,
-          weekend_rules = $12, holiday_rules = $13, contact_info = $14, notes = $15,
+          overtime_threshold = $10, doubletime_threshold = $11, minimum_call_hours = $12,
+          weekend_rules = $13, holiday_rules = $14, contact_info = $15, notes = $16,
           updated_at = CURRENT_TIMESTAMP
-        WHERE id = $16
+        WHERE id = $17
         RETURNING *
       `, [
         property_id,
@@ -510,29 +574,29 @@ app.put('/api/unions/:id', async (req, res) => {
         doubletime_rate || null,
         overtime_threshold || 8,
         doubletime_threshold || 12,
+        minimum_call_hours || null,
         weekend_rules || '',
         holiday_rules || '',
         contact_info || '',
         notes || '',
         unionId
       ]);
-      
-      if (result.rowCount === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Union not found'
-        });
-      }
-      
-      logger.info(`Updated union: Local ${local_number} - ${name}`);
-      res.json({
-        success: true,
-        message: 'Union updated successfully',
-        data: result.rows[0]
+      return { before: existing.rows[0], after: result.rows[0] };
+    });
+    
+    if (!change) {
+      return res.status(404).json({
+        success: false,
+        message: 'Union not found'
       });
-    } finally {
-      client.release();
     }
+    
+    logger.info(`Updated union: Local ${local_number} - ${name}`);
+    res.json({
+      success: true,
+      message: 'Union updated successfully',
+      data: change.after
+    });
   } catch (error) {
     logger.error('Update union override endpoint error:', error);
     res.status(500).json({
@@ -548,6 +612,13 @@ app.use('/api/properties', propertiesRouter);
 app.use('/api/labor-rules', laborRulesRouter);
 app.use('/api/chat', chatRouter);
 app.use('/api/import', importRouter);
+app.use('/api/import-profiles', importProfilesRouter);
+app.use('/api/orders', ordersRouter);
+app.use('/api/equivalences', equivalencesRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/audit', auditRouter);
+app.use('/api/calculators', calculatorsRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -559,12 +630,13 @@ app.get('/api/health', (req, res) => {
     corsFixed: true,
     deploymentTime: new Date().toISOString(),
     corsConfig: 'external-file',
-    openaiConfigured: !!process.env.OPENAI_API_KEY
+    openaiConfigured: !!process.env.OPENAI_API_KEY,
+    llmProvider: process.env.LLM_PROVIDER || 'openai'
   });
 });
 
 // Database repair endpoint
-app.post('/api/repair-database', async (req, res) => {
+app.post('/api/repair-database', requireRole('super_admin'), async (req, res) => {
   try {
     logger.info('Starting database repair...');
     
@@ -713,7 +785,7 @@ app.get('/api/rooms-simple', async (req, res) => {
 });
 
 // DELETE /api/inventory/:id - Delete inventory item
-app.delete('/api/inventory/:id', async (req, res) => {
+app.delete('/api/inventory/:id', requirePropertyRole('property_admin', fromRecord('inventory_items')), async (req, res) => {
   try {
     const itemId = parseInt(req.params.id);
     
@@ -724,27 +796,23 @@ app.delete('/api/inventory/:id', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
+    const change = await auditedChange(req.user, 'inventory_item', 'delete', async (client) => {
+      const result = await client.query('DELETE FROM inventory_items WHERE id = $1 RETURNING *', [itemId]);
+      return result.rows.length > 0 ? { before: result.rows[0] } : null;
+    });
     
-    try {
-      const result = await client.query('DELETE FROM inventory_items WHERE id = $1', [itemId]);
-      
-      if (result.rowCount === 0) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: 'Inventory item not found'
-        });
-      }
-      
-      logger.info('Inventory item deleted successfully', { id: itemId });
-      res.json({
-        message: 'Inventory item deleted successfully',
-        id: itemId
+    if (!change) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item not found'
       });
-    } finally {
-      client.release();
     }
+    
+    logger.info('Inventory item deleted successfully', { id: itemId });
+    res.json({
+      message: 'Inventory item deleted successfully',
+      id: itemId
+    });
   } catch (error) {
     logger.error('Delete inventory override endpoint error:', error);
     res.status(500).json({
@@ -755,7 +823,7 @@ app.delete('/api/inventory/:id', async (req, res) => {
 });
 
 // DELETE /api/rooms/:id - Delete room
-app.delete('/api/rooms/:id', async (req, res) => {
+app.delete('/api/rooms/:id', requirePropertyRole('property_admin', fromRecord('rooms')), async (req, res) => {
   try {
     const roomId = parseInt(req.params.id);
     
@@ -766,27 +834,28 @@ app.delete('/api/rooms/:id', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
-    
-    try {
-      const result = await client.query('DELETE FROM rooms WHERE id = $1', [roomId]);
-      
-      if (result.rowCount === 0) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: 'Room not found'
-        });
+    const change = await auditedChange(req.user, 'room', 'delete', async (client) => {
+      const existing = await client.query('SELECT * FROM rooms WHERE id = $1', [roomId]);
+      if (existing.rows.length === 0) {
+        return null;
       }
-      
-      logger.info('Room deleted successfully', { id: roomId });
-      res.json({
-        message: 'Room deleted successfully',
-        id: roomId
+      const [before] = await attachRoomDetails(client, existing.rows);
+      await client.query('DELETE FROM rooms WHERE id = $1', [roomId]);
+      return { before };
+    });
+    
+    if (!change) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Room not found'
       });
-    } finally {
-      client.release();
     }
+    
+    logger.info('Room deleted successfully', { id: roomId });
+    res.json({
+      message: 'Room deleted successfully',
+      id: roomId
+    });
   } catch (error) {
     logger.error('Delete room override endpoint error:', error);
     res.status(500).json({
@@ -797,7 +866,7 @@ app.delete('/api/rooms/:id', async (req, res) => {
 });
 
 // DELETE /api/unions/:id - Delete union
-app.delete('/api/unions/:id', async (req, res) => {
+app.delete('/api/unions/:id', requirePropertyRole('property_admin', fromRecord('unions')), async (req, res) => {
   try {
     const unionId = parseInt(req.params.id);
     
@@ -808,27 +877,23 @@ app.delete('/api/unions/:id', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
+    const change = await auditedChange(req.user, 'union', 'delete', async (client) => {
+      const result = await client.query('DELETE FROM unions WHERE id = $1 RETURNING *', [unionId]);
+      return result.rows.length > 0 ? { before: result.rows[0] } : null;
+    });
     
-    try {
-      const result = await client.query('DELETE FROM unions WHERE id = $1', [unionId]);
-      
-      if (result.rowCount === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Union not found'
-        });
-      }
-      
-      logger.info(`Deleted union with ID: ${unionId}`);
-      res.json({
-        success: true,
-        message: 'Union deleted successfully'
+    if (!change) {
+      return res.status(404).json({
+        success: false,
+        message: 'Union not found'
       });
-    } finally {
-      client.release();
     }
+    
+    logger.info(`Deleted union with ID: ${unionId}`);
+    res.json({
+      success: true,
+      message: 'Union deleted successfully'
+    });
   } catch (error) {
     logger.error('Delete union override endpoint error:', error);
     res.status(500).json({
@@ -902,7 +967,8 @@ app.get('/api/rooms/:id', async (req, res) => {
         });
       }
       
-      res.json(result.rows[0]);
+      const [room] = await attachRoomDetails(client, result.rows);
+      res.json(room);
     } finally {
       client.release();
     }
@@ -957,6 +1023,14 @@ app.get('/api/unions/:id', async (req, res) => {
   }
 });
 
+// Inventory router, mounted after the overrides above so they take precedence;
+// serves the remaining inventory endpoints such as /:id/alternatives
+app.use('/api/inventory', inventoryRouter);
+
+// Unions router, mounted the same way; serves the schedules, equipment,
+// venue-rules, penalties and special-days endpoints under /api/unions/:id
+app.use('/api/unions', unionsRouter);
+
 // Serve frontend for all non-API routes (SPA fallback)
 if (process.env.NODE_ENV === 'production') {
   const fs = require('fs');
@@ -1102,6 +1176,7 @@ async function startServer() {
   try {
     await initDatabase();
     logger.info(`Database initialized successfully (${usePostgres ? 'PostgreSQL' : 'SQLite'})`);
+    await ensureBootstrapAdmin();
     
     app.listen(PORT, () => {
       logger.info(`Server is running on port ${PORT}`);
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { getDatabase } = require('../database/init');
+const { getUser } = require('../services/users');
+const { logger } = require('../utils/logger');
+
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '12h';
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Each role can do everything the roles before it can
+const ROLE_RANK = { planner: 1, property_admin: 2, super_admin: 3 };
+// Write routes that must stay reachable without a session
+const PUBLIC_WRITE_PATHS = ['/auth/login'];
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  logger.warn('JWT_SECRET is not set; using a random secret, so sign-ins will not survive a restart');
+}
+
+const signToken = (user) => jwt.sign({ sub: user.id, role: user.role }, secret, { expiresIn: TOKEN_TTL });
+
+const isSuperAdmin = (user) => !!user && user.role === 'super_admin';
+
+const canAccessProperty = (user, propertyId) =>
+  isSuperAdmin(user) || (!!user && user.property_ids.includes(parseInt(propertyId)));
+
+/**
+ * Reads a bearer token and attaches the signed-in user to req.user. Requests
+ * without a token continue anonymously; a bad or expired token, or one for a
+ * deactivated account, is rejected.
+ */
+const authenticate = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next();
+  }
+
+  try {
+    const payload = jwt.verify(token, secret);
+    const user = await getUser(payload.sub);
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Your account is no longer active'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Your session has expired. Please sign in again.'
+    });
+  }
+};
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Please sign in to continue'
+    });
+  }
+  next();
+};
+
+/**
+ * Requires a signed-in user for every request that changes data
+ */
+const requireAuthForWrites = (req, res, next) => {
+  if (READ_METHODS.includes(req.method) || PUBLIC_WRITE_PATHS.includes(req.path)) {
+    return next();
+  }
+  requireAuth(req, res, next);
+};
+
+/**
+ * Allows users holding at least the given role
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return requireAuth(req, res, next);
+  }
+  if ((ROLE_RANK[req.user.role] || 0) < ROLE_RANK[role]) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'You do not have permission to perform this action'
+    });
+  }
+  next();
+};
+
+/**
+ * Multer has already written an upload by the time its form fields can be
+ * checked, so discard it when the request is refused
+ */
+const discardUpload = (req) => {
+  if (req.file && req.file.path) {
+    fs.unlink(req.file.path, () => {});
+  }
+};
+
+/**
+ * Requires the signed-in user to be assigned to the property the request
+ * touches. resolvePropertyId(req) returns that property's id, or null to let
+ * the route report the missing or unknown record itself.
+ */
+const requirePropertyAccess = (resolvePropertyId) => async (req, res, next) => {
+  if (!req.user) {
+    discardUpload(req);
+    return requireAuth(req, res, next);
+  }
+
+  try {
+    const propertyId = await resolvePropertyId(req);
+
+    if (propertyId === null || propertyId === undefined || isNaN(parseInt(propertyId))) {
+      return next();
+    }
+
+    if (!canAccessProperty(req.user, propertyId)) {
+      discardUpload(req);
+      logger.warn('Property access denied', { user_id: req.user.id, property_id: propertyId, path: req.originalUrl });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You do not have access to this property'
+      });
+    }
+
+    next();
+  } catch (error) {
+    discardUpload(req);
+    logger.error('Property access check error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while checking access'
+    });
+  }
+};
+
+/**
+ * A role check followed by a property check per resolver, as one middleware
+ * list, e.g. requirePropertyRole('property_admin', fromRecord('rooms'), fromBody())
+ */
+const requirePropertyRole = (role, ...resolvers) => [
+  requireRole(role),
+  ...resolvers.map(requirePropertyAccess)
+];
+
+// Property id resolvers for requirePropertyAccess
+const fromBody = (field = 'property_id') => (req) => req.body?.[field];
+const fromQuery = (field = 'property_id') => (req) => req.query[field];
+const fromParam = (param = 'id') => (req) => req.params[param];
+
+/**
+ * Looks up the property of the record named by a route parameter. The table
+ * name always comes from code, never from the request.
+ */
+const fromRecord = (table, param = 'id') => async (req) => {
+  const id = parseInt(req.params[param]);
+  if (isNaN(id)) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const client = await db.connect();
+  try {
+    const result = await client.query(`SELECT property_id FROM ${table} WHERE id = $1`, [id]);
+    return result.rows[0] ? result.rows[0].property_id : null;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  signToken,
+  canAccessProperty,
+  authenticate,
+  requireAuth,
+  requireAuthForWrites,
+  requireRole,
+  requirePropertyAccess,
+  requirePropertyRole,
+  fromBody,
+  fromQuery,
+  fromParam,
+  fromRecord
+};
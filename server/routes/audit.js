@@ -0,0 +1,56 @@
+const express = require('express');
+const { ENTITIES, listAuditEntries } = require('../services/audit');
+const { logger } = require('../utils/logger');
+const { requirePropertyRole, fromQuery } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_LIMIT = 500;
+
+// GET /api/audit - List changes to a property's records, newest first
+router.get('/', requirePropertyRole('property_admin', fromQuery()), async (req, res) => {
+  try {
+    const { property_id, entity, entity_id, limit } = req.query;
+
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Missing Parameter',
+        message: 'Property ID is required'
+      });
+    }
+
+    if (entity && !ENTITIES.includes(entity)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: `Entity must be one of: ${ENTITIES.join(', ')}`
+      });
+    }
+
+    if (entity_id && isNaN(parseInt(entity_id))) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Entity ID must be a number'
+      });
+    }
+
+    const entries = await listAuditEntries({
+      propertyId: parseInt(property_id),
+      entity: entity || null,
+      entityId: entity_id ? parseInt(entity_id) : null,
+      limit: Math.min(parseInt(limit) || 100, MAX_LIMIT)
+    });
+
+    res.json({
+      entries,
+      total: entries.length
+    });
+  } catch (error) {
+    logger.error('Audit log endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while fetching the audit log'
+    });
+  }
+});
+
+module.exports = router;
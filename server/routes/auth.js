@@ -0,0 +1,49 @@
+const express = require('express');
+const { authenticateUser } = require('../services/users');
+const { signToken, requireAuth } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// POST /api/auth/login - Exchange an email and password for a session token
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        error: 'Missing Parameter',
+        message: 'Email and password are required'
+      });
+    }
+
+    const user = await authenticateUser(email, password);
+
+    if (!user) {
+      logger.warn('Failed sign-in attempt', { email, ip: req.ip });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid email or password'
+      });
+    }
+
+    logger.info('User signed in', { id: user.id, email: user.email });
+    res.json({
+      token: signToken(user),
+      user
+    });
+  } catch (error) {
+    logger.error('Login endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while signing in'
+    });
+  }
+});
+
+// GET /api/auth/me - The signed-in user, with role and property assignments
+router.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
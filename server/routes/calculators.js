@@ -0,0 +1,98 @@
+const express = require('express');
+const { validateProjectionRequest, validateAudioCoverageRequest } = require('../services/validation');
+const { calculateProjection } = require('../services/projection');
+const { calculateAudioCoverage } = require('../services/audioCoverage');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// GET /api/calculators/projection - Screen size, viewing distances, lumens
+// and projector throw distances for a room or a space of given dimensions
+router.get('/projection', async (req, res) => {
+  try {
+    const validation = validateProjectionRequest(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid projection request',
+        details: validation.errors
+      });
+    }
+
+    const { property_id, room_id, room_name, length_ft, width_ft, ceiling_height_ft, attendees, setup_style, content, aspect_ratio, ambient_light, screen_gain } = req.query;
+
+    const calculation = await calculateProjection(parseInt(property_id), {
+      roomId: room_id ? parseInt(room_id) : null,
+      roomName: room_name || null,
+      length_ft,
+      width_ft,
+      ceiling_height_ft,
+      attendees,
+      setupStyle: setup_style || null,
+      content: content || undefined,
+      aspectRatio: aspect_ratio || undefined,
+      ambientLight: ambient_light || undefined,
+      screenGain: screen_gain || undefined
+    });
+
+    if (!calculation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Room not found'
+      });
+    }
+
+    res.json(calculation);
+  } catch (error) {
+    logger.error('Projection calculator endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while calculating projection'
+    });
+  }
+});
+
+// GET /api/calculators/audio - Speaker quantity, placement zones and delay
+// fills for a room or a space of given dimensions
+router.get('/audio', async (req, res) => {
+  try {
+    const validation = validateAudioCoverageRequest(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid audio coverage request',
+        details: validation.errors
+      });
+    }
+
+    const { property_id, room_id, room_name, length_ft, width_ft, ceiling_height_ft, attendees, setup_style, program } = req.query;
+
+    const coverage = await calculateAudioCoverage(parseInt(property_id), {
+      roomId: room_id ? parseInt(room_id) : null,
+      roomName: room_name || null,
+      length_ft,
+      width_ft,
+      ceiling_height_ft,
+      attendees,
+      setupStyle: setup_style || null,
+      program: program || undefined
+    });
+
+    if (!coverage) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Room not found'
+      });
+    }
+
+    res.json(coverage);
+  } catch (error) {
+    logger.error('Audio coverage calculator endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while calculating audio coverage'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const OpenAIService = require('../services/openai');
+const { isLLMConfigured } = require('../services/llm');
+const { listSessions, getSession, appendTurns, deleteSessions } = require('../services/chatSessions');
 const { logger } = require('../utils/logger');
+const { requirePropertyRole, fromBody, fromQuery } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -51,72 +54,123 @@ const getOpenAIService = () => {
   return openaiService;
 };
 
-// POST /api/chat - Process chat message with optional file attachment
-router.post('/', upload.single('file'), async (req, res) => {
-  try {
-    // Parse messages from form data or JSON body
-    let messages, propertyId;
-    
-    if (req.file) {
-      // If file is uploaded, data comes as form data
+/**
+ * Reads the chat payload from a JSON body or, when a file is attached, from
+ * multipart form data. Returns { error } describing the first invalid field.
+ */
+const parseChatRequest = (req) => {
+  let messages, propertyId, sessionId;
+
+  if (req.file) {
+    try {
       messages = JSON.parse(req.body.messages);
-      propertyId = req.body.propertyId;
-    } else {
-      // Regular JSON request
-      messages = req.body.messages;
-      propertyId = req.body.propertyId;
+    } catch (error) {
+      messages = null;
     }
+  } else {
+    messages = req.body.messages;
+  }
+  propertyId = req.body.propertyId;
+  sessionId = req.body.sessionId;
 
-    // Validate input
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({
-        error: 'Invalid input',
-        message: 'Messages array is required'
-      });
-    }
+  // Validate input
+  if (!messages || !Array.isArray(messages)) {
+    return { error: 'Messages array is required' };
+  }
 
-    if (!propertyId) {
-      return res.status(400).json({
-        error: 'Invalid input',
-        message: 'Property ID is required'
-      });
+  if (!propertyId) {
+    return { error: 'Property ID is required' };
+  }
+
+  // Validate message format
+  for (const message of messages) {
+    if (!message.role || !message.content) {
+      return { error: 'Each message must have role and content' };
+    }
+    
+    if (!['user', 'assistant', 'system'].includes(message.role)) {
+      return { error: 'Message role must be user, assistant, or system' };
     }
+  }
 
-    // Validate message format
-    for (const message of messages) {
-      if (!message.role || !message.content) {
-        return res.status(400).json({
-          error: 'Invalid input',
-          message: 'Each message must have role and content'
-        });
-      }
-      
-      if (!['user', 'assistant', 'system'].includes(message.role)) {
-        return res.status(400).json({
-          error: 'Invalid input',
-          message: 'Message role must be user, assistant, or system'
-        });
+  // Process file if uploaded
+  let fileData = null;
+  if (req.file) {
+    fileData = {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size,
+      path: req.file.path
+    };
+    
+    logger.info('File uploaded for chat', {
+      filename: req.file.originalname,
+      type: req.file.mimetype,
+      size: req.file.size
+    });
+  }
+
+  return { messages, propertyId, sessionId, fileData };
+};
+
+const removeUploadedFile = async (filePath) => {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    logger.error('Error deleting uploaded file:', error);
+  }
+};
+
+/**
+ * Persists the latest user turn and the reply. A storage failure should not
+ * cost the planner the answer, so errors are logged and the original session
+ * id is returned.
+ */
+const saveTurns = async ({ messages, propertyId, sessionId, fileData }, result) => {
+  const timestamp = new Date().toISOString();
+
+  try {
+    sessionId = await appendTurns(propertyId, sessionId, [
+      {
+        role: 'user',
+        content: messages[messages.length - 1].content,
+        timestamp,
+        ...(fileData && {
+          file: { name: fileData.originalName, type: fileData.mimetype, size: fileData.size }
+        })
+      },
+      {
+        role: 'assistant',
+        content: result.message,
+        timestamp,
+        ...(result.validation && { validation: result.validation })
       }
-    }
+    ]);
+  } catch (error) {
+    logger.error('Error saving chat session:', error);
+  }
 
-    // Process file if uploaded
-    let fileData = null;
-    if (req.file) {
-      fileData = {
-        filename: req.file.filename,
-        originalName: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        path: req.file.path
-      };
-      
-      logger.info('File uploaded for chat', {
-        filename: req.file.originalname,
-        type: req.file.mimetype,
-        size: req.file.size
+  return { sessionId, timestamp };
+};
+
+// POST /api/chat - Process chat message with optional file attachment
+router.post('/', upload.single('file'), requirePropertyRole('planner', fromBody('propertyId')), async (req, res) => {
+  try {
+    const chatRequest = parseChatRequest(req);
+
+    if (chatRequest.error) {
+      if (req.file) {
+        await removeUploadedFile(req.file.path);
+      }
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: chatRequest.error
       });
     }
 
+    const { messages, propertyId, fileData } = chatRequest;
+
     logger.info('Processing chat request', {
       propertyId,
       messageCount: messages.length,
@@ -130,26 +184,27 @@ router.post('/', upload.single('file'), async (req, res) => {
 
     // Clean up uploaded file after processing
     if (fileData) {
-      try {
-        await fs.unlink(fileData.path);
-      } catch (error) {
-        logger.error('Error deleting uploaded file:', error);
-      }
+      await removeUploadedFile(fileData.path);
     }
 
     // Log the response
     logger.info('Chat response generated', {
       propertyId,
+      sessionId: chatRequest.sessionId,
       responseLength: result.message?.length || 0,
       functionCallCount: result.functionCallCount,
       usage: result.usage
     });
 
+    const { sessionId, timestamp } = await saveTurns(chatRequest, result);
+
     res.json({
       message: result.message,
       usage: result.usage,
       functionCallCount: result.functionCallCount,
-      timestamp: new Date().toISOString()
+      validation: result.validation,
+      sessionId,
+      timestamp
     });
 
   } catch (error) {
@@ -157,11 +212,7 @@ router.post('/', upload.single('file'), async (req, res) => {
     
     // Clean up file if error occurred
     if (req.file) {
-      try {
-        await fs.unlink(req.file.path);
-      } catch (unlinkError) {
-        logger.error('Error deleting uploaded file after error:', unlinkError);
-      }
+      await removeUploadedFile(req.file.path);
     }
     
     if (error.type === 'openai') {
@@ -178,6 +229,208 @@ router.post('/', upload.single('file'), async (req, res) => {
   }
 });
 
+// POST /api/chat/stream - Same as POST /api/chat, but streams the reply as
+// Server-Sent Events: token, function_call, function_result and
+// validation_retry events while the model works, then a final done (or error) event
+router.post('/stream', upload.single('file'), requirePropertyRole('planner', fromBody('propertyId')), async (req, res) => {
+  const chatRequest = parseChatRequest(req);
+
+  if (chatRequest.error) {
+    if (req.file) {
+      await removeUploadedFile(req.file.path);
+    }
+    return res.status(400).json({
+      error: 'Invalid input',
+      message: chatRequest.error
+    });
+  }
+
+  const { messages, propertyId, fileData } = chatRequest;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Keep generating if the browser goes away so the turn is still saved
+  let clientConnected = true;
+  res.on('close', () => {
+    clientConnected = false;
+  });
+
+  const sendEvent = (event, data) => {
+    if (clientConnected) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    logger.info('Processing streamed chat request', {
+      propertyId,
+      messageCount: messages.length,
+      hasFile: !!fileData,
+      lastMessage: messages[messages.length - 1]?.content?.substring(0, 100)
+    });
+
+    const result = await getOpenAIService().processConversation(messages, propertyId, fileData, {
+      onEvent: sendEvent
+    });
+
+    logger.info('Streamed chat response generated', {
+      propertyId,
+      sessionId: chatRequest.sessionId,
+      responseLength: result.message?.length || 0,
+      functionCallCount: result.functionCallCount,
+      usage: result.usage
+    });
+
+    const { sessionId, timestamp } = await saveTurns(chatRequest, result);
+
+    sendEvent('done', {
+      message: result.message,
+      usage: result.usage,
+      functionCallCount: result.functionCallCount,
+      validation: result.validation,
+      sessionId,
+      timestamp
+    });
+  } catch (error) {
+    logger.error('Chat stream endpoint error:', error);
+
+    sendEvent('error', error.type === 'openai'
+      ? { error: 'OpenAI Service Error', message: error.message || 'Failed to process chat request with OpenAI' }
+      : { error: 'Internal Server Error', message: 'An error occurred while processing your request' });
+  } finally {
+    if (fileData) {
+      await removeUploadedFile(fileData.path);
+    }
+    res.end();
+  }
+});
+
+// GET /api/chat/sessions - List saved conversations for a property
+router.get('/sessions', requirePropertyRole('planner', fromQuery()), async (req, res) => {
+  try {
+    const { property_id } = req.query;
+
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Property ID is required'
+      });
+    }
+
+    const sessions = await listSessions(property_id);
+    res.json({
+      sessions,
+      total: sessions.length
+    });
+  } catch (error) {
+    logger.error('Chat sessions endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while fetching chat sessions'
+    });
+  }
+});
+
+// GET /api/chat/sessions/:sessionId - Get a saved conversation with its messages
+router.get('/sessions/:sessionId', requirePropertyRole('planner', fromQuery()), async (req, res) => {
+  try {
+    const { property_id } = req.query;
+
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Property ID is required'
+      });
+    }
+
+    const session = await getSession(property_id, req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    res.json(session);
+  } catch (error) {
+    logger.error('Chat session endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while fetching the chat session'
+    });
+  }
+});
+
+// DELETE /api/chat/sessions/:sessionId - Delete a saved conversation
+router.delete('/sessions/:sessionId', requirePropertyRole('planner', fromQuery()), async (req, res) => {
+  try {
+    const { property_id } = req.query;
+
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Property ID is required'
+      });
+    }
+
+    const deleted = await deleteSessions(property_id, req.params.sessionId);
+
+    if (deleted === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Chat session not found'
+      });
+    }
+
+    logger.info('Chat session deleted', { propertyId: property_id, sessionId: req.params.sessionId });
+    res.json({
+      message: 'Chat session deleted successfully',
+      session_id: req.params.sessionId
+    });
+  } catch (error) {
+    logger.error('Delete chat session endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while deleting the chat session'
+    });
+  }
+});
+
+// DELETE /api/chat/sessions - Delete every saved conversation for a property
+router.delete('/sessions', requirePropertyRole('planner', fromQuery()), async (req, res) => {
+  try {
+    const { property_id } = req.query;
+
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Invalid input',
+        message: 'Property ID is required'
+      });
+    }
+
+    const deleted = await deleteSessions(property_id);
+
+    logger.info('Chat sessions cleared', { propertyId: property_id, deleted });
+    res.json({
+      message: `${deleted} chat sessions deleted successfully`,
+      deleted
+    });
+  } catch (error) {
+    logger.error('Clear chat sessions endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while deleting chat sessions'
+    });
+  }
+});
+
 // GET /api/chat/health - Health check for OpenAI integration
 router.get('/health', async (req, res) => {
   try {
@@ -186,6 +439,8 @@ router.get('/health', async (req, res) => {
       status: 'healthy',
       service: 'chat',
       openai_configured: !!process.env.OPENAI_API_KEY,
+      llm_provider: process.env.LLM_PROVIDER || 'openai',
+      llm_configured: isLLMConfigured(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
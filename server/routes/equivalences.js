@@ -0,0 +1,151 @@
+const express = require('express');
+const { validateEquivalence } = require('../services/validation');
+const {
+  listEquivalences,
+  createEquivalence,
+  updateEquivalence,
+  deleteEquivalence
+} = require('../services/substitutions');
+const { logger } = require('../utils/logger');
+const { requirePropertyRole, fromBody, fromRecord } = require('../middleware/auth');
+
+const router = express.Router();
+
+const pickEquivalenceFields = (body) => ({
+  property_id: body.property_id,
+  item_a: body.item_a,
+  item_b: body.item_b,
+  notes: body.notes
+});
+
+// GET /api/equivalences - List interchangeable items for a property
+router.get('/', async (req, res) => {
+  try {
+    const { property_id } = req.query;
+
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Missing Parameter',
+        message: 'Property ID is required'
+      });
+    }
+
+    const equivalences = await listEquivalences(parseInt(property_id));
+
+    res.json({
+      equivalences,
+      total: equivalences.length
+    });
+  } catch (error) {
+    logger.error('Equivalences endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while fetching equivalences'
+    });
+  }
+});
+
+// POST /api/equivalences - Declare two items interchangeable
+router.post('/', requirePropertyRole('property_admin', fromBody()), async (req, res) => {
+  try {
+    const equivalence = pickEquivalenceFields(req.body);
+
+    const validation = validateEquivalence(equivalence);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid equivalence data',
+        details: validation.errors
+      });
+    }
+
+    const created = await createEquivalence(equivalence);
+    logger.info('Equivalence created successfully', { id: created.id });
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Create equivalence endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while creating the equivalence'
+    });
+  }
+});
+
+// PUT /api/equivalences/:id - Update an equivalence
+router.put('/:id', requirePropertyRole('property_admin', fromRecord('inventory_equivalences'), fromBody()), async (req, res) => {
+  try {
+    const equivalenceId = parseInt(req.params.id);
+
+    if (isNaN(equivalenceId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Equivalence ID must be a number'
+      });
+    }
+
+    const equivalence = pickEquivalenceFields(req.body);
+
+    const validation = validateEquivalence(equivalence);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid equivalence data',
+        details: validation.errors
+      });
+    }
+
+    const updated = await updateEquivalence(equivalenceId, equivalence);
+
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Equivalence not found'
+      });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    logger.error('Update equivalence endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while updating the equivalence'
+    });
+  }
+});
+
+// DELETE /api/equivalences/:id - Delete an equivalence
+router.delete('/:id', requirePropertyRole('property_admin', fromRecord('inventory_equivalences')), async (req, res) => {
+  try {
+    const equivalenceId = parseInt(req.params.id);
+
+    if (isNaN(equivalenceId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Equivalence ID must be a number'
+      });
+    }
+
+    const deleted = await deleteEquivalence(equivalenceId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Equivalence not found'
+      });
+    }
+
+    logger.info('Equivalence deleted successfully', { id: equivalenceId });
+    res.json({
+      message: 'Equivalence deleted successfully',
+      id: equivalenceId
+    });
+  } catch (error) {
+    logger.error('Delete equivalence endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while deleting the equivalence'
+    });
+  }
+});
+
+module.exports = router;
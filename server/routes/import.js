@@ -2,8 +2,21 @@ const express = require('express');
 const multer = require('multer');
 const XLSX = require('xlsx');
 const { getDatabase } = require('../database/init');
-const { validateInventoryItem } = require('../services/validation');
+const { validateInventoryItem, validateUnion, validateRoomDetails } = require('../services/validation');
+const { recordAudit } = require('../services/audit');
+const { COLUMN_ALIASES, IMPORT_FIELDS, getImportProfile } = require('../services/importProfiles');
+const { UNION_SHEETS, UNION_CHILD_SHEETS, readUnionWorkbook, appendUnionSheets } = require('../services/unionWorkbook');
+const {
+  ROOM_DETAIL_COLUMNS,
+  attachRoomDetails,
+  replaceRoomDetails,
+  roomDetailValues,
+  readRoomDetailCells,
+  readRoomChildSheets,
+  roomSheetsFor
+} = require('../services/rooms');
 const { logger } = require('../utils/logger');
+const { requireRole, requirePropertyAccess, fromBody } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -37,6 +50,8 @@ const upload = multer({
   }
 });
 
+const normalizeKey = (value) => String(value || '').trim().toLowerCase();
+
 /**
  * Smart column mapping - finds the best matching column for each field
  * This handles variations in column names, typos, and different formats
@@ -44,23 +59,7 @@ const upload = multer({
 const findBestColumnMatch = (headers, targetField) => {
   const headerLower = headers.map(h => String(h || '').toLowerCase().trim());
   
-  const mappings = {
-    barcode: ['barcode', 'asset id', 'asset_id', 'id', 'item id', 'sku', 'asset tag'],
-    category: ['major category', 'category', 'main category', 'primary category', 'cat', 'major cat'],
-    subcategory: ['sub category', 'subcategory', 'sub_category', 'secondary category', 'subcat', 'sub cat'],
-    class: ['class', 'item class', 'equipment class', 'type', 'classification'],
-    subclass: ['subclass', 'sub class', 'sub_class', 'item type', 'equipment type', 'subclassification'],
-    item: ['item', 'item name', 'name', 'equipment name', 'product', 'item title'],
-    description: ['item description', 'description', 'desc', 'details', 'full description', 'product description'],
-    status: ['asset item status', 'status', 'item status', 'condition', 'state', 'availability', 'asset status'],
-    quantity: ['quantity available', 'quantity', 'qty', 'available', 'count', 'stock', 'available qty'],
-    model: ['model', 'model number', 'model_number', 'product model', 'model no'],
-    manufacturer: ['manufacturer', 'brand', 'make', 'vendor', 'supplier'],
-    location: ['location', 'room', 'area', 'zone', 'site'],
-    notes: ['asset history notes', 'notes', 'comments', 'remarks', 'condition notes', 'history']
-  };
-  
-  const possibleMatches = mappings[targetField] || [];
+  const possibleMatches = COLUMN_ALIASES[targetField] || [];
   
   // Try exact matches first
   for (const match of possibleMatches) {
@@ -82,34 +81,151 @@ const findBestColumnMatch = (headers, targetField) => {
 };
 
 /**
- * Normalize imported data to lean, AI-friendly schema
+ * Picks a column for every import field: the built-in guess, then the
+ * property's import profile (header -> field, for headers present in this
+ * sheet), then the admin's corrections from a preview. overrides maps
+ * field -> header, with an empty value to leave the field unmapped.
+ * Returns { columnMap, errors }.
  */
-const normalizeInventoryData = (rawData) => {
-  if (!rawData || rawData.length === 0) {
-    return [];
+const buildColumnMap = (headers, { profile = null, overrides = {} } = {}) => {
+  const columnMap = {};
+  const errors = [];
+  
+  for (const field of IMPORT_FIELDS) {
+    columnMap[field] = findBestColumnMatch(headers, field);
+  }
+  
+  if (profile) {
+    for (const [profileHeader, field] of Object.entries(profile.column_map)) {
+      const header = headers.find(h => normalizeKey(h) === normalizeKey(profileHeader));
+      if (header && IMPORT_FIELDS.includes(field)) {
+        columnMap[field] = header;
+      }
+    }
+  }
+  
+  for (const [field, header] of Object.entries(overrides || {})) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      errors.push(`Unknown import field: ${field}`);
+    } else if (header && !headers.includes(header)) {
+      errors.push(`Column "${header}" for ${field} is not in the sheet`);
+    } else {
+      columnMap[field] = header || null;
+    }
+  }
+  
+  return { columnMap, errors };
+};
+
+/**
+ * Reads a column_map form field, sent as JSON alongside the file
+ */
+const parseColumnMapField = (value) => {
+  if (!value) {
+    return {};
+  }
+  const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('column_map must be an object of field to column name');
+  }
+  return parsed;
+};
+
+/**
+ * Reads the first sheet of an inventory workbook. Unless headerRow is given,
+ * the header row is the first of the top 10 rows naming at least three of
+ * the expected columns, falling back to the first row.
+ */
+const readInventorySheet = (filePath, headerRow = null) => {
+  // Read the uploaded file with better options for problematic Excel files
+  const workbook = XLSX.readFile(filePath, {
+    cellDates: false,
+    cellNF: false,
+    cellText: false,
+    type: 'file',
+    raw: false
+  });
+  
+  const sheetName = workbook.SheetNames[0]; // Use first sheet
+  const worksheet = workbook.Sheets[sheetName];
+  
+  // Get the range and try different approaches to find headers
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  logger.info(`📊 Sheet range: ${range.s.r}-${range.e.r} rows, ${range.s.c}-${range.e.c} columns`);
+  
+  const readFromRow = (rowIndex) => XLSX.utils.sheet_to_json(worksheet, {
+    range: { s: { c: range.s.c, r: rowIndex }, e: { c: range.e.c, r: range.e.r } },
+    raw: false,
+    defval: ''
+  });
+  
+  let headerRowIndex = 0;
+  let rawData = null;
+  
+  if (headerRow !== null) {
+    headerRowIndex = headerRow;
+    rawData = readFromRow(headerRow);
+  } else {
+    // Look through first 10 rows to find headers
+    for (let checkRow = 0; checkRow < Math.min(10, range.e.r + 1); checkRow++) {
+      const testRange = { s: { c: range.s.c, r: checkRow }, e: { c: range.e.c, r: range.e.r } };
+      const testData = XLSX.utils.sheet_to_json(worksheet, { 
+        range: testRange,
+        header: 1, // Return raw arrays instead of objects
+        raw: false,
+        defval: ''
+      });
+      
+      if (testData.length > 0) {
+        const firstRow = testData[0];
+        logger.info(`🔍 Row ${checkRow} headers:`, firstRow);
+        
+        // Check if this row contains our expected headers
+        const expectedHeaders = ['barcode', 'major category', 'sub category', 'item description', 'class', 'subclass'];
+        const rowString = firstRow.join(' ').toLowerCase();
+        
+        const matchCount = expectedHeaders.filter(header => rowString.includes(header)).length;
+        
+        if (matchCount >= 3) { // If we find at least 3 expected headers
+          headerRowIndex = checkRow;
+          logger.info(`✅ Found header row at index ${checkRow} with ${matchCount} matching headers`);
+          
+          // Now get the data starting from this header row
+          rawData = readFromRow(checkRow);
+          break;
+        }
+      }
+    }
+    
+    // Fallback: if no header row found, use default parsing
+    if (!rawData) {
+      logger.info('⚠️ No matching header row found, using default parsing');
+      rawData = XLSX.utils.sheet_to_json(worksheet, { raw: false, defval: '' });
+    }
   }
   
-  const headers = Object.keys(rawData[0]);
-  logger.info('📋 Found headers:', headers);
-  
-  // Map columns intelligently
-  const columnMap = {
-    barcode: findBestColumnMatch(headers, 'barcode'),
-    category: findBestColumnMatch(headers, 'category'),
-    subcategory: findBestColumnMatch(headers, 'subcategory'),
-    class: findBestColumnMatch(headers, 'class'),
-    subclass: findBestColumnMatch(headers, 'subclass'),
-    item: findBestColumnMatch(headers, 'item'),
-    description: findBestColumnMatch(headers, 'description'),
-    status: findBestColumnMatch(headers, 'status'),
-    quantity: findBestColumnMatch(headers, 'quantity'),
-    model: findBestColumnMatch(headers, 'model'),
-    manufacturer: findBestColumnMatch(headers, 'manufacturer'),
-    location: findBestColumnMatch(headers, 'location'),
-    notes: findBestColumnMatch(headers, 'notes')
+  return {
+    sheetName,
+    headerRowIndex,
+    headers: rawData.length > 0 ? Object.keys(rawData[0]) : [],
+    rawData
   };
+};
+
+/**
+ * Normalize imported data to lean, AI-friendly schema. firstRowNumber is the
+ * spreadsheet row number of the first data row, for error messages.
+ * statusMap (from an import profile) maps status values to inventory
+ * statuses ahead of the built-in keyword matching.
+ */
+const normalizeInventoryData = (rawData, columnMap, { firstRowNumber = 2, statusMap = {} } = {}) => {
+  if (!rawData || rawData.length === 0) {
+    return [];
+  }
   
-  logger.info('🎯 Column mapping:', columnMap);
+  const profileStatuses = new Map(
+    Object.entries(statusMap).map(([value, mapped]) => [normalizeKey(value), mapped])
+  );
   
   return rawData.map((row, index) => {
     // Extract and clean values
@@ -142,7 +258,9 @@ const normalizeInventoryData = (rawData) => {
     
     // Map status to our system
     let mappedStatus = 'available';
-    if (status) {
+    if (profileStatuses.has(normalizeKey(status))) {
+      mappedStatus = profileStatuses.get(normalizeKey(status));
+    } else if (status) {
       const statusLower = String(status).toLowerCase();
       if (statusLower.includes('hand') || statusLower.includes('available') || statusLower.includes('ready')) {
         mappedStatus = 'available';
@@ -176,11 +294,186 @@ const normalizeInventoryData = (rawData) => {
       subclass: String(subclass).trim(),
       
       // Row number for error reporting
-      _rowNumber: index + 2
+      _rowNumber: index + firstRowNumber
     };
   });
 };
 
+/**
+ * Splits normalized rows into those that can be imported and the errors for
+ * the rest
+ */
+const validateImportRows = (normalizedData, propertyId) => {
+  const rows = [];
+  const errors = [];
+  
+  for (const item of normalizedData) {
+    // Skip rows with no meaningful data
+    if (!item.name || item.name === 'Unknown Item' || item.name.trim() === '') {
+      errors.push(`Row ${item._rowNumber}: No valid item name found`);
+      continue;
+    }
+    
+    const validation = validateInventoryItem({
+      property_id: propertyId,
+      name: item.name,
+      description: item.description,
+      category: item.category,
+      sub_category: item.subcategory,
+      quantity_available: item.quantity,
+      status: item.status
+    });
+    
+    if (!validation.valid) {
+      errors.push(`Row ${item._rowNumber}: ${validation.errors.join(', ')}`);
+      continue;
+    }
+    
+    rows.push(item);
+  }
+  
+  return { rows, errors };
+};
+
+/**
+ * The inventory_items columns an imported row writes
+ */
+const toInventoryRecord = (item) => ({
+  name: item.name,
+  description: item.description,
+  category: item.category,
+  sub_category: item.subcategory,
+  quantity_available: item.quantity,
+  status: item.status,
+  asset_tag: item.barcode,
+  model: item.model,
+  manufacturer: item.manufacturer,
+  condition_notes: item.notes
+});
+
+// The import fields each inventory column is read from; a sync only
+// overwrites columns whose source is mapped in the sheet
+const RECORD_SOURCES = {
+  name: ['item', 'description'],
+  description: ['description', 'item'],
+  category: ['category'],
+  sub_category: ['subcategory'],
+  quantity_available: ['quantity'],
+  status: ['status'],
+  asset_tag: ['barcode'],
+  model: ['model'],
+  manufacturer: ['manufacturer'],
+  condition_notes: ['notes']
+};
+
+const IMPORT_MODES = ['append', 'replace', 'sync'];
+
+/**
+ * The inventory columns a sync may update, given the sheet's column map
+ */
+const syncedFields = (columnMap) => Object.keys(RECORD_SOURCES)
+  .filter(field => RECORD_SOURCES[field].some(source => columnMap[source]));
+
+/**
+ * Pairs each row with an existing item: first by asset tag, then by name and
+ * model where the row or the item has no tag, so separately tagged units of
+ * the same model are never merged. Returns a Map of row -> existing item.
+ */
+const matchExistingItems = (rows, existingItems) => {
+  const matches = new Map();
+  const claimed = new Set();
+  
+  for (const item of rows) {
+    const tag = normalizeKey(item.barcode);
+    const match = tag && existingItems.find(existing =>
+      !claimed.has(existing.id) && normalizeKey(existing.asset_tag) === tag
+    );
+    if (match) {
+      matches.set(item, match);
+      claimed.add(match.id);
+    }
+  }
+  
+  for (const item of rows) {
+    if (matches.has(item)) {
+      continue;
+    }
+    const tag = normalizeKey(item.barcode);
+    const match = existingItems.find(existing =>
+      !claimed.has(existing.id) &&
+      (!tag || !normalizeKey(existing.asset_tag)) &&
+      normalizeKey(existing.name) === normalizeKey(item.name) &&
+      normalizeKey(existing.model) === normalizeKey(item.model)
+    );
+    if (match) {
+      matches.set(item, match);
+      claimed.add(match.id);
+    }
+  }
+  
+  return matches;
+};
+
+/**
+ * Compares the rows of an import with the property's current inventory.
+ * - append: every row is added; matches are flagged as possible duplicates
+ * - replace: matched items are changed or unchanged, the rest are removed
+ * - sync: matched items are updated in place (only the fields in fields),
+ *   new rows are added, and with markMissing unmatched items are retired
+ *   to out_of_service
+ */
+const diffInventoryImport = (rows, existingItems, { mode, fields = Object.keys(RECORD_SOURCES), markMissing = false }) => {
+  const diff = { added: [], changed: [], unchanged: [], removed: [], retired: [] };
+  const matches = matchExistingItems(rows, existingItems);
+  const compared = mode === 'sync' ? fields : Object.keys(RECORD_SOURCES);
+  
+  for (const item of rows) {
+    const record = toInventoryRecord(item);
+    const match = matches.get(item) || null;
+    
+    if (mode === 'append' || !match) {
+      diff.added.push({ row: item._rowNumber, item: record, duplicate_of: match ? match.id : null });
+      continue;
+    }
+    
+    const changes = {};
+    for (const field of compared) {
+      const current = match[field] === null || match[field] === undefined ? '' : match[field];
+      if (String(current) !== String(record[field])) {
+        changes[field] = { from: match[field], to: record[field] };
+      }
+    }
+    
+    if (Object.keys(changes).length > 0) {
+      diff.changed.push({ row: item._rowNumber, id: match.id, item: record, changes });
+    } else {
+      diff.unchanged.push({ row: item._rowNumber, id: match.id, name: record.name });
+    }
+  }
+  
+  const matchedIds = new Set([...matches.values()].map(existing => existing.id));
+  const missing = existingItems
+    .filter(existing => !matchedIds.has(existing.id))
+    .map(existing => ({
+      id: existing.id,
+      name: existing.name,
+      asset_tag: existing.asset_tag,
+      model: existing.model,
+      quantity_available: existing.quantity_available
+    }));
+  
+  if (mode === 'replace') {
+    diff.removed = missing;
+  } else if (mode === 'sync' && markMissing) {
+    const retiredIds = new Set(existingItems
+      .filter(existing => existing.status !== 'out_of_service')
+      .map(existing => existing.id));
+    diff.retired = missing.filter(existing => retiredIds.has(existing.id));
+  }
+  
+  return diff;
+};
+
 // GET /api/import/template - Download import template
 router.get('/template', (req, res) => {
   try {
@@ -233,20 +526,53 @@ router.get('/template', (req, res) => {
     // Rooms template
     const roomsData = [
       {
-        'Name': 'Grand Ballroom',
-        'Capacity': 500,
-        'Dimensions': '50x80 feet',
-        'Built-in AV': 'Built-in sound system, projection screens',
-        'Features': 'Stage, dance floor, crystal chandeliers'
+        name: 'Grand Ballroom',
+        capacity: 500,
+        dimensions: '50x80 feet',
+        built_in_av: 'Built-in sound system, projection screens',
+        features: 'Stage, dance floor, crystal chandeliers',
+        length_ft: 80,
+        width_ft: 50,
+        ceiling_height_ft: 24,
+        capacity_theater: 500,
+        capacity_classroom: 300,
+        capacity_banquet: 350,
+        capacity_reception: 500,
+        rigging_points: [
+          { name: 'Downstage truss point L', load_limit_lbs: 2000, notes: 'Above stage left' },
+          { name: 'Downstage truss point R', load_limit_lbs: 2000, notes: 'Above stage right' }
+        ],
+        power_circuits: [
+          { name: 'Stage company switch', amps: 200, voltage: 208, connector_type: 'Cam-lok', quantity: 1 },
+          { name: 'Wall outlets', amps: 20, voltage: 120, connector_type: 'Edison', quantity: 8 }
+        ],
+        av_items: [
+          { av_type: 'screen', description: 'Motorized drop screen', quantity: 2 },
+          { av_type: 'speaker', description: 'Ceiling speakers', quantity: 16 }
+        ]
       },
       {
-        'Name': 'Conference Room A',
-        'Capacity': 50,
-        'Dimensions': '20x30 feet',
-        'Built-in AV': 'Wall-mounted TV, conference phone',
-        'Features': 'Whiteboard, conference table'
+        name: 'Conference Room A',
+        capacity: 50,
+        dimensions: '20x30 feet',
+        built_in_av: 'Wall-mounted TV, conference phone',
+        features: 'Whiteboard, conference table',
+        length_ft: 30,
+        width_ft: 20,
+        ceiling_height_ft: 9,
+        capacity_theater: 50,
+        capacity_classroom: 30,
+        capacity_banquet: 32,
+        capacity_reception: 50,
+        power_circuits: [
+          { name: 'Wall outlets', amps: 20, voltage: 120, connector_type: 'Edison', quantity: 4 }
+        ],
+        av_items: [
+          { av_type: 'display', description: 'Wall-mounted TV', quantity: 1 }
+        ]
       }
     ];
+    const roomSheets = roomSheetsFor(roomsData);
     
     // Labor Rules template
     const laborRulesData = [
@@ -262,15 +588,61 @@ router.get('/template', (req, res) => {
       }
     ];
     
+    // Unions template - one sheet per union table, for POST /api/import/unions
+    const unionsData = [
+      {
+        local_number: '33',
+        name: 'IATSE Local 33',
+        trade: 'Stagehands',
+        regular_hours_start: '08:00',
+        regular_hours_end: '17:00',
+        regular_rate: 58.5,
+        overtime_rate: 87.75,
+        doubletime_rate: 117,
+        overtime_threshold: 8,
+        doubletime_threshold: 12,
+        minimum_call_hours: 4,
+        contact_info: 'Business agent: (555) 123-4567',
+        schedules: [
+          { day_of_week: 6, start_time: '00:00', end_time: '23:59', rate_type: 'overtime', rate_multiplier: 1.5, description: 'Saturday' },
+          { day_of_week: 0, start_time: '00:00', end_time: '23:59', rate_type: 'doubletime', rate_multiplier: 2, description: 'Sunday' }
+        ],
+        equipment_requirements: [
+          { equipment_category: 'Video', equipment_type: 'Projector', is_required: true, minimum_crew_size: 1 }
+        ],
+        venue_rules: [
+          { room: 'Grand Ballroom', rule_type: 'requirement', condition_text: 'Projectionist required above threshold', threshold_value: 3, threshold_unit: 'rooms' }
+        ],
+        time_penalties: [
+          { penalty_type: 'meal_penalty', condition_description: 'No meal break within 5 hours', penalty_amount: 25, penalty_type_amount: 'flat_fee', applies_after_hours: 5 }
+        ],
+        special_days: [
+          { date_specific: '2025-12-25', holiday_name: 'Christmas Day', rate_multiplier: 2.5, minimum_call: 8 },
+          { date_pattern: 'last_monday_may', holiday_name: 'Memorial Day', rate_multiplier: 2 }
+        ]
+      }
+    ];
+    
     // Create worksheets
     const inventoryWS = XLSX.utils.json_to_sheet(inventoryData);
-    const roomsWS = XLSX.utils.json_to_sheet(roomsData);
+    const roomsWS = XLSX.utils.json_to_sheet(roomsData.map(room => ({
+      'Name': room.name,
+      'Capacity': room.capacity,
+      'Dimensions': room.dimensions,
+      'Built-in AV': room.built_in_av,
+      'Features': room.features,
+      ...roomSheets.detailCells(room)
+    })));
     const laborRulesWS = XLSX.utils.json_to_sheet(laborRulesData);
     
     // Add worksheets to workbook
     XLSX.utils.book_append_sheet(workbook, inventoryWS, 'Inventory');
     XLSX.utils.book_append_sheet(workbook, roomsWS, 'Rooms');
+    roomSheets.childSheets.forEach(sheet => {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(sheet.rows, { header: sheet.headers }), sheet.sheet);
+    });
     XLSX.utils.book_append_sheet(workbook, laborRulesWS, 'Labor Rules');
+    appendUnionSheets(workbook, unionsData);
     
     // Generate buffer
     const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
@@ -320,15 +692,28 @@ router.get('/export', async (req, res) => {
       }
       
       // Get all data for the property
-      const [inventoryResult, roomsResult, laborRulesResult] = await Promise.all([
+      const [inventoryResult, roomsResult, laborRulesResult, unionsResult] = await Promise.all([
         client.query('SELECT * FROM inventory_items WHERE property_id = $1', [property_id]),
         client.query('SELECT * FROM rooms WHERE property_id = $1', [property_id]),
-        client.query('SELECT * FROM labor_rules WHERE property_id = $1', [property_id])
+        client.query('SELECT * FROM labor_rules WHERE property_id = $1', [property_id]),
+        client.query('SELECT * FROM unions WHERE property_id = $1 ORDER BY local_number, name', [property_id])
       ]);
       
       const inventory = inventoryResult.rows;
-      const rooms = roomsResult.rows;
+      const rooms = await attachRoomDetails(client, roomsResult.rows);
       const laborRules = laborRulesResult.rows;
+      const unions = unionsResult.rows;
+      
+      // Attach each union's child rows in the shape the union sheets expect
+      const unionIds = unions.map(union => union.id);
+      const childResults = await Promise.all(UNION_CHILD_SHEETS.map(spec =>
+        client.query(`SELECT * FROM ${spec.table} WHERE union_id = ANY($1) ORDER BY id`, [unionIds])
+      ));
+      unions.forEach(union => {
+        UNION_CHILD_SHEETS.forEach((spec, index) => {
+          union[spec.key] = childResults[index].rows.filter(row => row.union_id === union.id);
+        });
+      });
       
       // Create workbook
       const workbook = XLSX.utils.book_new();
@@ -342,7 +727,8 @@ router.get('/export', async (req, res) => {
         'Export Date': new Date().toISOString(),
         'Total Rooms': rooms.length,
         'Total Inventory Items': inventory.length,
-        'Total Labor Rules': laborRules.length
+        'Total Labor Rules': laborRules.length,
+        'Total Unions': unions.length
       }];
       
       // Transform data for export - Encore format
@@ -362,12 +748,14 @@ router.get('/export', async (req, res) => {
         'Quantity Available': item.quantity_available
       }));
       
+      const roomSheets = roomSheetsFor(rooms);
       const roomsExport = rooms.map(room => ({
         'Name': room.name,
         'Capacity': room.capacity,
         'Dimensions': room.dimensions,
         'Built-in AV': room.built_in_av,
-        'Features': room.features
+        'Features': room.features,
+        ...roomSheets.detailCells(room)
       }));
       
       const laborRulesExport = laborRules.map(rule => ({
@@ -386,7 +774,11 @@ router.get('/export', async (req, res) => {
       XLSX.utils.book_append_sheet(workbook, propertyWS, 'Property Info');
       XLSX.utils.book_append_sheet(workbook, inventoryWS, 'Inventory');
       XLSX.utils.book_append_sheet(workbook, roomsWS, 'Rooms');
+      roomSheets.childSheets.forEach(sheet => {
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(sheet.rows, { header: sheet.headers }), sheet.sheet);
+      });
       XLSX.utils.book_append_sheet(workbook, laborRulesWS, 'Labor Rules');
+      appendUnionSheets(workbook, unions, new Map(rooms.map(room => [room.id, room.name])));
       
       // Generate buffer
       const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
@@ -413,11 +805,88 @@ router.get('/export', async (req, res) => {
   }
 });
 
-// POST /api/import/inventory - Import inventory with smart column mapping
-router.post('/inventory', upload.single('file'), async (req, res) => {
+/**
+ * Inserts an imported inventory item and records it in the audit log
+ */
+const insertImportedItem = async (client, user, propertyId, record) => {
+  const inserted = await client.query(`
+    INSERT INTO inventory_items 
+    (property_id, name, description, category, sub_category, quantity_available, status, asset_tag, model, manufacturer, condition_notes)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [
+    propertyId,
+    record.name,
+    record.description,
+    record.category,
+    record.sub_category,
+    record.quantity_available,
+    record.status,
+    record.asset_tag,
+    record.model,
+    record.manufacturer,
+    record.condition_notes
+  ]);
+  
+  await recordAudit(client, user, {
+    propertyId,
+    entity: 'inventory_item',
+    entityId: inserted.rows[0].id,
+    action: 'import',
+    after: inserted.rows[0]
+  });
+};
+
+/**
+ * Updates an existing item in place from a diff's { field: { to } } changes,
+ * keeping its id and everything that references it
+ */
+const updateImportedItem = async (client, user, existing, changes) => {
+  const fields = Object.keys(changes).filter(field => RECORD_SOURCES[field]);
+  const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+  
+  const updated = await client.query(`
+    UPDATE inventory_items
+    SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${fields.length + 1}
+    RETURNING *
+  `, [...fields.map(field => changes[field].to), existing.id]);
+  
+  await recordAudit(client, user, {
+    propertyId: existing.property_id,
+    entity: 'inventory_item',
+    entityId: existing.id,
+    action: 'import',
+    before: existing,
+    after: updated.rows[0]
+  });
+};
+
+// POST /api/import/inventory - Import inventory with smart column mapping.
+// With preview=true nothing is written: the response shows the header row,
+// the column map and a diff against current inventory. Send the same file
+// again with the corrected column_map (and header_row) to import it.
+// profile_id applies one of the property's saved import profiles.
+// mode is append (default), replace, or sync: update matching items in place
+// by asset tag (then name and model), insert new ones and, with
+// mark_missing=true, mark items missing from the sheet out_of_service.
+router.post('/inventory', requireRole('property_admin'), upload.single('file'), requirePropertyAccess(fromBody()), async (req, res) => {
+  const fs = require('fs');
+  
   try {
-    logger.info('🚀 SMART INVENTORY IMPORT STARTED');
-    const { property_id, replace_existing } = req.body;
+    const { property_id, replace_existing, preview, header_row, profile_id, mark_missing } = req.body;
+    const isPreview = preview === 'true';
+    // replace_existing=true is the older way of asking for mode=replace
+    const mode = req.body.mode || (replace_existing === 'true' ? 'replace' : 'append');
+    const markMissing = mode === 'sync' && mark_missing === 'true';
+    logger.info(isPreview ? '🔎 INVENTORY IMPORT PREVIEW STARTED' : '🚀 SMART INVENTORY IMPORT STARTED', { mode });
+    
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: `Mode must be one of: ${IMPORT_MODES.join(', ')}`
+      });
+    }
     
     if (!property_id) {
       return res.status(400).json({
@@ -433,70 +902,37 @@ router.post('/inventory', upload.single('file'), async (req, res) => {
       });
     }
     
-    // Read the uploaded file with better options for problematic Excel files
-    const workbook = XLSX.readFile(req.file.path, {
-      cellDates: false,
-      cellNF: false,
-      cellText: false,
-      type: 'file',
-      raw: false
-    });
-    
-    const sheetName = workbook.SheetNames[0]; // Use first sheet
-    const worksheet = workbook.Sheets[sheetName];
-    
-    // Get the range and try different approaches to find headers
-    const range = XLSX.utils.decode_range(worksheet['!ref']);
-    logger.info(`📊 Sheet range: ${range.s.r}-${range.e.r} rows, ${range.s.c}-${range.e.c} columns`);
-    
-    // Try to find the actual header row by looking for your specific headers
-    let headerRowIndex = 0;
-    let rawData = null;
-    let foundHeaderRow = false;
+    const headerRow = header_row === undefined || header_row === '' ? null : parseInt(header_row);
+    if (headerRow !== null && (isNaN(headerRow) || headerRow < 0)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Header row must be a non-negative row index'
+      });
+    }
     
-    // Look through first 10 rows to find headers
-    for (let checkRow = 0; checkRow < Math.min(10, range.e.r + 1); checkRow++) {
-      const testRange = { s: { c: range.s.c, r: checkRow }, e: { c: range.e.c, r: range.e.r } };
-      const testData = XLSX.utils.sheet_to_json(worksheet, { 
-        range: testRange,
-        header: 1, // Return raw arrays instead of objects
-        raw: false,
-        defval: ''
+    let overrides;
+    try {
+      overrides = parseColumnMapField(req.body.column_map);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: `Invalid column map: ${error.message}`
       });
-      
-      if (testData.length > 0) {
-        const firstRow = testData[0];
-        logger.info(`🔍 Row ${checkRow} headers:`, firstRow);
-        
-        // Check if this row contains our expected headers
-        const expectedHeaders = ['barcode', 'major category', 'sub category', 'item description', 'class', 'subclass'];
-        const rowString = firstRow.join(' ').toLowerCase();
-        
-        const matchCount = expectedHeaders.filter(header => rowString.includes(header)).length;
-        
-        if (matchCount >= 3) { // If we find at least 3 expected headers
-          headerRowIndex = checkRow;
-          foundHeaderRow = true;
-          logger.info(`✅ Found header row at index ${checkRow} with ${matchCount} matching headers`);
-          
-          // Now get the data starting from this header row
-          const dataRange = { s: { c: range.s.c, r: checkRow }, e: { c: range.e.c, r: range.e.r } };
-          rawData = XLSX.utils.sheet_to_json(worksheet, { 
-            range: dataRange,
-            raw: false,
-            defval: ''
-          });
-          break;
-        }
-      }
     }
     
-    // Fallback: if no header row found, use default parsing
-    if (!foundHeaderRow) {
-      logger.info('⚠️ No matching header row found, using default parsing');
-      rawData = XLSX.utils.sheet_to_json(worksheet, { raw: false, defval: '' });
+    let profile = null;
+    if (profile_id) {
+      profile = await getImportProfile(parseInt(profile_id));
+      if (!profile || profile.property_id !== parseInt(property_id)) {
+        return res.status(400).json({
+          error: 'Invalid Input',
+          message: 'Import profile not found for this property'
+        });
+      }
     }
     
+    const { sheetName, headerRowIndex, headers, rawData } = readInventorySheet(req.file.path, headerRow);
+    
     if (!rawData || rawData.length === 0) {
       return res.status(400).json({
         error: 'Empty File',
@@ -505,102 +941,135 @@ router.post('/inventory', upload.single('file'), async (req, res) => {
     }
     
     logger.info(`📊 Processing ${rawData.length} rows from sheet: ${sheetName}`);
-    logger.info('📋 Sample of first row keys:', Object.keys(rawData[0] || {}));
+    logger.info('📋 Found headers:', headers);
     
-    // Log first few rows for debugging
-    if (rawData.length > 0) {
-      logger.info('🔍 First row sample:', rawData[0]);
-      if (rawData.length > 1) {
-        logger.info('🔍 Second row sample:', rawData[1]);
-      }
+    const { columnMap, errors: mappingErrors } = buildColumnMap(headers, { profile, overrides });
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid column map',
+        details: mappingErrors
+      });
     }
     
+    logger.info('🎯 Column mapping:', columnMap);
+    
     // Normalize data to lean schema
-    const normalizedData = normalizeInventoryData(rawData);
+    const normalizedData = normalizeInventoryData(rawData, columnMap, {
+      firstRowNumber: headerRowIndex + 2,
+      statusMap: profile ? profile.status_map : {}
+    });
+    const { rows, errors } = validateImportRows(normalizedData, property_id);
     
     const db = getDatabase();
     const client = await db.connect();
     
-    // Declare importResults at the right scope
-    let importResults = {
-      total: normalizedData.length,
-      imported: 0,
-      skipped: 0,
-      errors: []
-    };
-    
     try {
-      // If replace_existing is true, clear existing inventory for this property
-      if (replace_existing === 'true') {
-        await client.query('DELETE FROM inventory_items WHERE property_id = $1', [property_id]);
-        logger.info(`🗑️ Cleared existing inventory for property ${property_id}`);
+      // Everything below is one transaction, so a failed import leaves the
+      // inventory as it was; a preview rolls back without writing
+      await client.query('BEGIN');
+      
+      const existing = await client.query('SELECT * FROM inventory_items WHERE property_id = $1 ORDER BY id FOR UPDATE', [property_id]);
+      const diff = diffInventoryImport(rows, existing.rows, {
+        mode,
+        fields: syncedFields(columnMap),
+        markMissing
+      });
+      
+      if (isPreview) {
+        await client.query('ROLLBACK');
+        
+        return res.json({
+          preview: true,
+          sheet: sheetName,
+          header_row: headerRowIndex,
+          headers,
+          column_map: columnMap,
+          profile_id: profile ? profile.id : null,
+          mode,
+          mark_missing: markMissing,
+          replace_existing: mode === 'replace',
+          summary: {
+            total: normalizedData.length,
+            added: diff.added.length,
+            changed: diff.changed.length,
+            unchanged: diff.unchanged.length,
+            removed: diff.removed.length,
+            retired: diff.retired.length,
+            skipped: errors.length
+          },
+          diff,
+          errors
+        });
       }
       
-      // Process each normalized row
-      for (const item of normalizedData) {
-        try {
-          // Skip rows with no meaningful data
-          if (!item.name || item.name === 'Unknown Item' || item.name.trim() === '') {
-            importResults.errors.push(`Row ${item._rowNumber}: No valid item name found`);
-            importResults.skipped++;
-            continue;
-          }
-          
-          // Validate the normalized item
-          const validation = validateInventoryItem({
-            property_id,
-            name: item.name,
-            description: item.description,
-            category: item.category,
-            sub_category: item.subcategory,
-            quantity_available: item.quantity,
-            status: item.status
+      const importResults = {
+        total: normalizedData.length,
+        mode,
+        imported: 0,
+        updated: 0,
+        unchanged: 0,
+        removed: 0,
+        retired: 0,
+        skipped: errors.length,
+        errors: [...errors]
+      };
+      
+      if (mode === 'sync') {
+        const existingById = new Map(existing.rows.map(row => [row.id, row]));
+        
+        for (const entry of diff.changed) {
+          await updateImportedItem(client, req.user, existingById.get(entry.id), entry.changes);
+          importResults.updated++;
+        }
+        for (const entry of diff.added) {
+          await insertImportedItem(client, req.user, property_id, entry.item);
+          importResults.imported++;
+        }
+        for (const entry of diff.retired) {
+          await updateImportedItem(client, req.user, existingById.get(entry.id), {
+            status: { to: 'out_of_service' }
           });
-          
-          if (!validation.valid) {
-            importResults.errors.push(`Row ${item._rowNumber}: ${validation.errors.join(', ')}`);
-            importResults.skipped++;
-            continue;
+          importResults.retired++;
+        }
+        importResults.unchanged = diff.unchanged.length;
+      } else {
+        // Replace clears the property's inventory before inserting every row
+        if (mode === 'replace') {
+          const cleared = await client.query('DELETE FROM inventory_items WHERE property_id = $1 RETURNING *', [property_id]);
+          for (const row of cleared.rows) {
+            await recordAudit(client, req.user, {
+              propertyId: property_id,
+              entity: 'inventory_item',
+              entityId: row.id,
+              action: 'import',
+              before: row
+            });
           }
-          
-          // Insert the lean, normalized item using PostgreSQL syntax
-          await client.query(`
-            INSERT INTO inventory_items 
-            (property_id, name, description, category, sub_category, quantity_available, status, asset_tag, model, manufacturer, condition_notes)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-          `, [
-            property_id,
-            item.name,
-            item.description,
-            item.category,
-            item.subcategory,
-            item.quantity,
-            item.status,
-            item.barcode,
-            item.model,
-            item.manufacturer,
-            item.notes
-          ]);
-          
+          importResults.removed = cleared.rows.length;
+          logger.info(`🗑️ Cleared existing inventory for property ${property_id}`);
+        }
+        
+        for (const item of rows) {
+          await insertImportedItem(client, req.user, property_id, toInventoryRecord(item));
           importResults.imported++;
-          
-        } catch (error) {
-          importResults.errors.push(`Row ${item._rowNumber}: ${error.message}`);
-          importResults.skipped++;
         }
       }
       
-      // Clean up uploaded file
-      const fs = require('fs');
-      fs.unlinkSync(req.file.path);
+      await client.query('COMMIT');
       
       logger.info('✅ Inventory import completed:', importResults);
       
+      const retiredNote = importResults.retired ? `, ${importResults.retired} marked out of service` : '';
       res.json({
-        message: `Import completed: ${importResults.imported} items imported, ${importResults.skipped} skipped`,
+        message: `Import completed: ${importResults.imported} items imported, ${importResults.updated} updated${retiredNote}, ${importResults.skipped} skipped`,
+        column_map: columnMap,
         results: importResults
       });
       
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
@@ -611,11 +1080,16 @@ router.post('/inventory', upload.single('file'), async (req, res) => {
       error: 'Import Error',
       message: error.message || 'Failed to import inventory data'
     });
+  } finally {
+    // Clean up uploaded file
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
   }
 });
 
 // POST /api/import/rooms - Import rooms from spreadsheet
-router.post('/rooms', upload.single('file'), async (req, res) => {
+router.post('/rooms', requireRole('property_admin'), upload.single('file'), requirePropertyAccess(fromBody()), async (req, res) => {
   try {
     const { property_id } = req.body;
     
@@ -638,6 +1112,8 @@ router.post('/rooms', upload.single('file'), async (req, res) => {
     const sheetName = workbook.SheetNames.find(name => name.toLowerCase().includes('room')) || workbook.SheetNames[0];
     const worksheet = workbook.Sheets[sheetName];
     const data = XLSX.utils.sheet_to_json(worksheet);
+    // Rigging Points, Power Circuits and Built-in AV sheets, keyed by room name
+    const roomChildren = readRoomChildSheets(workbook, XLSX);
     
     if (data.length === 0) {
       return res.status(400).json({
@@ -674,12 +1150,39 @@ router.post('/rooms', upload.single('file'), async (req, res) => {
             continue;
           }
           
+          const details = { ...readRoomDetailCells(row), ...roomChildren.detailsFor(name) };
+          const detailErrors = validateRoomDetails(details);
+          if (detailErrors.length > 0) {
+            importResults.errors.push(`Row ${i + 2}: ${detailErrors.join('; ')}`);
+            importResults.skipped++;
+            continue;
+          }
+          
           // Insert room using PostgreSQL syntax
-          await client.query(`
-            INSERT INTO rooms 
-            (property_id, name, capacity, dimensions, built_in_av, features)
-            VALUES ($1, $2, $3, $4, $5, $6)
-          `, [property_id, name, capacity, dimensions, builtInAv, features]);
+          await client.query('BEGIN');
+          try {
+            const inserted = await client.query(`
+              INSERT INTO rooms 
+              (property_id, name, capacity, dimensions, built_in_av, features, ${ROOM_DETAIL_COLUMNS.join(', ')})
+              VALUES ($1, $2, $3, $4, $5, $6, ${ROOM_DETAIL_COLUMNS.map((column, index) => `$${index + 7}`).join(', ')})
+              RETURNING *
+            `, [property_id, name, capacity, dimensions, builtInAv, features, ...roomDetailValues(details)]);
+            
+            await replaceRoomDetails(client, inserted.rows[0].id, details);
+            const [room] = await attachRoomDetails(client, inserted.rows);
+            
+            await recordAudit(client, req.user, {
+              propertyId: property_id,
+              entity: 'room',
+              entityId: room.id,
+              action: 'import',
+              after: room
+            });
+            await client.query('COMMIT');
+          } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+          }
           
           importResults.imported++;
           
@@ -689,6 +1192,14 @@ router.post('/rooms', upload.single('file'), async (req, res) => {
         }
       }
       
+      // Line items naming a room that is not on the Rooms sheet are not imported
+      const roomNames = new Set(data.map(row => String(row.Name || row.name || row['Room Name'] || '').trim().toLowerCase()));
+      roomChildren.entries
+        .filter(entry => !roomNames.has(String(entry.room || '').toLowerCase()))
+        .forEach(entry => {
+          importResults.errors.push(`${entry.sheet} row ${entry.row}: ${entry.room ? `Room "${entry.room}" is not on the Rooms sheet` : 'Missing room name'}`);
+        });
+      
       // Clean up uploaded file
       const fs = require('fs');
       fs.unlinkSync(req.file.path);
@@ -716,7 +1227,7 @@ router.post('/rooms', upload.single('file'), async (req, res) => {
 });
 
 // POST /api/import/labor - Import labor rules from spreadsheet
-router.post('/labor', upload.single('file'), async (req, res) => {
+router.post('/labor', requireRole('property_admin'), upload.single('file'), requirePropertyAccess(fromBody()), async (req, res) => {
   try {
     const { property_id } = req.body;
     
@@ -783,12 +1294,21 @@ router.post('/labor', upload.single('file'), async (req, res) => {
           }
           
           // Insert labor rule using PostgreSQL syntax
-          await client.query(`
+          const inserted = await client.query(`
             INSERT INTO labor_rules 
             (property_id, rule_type, description, rule_data)
             VALUES ($1, $2, $3, $4)
+            RETURNING *
           `, [property_id, ruleType, description, ruleData]);
           
+          await recordAudit(client, req.user, {
+            propertyId: property_id,
+            entity: 'labor_rule',
+            entityId: inserted.rows[0].id,
+            action: 'import',
+            after: inserted.rows[0]
+          });
+          
           importResults.imported++;
           
         } catch (error) {
@@ -821,4 +1341,214 @@ router.post('/labor', upload.single('file'), async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * Inserts or updates an imported union, matched to an existing union of the
+ * property by local number, and records it in the audit log. Returns the
+ * saved row and whether it already existed.
+ */
+const saveImportedUnion = async (client, user, propertyId, union, existing) => {
+  const values = [
+    union.local_number,
+    union.name,
+    union.trade,
+    union.regular_hours_start || '08:00',
+    union.regular_hours_end || '17:00',
+    union.regular_rate,
+    union.overtime_rate,
+    union.doubletime_rate,
+    union.overtime_threshold || 8,
+    union.doubletime_threshold || 12,
+    union.minimum_call_hours,
+    union.weekend_rules || '',
+    union.holiday_rules || '',
+    union.contact_info || '',
+    union.notes || ''
+  ];
+  
+  const saved = existing
+    ? await client.query(`
+        UPDATE unions SET
+          local_number = $1, name = $2, trade = $3,
+          regular_hours_start = $4, regular_hours_end = $5,
+          regular_rate = $6, overtime_rate = $7, doubletime_rate = $8,
+          overtime_threshold = $9, doubletime_threshold = $10, minimum_call_hours = $11,
+          weekend_rules = $12, holiday_rules = $13, contact_info = $14, notes = $15,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $16
+        RETURNING *
+      `, [...values, existing.id])
+    : await client.query(`
+        INSERT INTO unions (
+          local_number, name, trade,
+          regular_hours_start, regular_hours_end,
+          regular_rate, overtime_rate, doubletime_rate,
+          overtime_threshold, doubletime_threshold, minimum_call_hours,
+          weekend_rules, holiday_rules, contact_info, notes, property_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        RETURNING *
+      `, [...values, propertyId]);
+  
+  await recordAudit(client, user, {
+    propertyId,
+    entity: 'union',
+    entityId: saved.rows[0].id,
+    action: 'import',
+    before: existing || null,
+    after: saved.rows[0]
+  });
+  
+  return saved.rows[0];
+};
+
+/**
+ * Replaces a union's rows in each child table whose sheet was in the
+ * workbook. Blank cells are left out so the column defaults apply.
+ */
+const replaceUnionChildren = async (client, unionId, union, sheets, counts) => {
+  for (const spec of UNION_CHILD_SHEETS) {
+    if (!sheets.includes(spec.key)) continue;
+    
+    await client.query(`DELETE FROM ${spec.table} WHERE union_id = $1`, [unionId]);
+    
+    for (const record of union[spec.key]) {
+      const columns = ['union_id'];
+      const values = [unionId];
+      Object.entries(record).forEach(([field, value]) => {
+        if (value === null || field === 'room') return;
+        columns.push(field);
+        values.push(value);
+      });
+      
+      await client.query(
+        `INSERT INTO ${spec.table} (${columns.join(', ')}) VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})`,
+        values
+      );
+      counts[spec.key]++;
+    }
+  }
+};
+
+// POST /api/import/unions - Import unions from a workbook with one sheet per
+// table: Unions, Schedules, Equipment Requirements, Venue Rules, Time
+// Penalties and Special Days, each child row keyed by Local Number. Unions
+// are matched to existing ones by local number and updated in place; their
+// rows in each child sheet present are replaced, so a new contract year's
+// rate sheets can be loaded over the last. Venue rules name their room.
+router.post('/unions', requireRole('property_admin'), upload.single('file'), requirePropertyAccess(fromBody()), async (req, res) => {
+  const fs = require('fs');
+  
+  try {
+    const { property_id } = req.body;
+    
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Missing Parameter',
+        message: 'Property ID is required'
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Missing File',
+        message: 'Please upload a file'
+      });
+    }
+    
+    const workbook = readUnionWorkbook(XLSX.readFile(req.file.path));
+    
+    if (!workbook) {
+      return res.status(400).json({
+        error: 'Invalid File',
+        message: `The workbook needs a "${UNION_SHEETS[0].sheet}" sheet`
+      });
+    }
+    
+    if (workbook.unions.length === 0) {
+      return res.status(400).json({
+        error: 'Empty File',
+        message: 'The uploaded file contains no union data'
+      });
+    }
+    
+    const db = getDatabase();
+    const client = await db.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const [existingResult, roomsResult] = await Promise.all([
+        client.query('SELECT * FROM unions WHERE property_id = $1 FOR UPDATE', [property_id]),
+        client.query('SELECT id, name FROM rooms WHERE property_id = $1', [property_id])
+      ]);
+      const existingByLocal = new Map(existingResult.rows.map(union => [normalizeKey(union.local_number), union]));
+      const roomIds = new Map(roomsResult.rows.map(room => [normalizeKey(room.name), room.id]));
+      
+      const importResults = {
+        total: workbook.unions.length,
+        imported: 0,
+        updated: 0,
+        skipped: 0,
+        child_rows: Object.fromEntries(UNION_CHILD_SHEETS.map(spec => [spec.key, 0])),
+        errors: [...workbook.errors]
+      };
+      
+      for (const union of workbook.unions) {
+        const label = `${UNION_SHEETS[0].sheet} row ${union.row}${union.local_number ? ` (Local ${union.local_number})` : ''}`;
+        const errors = validateUnion(union).errors;
+        
+        union.venue_rules.forEach((rule, index) => {
+          if (!rule.room) return;
+          rule.room_id = roomIds.get(normalizeKey(rule.room));
+          if (!rule.room_id) {
+            errors.push(`Venue rule ${index + 1}: Room "${rule.room}" does not exist at this property`);
+          }
+        });
+        
+        if (errors.length > 0) {
+          errors.forEach(error => importResults.errors.push(`${label}: ${error}`));
+          importResults.skipped++;
+          continue;
+        }
+        
+        const existing = existingByLocal.get(normalizeKey(union.local_number));
+        const saved = await saveImportedUnion(client, req.user, property_id, union, existing);
+        await replaceUnionChildren(client, saved.id, union, workbook.sheets, importResults.child_rows);
+        
+        if (existing) {
+          importResults.updated++;
+        } else {
+          importResults.imported++;
+        }
+      }
+      
+      await client.query('COMMIT');
+      
+      logger.info('Unions import completed', importResults);
+      
+      res.json({
+        message: `Import completed: ${importResults.imported} unions imported, ${importResults.updated} updated, ${importResults.skipped} skipped`,
+        results: importResults
+      });
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+  } catch (error) {
+    logger.error('Error importing unions:', error);
+    res.status(500).json({
+      error: 'Import Error',
+      message: 'Failed to import union data'
+    });
+  } finally {
+    // Clean up uploaded file
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const { validateImportProfile } = require('../services/validation');
+const {
+  listImportProfiles,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
+} = require('../services/importProfiles');
+const { logger } = require('../utils/logger');
+const { requirePropertyRole, fromBody, fromRecord } = require('../middleware/auth');
+
+const router = express.Router();
+
+const pickProfileFields = (body) => ({
+  property_id: body.property_id,
+  name: body.name,
+  column_map: body.column_map,
+  status_map: body.status_map
+});
+
+const duplicateName = (res) => res.status(409).json({
+  error: 'Conflict',
+  message: 'This property already has an import profile with that name'
+});
+
+// GET /api/import-profiles - List a property's import profiles
+router.get('/', async (req, res) => {
+  try {
+    const { property_id } = req.query;
+
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Missing Parameter',
+        message: 'Property ID is required'
+      });
+    }
+
+    const profiles = await listImportProfiles(parseInt(property_id));
+
+    res.json({
+      profiles,
+      total: profiles.length
+    });
+  } catch (error) {
+    logger.error('Import profiles endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while fetching import profiles'
+    });
+  }
+});
+
+// POST /api/import-profiles - Save a column and status mapping for a property
+router.post('/', requirePropertyRole('property_admin', fromBody()), async (req, res) => {
+  try {
+    const profile = pickProfileFields(req.body);
+
+    const validation = validateImportProfile(profile);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid import profile data',
+        details: validation.errors
+      });
+    }
+
+    const created = await createImportProfile(profile);
+    logger.info('Import profile created successfully', { id: created.id, name: created.name });
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return duplicateName(res);
+    }
+    logger.error('Create import profile endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while creating the import profile'
+    });
+  }
+});
+
+// PUT /api/import-profiles/:id - Update an import profile
+router.put('/:id', requirePropertyRole('property_admin', fromRecord('import_profiles'), fromBody()), async (req, res) => {
+  try {
+    const profileId = parseInt(req.params.id);
+
+    if (isNaN(profileId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Profile ID must be a number'
+      });
+    }
+
+    const profile = pickProfileFields(req.body);
+
+    const validation = validateImportProfile(profile);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid import profile data',
+        details: validation.errors
+      });
+    }
+
+    const updated = await updateImportProfile(profileId, profile);
+
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Import profile not found'
+      });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return duplicateName(res);
+    }
+    logger.error('Update import profile endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while updating the import profile'
+    });
+  }
+});
+
+// DELETE /api/import-profiles/:id - Delete an import profile
+router.delete('/:id', requirePropertyRole('property_admin', fromRecord('import_profiles')), async (req, res) => {
+  try {
+    const profileId = parseInt(req.params.id);
+
+    if (isNaN(profileId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Profile ID must be a number'
+      });
+    }
+
+    const deleted = await deleteImportProfile(profileId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Import profile not found'
+      });
+    }
+
+    logger.info('Import profile deleted successfully', { id: profileId });
+    res.json({
+      message: 'Import profile deleted successfully',
+      id: profileId
+    });
+  } catch (error) {
+    logger.error('Delete import profile endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while deleting the import profile'
+    });
+  }
+});
+
+module.exports = router;
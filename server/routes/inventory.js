@@ -1,7 +1,10 @@
 const express = require('express');
 const { getDatabase } = require('../database/init');
 const { validateInventoryItem } = require('../services/validation');
+const { findSubstitutes } = require('../services/substitutions');
+const { resolveEventWindow } = require('../services/reservations');
 const { logger } = require('../utils/logger');
+const { requirePropertyRole, fromBody, fromRecord } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -95,7 +98,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/inventory - Create a new inventory item
-router.post('/', async (req, res) => {
+router.post('/', requirePropertyRole('property_admin', fromBody()), async (req, res) => {
   try {
     const { 
       property_id, 
@@ -167,7 +170,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/inventory/:id - Update an inventory item
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePropertyRole('property_admin', fromRecord('inventory_items'), fromBody()), async (req, res) => {
   try {
     const itemId = parseInt(req.params.id);
     const { 
@@ -257,7 +260,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/inventory/:id - Delete an inventory item
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePropertyRole('property_admin', fromRecord('inventory_items')), async (req, res) => {
   try {
     const itemId = parseInt(req.params.id);
     
@@ -342,4 +345,56 @@ router.get('/categories', async (req, res) => {
   }
 });
 
+// GET /api/inventory/:id/alternatives - Rank in-stock alternatives for an item
+router.get('/:id/alternatives', async (req, res) => {
+  try {
+    const itemId = parseInt(req.params.id);
+
+    if (isNaN(itemId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Item ID must be a number'
+      });
+    }
+
+    const { event_date, start_time, end_time, limit } = req.query;
+
+    const db = getDatabase();
+    const client = await db.connect();
+    let item;
+    try {
+      const result = await client.query('SELECT id, property_id FROM inventory_items WHERE id = $1', [itemId]);
+      item = result.rows[0];
+    } finally {
+      client.release();
+    }
+
+    if (!item) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item not found'
+      });
+    }
+
+    const eventWindow = resolveEventWindow({ eventDate: event_date, startTime: start_time, endTime: end_time });
+    const { original, alternatives } = await findSubstitutes(item.property_id, { inventory_item_id: item.id }, {
+      eventWindow,
+      limit: parseInt(limit) > 0 ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      item: original,
+      event_window: eventWindow,
+      alternatives,
+      total: alternatives.length
+    });
+  } catch (error) {
+    logger.error('Inventory alternatives endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while finding alternatives'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
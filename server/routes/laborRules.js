@@ -1,7 +1,10 @@
 const express = require('express');
 const { getDatabase } = require('../database/init');
 const { validateLaborRule } = require('../services/validation');
+const { calculateLaborCost } = require('../services/laborCosting');
+const { auditedChange } = require('../services/audit');
 const { logger } = require('../utils/logger');
+const { requirePropertyRole, fromBody, fromRecord } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -90,7 +93,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/labor-rules - Create a new labor rule
-router.post('/', async (req, res) => {
+router.post('/', requirePropertyRole('property_admin', fromBody()), async (req, res) => {
   try {
     const { property_id, rule_type, rule_data, description } = req.body;
     
@@ -112,28 +115,22 @@ router.post('/', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
-    
-    try {
+    const { after: rule } = await auditedChange(req.user, 'labor_rule', 'create', async (client) => {
       const result = await client.query(
         'INSERT INTO labor_rules (property_id, rule_type, rule_data, description) VALUES ($1, $2, $3, $4) RETURNING *',
         [property_id, rule_type, ruleDataString, description]
       );
-      
-      const rule = result.rows[0];
-      
-      // Parse rule_data JSON
-      const parsedRule = {
-        ...rule,
-        rule_data: JSON.parse(rule.rule_data)
-      };
-      
-      logger.info('Labor rule created successfully', { id: rule.id, rule_type, property_id });
-      res.status(201).json(parsedRule);
-    } finally {
-      client.release();
-    }
+      return { after: result.rows[0] };
+    });
+    
+    // Parse rule_data JSON
+    const parsedRule = {
+      ...rule,
+      rule_data: JSON.parse(rule.rule_data)
+    };
+    
+    logger.info('Labor rule created successfully', { id: rule.id, rule_type, property_id });
+    res.status(201).json(parsedRule);
   } catch (error) {
     logger.error('Create labor rule endpoint error:', error);
     res.status(500).json({
@@ -144,7 +141,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/labor-rules/:id - Update a labor rule
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePropertyRole('property_admin', fromRecord('labor_rules'), fromBody()), async (req, res) => {
   try {
     const ruleId = parseInt(req.params.id);
     const { property_id, rule_type, rule_data, description } = req.body;
@@ -174,35 +171,34 @@ router.put('/:id', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
-    
-    try {
+    const change = await auditedChange(req.user, 'labor_rule', 'update', async (client) => {
+      const existing = await client.query('SELECT * FROM labor_rules WHERE id = $1 FOR UPDATE', [ruleId]);
+      if (existing.rows.length === 0) {
+        return null;
+      }
+      
       const result = await client.query(
         'UPDATE labor_rules SET property_id = $1, rule_type = $2, rule_data = $3, description = $4, updated_at = CURRENT_TIMESTAMP WHERE id = $5 RETURNING *',
         [property_id, rule_type, ruleDataString, description, ruleId]
       );
-      
-      if (result.rowCount === 0) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: 'Labor rule not found'
-        });
-      }
-      
-      const rule = result.rows[0];
-      
-      // Parse rule_data JSON
-      const parsedRule = {
-        ...rule,
-        rule_data: JSON.parse(rule.rule_data)
-      };
-      
-      logger.info('Labor rule updated successfully', { id: ruleId, rule_type });
-      res.json(parsedRule);
-    } finally {
-      client.release();
+      return { before: existing.rows[0], after: result.rows[0] };
+    });
+    
+    if (!change) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Labor rule not found'
+      });
     }
+    
+    // Parse rule_data JSON
+    const parsedRule = {
+      ...change.after,
+      rule_data: JSON.parse(change.after.rule_data)
+    };
+    
+    logger.info('Labor rule updated successfully', { id: ruleId, rule_type });
+    res.json(parsedRule);
   } catch (error) {
     logger.error('Update labor rule endpoint error:', error);
     res.status(500).json({
@@ -213,7 +209,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/labor-rules/:id - Delete a labor rule
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePropertyRole('property_admin', fromRecord('labor_rules')), async (req, res) => {
   try {
     const ruleId = parseInt(req.params.id);
     
@@ -224,27 +220,23 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    const db = getDatabase();
-    const client = await db.connect();
+    const change = await auditedChange(req.user, 'labor_rule', 'delete', async (client) => {
+      const result = await client.query('DELETE FROM labor_rules WHERE id = $1 RETURNING *', [ruleId]);
+      return result.rows.length > 0 ? { before: result.rows[0] } : null;
+    });
     
-    try {
-      const result = await client.query('DELETE FROM labor_rules WHERE id = $1', [ruleId]);
-      
-      if (result.rowCount === 0) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: 'Labor rule not found'
-        });
-      }
-      
-      logger.info('Labor rule deleted successfully', { id: ruleId });
-      res.json({
-        message: 'Labor rule deleted successfully',
-        id: ruleId
+    if (!change) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Labor rule not found'
       });
-    } finally {
-      client.release();
     }
+    
+    logger.info('Labor rule deleted successfully', { id: ruleId });
+    res.json({
+      message: 'Labor rule deleted successfully',
+      id: ruleId
+    });
   } catch (error) {
     logger.error('Delete labor rule endpoint error:', error);
     res.status(500).json({
@@ -289,4 +281,36 @@ router.get('/types', async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// POST /api/labor-rules/cost - Cost a crew call schedule against the property's unions
+router.post('/cost', requirePropertyRole('planner', fromBody()), async (req, res) => {
+  try {
+    const { property_id, calls } = req.body;
+
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Missing Parameter',
+        message: 'Property ID is required'
+      });
+    }
+
+    const report = await calculateLaborCost(parseInt(property_id), calls);
+
+    if (report.errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid call schedule',
+        details: report.errors
+      });
+    }
+
+    res.json(report);
+  } catch (error) {
+    logger.error('Labor cost endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while calculating labor cost'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,444 @@
+const express = require('express');
+const { validateEventOrder, validateCrewPlan } = require('../services/validation');
+const { listOrders, getOrder, createOrder, updateOrder, deleteOrder } = require('../services/orders');
+const { renderOrderProposal, renderFrequencyPlan } = require('../services/proposals');
+const { planOrderFrequencies } = require('../services/frequencyCoordination');
+const { getCrewPlan, saveCrewPlan, buildCrewSheet } = require('../services/crewPlanning');
+const { getDatabase } = require('../database/init');
+const { logger } = require('../utils/logger');
+const { requirePropertyRole, fromBody, fromRecord } = require('../middleware/auth');
+
+const router = express.Router();
+
+const pickOrderFields = (body) => ({
+  property_id: body.property_id,
+  event_name: body.event_name,
+  event_date: body.event_date,
+  start_time: body.start_time,
+  end_time: body.end_time,
+  attendees: body.attendees,
+  room_id: body.room_id,
+  equipment_list: body.equipment_list,
+  labor_plan: body.labor_plan,
+  total_cost: body.total_cost,
+  status: body.status,
+  notes: body.notes
+});
+
+/**
+ * Checks that an order's room is one of its property's rooms
+ */
+const roomBelongsToProperty = async (propertyId, roomId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT id FROM rooms WHERE id = $1 AND property_id = $2',
+      [roomId, propertyId]
+    );
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+};
+
+const sendRoomError = (res) => res.status(400).json({
+  error: 'Validation Error',
+  message: 'Invalid event order data',
+  details: ['Room must be one of this property\'s rooms']
+});
+
+// GET /api/orders - List event orders for a property
+router.get('/', async (req, res) => {
+  try {
+    const { property_id, status } = req.query;
+
+    if (!property_id) {
+      return res.status(400).json({
+        error: 'Missing Parameter',
+        message: 'Property ID is required'
+      });
+    }
+
+    const orders = await listOrders(parseInt(property_id), { status });
+
+    res.json({
+      orders,
+      total: orders.length
+    });
+  } catch (error) {
+    logger.error('Orders endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while fetching event orders'
+    });
+  }
+});
+
+// GET /api/orders/:id - Get a specific event order
+router.get('/:id', async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Order ID must be a number'
+      });
+    }
+
+    const order = await getOrder(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event order not found'
+      });
+    }
+
+    res.json(order);
+  } catch (error) {
+    logger.error('Order endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while fetching the event order'
+    });
+  }
+});
+
+// GET /api/orders/:id/proposal.pdf - Render a client-facing proposal PDF
+router.get('/:id/proposal.pdf', async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Order ID must be a number'
+      });
+    }
+
+    const proposal = await renderOrderProposal(orderId);
+
+    if (!proposal) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event order not found'
+      });
+    }
+
+    const slug = (proposal.order.event_name || 'event').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="proposal-${orderId}-${slug || 'event'}.pdf"`);
+    res.send(proposal.pdf);
+  } catch (error) {
+    logger.error('Order proposal endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while generating the proposal'
+    });
+  }
+});
+
+// GET /api/orders/:id/frequencies - Wireless frequencies for the order's mics
+// and IEMs, coordinated with other bookings in overlapping windows
+router.get('/:id/frequencies', async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Order ID must be a number'
+      });
+    }
+
+    const order = await getOrder(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event order not found'
+      });
+    }
+
+    res.json({
+      order_id: order.id,
+      ...(await planOrderFrequencies(order))
+    });
+  } catch (error) {
+    logger.error('Order frequencies endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while coordinating frequencies'
+    });
+  }
+});
+
+// GET /api/orders/:id/frequencies.pdf - Printable wireless frequency plan
+router.get('/:id/frequencies.pdf', async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Order ID must be a number'
+      });
+    }
+
+    const frequencyPlan = await renderFrequencyPlan(orderId);
+
+    if (!frequencyPlan) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event order not found'
+      });
+    }
+
+    const slug = (frequencyPlan.order.event_name || 'event').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${req.query.download ? 'attachment' : 'inline'}; filename="frequency-plan-${orderId}-${slug || 'event'}.pdf"`);
+    res.send(frequencyPlan.pdf);
+  } catch (error) {
+    logger.error('Order frequency plan endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while generating the frequency plan'
+    });
+  }
+});
+
+const sendCrewPlan = (res, plan) => res.json({
+  order_id: plan.order.id,
+  saved: plan.saved,
+  calls: plan.calls,
+  warnings: plan.warnings,
+  cost: plan.cost
+});
+
+// GET /api/orders/:id/crew - Crew calls for an order: the saved plan, or one
+// generated from its equipment and union requirements (?regenerate=1 to rebuild)
+router.get('/:id/crew', async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Order ID must be a number'
+      });
+    }
+
+    const plan = await getCrewPlan(orderId, { regenerate: !!req.query.regenerate });
+
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event order not found'
+      });
+    }
+
+    sendCrewPlan(res, plan);
+  } catch (error) {
+    logger.error('Order crew plan endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while planning crew calls'
+    });
+  }
+});
+
+// PUT /api/orders/:id/crew - Save edited crew calls; { calls: null } reverts to the generated plan
+router.put('/:id/crew', requirePropertyRole('planner', fromRecord('event_orders')), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Order ID must be a number'
+      });
+    }
+
+    const { calls } = req.body;
+    if (calls !== null) {
+      const validation = validateCrewPlan(calls);
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Invalid crew calls',
+          details: validation.errors
+        });
+      }
+    }
+
+    const saved = await saveCrewPlan(orderId, calls);
+
+    if (!saved) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event order not found'
+      });
+    }
+
+    sendCrewPlan(res, await getCrewPlan(orderId));
+  } catch (error) {
+    logger.error('Save crew plan endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while saving crew calls'
+    });
+  }
+});
+
+// GET /api/orders/:id/crew.xlsx - Download the crew plan as a crew sheet workbook
+router.get('/:id/crew.xlsx', async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Order ID must be a number'
+      });
+    }
+
+    const plan = await getCrewPlan(orderId);
+
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event order not found'
+      });
+    }
+
+    const slug = (plan.order.event_name || 'event').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="crew-sheet-${orderId}-${slug || 'event'}.xlsx"`);
+    res.send(buildCrewSheet(plan));
+  } catch (error) {
+    logger.error('Order crew sheet endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while generating the crew sheet'
+    });
+  }
+});
+
+// POST /api/orders - Create a new event order
+router.post('/', requirePropertyRole('planner', fromBody()), async (req, res) => {
+  try {
+    const order = pickOrderFields(req.body);
+
+    const validation = validateEventOrder(order);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid event order data',
+        details: validation.errors
+      });
+    }
+
+    if (order.room_id && !(await roomBelongsToProperty(order.property_id, order.room_id))) {
+      return sendRoomError(res);
+    }
+
+    const created = await createOrder(order);
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('Create order endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while creating the event order'
+    });
+  }
+});
+
+// PUT /api/orders/:id - Update an event order
+router.put('/:id', requirePropertyRole('planner', fromRecord('event_orders'), fromBody()), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Order ID must be a number'
+      });
+    }
+
+    const order = pickOrderFields(req.body);
+
+    const validation = validateEventOrder(order);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid event order data',
+        details: validation.errors
+      });
+    }
+
+    // The order keeps its property, so the room must be at that one
+    if (order.room_id) {
+      const existing = await getOrder(orderId);
+      if (existing && !(await roomBelongsToProperty(existing.property_id, order.room_id))) {
+        return sendRoomError(res);
+      }
+    }
+
+    const updated = await updateOrder(orderId, order);
+
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event order not found'
+      });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    logger.error('Update order endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while updating the event order'
+    });
+  }
+});
+
+// DELETE /api/orders/:id - Delete an event order
+router.delete('/:id', requirePropertyRole('planner', fromRecord('event_orders')), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'Order ID must be a number'
+      });
+    }
+
+    const deleted = await deleteOrder(orderId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event order not found'
+      });
+    }
+
+    logger.info('Event order deleted successfully', { id: orderId });
+    res.json({
+      message: 'Event order deleted successfully',
+      id: orderId
+    });
+  } catch (error) {
+    logger.error('Delete order endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while deleting the event order'
+    });
+  }
+});
+
+module.exports = router;
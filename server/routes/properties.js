@@ -1,5 +1,6 @@
 const express = require('express');
 const { logger } = require('../utils/logger');
+const { requireRole, requirePropertyRole, fromParam } = require('../middleware/auth');
 
 // Auto-detect database type and get the appropriate database connection
 const usePostgres = !!process.env.DATABASE_URL;
@@ -106,7 +107,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/properties - Create a new property
-router.post('/', async (req, res) => {
+router.post('/', requireRole('super_admin'), async (req, res) => {
   try {
     const { property_code, name, location, description, contact_info } = req.body;
     
@@ -161,7 +162,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/properties/:id - Update a property
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePropertyRole('property_admin', fromParam()), async (req, res) => {
   try {
     const propertyId = parseInt(req.params.id);
     const { property_code, name, location, description, contact_info } = req.body;
@@ -232,7 +233,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/properties/:id - Delete a property
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireRole('super_admin'), async (req, res) => {
   try {
     const propertyId = parseInt(req.params.id);
     
@@ -2,6 +2,7 @@ const express = require('express');
 const { getDatabase } = require('../database/init');
 const { validateRoom } = require('../services/validation');
 const { logger } = require('../utils/logger');
+const { requirePropertyRole, fromBody, fromRecord } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -75,7 +76,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/rooms - Create a new room
-router.post('/', async (req, res) => {
+router.post('/', requirePropertyRole('property_admin', fromBody()), async (req, res) => {
   try {
     const { property_id, name, capacity, dimensions, built_in_av, features } = req.body;
     
@@ -114,7 +115,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/rooms/:id - Update a room
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePropertyRole('property_admin', fromRecord('rooms'), fromBody()), async (req, res) => {
   try {
     const roomId = parseInt(req.params.id);
     const { property_id, name, capacity, dimensions, built_in_av, features } = req.body;
@@ -170,7 +171,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/rooms/:id - Delete a room
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePropertyRole('property_admin', fromRecord('rooms')), async (req, res) => {
   try {
     const roomId = parseInt(req.params.id);
     
@@ -8,55 +8,10 @@ const { getDatabase } = usePostgres
   : require('../database/init');
 
 const { logger } = require('../utils/logger');
-
-// Validation functions
-const validateUnion = (union) => {
-  const errors = [];
-  
-  if (!union.local_number || union.local_number.trim() === '') {
-    errors.push('Local number is required');
-  }
-  
-  if (!union.name || union.name.trim() === '') {
-    errors.push('Union name is required');
-  }
-  
-  if (!union.trade || union.trade.trim() === '') {
-    errors.push('Trade is required');
-  }
-  
-  if (union.regular_rate && (isNaN(union.regular_rate) || union.regular_rate < 0)) {
-    errors.push('Regular rate must be a positive number');
-  }
-  
-  if (union.overtime_rate && (isNaN(union.overtime_rate) || union.overtime_rate < 0)) {
-    errors.push('Overtime rate must be a positive number');
-  }
-  
-  if (union.doubletime_rate && (isNaN(union.doubletime_rate) || union.doubletime_rate < 0)) {
-    errors.push('Doubletime rate must be a positive number');
-  }
-  
-  if (union.overtime_threshold && (isNaN(union.overtime_threshold) || union.overtime_threshold < 1)) {
-    errors.push('Overtime threshold must be at least 1 hour');
-  }
-  
-  if (union.doubletime_threshold && (isNaN(union.doubletime_threshold) || union.doubletime_threshold < 1)) {
-    errors.push('Doubletime threshold must be at least 1 hour');
-  }
-  
-  // Validate time format (HH:MM)
-  const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
-  if (union.regular_hours_start && !timeRegex.test(union.regular_hours_start)) {
-    errors.push('Regular hours start must be in HH:MM format');
-  }
-  
-  if (union.regular_hours_end && !timeRegex.test(union.regular_hours_end)) {
-    errors.push('Regular hours end must be in HH:MM format');
-  }
-  
-  return errors;
-};
+const { validateUnion, validateUnionChild } = require('../services/validation');
+const { auditedChange } = require('../services/audit');
+const { expandSpecialDays } = require('../services/holidays');
+const { requirePropertyRole, fromBody, fromRecord } = require('../middleware/auth');
 
 // GET /api/unions - Get all unions for a property
 router.get('/', async (req, res) => {
@@ -136,17 +91,17 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/unions - Create new union
-router.post('/', async (req, res) => {
+router.post('/', requirePropertyRole('property_admin', fromBody()), async (req, res) => {
   try {
     const union = req.body;
     
     // Validate input
-    const errors = validateUnion(union);
-    if (errors.length > 0) {
+    const validation = validateUnion(union);
+    if (!validation.valid) {
       return res.status(400).json({ 
         success: false, 
         message: 'Validation failed', 
-        errors 
+        errors: validation.errors 
       });
     }
     
@@ -203,18 +158,18 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/unions/:id - Update union
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePropertyRole('property_admin', fromRecord('unions'), fromBody()), async (req, res) => {
   try {
     const { id } = req.params;
     const union = req.body;
     
     // Validate input
-    const errors = validateUnion(union);
-    if (errors.length > 0) {
+    const validation = validateUnion(union);
+    if (!validation.valid) {
       return res.status(400).json({ 
         success: false, 
         message: 'Validation failed', 
-        errors 
+        errors: validation.errors 
       });
     }
     
@@ -278,7 +233,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/unions/:id - Delete union
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePropertyRole('property_admin', fromRecord('unions')), async (req, res) => {
   try {
     const { id } = req.params;
     const db = getDatabase();
@@ -314,137 +269,364 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// POST /api/unions/:id/schedules - Add schedule rule
-router.post('/:id/schedules', async (req, res) => {
+// Union child tables, edited under /api/unions/:id/<path>. key is the name
+// their rows go by on a union, as in validateUnion and the import workbook.
+const CHILD_RESOURCES = {
+  schedules: {
+    key: 'schedules',
+    table: 'union_schedules',
+    label: 'Schedule rule',
+    fields: ['day_of_week', 'start_time', 'end_time', 'rate_type', 'rate_multiplier', 'description'],
+    orderBy: 'day_of_week, start_time, id'
+  },
+  equipment: {
+    key: 'equipment_requirements',
+    table: 'union_equipment_requirements',
+    label: 'Equipment requirement',
+    fields: ['equipment_category', 'equipment_type', 'is_required', 'minimum_crew_size', 'notes'],
+    defaults: { is_required: false, minimum_crew_size: 1 }
+  },
+  'venue-rules': {
+    key: 'venue_rules',
+    table: 'union_venue_rules',
+    label: 'Venue rule',
+    fields: ['room_id', 'rule_type', 'condition_text', 'threshold_value', 'threshold_unit', 'action_required', 'notes']
+  },
+  penalties: {
+    key: 'time_penalties',
+    table: 'union_time_penalties',
+    label: 'Time penalty',
+    fields: ['penalty_type', 'condition_description', 'penalty_amount', 'penalty_type_amount', 'applies_after_hours', 'applies_before_time', 'notes']
+  },
+  'special-days': {
+    key: 'special_days',
+    table: 'union_special_days',
+    label: 'Special day',
+    fields: ['date_specific', 'date_pattern', 'holiday_name', 'rate_multiplier', 'minimum_call', 'special_rules'],
+    orderBy: 'date_specific NULLS LAST, id'
+  }
+};
+
+/**
+ * Reads a child row from a request body: the resource's fields only, with
+ * blanks as null and the column defaults filled in
+ */
+const pickChildFields = (resource, body) => {
+  const record = {};
+  resource.fields.forEach(field => {
+    const value = body[field];
+    record[field] = value === undefined || value === '' ? null : value;
+  });
+  Object.entries(resource.defaults || {}).forEach(([field, value]) => {
+    if (record[field] === null) record[field] = value;
+  });
+  return record;
+};
+
+/**
+ * Checks that a venue rule's room is at the union's property
+ */
+const roomBelongsToUnion = async (unionId, roomId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
   try {
-    const { id } = req.params;
-    const schedule = req.body;
-    
-    const db = getDatabase();
-    const client = await db.connect();
-    
+    const result = await client.query(`
+      SELECT r.id FROM rooms r
+      JOIN unions u ON u.property_id = r.property_id
+      WHERE u.id = $1 AND r.id = $2
+    `, [unionId, roomId]);
+    return result.rows.length > 0;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Runs a change to one of a union's child rows and records it on the union's
+ * audit trail as an update of that rule list. change(client) returns
+ * { before, after } child rows, or null when the row does not exist.
+ * Resolves to the changed row, or null when the union or row does not exist.
+ */
+const auditedChildChange = async (user, unionId, resource, change) => {
+  const result = await auditedChange(user, 'union', 'update', async (client) => {
+    const union = await client.query('SELECT id, property_id FROM unions WHERE id = $1', [unionId]);
+    if (union.rows.length === 0) {
+      return null;
+    }
+
+    const rows = await change(client);
+    if (!rows) {
+      return null;
+    }
+
+    const { id, property_id } = union.rows[0];
+    const wrap = (row) => ({ id, property_id, [resource.key]: row || null });
+    return { before: wrap(rows.before), after: wrap(rows.after), row: rows.after || rows.before };
+  });
+
+  return result ? result.row : null;
+};
+
+Object.entries(CHILD_RESOURCES).forEach(([path, resource]) => {
+  const notFound = (res) => res.status(404).json({
+    success: false,
+    message: `${resource.label} not found`
+  });
+
+  // Validates the body and the venue rule's room; sends a 400 and returns null if invalid
+  const readChildBody = async (req, res, unionId) => {
+    const record = pickChildFields(resource, req.body);
+
+    const validation = validateUnionChild(resource.key, record);
+    if (!validation.valid) {
+      res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: validation.errors
+      });
+      return null;
+    }
+
+    if (record.room_id && !(await roomBelongsToUnion(unionId, record.room_id))) {
+      res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: ['Room must be one of this property\'s rooms']
+      });
+      return null;
+    }
+
+    return record;
+  };
+
+  // GET /api/unions/:id/<path> - List a union's rows
+  router.get(`/:id/${path}`, async (req, res) => {
     try {
-      const result = await client.query(`
-        INSERT INTO union_schedules (
-          union_id, day_of_week, start_time, end_time, 
-          rate_type, rate_multiplier, description
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-        RETURNING id
-      `, [
-        id,
-        schedule.day_of_week,
-        schedule.start_time,
-        schedule.end_time,
-        schedule.rate_type,
-        schedule.rate_multiplier,
-        schedule.description || ''
-      ]);
-      
+      const unionId = parseInt(req.params.id);
+
+      if (isNaN(unionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Union ID must be a number'
+        });
+      }
+
+      const db = getDatabase();
+      const client = await db.connect();
+
+      try {
+        const result = await client.query(
+          `SELECT * FROM ${resource.table} WHERE union_id = $1 ORDER BY ${resource.orderBy || 'id'}`,
+          [unionId]
+        );
+
+        res.json({
+          success: true,
+          data: result.rows
+        });
+      } finally {
+        client.release();
+      }
+
+    } catch (error) {
+      logger.error(`Error fetching ${resource.table}:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch ${resource.label.toLowerCase()}s`,
+        error: error.message
+      });
+    }
+  });
+
+  // POST /api/unions/:id/<path> - Add a row
+  router.post(`/:id/${path}`, requirePropertyRole('property_admin', fromRecord('unions')), async (req, res) => {
+    try {
+      const unionId = parseInt(req.params.id);
+      const record = await readChildBody(req, res, unionId);
+      if (!record) return;
+
+      const created = await auditedChildChange(req.user, unionId, resource, async (client) => {
+        const values = [unionId, ...resource.fields.map(field => record[field])];
+        const result = await client.query(`
+          INSERT INTO ${resource.table} (union_id, ${resource.fields.join(', ')})
+          VALUES (${values.map((_, index) => `$${index + 1}`).join(', ')})
+          RETURNING *
+        `, values);
+        return { after: result.rows[0] };
+      });
+
+      if (!created) {
+        return res.status(404).json({
+          success: false,
+          message: 'Union not found'
+        });
+      }
+
       res.status(201).json({
         success: true,
-        message: 'Schedule rule added successfully',
-        data: { id: result.rows[0].id, ...schedule }
+        message: `${resource.label} added successfully`,
+        data: created
+      });
+
+    } catch (error) {
+      logger.error(`Error adding ${resource.table} row:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to add ${resource.label.toLowerCase()}`,
+        error: error.message
       });
-    } finally {
-      client.release();
     }
-    
-  } catch (error) {
-    logger.error('Error adding schedule rule:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to add schedule rule',
-      error: error.message 
-    });
-  }
-});
+  });
 
-// POST /api/unions/:id/equipment - Add equipment requirement
-router.post('/:id/equipment', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const equipment = req.body;
-    
-    const db = getDatabase();
-    const client = await db.connect();
-    
+  // PUT /api/unions/:id/<path>/:ruleId - Update a row
+  router.put(`/:id/${path}/:ruleId`, requirePropertyRole('property_admin', fromRecord('unions')), async (req, res) => {
     try {
-      const result = await client.query(`
-        INSERT INTO union_equipment_requirements (
-          union_id, equipment_category, equipment_type, 
-          is_required, minimum_crew_size, notes
-        ) VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id
-      `, [
-        id,
-        equipment.equipment_category,
-        equipment.equipment_type,
-        equipment.is_required ? true : false,
-        equipment.minimum_crew_size || 1,
-        equipment.notes || ''
-      ]);
-      
-      res.status(201).json({
+      const unionId = parseInt(req.params.id);
+      const ruleId = parseInt(req.params.ruleId);
+
+      if (isNaN(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          message: `${resource.label} ID must be a number`
+        });
+      }
+
+      const record = await readChildBody(req, res, unionId);
+      if (!record) return;
+
+      const updated = await auditedChildChange(req.user, unionId, resource, async (client) => {
+        const existing = await client.query(
+          `SELECT * FROM ${resource.table} WHERE id = $1 AND union_id = $2 FOR UPDATE`,
+          [ruleId, unionId]
+        );
+        if (existing.rows.length === 0) {
+          return null;
+        }
+
+        const assignments = resource.fields.map((field, index) => `${field} = $${index + 1}`);
+        const result = await client.query(`
+          UPDATE ${resource.table} SET ${assignments.join(', ')}
+          WHERE id = $${resource.fields.length + 1}
+          RETURNING *
+        `, [...resource.fields.map(field => record[field]), ruleId]);
+        return { before: existing.rows[0], after: result.rows[0] };
+      });
+
+      if (!updated) {
+        return notFound(res);
+      }
+
+      res.json({
         success: true,
-        message: 'Equipment requirement added successfully',
-        data: { id: result.rows[0].id, ...equipment }
+        message: `${resource.label} updated successfully`,
+        data: updated
+      });
+
+    } catch (error) {
+      logger.error(`Error updating ${resource.table} row:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to update ${resource.label.toLowerCase()}`,
+        error: error.message
       });
-    } finally {
-      client.release();
     }
-    
-  } catch (error) {
-    logger.error('Error adding equipment requirement:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to add equipment requirement',
-      error: error.message 
-    });
-  }
+  });
+
+  // DELETE /api/unions/:id/<path>/:ruleId - Delete a row
+  router.delete(`/:id/${path}/:ruleId`, requirePropertyRole('property_admin', fromRecord('unions')), async (req, res) => {
+    try {
+      const unionId = parseInt(req.params.id);
+      const ruleId = parseInt(req.params.ruleId);
+
+      if (isNaN(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          message: `${resource.label} ID must be a number`
+        });
+      }
+
+      const deleted = await auditedChildChange(req.user, unionId, resource, async (client) => {
+        const result = await client.query(
+          `DELETE FROM ${resource.table} WHERE id = $1 AND union_id = $2 RETURNING *`,
+          [ruleId, unionId]
+        );
+        return result.rows[0] ? { before: result.rows[0] } : null;
+      });
+
+      if (!deleted) {
+        return notFound(res);
+      }
+
+      res.json({
+        success: true,
+        message: `${resource.label} deleted successfully`,
+        data: deleted
+      });
+
+    } catch (error) {
+      logger.error(`Error deleting ${resource.table} row:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to delete ${resource.label.toLowerCase()}`,
+        error: error.message
+      });
+    }
+  });
 });
 
-// POST /api/unions/:id/venue-rules - Add venue-specific rule
-router.post('/:id/venue-rules', async (req, res) => {
+// GET /api/unions/:id/holidays?year= - A union's special days resolved to
+// dates for a year (default this year), with date patterns expanded
+router.get('/:id/holidays', async (req, res) => {
   try {
-    const { id } = req.params;
-    const rule = req.body;
-    
+    const unionId = parseInt(req.params.id);
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+
+    if (isNaN(unionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Union ID must be a number'
+      });
+    }
+
+    if (isNaN(year) || year < 1900 || year > 2200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Year must be between 1900 and 2200'
+      });
+    }
+
     const db = getDatabase();
     const client = await db.connect();
-    
+
     try {
-      const result = await client.query(`
-        INSERT INTO union_venue_rules (
-          union_id, room_id, rule_type, condition_text,
-          threshold_value, threshold_unit, action_required, notes
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        RETURNING id
-      `, [
-        id,
-        rule.room_id || null,
-        rule.rule_type,
-        rule.condition_text,
-        rule.threshold_value || null,
-        rule.threshold_unit || null,
-        rule.action_required || '',
-        rule.notes || ''
-      ]);
-      
-      res.status(201).json({
+      const union = await client.query('SELECT id FROM unions WHERE id = $1', [unionId]);
+      if (union.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Union not found'
+        });
+      }
+
+      const result = await client.query('SELECT * FROM union_special_days WHERE union_id = $1', [unionId]);
+      const { holidays, unresolved } = expandSpecialDays(result.rows, year);
+
+      res.json({
         success: true,
-        message: 'Venue rule added successfully',
-        data: { id: result.rows[0].id, ...rule }
+        year,
+        data: holidays,
+        unresolved
       });
     } finally {
       client.release();
     }
-    
+
   } catch (error) {
-    logger.error('Error adding venue rule:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to add venue rule',
-      error: error.message 
+    logger.error('Error resolving union holidays:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve union holidays',
+      error: error.message
     });
   }
 });
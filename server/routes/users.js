@@ -0,0 +1,165 @@
+const express = require('express');
+const { validateUser } = require('../services/validation');
+const { listUsers, getUser, createUser, updateUser, deleteUser } = require('../services/users');
+const { requireRole } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// User management is limited to super-admins
+router.use(requireRole('super_admin'));
+
+// Only the fields sent, so an update leaves the rest of the account alone
+const pickUserFields = (body) => Object.fromEntries(
+  ['email', 'name', 'password', 'role', 'property_ids', 'active']
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+// GET /api/users - List user accounts
+router.get('/', async (req, res) => {
+  try {
+    const users = await listUsers();
+
+    res.json({
+      users,
+      total: users.length
+    });
+  } catch (error) {
+    logger.error('Users endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while fetching users'
+    });
+  }
+});
+
+// POST /api/users - Create a user account
+router.post('/', async (req, res) => {
+  try {
+    const user = pickUserFields(req.body);
+
+    const validation = validateUser(user);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid user data',
+        details: validation.errors
+      });
+    }
+
+    const created = await createUser(user);
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A user with this email already exists'
+      });
+    }
+    logger.error('Create user endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while creating the user'
+    });
+  }
+});
+
+// PUT /api/users/:id - Update a user's details, role, properties or password
+router.put('/:id', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'User ID must be a number'
+      });
+    }
+
+    const existing = await getUser(userId);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    const user = pickUserFields(req.body);
+
+    const validation = validateUser({ ...existing, ...user }, { requirePassword: false });
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Invalid user data',
+        details: validation.errors
+      });
+    }
+
+    if (userId === req.user.id && ((user.role && user.role !== 'super_admin') || user.active === false)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'You cannot demote or deactivate your own account'
+      });
+    }
+
+    const updated = await updateUser(userId, user);
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A user with this email already exists'
+      });
+    }
+    logger.error('Update user endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while updating the user'
+    });
+  }
+});
+
+// DELETE /api/users/:id - Delete a user account
+router.delete('/:id', async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'User ID must be a number'
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        error: 'Invalid Input',
+        message: 'You cannot delete your own account'
+      });
+    }
+
+    const deleted = await deleteUser(userId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'User not found'
+      });
+    }
+
+    logger.info('User deleted successfully', { id: userId });
+    res.json({
+      message: 'User deleted successfully',
+      id: userId
+    });
+  } catch (error) {
+    logger.error('Delete user endpoint error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An error occurred while deleting the user'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// Creates a user account from the command line:
+//   node scripts/createUser.js <email> <password> [role] [property_id,...]
+// role is planner, property_admin or super_admin (default planner)
+require('dotenv').config();
+const { initDatabase, closeDatabase } = require('../database/init');
+const { createUser } = require('../services/users');
+const { validateUser } = require('../services/validation');
+const { logger } = require('../utils/logger');
+
+async function main() {
+  const [email, password, role = 'planner', properties = ''] = process.argv.slice(2);
+  const user = {
+    email,
+    password,
+    role,
+    property_ids: properties.split(',').filter(Boolean).map(id => parseInt(id))
+  };
+
+  const validation = validateUser(user);
+  if (!validation.valid) {
+    throw new Error(validation.errors.join('; '));
+  }
+
+  await initDatabase();
+  try {
+    const created = await createUser(user);
+    logger.info(`✅ Created ${created.role} ${created.email} (id ${created.id})`);
+  } finally {
+    await closeDatabase();
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      logger.error('💥 Could not create user:', error);
+      process.exit(1);
+    });
+}
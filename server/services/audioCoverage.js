@@ -0,0 +1,249 @@
+const { getDatabase } = require('../database/init');
+const { findRoom, resolveSpace, audienceLayout } = require('./rooms');
+const { readInventorySpecs } = require('./inventorySpecs');
+
+// Level wanted at the farthest listener: 85 dB for speech, louder for music
+const TARGET_SPL_DB = { speech: 85, music: 95 };
+const PROGRAM_TYPES = Object.keys(TARGET_SPL_DB);
+
+const HEADROOM_DB = 10; // program peaks above the average level
+const DEFAULT_COVERAGE_DEG = 90;
+const DEFAULT_MAX_SPL_DB = 120; // compact PA cabinet, assumed when not recorded
+const MAX_THROW_FT = 100; // past this, arrival delay hurts intelligibility
+const LOW_CEILING_FT = 12; // speakers cannot be raised above the audience
+const LOW_CEILING_THROW_FT = 40; // ...so heads shadow anything farther back
+const MIN_ZONE_DEPTH_FT = 15;
+const MIN_SPREAD_DISTANCE_FT = 10;
+const FEET_PER_METER = 3.28;
+const SOUND_FT_PER_MS = 1.13;
+const PRECEDENCE_MS = 10; // delays arrive just after the mains so sound seems to come from the stage
+const ATTENDEES_PER_SPEAKER = 100;
+
+const SPEAKER_PATTERN = /speaker|loudspeaker|line array|\bpa\b/i;
+const NOT_COVERAGE_PATTERN = /sub ?woofer|\bsubs?\b|monitor|wedge/i;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+const specText = (item) => [item.name, item.model, item.description].filter(Boolean).join(' ');
+
+// "90° x 60°", "90x50" (horizontal first), or "110°"
+const parseCoverage = (text) => {
+  const match = text.match(/(\d{2,3})\s*°?\s*[x×]\s*\d{2,3}\s*°/i) || text.match(/(\d{2,3})\s*°/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// "136 dB", "max SPL 128dB"
+const parseMaxSpl = (text) => {
+  const match = text.match(/(1\d{2})\s*dB/i);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * A speaker's horizontal coverage angle and maximum SPL: the recorded specs,
+ * falling back to figures in its name, model or description, then to
+ * typical values. assumed lists the specs that fell back to typical values.
+ */
+const speakerSpecs = (item) => {
+  const specs = readInventorySpecs(item);
+  const text = specText(item);
+  const coverage = specs.coverage_angle_deg ?? parseCoverage(text);
+  const maxSpl = specs.max_spl_db ?? parseMaxSpl(text);
+
+  return {
+    coverage_angle_deg: coverage ?? DEFAULT_COVERAGE_DEG,
+    max_spl_db: maxSpl ?? DEFAULT_MAX_SPL_DB,
+    assumed: [
+      ...(coverage === null ? ['coverage_angle_deg'] : []),
+      ...(maxSpl === null ? ['max_spl_db'] : [])
+    ]
+  };
+};
+
+/**
+ * Lays out speaker zones front to back. The mains sit at the stage edge and
+ * no zone is deeper than a speaker can throw: its reach (level falls 6 dB
+ * per doubling of distance from the 1 m rating, less headroom, down to the
+ * target) capped for intelligibility and, under a low ceiling, for audience
+ * shadowing. The audience is split evenly into that many zones; those past
+ * the mains are delay fills, timed to arrive just after the mains. Each zone
+ * gets enough speakers, two at least, for their coverage angles to span the
+ * room's width halfway into the zone.
+ */
+const planZones = (space, audienceDepth, { coverageDeg, maxSpl, targetSpl }) => {
+  const reach = FEET_PER_METER * 10 ** ((maxSpl - HEADROOM_DB - targetSpl) / 20);
+  const lowCeiling = space.ceiling_height_ft && space.ceiling_height_ft < LOW_CEILING_FT;
+  const throwLimit = Math.max(MIN_ZONE_DEPTH_FT, Math.min(reach, lowCeiling ? LOW_CEILING_THROW_FT : MAX_THROW_FT));
+  const zoneCount = Math.max(1, Math.ceil(audienceDepth / throwLimit - 1e-9));
+  const zoneDepth = audienceDepth / zoneCount;
+  const spreadFactor = 2 * Math.tan((Math.min(coverageDeg, 170) / 2) * Math.PI / 180);
+
+  const zones = [];
+  for (let index = 0; index < zoneCount; index += 1) {
+    const start = index * zoneDepth;
+    const end = Math.min(audienceDepth, start + zoneDepth);
+    const spread = spreadFactor * Math.max((end - start) / 2, MIN_SPREAD_DISTANCE_FT);
+
+    zones.push({
+      zone: index === 0 ? 'main' : 'delay',
+      name: index === 0 ? 'Mains' : `Delay ${index}`,
+      position: index === 0 ? 'Stage edge, left and right' : `${round(start)} ft from the stage, across the room`,
+      covers_from_ft: round(start),
+      covers_to_ft: round(end),
+      speakers: Math.max(2, Math.ceil(space.width_ft / spread)),
+      delay_ms: index === 0 ? 0 : Math.round(start / SOUND_FT_PER_MS + PRECEDENCE_MS)
+    });
+  }
+
+  return {
+    reach_ft: round(reach),
+    zone_depth_ft: round(zoneDepth),
+    low_ceiling: !!lowCeiling,
+    zones,
+    speakers_total: zones.reduce((sum, zone) => sum + zone.speakers, 0)
+  };
+};
+
+/**
+ * Recommends speaker quantity, placement zones and delay fills for a space
+ * from its area, ceiling height and audience, for each speaker model in a
+ * property's inventory. The recommended model is the one in stock in enough
+ * quantity that needs the fewest speakers; its plan is returned at the top
+ * level, with an equipment_list validateOrder can check against availability.
+ * The space is a room (by roomId or roomName) and/or explicit length_ft,
+ * width_ft and ceiling_height_ft, which take precedence over the room's.
+ * Resolves to null when the named room does not exist.
+ */
+const calculateAudioCoverage = async (propertyId, {
+  roomId = null,
+  roomName = null,
+  length_ft = null,
+  width_ft = null,
+  ceiling_height_ft = null,
+  attendees = null,
+  setupStyle = null,
+  program = 'speech'
+} = {}) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const room = roomId || roomName ? await findRoom(client, propertyId, { roomId, roomName }) : null;
+    if ((roomId || roomName) && !room) {
+      return null;
+    }
+
+    const space = resolveSpace(room, { length_ft, width_ft, ceiling_height_ft });
+    const attendeeCount = attendees ? parseInt(attendees, 10) : null;
+    const targetSpl = TARGET_SPL_DB[program];
+
+    const coverage = {
+      room: room ? { id: room.id, name: room.name } : null,
+      space,
+      inputs: {
+        attendees: attendeeCount,
+        setup_style: setupStyle || null,
+        program
+      },
+      target_spl_db: targetSpl,
+      audience: null,
+      rule_of_thumb_speakers: attendeeCount ? Math.ceil(attendeeCount / ATTENDEES_PER_SPEAKER) : null,
+      speaker_models: [],
+      recommended: null,
+      zones: [],
+      speakers_total: null,
+      delay_fill_needed: null,
+      equipment_list: [],
+      warnings: []
+    };
+
+    if (!space.length_ft || !space.width_ft) {
+      coverage.warnings.push(room
+        ? `Record the length and width of ${room.name} to plan speaker coverage`
+        : 'The length and width of the space are needed to plan speaker coverage');
+      return coverage;
+    }
+
+    const layout = audienceLayout(space, { attendees: attendeeCount, setupStyle });
+    coverage.audience = {
+      area_sqft: Math.round(layout.audience_depth_ft * space.width_ft),
+      depth_ft: round(layout.audience_depth_ft)
+    };
+    if (layout.floor_needed_sqft > layout.floor_available_sqft) {
+      coverage.warnings.push(`${attendeeCount} attendees in ${layout.setup_style} style need about ${layout.floor_needed_sqft} sq ft; the room has about ${layout.floor_available_sqft} sq ft of seating floor`);
+    }
+    if (!space.ceiling_height_ft) {
+      coverage.warnings.push('Ceiling height is not recorded, so speakers are assumed to fly or stand above the audience');
+    }
+
+    const itemsResult = await client.query(
+      "SELECT * FROM inventory_items WHERE property_id = $1 AND status = 'available' AND quantity_available > 0 ORDER BY name",
+      [propertyId]
+    );
+    const speakers = itemsResult.rows.filter(item => {
+      const texts = [item.name, item.category, item.sub_category, item.description].map(text => text || '');
+      return texts.some(text => SPEAKER_PATTERN.test(text)) && !NOT_COVERAGE_PATTERN.test(`${item.name} ${item.sub_category || ''}`);
+    });
+
+    coverage.speaker_models = speakers.map(item => {
+      const specs = speakerSpecs(item);
+      const plan = planZones(space, layout.audience_depth_ft, {
+        coverageDeg: specs.coverage_angle_deg,
+        maxSpl: specs.max_spl_db,
+        targetSpl
+      });
+      return {
+        id: item.id,
+        name: item.name,
+        model: item.model || null,
+        category: item.category,
+        quantity_available: item.quantity_available,
+        ...specs,
+        reach_ft: plan.reach_ft,
+        speakers_needed: plan.speakers_total,
+        delay_zones: plan.zones.length - 1,
+        enough_in_stock: item.quantity_available >= plan.speakers_total,
+        plan
+      };
+    }).sort((a, b) => (b.enough_in_stock - a.enough_in_stock) || (a.speakers_needed - b.speakers_needed));
+
+    const best = coverage.speaker_models[0];
+    const plan = best
+      ? best.plan
+      : planZones(space, layout.audience_depth_ft, { coverageDeg: DEFAULT_COVERAGE_DEG, maxSpl: DEFAULT_MAX_SPL_DB, targetSpl });
+    coverage.speaker_models.forEach(model => delete model.plan);
+
+    coverage.zones = plan.zones;
+    coverage.speakers_total = plan.speakers_total;
+    coverage.delay_fill_needed = plan.zones.length > 1;
+
+    if (plan.low_ceiling && plan.zones.length > 1) {
+      coverage.warnings.push(`The ${space.ceiling_height_ft} ft ceiling keeps speakers low, so delay fills are needed every ${plan.zone_depth_ft} ft`);
+    }
+
+    if (!best) {
+      coverage.warnings.push(`No available speakers in inventory; the plan assumes ${DEFAULT_COVERAGE_DEG}° cabinets rated ${DEFAULT_MAX_SPL_DB} dB`);
+      return coverage;
+    }
+
+    coverage.recommended = { id: best.id, name: best.name, quantity: plan.speakers_total };
+    coverage.equipment_list = [{ item_name: best.name, category: best.category, quantity: plan.speakers_total }];
+
+    if (!best.enough_in_stock) {
+      coverage.warnings.push(`No single speaker model has ${plan.speakers_total} in stock; ${best.name} has ${best.quantity_available}, so mix models or sub-rent`);
+    }
+    if (best.assumed.length > 0) {
+      const names = { coverage_angle_deg: 'coverage angle', max_spl_db: 'maximum SPL' };
+      coverage.warnings.push(`${best.name} has no recorded ${best.assumed.map(spec => names[spec]).join(' or ')}; typical values were assumed`);
+    }
+
+    return coverage;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  PROGRAM_TYPES,
+  speakerSpecs,
+  calculateAudioCoverage
+};
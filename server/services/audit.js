@@ -0,0 +1,157 @@
+const { getDatabase } = require('../database/init');
+const { logger } = require('../utils/logger');
+
+const ENTITIES = ['inventory_item', 'room', 'union', 'labor_rule'];
+const ACTIONS = ['create', 'update', 'delete', 'import'];
+// Columns that change on every write and say nothing about what was edited
+const IGNORED_FIELDS = ['updated_at'];
+
+const parseJSONColumn = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.error('Failed to parse audit log column:', error);
+    return null;
+  }
+};
+
+/**
+ * Lists the fields whose values differ between the before and after rows
+ */
+const changedFields = (before, after) => {
+  if (!before || !after) {
+    return [];
+  }
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields].filter(field =>
+    !IGNORED_FIELDS.includes(field) &&
+    JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+};
+
+const parseEntry = (row) => {
+  const before = parseJSONColumn(row.before_data);
+  const after = parseJSONColumn(row.after_data);
+  return {
+    id: row.id,
+    property_id: row.property_id,
+    user_id: row.user_id,
+    user_email: row.user_email,
+    user_name: row.user_name || null,
+    entity: row.entity,
+    entity_id: row.entity_id,
+    action: row.action,
+    before,
+    after,
+    changed_fields: changedFields(before, after),
+    created_at: row.created_at
+  };
+};
+
+/**
+ * Writes one audit entry on the caller's client, so it commits or rolls back
+ * with the change it describes. The user's email is copied so the entry
+ * still reads correctly after the account is deleted.
+ */
+const recordAudit = async (client, user, { propertyId, entity, entityId = null, action, before = null, after = null }) => {
+  await client.query(`
+    INSERT INTO audit_log (property_id, user_id, user_email, entity, entity_id, action, before_data, after_data)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [
+    propertyId,
+    user ? user.id : null,
+    user ? user.email : null,
+    entity,
+    entityId,
+    action,
+    before === null ? null : JSON.stringify(before),
+    after === null ? null : JSON.stringify(after)
+  ]);
+};
+
+/**
+ * Runs change(client) in a transaction and records it. change returns
+ * { before, after } with the row as it was and as it now is (null for a
+ * create or delete), or null when the record does not exist, in which case
+ * nothing is written and null is returned.
+ */
+const auditedChange = async (user, entity, action, change) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await change(client);
+    if (!result) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const row = result.after || result.before;
+    await recordAudit(client, user, {
+      propertyId: row.property_id,
+      entity,
+      entityId: row.id,
+      action,
+      before: result.before || null,
+      after: result.after || null
+    });
+
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Returns a property's audit entries, newest first, optionally narrowed to
+ * one entity type or one record
+ */
+const listAuditEntries = async ({ propertyId, entity = null, entityId = null, limit = 100 }) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const conditions = ['a.property_id = $1'];
+    const params = [propertyId];
+
+    if (entity) {
+      params.push(entity);
+      conditions.push(`a.entity = $${params.length}`);
+    }
+    if (entityId !== null && entityId !== undefined) {
+      params.push(entityId);
+      conditions.push(`a.entity_id = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await client.query(`
+      SELECT a.*, u.name AS user_name
+      FROM audit_log a
+      LEFT JOIN users u ON u.id = a.user_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${params.length}
+    `, params);
+
+    return result.rows.map(parseEntry);
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  ENTITIES,
+  ACTIONS,
+  recordAudit,
+  auditedChange,
+  listAuditEntries
+};
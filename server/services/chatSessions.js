@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../database/init');
+const { logger } = require('../utils/logger');
+
+const TITLE_MAX_LENGTH = 80;
+
+/**
+ * Parses the JSON messages column, falling back to an empty conversation
+ */
+const parseMessages = (raw) => {
+  try {
+    const parsed = JSON.parse(raw || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    logger.error('Failed to parse stored chat messages:', error);
+    return [];
+  }
+};
+
+/**
+ * Builds the list entry shown in the session picker
+ */
+const summarizeSession = (row) => {
+  const messages = parseMessages(row.messages);
+  const firstUserMessage = messages.find(message => message.role === 'user' && message.content);
+  let title = firstUserMessage ? firstUserMessage.content.trim() : 'New conversation';
+
+  if (title.length > TITLE_MAX_LENGTH) {
+    title = title.substring(0, TITLE_MAX_LENGTH - 1) + '…';
+  }
+
+  return {
+    session_id: row.session_id,
+    property_id: row.property_id,
+    title,
+    message_count: messages.length,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+};
+
+const createSessionId = () => crypto.randomUUID();
+
+/**
+ * Lists the stored conversations for a property, most recent first
+ */
+const listSessions = async (propertyId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM chat_sessions WHERE property_id = $1 ORDER BY updated_at DESC',
+      [propertyId]
+    );
+    return result.rows.map(summarizeSession);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Returns a single conversation with its full message history, or null
+ */
+const getSession = async (propertyId, sessionId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM chat_sessions WHERE property_id = $1 AND session_id = $2',
+      [propertyId, sessionId]
+    );
+    const row = result.rows[0];
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      ...summarizeSession(row),
+      messages: parseMessages(row.messages)
+    };
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Appends turns to a conversation, creating it when it does not exist yet.
+ * An unknown session id (or one owned by another property) gets a fresh id.
+ * Returns the session id the turns were stored under.
+ */
+const appendTurns = async (propertyId, sessionId, turns) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    let existing = null;
+    if (sessionId) {
+      const result = await client.query(
+        'SELECT * FROM chat_sessions WHERE property_id = $1 AND session_id = $2 FOR UPDATE',
+        [propertyId, sessionId]
+      );
+      existing = result.rows[0] || null;
+    }
+
+    let storedSessionId;
+    if (existing) {
+      const messages = [...parseMessages(existing.messages), ...turns];
+      await client.query(
+        'UPDATE chat_sessions SET messages = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [JSON.stringify(messages), existing.id]
+      );
+      storedSessionId = existing.session_id;
+    } else {
+      storedSessionId = createSessionId();
+      await client.query(
+        'INSERT INTO chat_sessions (property_id, session_id, messages) VALUES ($1, $2, $3)',
+        [propertyId, storedSessionId, JSON.stringify(turns)]
+      );
+    }
+
+    await client.query('COMMIT');
+    return storedSessionId;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Deletes one conversation, or every conversation for the property when no
+ * session id is given. Returns the number of sessions removed.
+ */
+const deleteSessions = async (propertyId, sessionId = null) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = sessionId
+      ? await client.query('DELETE FROM chat_sessions WHERE property_id = $1 AND session_id = $2', [propertyId, sessionId])
+      : await client.query('DELETE FROM chat_sessions WHERE property_id = $1', [propertyId]);
+    return result.rowCount;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  listSessions,
+  getSession,
+  appendTurns,
+  deleteSessions
+};
@@ -0,0 +1,334 @@
+const XLSX = require('xlsx');
+const { getDatabase } = require('../database/init');
+const { logger } = require('../utils/logger');
+const { getOrder } = require('./orders');
+const { calculateLaborCost } = require('./laborCosting');
+
+const MINUTES_PER_DAY = 24 * 60;
+const DEFAULT_SETUP_TIMES = { audio_setup: 2, video_setup: 1.5, lighting_setup: 3, breakdown: 1, load_in: 1 };
+
+// Calls in the order they are worked; each is a labor call per union
+const CREW_PHASES = [
+  { key: 'load_in', label: 'Load-In' },
+  { key: 'set', label: 'Set' },
+  { key: 'show', label: 'Show' },
+  { key: 'strike', label: 'Strike' }
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+// Minutes from midnight of the event date -> { date, time }, so calls can
+// start the day before (an early load-in) or run past midnight (strike)
+const toCallTime = (eventDate, minutes) => {
+  const moment = new Date(Date.parse(`${eventDate}T00:00:00Z`) + minutes * 60000);
+  return {
+    date: moment.toISOString().substring(0, 10),
+    time: `${pad(moment.getUTCHours())}:${pad(moment.getUTCMinutes())}`
+  };
+};
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/[_-]+/g, ' ').trim();
+
+const titleCase = (value) => normalize(value).replace(/\b\w/g, letter => letter.toUpperCase());
+
+/**
+ * Whether a union equipment requirement covers an order line. A requirement
+ * with an equipment_type ("projector") matches lines naming that type; one
+ * with only a category ("audio") matches lines in that category.
+ */
+const requirementCovers = (requirement, line) => {
+  const type = normalize(requirement.equipment_type);
+  if (type) {
+    return [line.item_name, line.sub_category, line.model, line.category].some(text => normalize(text).includes(type));
+  }
+
+  const category = normalize(requirement.equipment_category);
+  return !!category && normalize(line.category).includes(category);
+};
+
+// Set hours for a line from the property's setup_time labor rule
+const setupHoursFor = (setupTimes, category) => {
+  const text = normalize(category);
+  if (text.includes('audio')) return setupTimes.audio_setup;
+  if (text.includes('video')) return setupTimes.video_setup;
+  if (text.includes('lighting')) return setupTimes.lighting_setup;
+  return null;
+};
+
+/**
+ * Builds load-in, set, show and strike calls for an order. Each union whose
+ * equipment requirements cover a line on the order gets one call per phase,
+ * staffed with minimum_crew_size people per matching requirement. Set length
+ * is the longest setup_time for the union's gear; load-in and strike come
+ * from the same setup times (load_in, breakdown). The phases run back to
+ * back, so costing treats them as one continuous day of work. Takes the
+ * property's unions, their equipment requirements and inventory items, and
+ * makes no queries. Returns { calls, warnings }.
+ */
+const planCrewCalls = (order, { setupTimes, unions, requirements, items }) => {
+  const warnings = [];
+
+  // Order lines carry what the planner typed; fill gaps from inventory
+  const lines = order.equipment_list.map(line => {
+    const item = items.find(row => row.name === line.item_name) || {};
+    return {
+      item_name: line.item_name,
+      category: line.category || item.category || '',
+      sub_category: item.sub_category || '',
+      model: line.model || item.model || ''
+    };
+  });
+
+  const eventStart = toMinutes(order.start_time);
+  let eventEnd = toMinutes(order.end_time);
+  if (eventEnd <= eventStart) {
+    eventEnd += MINUTES_PER_DAY;
+  }
+
+  const calls = [];
+  const coveredLines = new Set();
+
+  unions.forEach(union => {
+    const positions = [];
+    let setupHours = 0;
+
+    requirements
+      .filter(requirement => requirement.union_id === union.id)
+      .forEach(requirement => {
+        const covered = lines.filter(line => requirementCovers(requirement, line));
+        if (covered.length === 0) return;
+
+        covered.forEach(line => {
+          coveredLines.add(line.item_name);
+          setupHours = Math.max(setupHours, setupHoursFor(setupTimes, line.category) || 0);
+        });
+
+        const title = `${titleCase(requirement.equipment_type || requirement.equipment_category)} Technician`;
+        for (let count = 0; count < (requirement.minimum_crew_size || 1); count += 1) {
+          positions.push(title);
+        }
+      });
+
+    if (positions.length === 0) return;
+
+    const setMinutes = Math.round((setupHours || setupTimes.audio_setup) * 60);
+    const loadInMinutes = Math.round(setupTimes.load_in * 60);
+    const strikeMinutes = Math.round(setupTimes.breakdown * 60);
+    const windows = {
+      load_in: [eventStart - setMinutes - loadInMinutes, eventStart - setMinutes],
+      set: [eventStart - setMinutes, eventStart],
+      show: [eventStart, eventEnd],
+      strike: [eventEnd, eventEnd + strikeMinutes]
+    };
+
+    CREW_PHASES.forEach(phase => {
+      const [startMinutes, endMinutes] = windows[phase.key];
+      if (endMinutes <= startMinutes) return;
+
+      const start = toCallTime(order.event_date, startMinutes);
+      calls.push({
+        phase: phase.key,
+        description: `${phase.label} - Local ${union.local_number}`,
+        union_id: union.id,
+        union: `Local ${union.local_number}`,
+        trade: union.trade,
+        date: start.date,
+        start_time: start.time,
+        end_time: toCallTime(order.event_date, endMinutes).time,
+        crew_size: positions.length,
+        positions: [...positions],
+        notes: ''
+      });
+    });
+  });
+
+  const uncovered = lines.filter(line => !coveredLines.has(line.item_name));
+  if (calls.length === 0) {
+    warnings.push('No union equipment requirements cover this order\'s equipment; add calls by hand');
+  } else if (uncovered.length > 0) {
+    warnings.push(`No union crew requirement covers: ${uncovered.map(line => line.item_name).join(', ')}`);
+  }
+
+  return { calls, warnings };
+};
+
+/**
+ * Builds an order's crew calls from the property's setup_time labor rule,
+ * unions, equipment requirements and inventory (see planCrewCalls).
+ * Returns { calls, warnings }.
+ */
+const buildCrewPlan = async (order) => {
+  if (!order.event_date || !order.start_time || !order.end_time) {
+    return {
+      calls: [],
+      warnings: ['Set the event date, start time and end time to plan crew calls']
+    };
+  }
+
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const [rulesResult, unionsResult, itemsResult] = await Promise.all([
+      client.query("SELECT rule_data FROM labor_rules WHERE property_id = $1 AND rule_type = 'setup_time'", [order.property_id]),
+      client.query('SELECT * FROM unions WHERE property_id = $1 ORDER BY local_number', [order.property_id]),
+      client.query('SELECT name, model, category, sub_category FROM inventory_items WHERE property_id = $1', [order.property_id])
+    ]);
+
+    const warnings = [];
+    let setupTimes = DEFAULT_SETUP_TIMES;
+    if (rulesResult.rows[0]) {
+      try {
+        setupTimes = { ...DEFAULT_SETUP_TIMES, ...JSON.parse(rulesResult.rows[0].rule_data) };
+      } catch (error) {
+        warnings.push('The setup_time labor rule could not be read, so default setup times were used');
+      }
+    }
+
+    const unions = unionsResult.rows;
+    const requirementsResult = unions.length > 0
+      ? await client.query(
+        'SELECT * FROM union_equipment_requirements WHERE union_id = ANY($1) ORDER BY id',
+        [unions.map(union => union.id)]
+      )
+      : { rows: [] };
+
+    const plan = planCrewCalls(order, {
+      setupTimes,
+      unions,
+      requirements: requirementsResult.rows,
+      items: itemsResult.rows
+    });
+
+    return { calls: plan.calls, warnings: [...warnings, ...plan.warnings] };
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Returns an order's crew plan: the saved calls, or freshly built ones when
+ * none are saved or regenerate is set, costed against the union agreements.
+ * Resolves to { order, saved, calls, warnings, cost }, or null when the
+ * order does not exist.
+ */
+const getCrewPlan = async (orderId, { regenerate = false } = {}) => {
+  const order = await getOrder(orderId);
+  if (!order) {
+    return null;
+  }
+
+  const saved = !regenerate && Array.isArray(order.crew_plan);
+  const plan = saved ? { calls: order.crew_plan, warnings: [] } : await buildCrewPlan(order);
+
+  const cost = plan.calls.length > 0 ? await calculateLaborCost(order.property_id, plan.calls) : null;
+
+  return {
+    order,
+    saved,
+    calls: plan.calls,
+    warnings: plan.warnings,
+    cost
+  };
+};
+
+/**
+ * Stores edited crew calls on an order, or clears them (falling back to the
+ * generated plan) when calls is null. Returns false if the order is missing.
+ */
+const saveCrewPlan = async (orderId, calls) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(
+      'UPDATE event_orders SET crew_plan = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [calls ? JSON.stringify(calls) : null, orderId]
+    );
+
+    logger.info('Crew plan saved', { order_id: orderId, calls: calls ? calls.length : 0 });
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Renders a crew plan as a workbook: a Calls sheet with one row per call and
+ * a Crew Sheet with one row per position, with blank Name and Phone columns
+ * for the steward to fill in. Returns an xlsx Buffer.
+ */
+const buildCrewSheet = (plan) => {
+  const workbook = XLSX.utils.book_new();
+  const phaseLabel = (key) => (CREW_PHASES.find(phase => phase.key === key) || {}).label || key || '';
+  const costByCall = plan.cost ? plan.cost.calls : [];
+
+  const callRows = plan.calls.map((call, index) => {
+    const costed = costByCall.find(line => line.description === call.description && line.date === call.date && line.start_time === call.start_time);
+    return {
+      'Call': index + 1,
+      'Phase': phaseLabel(call.phase),
+      'Date': call.date,
+      'Start': call.start_time,
+      'End': call.end_time,
+      'Union': call.union,
+      'Trade': call.trade || '',
+      'Crew Size': call.crew_size,
+      'Positions': (call.positions || []).join(', '),
+      'Estimated Cost': costed ? costed.total_cost : '',
+      'Notes': call.notes || ''
+    };
+  });
+
+  const crewRows = [];
+  plan.calls.forEach((call, index) => {
+    const positions = call.positions && call.positions.length > 0
+      ? call.positions
+      : Array(call.crew_size || 1).fill('Crew');
+    positions.forEach(position => crewRows.push({
+      'Call': index + 1,
+      'Phase': phaseLabel(call.phase),
+      'Date': call.date,
+      'Start': call.start_time,
+      'End': call.end_time,
+      'Union': call.union,
+      'Position': position,
+      'Name': '',
+      'Phone': ''
+    }));
+  });
+
+  const eventInfo = [{
+    'Event': plan.order.event_name || '',
+    'Date': plan.order.event_date || '',
+    'Start': plan.order.start_time ? String(plan.order.start_time).substring(0, 5) : '',
+    'End': plan.order.end_time ? String(plan.order.end_time).substring(0, 5) : '',
+    'Room': plan.order.room_name || '',
+    'Calls': plan.calls.length,
+    'Estimated Labor Cost': plan.cost ? plan.cost.total_cost : ''
+  }];
+
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(eventInfo), 'Event');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(callRows, {
+    header: ['Call', 'Phase', 'Date', 'Start', 'End', 'Union', 'Trade', 'Crew Size', 'Positions', 'Estimated Cost', 'Notes']
+  }), 'Calls');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(crewRows, {
+    header: ['Call', 'Phase', 'Date', 'Start', 'End', 'Union', 'Position', 'Name', 'Phone']
+  }), 'Crew Sheet');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+module.exports = {
+  CREW_PHASES,
+  planCrewCalls,
+  buildCrewPlan,
+  getCrewPlan,
+  saveCrewPlan,
+  buildCrewSheet
+};
@@ -0,0 +1,389 @@
+const { getDatabase } = require('../database/init');
+const { resolveEventWindow } = require('./reservations');
+const { readInventorySpecs } = require('./inventorySpecs');
+
+// Frequencies are worked in whole kHz on a 25 kHz tuning grid
+const GRID_KHZ = 25;
+// Carriers closer than this desense each other's receivers
+const MIN_SPACING_KHZ = 400;
+// Keep carriers this far from third-order intermod products (2f1 - f2)
+const INTERMOD_GUARD_KHZ = 100;
+
+const WIRELESS_PATTERN = /wireless\s+(?:mic|microphone|handheld|lav|lavalier|headset|system)|bodypack|\biems?\b|in[- ]ear/i;
+
+// "470-534 MHz", "G50 (470.125 to 533.900MHz)"
+const RANGE_PATTERN = /(\d{2,4}(?:\.\d+)?)\s*(?:-|–|to)\s*(\d{2,4}(?:\.\d+)?)\s*mhz/i;
+
+const toMhz = (khz) => Math.round(khz) / 1000;
+
+const itemText = (item) => [item.name, item.category, item.sub_category, item.model, item.description].filter(Boolean).join(' ');
+
+/**
+ * A wireless item's tuning range in MHz: the recorded frequency specs,
+ * falling back to a range like "470-534 MHz" in its name, model or
+ * description. Returns null when neither is there.
+ */
+const wirelessRange = (item) => {
+  const specs = readInventorySpecs(item);
+  if (specs.frequency_min_mhz !== null && specs.frequency_max_mhz !== null) {
+    return { min_mhz: specs.frequency_min_mhz, max_mhz: specs.frequency_max_mhz };
+  }
+
+  const match = itemText(item).match(RANGE_PATTERN);
+  if (!match) return null;
+  const [low, high] = [parseFloat(match[1]), parseFloat(match[2])].sort((a, b) => a - b);
+  return { min_mhz: low, max_mhz: high };
+};
+
+// Wireless mics and IEMs: a recorded frequency range, or named like one
+const isWireless = (item) => {
+  const specs = readInventorySpecs(item);
+  return specs.frequency_min_mhz !== null || specs.frequency_max_mhz !== null || WIRELESS_PATTERN.test(itemText(item));
+};
+
+// Index of the first value >= target in a sorted list
+const lowerBound = (values, target) => {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (values[mid].khz < target) low = mid + 1; else high = mid;
+  }
+  return low;
+};
+
+// The entry in a sorted list nearest to target, or null when it is empty
+const nearest = (values, target) => {
+  const index = lowerBound(values, target);
+  const candidates = [values[index - 1], values[index]].filter(Boolean);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, entry) => (Math.abs(entry.khz - target) < Math.abs(best.khz - target) ? entry : best));
+};
+
+// Entries in a sorted list less than distance from target
+const within = (values, target, distance) => {
+  const found = [];
+  for (let index = lowerBound(values, target - distance + 1); index < values.length && values[index].khz < target + distance; index += 1) {
+    found.push(values[index]);
+  }
+  return found;
+};
+
+const insertSorted = (values, entry) => {
+  values.splice(lowerBound(values, entry.khz), 0, entry);
+};
+
+// A system's time on air in ms, or null when it has no window (on air throughout)
+const airtime = (window) => (window
+  ? { start: new Date(window.starts_at).getTime(), end: new Date(window.ends_at).getTime() }
+  : null);
+
+const onAirTogether = (a, b) => !a || !b || (a.start < b.end && b.start < a.end);
+
+/**
+ * Assigns a frequency to every channel of every system, in priority order
+ * (earlier bookings first). Each channel takes the lowest grid frequency in
+ * its system's range that is spaced from every carrier already assigned and
+ * clear of their third-order intermod products, and whose own products miss
+ * those carriers. With no clear frequency left, a spaced one that intermods
+ * is taken and flagged; with no spaced one left the channel goes unassigned.
+ * Only carriers on air at the same time as the system (by its window) count,
+ * so a frequency is reused once the booking holding it has ended.
+ */
+const assignFrequencies = (systems) => {
+  const assigned = [];
+
+  return systems.map(system => {
+    const time = airtime(system.window);
+    const carriers = [];
+    const products = [];
+
+    const intermodHit = (khz) => {
+      const product = nearest(products, khz);
+      if (product && Math.abs(product.khz - khz) < INTERMOD_GUARD_KHZ) {
+        return `on the intermod product of ${toMhz(product.from[0])} and ${toMhz(product.from[1])} MHz`;
+      }
+      for (const carrier of carriers) {
+        for (const productKhz of [2 * khz - carrier.khz, 2 * carrier.khz - khz]) {
+          const hit = within(carriers, productKhz, INTERMOD_GUARD_KHZ).find(other => onAirTogether(other.time, carrier.time));
+          if (hit) {
+            return `its intermod product with ${toMhz(carrier.khz)} MHz lands on ${toMhz(hit.khz)} MHz`;
+          }
+        }
+      }
+      return null;
+    };
+
+    // Products only form between carriers that are on air together
+    const add = (entry) => {
+      carriers
+        .filter(carrier => onAirTogether(carrier.time, entry.time))
+        .forEach(carrier => {
+          insertSorted(products, { khz: 2 * entry.khz - carrier.khz, from: [entry.khz, carrier.khz] });
+          insertSorted(products, { khz: 2 * carrier.khz - entry.khz, from: [carrier.khz, entry.khz] });
+        });
+      insertSorted(carriers, entry);
+    };
+
+    assigned.filter(entry => onAirTogether(entry.time, time)).forEach(add);
+
+    const channels = [];
+    let unassigned = 0;
+
+    for (let index = 1; index <= system.quantity; index += 1) {
+      if (!system.range) {
+        unassigned += 1;
+        continue;
+      }
+
+      const low = Math.ceil(Math.round(system.range.min_mhz * 1000) / GRID_KHZ) * GRID_KHZ;
+      const high = Math.round(system.range.max_mhz * 1000);
+      let clear = null;
+      let fallback = null;
+
+      for (let khz = low; khz <= high; khz += GRID_KHZ) {
+        const closest = nearest(carriers, khz);
+        if (closest && Math.abs(closest.khz - khz) < MIN_SPACING_KHZ) continue;
+
+        const hit = intermodHit(khz);
+        if (!hit) {
+          clear = khz;
+          break;
+        }
+        if (fallback === null) {
+          fallback = { khz, hit };
+        }
+      }
+
+      if (clear === null && fallback === null) {
+        unassigned += 1;
+        continue;
+      }
+
+      const khz = clear !== null ? clear : fallback.khz;
+      add({ khz, time });
+      assigned.push({ khz, time });
+      channels.push({
+        channel: `${system.item_name} ${index}`,
+        frequency_mhz: toMhz(khz),
+        intermod: clear !== null ? null : fallback.hit
+      });
+    }
+
+    return {
+      order_id: system.order_id,
+      event_name: system.event_name,
+      room: system.room,
+      this_order: system.this_order,
+      window: system.window,
+      item_id: system.item_id,
+      item_name: system.item_name,
+      range_mhz: system.range,
+      requested: system.quantity,
+      channels,
+      unassigned
+    };
+  });
+};
+
+/**
+ * Wireless systems other orders hold in reservations chained to the window
+ * by overlaps: those overlapping it, those overlapping them, and so on. Every
+ * order in a chain sees the same bookings, so each works out the same plan.
+ * One system per reserved item.
+ */
+const loadBookedSystems = async (client, propertyId, window, excludeOrderId) => {
+  const result = await client.query(`
+    WITH RECURSIVE booked AS (
+      SELECT r.*
+      FROM inventory_reservations r
+      JOIN event_orders o ON o.id = r.order_id
+      WHERE r.property_id = $1
+        AND o.status <> 'cancelled'
+        AND ($4::integer IS NULL OR r.order_id <> $4)
+    ), chain (starts_at, ends_at) AS (
+      SELECT $2::timestamp, $3::timestamp
+      UNION
+      SELECT b.starts_at, b.ends_at
+      FROM booked b
+      JOIN chain c ON b.starts_at < c.ends_at AND b.ends_at > c.starts_at
+    )
+    SELECT b.order_id, b.quantity AS reserved_quantity, b.starts_at, b.ends_at,
+           o.event_name, rm.name AS room_name, i.*
+    FROM booked b
+    JOIN event_orders o ON o.id = b.order_id
+    JOIN inventory_items i ON i.id = b.inventory_item_id
+    LEFT JOIN rooms rm ON rm.id = o.room_id
+    WHERE EXISTS (SELECT 1 FROM chain c WHERE b.starts_at < c.ends_at AND b.ends_at > c.starts_at)
+    ORDER BY b.order_id, i.id
+  `, [propertyId, window.starts_at, window.ends_at, excludeOrderId]);
+
+  return result.rows.filter(isWireless).map(row => ({
+    order_id: row.order_id,
+    event_name: row.event_name,
+    room: row.room_name || null,
+    this_order: false,
+    window: { starts_at: row.starts_at, ends_at: row.ends_at },
+    item_id: row.id,
+    item_name: row.name,
+    quantity: row.reserved_quantity,
+    range: wirelessRange(row)
+  }));
+};
+
+/**
+ * Wireless systems on an equipment list. A line is matched to an item by
+ * name; a line with no named item that is worded like a wireless system
+ * takes the first wireless item in its category.
+ */
+const orderSystems = (equipmentList, items, { orderId, eventName, roomName, window }) => equipmentList
+  .map(line => {
+    const named = items.filter(item => item.name === line.item_name);
+    const item = named.length > 0
+      ? named.find(isWireless)
+      : WIRELESS_PATTERN.test(line.item_name || '') && items.find(row => row.category === line.category && isWireless(row));
+    return item ? {
+      order_id: orderId,
+      event_name: eventName,
+      room: roomName,
+      this_order: true,
+      window,
+      item_id: item.id,
+      item_name: item.name,
+      quantity: line.quantity,
+      range: wirelessRange(item)
+    } : null;
+  })
+  .filter(Boolean);
+
+/**
+ * Coordinates frequencies for an order's wireless mics and IEMs against the
+ * wireless systems other active orders at the property hold in overlapping
+ * windows, in every room. Earlier bookings keep their frequencies and the
+ * order fits around them (an unsaved order goes last). The whole chain of
+ * overlapping bookings is assigned together, so a booking's frequencies are
+ * the same whichever order's plan is asked for. window comes from
+ * resolveEventWindow; without one only the order's own systems are
+ * coordinated. Returns { event_window, systems, frequencies_assigned,
+ * intermod_conflicts, exhausted, errors, warnings }, where systems are this
+ * order's and those on air with it, and errors and warnings concern this
+ * order's systems; systems is empty when the order has no wireless equipment.
+ */
+const coordinateFrequencies = async (client, propertyId, {
+  equipmentList = [],
+  window = null,
+  orderId = null,
+  eventName = null,
+  roomName = null
+} = {}) => {
+  const itemsResult = await client.query(
+    "SELECT * FROM inventory_items WHERE property_id = $1 AND status = 'available' ORDER BY id",
+    [propertyId]
+  );
+  const ownSystems = orderSystems(equipmentList, itemsResult.rows, { orderId, eventName, roomName, window });
+
+  const plan = {
+    event_window: window,
+    systems: [],
+    frequencies_assigned: 0,
+    intermod_conflicts: [],
+    exhausted: [],
+    errors: [],
+    warnings: []
+  };
+
+  if (ownSystems.length === 0) {
+    return plan;
+  }
+
+  const booked = window ? await loadBookedSystems(client, propertyId, window, orderId) : [];
+  if (!window) {
+    plan.warnings.push('No event date given: wireless frequencies are coordinated within this order only, not against other bookings');
+  }
+
+  // Earlier bookings first; an order being edited keeps its place by id
+  const priority = (system) => (system.this_order && !orderId ? Infinity : system.order_id);
+  const systems = [...booked, ...ownSystems].sort((a, b) => priority(a) - priority(b));
+
+  const time = airtime(window);
+  plan.systems = assignFrequencies(systems).filter(system => onAirTogether(airtime(system.window), time));
+  plan.frequencies_assigned = plan.systems.reduce((sum, system) => sum + system.channels.length, 0);
+
+  plan.systems.forEach(system => {
+    system.channels
+      .filter(channel => channel.intermod)
+      .forEach(channel => plan.intermod_conflicts.push({
+        order_id: system.order_id,
+        this_order: system.this_order,
+        channel: channel.channel,
+        frequency_mhz: channel.frequency_mhz,
+        conflict: channel.intermod
+      }));
+
+    if (system.range && system.unassigned > 0) {
+      plan.exhausted.push({
+        order_id: system.order_id,
+        this_order: system.this_order,
+        item_name: system.item_name,
+        range_mhz: system.range_mhz,
+        requested: system.requested,
+        unassigned: system.unassigned
+      });
+    }
+  });
+
+  const bookedCount = plan.systems
+    .filter(system => !system.this_order)
+    .reduce((sum, system) => sum + system.channels.length, 0);
+
+  plan.systems.filter(system => system.this_order).forEach(system => {
+    if (!system.range_mhz) {
+      plan.warnings.push(`No frequency range recorded for ${system.item_name}; record its band to coordinate it`);
+    } else if (system.unassigned > 0) {
+      const others = bookedCount > 0 ? ` (other bookings in this window hold ${bookedCount} frequencies)` : '';
+      plan.errors.push(`Band exhausted: no free frequency for ${system.unassigned} of ${system.requested} ${system.item_name} in ${system.range_mhz.min_mhz}-${system.range_mhz.max_mhz} MHz${others}; use units on another band`);
+    }
+  });
+
+  plan.intermod_conflicts.filter(conflict => conflict.this_order).forEach(conflict => plan.warnings.push(
+    `${conflict.channel} at ${conflict.frequency_mhz} MHz has an intermod conflict: ${conflict.conflict}`
+  ));
+
+  return plan;
+};
+
+/**
+ * Frequency plan for a saved order, coordinated against the other bookings
+ * chained to its event window by overlaps
+ */
+const planOrderFrequencies = async (order) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const window = resolveEventWindow({
+      eventDate: order.event_date,
+      startTime: order.start_time,
+      endTime: order.end_time
+    });
+
+    return await coordinateFrequencies(client, order.property_id, {
+      equipmentList: order.equipment_list,
+      window,
+      orderId: order.id,
+      eventName: order.event_name,
+      roomName: order.room_name || null
+    });
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  MIN_SPACING_KHZ,
+  INTERMOD_GUARD_KHZ,
+  wirelessRange,
+  assignFrequencies,
+  coordinateFrequencies,
+  planOrderFrequencies
+};
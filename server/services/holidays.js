@@ -0,0 +1,192 @@
+// Resolves union_special_days rows to calendar dates. A row either names a
+// date_specific or a date_pattern that recurs every year:
+//  - nth weekday of a month: "first_monday_september", "4th_thursday_november"
+//  - last weekday of a month: "last_monday_may"
+//  - fixed date: "december_25", "jul_4", "12-25"
+// Any of these may end in "_observed": a date falling on a Saturday is
+// observed the Friday before and one on a Sunday the Monday after.
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  '1st': 1, '2nd': 2, '3rd': 3, '4th': 4, '5th': 5,
+  last: -1
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const findName = (names, token) => names.findIndex(name => name === token || name.substring(0, 3) === token);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const weekdayOf = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+const toDateString = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+/**
+ * Normalizes a DATE column (a Date from the driver, or a string) to YYYY-MM-DD
+ */
+const formatDateValue = (value) => {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return value ? String(value).substring(0, 10) : null;
+};
+
+/**
+ * Parses a date pattern into a rule, or returns null if it is not one of the
+ * supported forms. Rules are { type: 'weekday', ordinal, weekday, month } or
+ * { type: 'fixed', month, day }, plus observed.
+ */
+const parseDatePattern = (pattern) => {
+  let text = String(pattern || '').trim().toLowerCase();
+  const observed = /[\s_-]observed$/.test(text);
+  if (observed) {
+    text = text.replace(/[\s_-]observed$/, '');
+  }
+
+  const numeric = text.match(/^(\d{1,2})[-/](\d{1,2})$/);
+  if (numeric) {
+    const month = parseInt(numeric[1], 10);
+    const day = parseInt(numeric[2], 10);
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(2000, month)
+      ? { type: 'fixed', month, day, observed }
+      : null;
+  }
+
+  const tokens = text.split(/[\s_]+/).filter(Boolean);
+
+  if (tokens.length === 3 && ORDINALS[tokens[0]] !== undefined) {
+    const weekday = findName(WEEKDAYS, tokens[1]);
+    const month = findName(MONTHS, tokens[2]) + 1;
+    return weekday !== -1 && month > 0
+      ? { type: 'weekday', ordinal: ORDINALS[tokens[0]], weekday, month, observed }
+      : null;
+  }
+
+  if (tokens.length === 2) {
+    // "december_25" or "25_december"; 2000 is a leap year, so February 29 passes
+    const [monthToken, dayToken] = /^\d+$/.test(tokens[0]) ? [tokens[1], tokens[0]] : tokens;
+    const month = findName(MONTHS, monthToken) + 1;
+    const day = /^\d{1,2}$/.test(dayToken) ? parseInt(dayToken, 10) : 0;
+    return month > 0 && day >= 1 && day <= daysInMonth(2000, month)
+      ? { type: 'fixed', month, day, observed }
+      : null;
+  }
+
+  return null;
+};
+
+const isValidDatePattern = (pattern) => parseDatePattern(pattern) !== null;
+
+/**
+ * Returns the YYYY-MM-DD date a pattern falls on in a year, or null when the
+ * pattern is invalid or does not occur that year (a fifth Monday, February 29).
+ * An observed date may fall in the neighbouring year (January 1 on a Saturday).
+ */
+const resolveDatePattern = (pattern, year) => {
+  const rule = typeof pattern === 'string' ? parseDatePattern(pattern) : pattern;
+  if (!rule) {
+    return null;
+  }
+
+  let day;
+  if (rule.type === 'fixed') {
+    if (rule.day > daysInMonth(year, rule.month)) {
+      return null;
+    }
+    day = rule.day;
+  } else if (rule.ordinal === -1) {
+    const lastDay = daysInMonth(year, rule.month);
+    day = lastDay - ((weekdayOf(year, rule.month, lastDay) - rule.weekday + 7) % 7);
+  } else {
+    const firstMatch = 1 + ((rule.weekday - weekdayOf(year, rule.month, 1) + 7) % 7);
+    day = firstMatch + (rule.ordinal - 1) * 7;
+    if (day > daysInMonth(year, rule.month)) {
+      return null;
+    }
+  }
+
+  if (rule.observed) {
+    const weekday = weekdayOf(year, rule.month, day);
+    if (weekday === 6) day -= 1;
+    if (weekday === 0) day += 1;
+  }
+
+  return toDateString(year, rule.month, day);
+};
+
+/**
+ * Lists the dates a union's special days fall on in a year, sorted by date:
+ * date_specific rows in that year and every date_pattern resolved for it.
+ * Returns { holidays, unresolved }, where unresolved holds pattern rows that
+ * could not be read.
+ */
+const expandSpecialDays = (specialDays, year) => {
+  const holidays = [];
+  const unresolved = [];
+
+  specialDays.forEach(day => {
+    const specific = formatDateValue(day.date_specific);
+    if (specific) {
+      if (specific.startsWith(`${year}-`)) {
+        holidays.push({ ...day, date_specific: specific, date: specific });
+      }
+      return;
+    }
+
+    if (!day.date_pattern) {
+      return;
+    }
+    if (!isValidDatePattern(day.date_pattern)) {
+      unresolved.push(day);
+      return;
+    }
+
+    // An observed date can spill into the neighbouring year, so look either side
+    [year - 1, year, year + 1].forEach(patternYear => {
+      const date = resolveDatePattern(day.date_pattern, patternYear);
+      if (date && date.startsWith(`${year}-`)) {
+        holidays.push({ ...day, date });
+      }
+    });
+  });
+
+  holidays.sort((a, b) => a.date.localeCompare(b.date));
+  return { holidays, unresolved };
+};
+
+/**
+ * Returns the special day (holiday) that applies to a YYYY-MM-DD date, if
+ * any; when several apply, the one with the highest multiplier
+ */
+const findSpecialDay = (specialDays, date) => {
+  const year = parseInt(date.substring(0, 4), 10);
+  let match = null;
+
+  specialDays.forEach(day => {
+    const applies = day.date_specific
+      ? formatDateValue(day.date_specific) === date
+      : !!day.date_pattern && [year - 1, year, year + 1].some(patternYear => resolveDatePattern(day.date_pattern, patternYear) === date);
+
+    if (applies && (!match || parseFloat(day.rate_multiplier) > parseFloat(match.rate_multiplier))) {
+      match = day;
+    }
+  });
+
+  return match;
+};
+
+module.exports = {
+  formatDateValue,
+  parseDatePattern,
+  isValidDatePattern,
+  resolveDatePattern,
+  expandSpecialDays,
+  findSpecialDay
+};
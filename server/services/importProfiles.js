@@ -0,0 +1,135 @@
+const { getDatabase } = require('../database/init');
+const { logger } = require('../utils/logger');
+
+// Built-in header names recognised for each inventory import field, best
+// match first. A property's import profile takes precedence over these.
+const COLUMN_ALIASES = {
+  barcode: ['barcode', 'asset id', 'asset_id', 'id', 'item id', 'sku', 'asset tag'],
+  category: ['major category', 'category', 'main category', 'primary category', 'cat', 'major cat'],
+  subcategory: ['sub category', 'subcategory', 'sub_category', 'secondary category', 'subcat', 'sub cat'],
+  class: ['class', 'item class', 'equipment class', 'type', 'classification'],
+  subclass: ['subclass', 'sub class', 'sub_class', 'item type', 'equipment type', 'subclassification'],
+  item: ['item', 'item name', 'name', 'equipment name', 'product', 'item title'],
+  description: ['item description', 'description', 'desc', 'details', 'full description', 'product description'],
+  status: ['asset item status', 'status', 'item status', 'condition', 'state', 'availability', 'asset status'],
+  quantity: ['quantity available', 'quantity', 'qty', 'available', 'count', 'stock', 'available qty'],
+  model: ['model', 'model number', 'model_number', 'product model', 'model no'],
+  manufacturer: ['manufacturer', 'brand', 'make', 'vendor', 'supplier'],
+  location: ['location', 'room', 'area', 'zone', 'site'],
+  notes: ['asset history notes', 'notes', 'comments', 'remarks', 'condition notes', 'history']
+};
+
+const IMPORT_FIELDS = Object.keys(COLUMN_ALIASES);
+
+const parseJSONColumn = (value) => {
+  try {
+    return JSON.parse(value || '{}');
+  } catch (error) {
+    logger.error('Failed to parse import profile column:', error);
+    return {};
+  }
+};
+
+const parseProfile = (row) => ({
+  ...row,
+  column_map: parseJSONColumn(row.column_map),
+  status_map: parseJSONColumn(row.status_map)
+});
+
+/**
+ * Lists the import profiles for a property
+ */
+const listImportProfiles = async (propertyId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM import_profiles WHERE property_id = $1 ORDER BY name',
+      [propertyId]
+    );
+    return result.rows.map(parseProfile);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Gets an import profile. Returns null if it does not exist.
+ */
+const getImportProfile = async (id) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query('SELECT * FROM import_profiles WHERE id = $1', [id]);
+    return result.rows[0] ? parseProfile(result.rows[0]) : null;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Creates an import profile. column_map maps a spreadsheet header to an
+ * import field; status_map maps a status value to an inventory status.
+ */
+const createImportProfile = async ({ property_id, name, column_map, status_map }) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(`
+      INSERT INTO import_profiles (property_id, name, column_map, status_map)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [property_id, name.trim(), JSON.stringify(column_map || {}), JSON.stringify(status_map || {})]);
+    return parseProfile(result.rows[0]);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Updates an import profile. Returns null if it does not exist.
+ */
+const updateImportProfile = async (id, { name, column_map, status_map }) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(`
+      UPDATE import_profiles
+      SET name = $1, column_map = $2, status_map = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [name.trim(), JSON.stringify(column_map || {}), JSON.stringify(status_map || {}), id]);
+    return result.rows[0] ? parseProfile(result.rows[0]) : null;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Deletes an import profile. Returns false if it does not exist.
+ */
+const deleteImportProfile = async (id) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query('DELETE FROM import_profiles WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  COLUMN_ALIASES,
+  IMPORT_FIELDS,
+  listImportProfiles,
+  getImportProfile,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile
+};
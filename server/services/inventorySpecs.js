@@ -0,0 +1,41 @@
+// Optional technical specs on inventory items, read by the AV calculators,
+// the order power budget and wireless frequency coordination.
+// Each is a nullable column on inventory_items; integer specs are whole
+// numbers, and max caps a spec's value.
+const INVENTORY_SPECS = [
+  { column: 'lumens', label: 'Lumens', integer: true },
+  { column: 'throw_ratio_min', label: 'Minimum throw ratio' },
+  { column: 'throw_ratio_max', label: 'Maximum throw ratio' },
+  { column: 'coverage_angle_deg', label: 'Coverage angle', integer: true, max: 360 },
+  { column: 'max_spl_db', label: 'Maximum SPL', integer: true },
+  { column: 'power_draw_watts', label: 'Power draw', integer: true },
+  { column: 'frequency_min_mhz', label: 'Minimum frequency', max: 6000 },
+  { column: 'frequency_max_mhz', label: 'Maximum frequency', max: 6000 }
+];
+
+const INVENTORY_SPEC_COLUMNS = INVENTORY_SPECS.map(spec => spec.column);
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+/**
+ * Values for the spec columns, in INVENTORY_SPEC_COLUMNS order. A spec
+ * missing from item keeps its value on existing (or stays blank on create),
+ * so clients that do not send specs leave them untouched.
+ */
+const inventorySpecValues = (item, existing = {}) => INVENTORY_SPEC_COLUMNS.map(column => (
+  item[column] === undefined ? toNumber(existing[column]) : toNumber(item[column])
+));
+
+/**
+ * Reads an item's specs as numbers (DECIMAL columns arrive as strings)
+ */
+const readInventorySpecs = (item) => Object.fromEntries(
+  INVENTORY_SPEC_COLUMNS.map(column => [column, toNumber(item[column])])
+);
+
+module.exports = {
+  INVENTORY_SPECS,
+  INVENTORY_SPEC_COLUMNS,
+  inventorySpecValues,
+  readInventorySpecs
+};
@@ -0,0 +1,500 @@
+const { getDatabase } = require('../database/init');
+const { logger } = require('../utils/logger');
+const { findSpecialDay } = require('./holidays');
+
+const SLICE_MINUTES = 15;
+const MINUTES_PER_DAY = 24 * 60;
+const DEFAULT_MEAL_INTERVAL_HOURS = 5;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+const formatDate = (absoluteMinutes) => new Date(absoluteMinutes * 60000).toISOString().substring(0, 10);
+
+/**
+ * Finds the union a call refers to: by id, by local number ("Local 134",
+ * "134") or by trade/name ("electricians")
+ */
+const resolveUnion = (unions, call) => {
+  if (call.union_id) {
+    return unions.find(union => union.id === parseInt(call.union_id)) || null;
+  }
+
+  const reference = String(call.union || '').trim().toLowerCase();
+  if (!reference) {
+    return null;
+  }
+
+  const digits = reference.replace(/\D/g, '');
+  if (digits) {
+    const byLocal = unions.find(union => String(union.local_number).replace(/\D/g, '') === digits);
+    if (byLocal) return byLocal;
+  }
+
+  return unions.find(union =>
+    union.trade.toLowerCase().includes(reference) ||
+    reference.includes(union.trade.toLowerCase()) ||
+    union.name.toLowerCase().includes(reference)
+  ) || null;
+};
+
+/**
+ * Returns the highest union_schedules multiplier covering a day/time slice
+ */
+const findSchedule = (schedules, dayOfWeek, minuteOfDay) => {
+  let match = null;
+
+  schedules.forEach(schedule => {
+    if (schedule.day_of_week !== dayOfWeek) return;
+
+    const start = toMinutes(schedule.start_time);
+    const end = toMinutes(schedule.end_time);
+    const covers = end > start
+      ? minuteOfDay >= start && minuteOfDay < end
+      : minuteOfDay >= start || minuteOfDay < end;
+
+    if (covers && (!match || parseFloat(schedule.rate_multiplier) > parseFloat(match.rate_multiplier))) {
+      match = schedule;
+    }
+  });
+
+  return match;
+};
+
+const validateCall = (call, index) => {
+  const errors = [];
+  const label = `Call ${index + 1}`;
+
+  if (!call.date || !DATE_PATTERN.test(call.date)) {
+    errors.push(`${label}: date must be in YYYY-MM-DD format`);
+  }
+  if (!call.start_time || !TIME_PATTERN.test(call.start_time)) {
+    errors.push(`${label}: start_time must be in HH:MM format`);
+  }
+  if (!call.end_time || !TIME_PATTERN.test(call.end_time)) {
+    errors.push(`${label}: end_time must be in HH:MM format`);
+  }
+  if (call.crew_size !== undefined && (!Number.isInteger(call.crew_size) || call.crew_size < 1)) {
+    errors.push(`${label}: crew_size must be a positive whole number`);
+  }
+
+  return errors;
+};
+
+/**
+ * Prices a penalty for one call. flat_fee is per person per occurrence,
+ * hourly_rate is per person per affected hour, and percentage is taken of
+ * the call's labor cost per occurrence.
+ */
+const pricePenalty = (penalty, { occurrences = 1, hours = 0, crewSize, laborCost }) => {
+  const amount = toNumber(penalty.penalty_amount) || 0;
+
+  switch (penalty.penalty_type_amount) {
+    case 'hourly_rate':
+      return amount * (hours || occurrences) * crewSize;
+    case 'percentage':
+      return laborCost * (amount / 100) * occurrences;
+    case 'flat_fee':
+    default:
+      return amount * occurrences * crewSize;
+  }
+};
+
+/**
+ * Applies meal, early-call, late-call and turnaround penalties to a costed call.
+ *  - meal_penalty: one occurrence for every applies_after_hours block worked
+ *    (default 5) beyond the first, less any meal breaks given on the call
+ *  - early_call: hours worked before applies_before_time
+ *  - late_call: hours worked past applies_after_hours, read as a clock hour (e.g. 23)
+ *  - turnaround: hours short of applies_after_hours rest since previousEnd, when
+ *    the union's crew last stopped work (null when there was no break)
+ */
+const applyPenalties = (penalties, costed, previousEnd, warnings) => {
+  const applied = [];
+  const workedHours = costed.workedMinutes / 60;
+
+  penalties.forEach(penalty => {
+    let occurrences = 0;
+    let hours = 0;
+    let description = '';
+
+    switch (penalty.penalty_type) {
+      case 'meal_penalty': {
+        const interval = penalty.applies_after_hours || DEFAULT_MEAL_INTERVAL_HOURS;
+        occurrences = Math.max(0, Math.ceil(workedHours / interval) - 1 - costed.mealBreaks);
+        description = `${occurrences} meal period(s) missed (${interval}h without a break)`;
+        break;
+      }
+      case 'early_call': {
+        if (!penalty.applies_before_time) break;
+        const cutoff = toMinutes(penalty.applies_before_time);
+        if (costed.startMinute < cutoff) {
+          occurrences = 1;
+          hours = Math.min(cutoff - costed.startMinute, costed.workedMinutes) / 60;
+          description = `Call starts before ${String(penalty.applies_before_time).substring(0, 5)}`;
+        }
+        break;
+      }
+      case 'late_call': {
+        if (penalty.applies_after_hours === null || penalty.applies_after_hours === undefined) break;
+        const cutoff = penalty.applies_after_hours * 60;
+        const lateMinutes = Math.max(0, costed.startMinute + costed.workedMinutes - Math.max(cutoff, costed.startMinute));
+        if (lateMinutes > 0) {
+          occurrences = 1;
+          hours = lateMinutes / 60;
+          description = `Work continues past ${String(penalty.applies_after_hours).padStart(2, '0')}:00`;
+        }
+        break;
+      }
+      case 'turnaround': {
+        if (!penalty.applies_after_hours || previousEnd === null) break;
+        const restHours = (costed.startAbsolute - previousEnd) / 60;
+        if (restHours < penalty.applies_after_hours) {
+          occurrences = 1;
+          hours = penalty.applies_after_hours - restHours;
+          description = `Only ${round2(restHours)}h rest since the previous call (${penalty.applies_after_hours}h required)`;
+        }
+        break;
+      }
+      default:
+        warnings.push(`Penalty type "${penalty.penalty_type}" is not costed automatically: ${penalty.condition_description}`);
+        return;
+    }
+
+    if (occurrences === 0) return;
+
+    applied.push({
+      type: penalty.penalty_type,
+      condition: penalty.condition_description,
+      description,
+      amount: round2(pricePenalty(penalty, {
+        occurrences,
+        hours,
+        crewSize: costed.crewSize,
+        laborCost: costed.laborCost
+      }))
+    });
+  });
+
+  return applied;
+};
+
+/**
+ * Costs a single crew call for a union. The call is walked in 15 minute
+ * slices; each slice is paid at the highest of its overtime tier
+ * (regular/overtime/doubletime by hours worked that day), any union_schedules
+ * day/time multiplier, and any holiday multiplier. Premiums do not stack.
+ * Hours worked that day carry on from the union's earlier calls on the same
+ * date (priorCalls): the call continues the busiest one that ended by the
+ * time it starts, so a split load-in, show and strike reaches overtime while
+ * crews working side by side are not added together.
+ */
+const costCall = (union, call, { schedules, specialDays, priorCalls = [] }) => {
+  const regularRate = toNumber(union.regular_rate) || 0;
+  const tierRates = {
+    regular: regularRate,
+    overtime: toNumber(union.overtime_rate) || regularRate * 1.5,
+    doubletime: toNumber(union.doubletime_rate) || regularRate * 2
+  };
+  const overtimeThreshold = (union.overtime_threshold || 8) * 60;
+  const doubletimeThreshold = (union.doubletime_threshold || 12) * 60;
+
+  const startMinute = toMinutes(call.start_time);
+  let endMinute = toMinutes(call.end_time);
+  if (endMinute <= startMinute) {
+    endMinute += MINUTES_PER_DAY;
+  }
+
+  const dayStart = Date.parse(`${call.date}T00:00:00Z`) / 60000;
+  const startAbsolute = dayStart + startMinute;
+  const workedMinutes = endMinute - startMinute;
+  const crewSize = call.crew_size || 1;
+  const priorMinutes = Math.max(0, ...priorCalls
+    .filter(prior => prior.endAbsolute <= startAbsolute)
+    .map(prior => prior.priorMinutes + prior.workedMinutes));
+
+  const breakdown = {};
+  const addHours = (rateType, rate, minutes) => {
+    if (!breakdown[rateType]) {
+      breakdown[rateType] = { hours: 0, rate, cost: 0 };
+    }
+    breakdown[rateType].hours += minutes / 60;
+    breakdown[rateType].rate = Math.max(breakdown[rateType].rate, rate);
+    breakdown[rateType].cost += (minutes / 60) * rate * crewSize;
+  };
+
+  let firstSlice = null;
+  const specialDaysHit = new Map();
+
+  for (let elapsed = 0; elapsed < workedMinutes; elapsed += SLICE_MINUTES) {
+    const minutes = Math.min(SLICE_MINUTES, workedMinutes - elapsed);
+    const absolute = startAbsolute + elapsed;
+    const minuteOfDay = ((absolute % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const dayOfWeek = new Date(absolute * 60000).getUTCDay();
+
+    const dayMinutes = priorMinutes + elapsed;
+    let rateType = dayMinutes >= doubletimeThreshold ? 'doubletime' : dayMinutes >= overtimeThreshold ? 'overtime' : 'regular';
+    let rate = tierRates[rateType];
+
+    const schedule = findSchedule(schedules, dayOfWeek, minuteOfDay);
+    if (schedule && regularRate * parseFloat(schedule.rate_multiplier) > rate) {
+      rateType = schedule.rate_type;
+      rate = regularRate * parseFloat(schedule.rate_multiplier);
+    }
+
+    const specialDay = findSpecialDay(specialDays, formatDate(absolute));
+    if (specialDay) {
+      specialDaysHit.set(specialDay.id, specialDay);
+      if (regularRate * parseFloat(specialDay.rate_multiplier) > rate) {
+        rateType = 'holiday';
+        rate = regularRate * parseFloat(specialDay.rate_multiplier);
+      }
+    }
+
+    if (!firstSlice) {
+      firstSlice = { rateType, rate };
+    }
+    addHours(rateType, rate, minutes);
+  }
+
+  // Minimum call: short calls are paid up to the minimum at the opening rate
+  const holiday = [...specialDaysHit.values()][0] || null;
+  const minimumCallHours = toNumber(holiday?.minimum_call) ?? toNumber(union.minimum_call_hours);
+  let paidMinutes = workedMinutes;
+  if (minimumCallHours && workedMinutes < minimumCallHours * 60 && firstSlice) {
+    const shortfall = minimumCallHours * 60 - workedMinutes;
+    addHours(firstSlice.rateType, firstSlice.rate, shortfall);
+    paidMinutes += shortfall;
+  }
+
+  const laborCost = Object.values(breakdown).reduce((sum, line) => sum + line.cost, 0);
+
+  return {
+    crewSize,
+    startMinute,
+    startAbsolute,
+    endAbsolute: startAbsolute + workedMinutes,
+    workedMinutes,
+    priorMinutes,
+    paidMinutes,
+    mealBreaks: call.meal_breaks || 0,
+    minimumCallHours: paidMinutes > workedMinutes ? minimumCallHours : null,
+    specialDays: [...specialDaysHit.values()].map(day => ({
+      holiday_name: day.holiday_name,
+      rate_multiplier: parseFloat(day.rate_multiplier)
+    })),
+    breakdown: Object.fromEntries(Object.entries(breakdown).map(([type, line]) => [type, {
+      hours: round2(line.hours),
+      rate: round2(line.rate),
+      cost: round2(line.cost)
+    }])),
+    laborCost
+  };
+};
+
+/**
+ * When a union's crew last stopped work before a costed call, for turnaround:
+ * the latest end among its earlier calls that finished before this one
+ * started. Null when the call carries on the day's work (see costCall) or
+ * starts as another call ends, since that is continuous work, and when no
+ * earlier call has finished; calls it overlaps are crews working alongside.
+ */
+const previousCallEnd = (earlierCalls, costed) => {
+  if (costed.priorMinutes > 0 || earlierCalls.some(earlier => earlier.endAbsolute === costed.startAbsolute)) {
+    return null;
+  }
+
+  const ends = earlierCalls
+    .filter(earlier => earlier.endAbsolute < costed.startAbsolute)
+    .map(earlier => earlier.endAbsolute);
+  return ends.length > 0 ? Math.max(...ends) : null;
+};
+
+/**
+ * Costs validated calls against a property's union agreement rows (unions,
+ * schedules, penalties, specialDays), adding the per-call lines, per-union
+ * totals and grand total to report. Makes no queries.
+ */
+const costSchedule = (calls, { unions, schedules, penalties, specialDays }, report) => {
+  const byUnion = (rows, unionId) => rows.filter(row => row.union_id === unionId);
+
+  // Cost calls in time order so turnaround can see each union's previous call
+  const ordered = calls
+    .map((call, index) => ({ call, index }))
+    .sort((a, b) => `${a.call.date} ${a.call.start_time.padStart(5, '0')}`.localeCompare(`${b.call.date} ${b.call.start_time.padStart(5, '0')}`));
+
+  const callsByUnion = new Map();
+  const callsByUnionDay = new Map();
+  const unionTotals = new Map();
+  const costedCalls = [];
+
+  ordered.forEach(({ call, index }) => {
+    const union = resolveUnion(unions, call);
+    const label = call.description || `Call ${index + 1}`;
+
+    if (!union) {
+      report.warnings.push(`${label}: no union matches "${call.union || call.union_id || ''}", so it was not costed`);
+      return;
+    }
+
+    if (!toNumber(union.regular_rate)) {
+      report.warnings.push(`${label}: Local ${union.local_number} has no regular rate configured`);
+    }
+
+    const dayKey = `${union.id}|${call.date}`;
+    const priorCalls = callsByUnionDay.get(dayKey) || [];
+    const costed = costCall(union, call, {
+      schedules: byUnion(schedules, union.id),
+      specialDays: byUnion(specialDays, union.id),
+      priorCalls
+    });
+    callsByUnionDay.set(dayKey, [...priorCalls, costed]);
+
+    const earlierCalls = callsByUnion.get(union.id) || [];
+    const applied = applyPenalties(
+      byUnion(penalties, union.id),
+      costed,
+      previousCallEnd(earlierCalls, costed),
+      report.warnings
+    );
+    callsByUnion.set(union.id, [...earlierCalls, costed]);
+
+    const penaltyCost = applied.reduce((sum, penalty) => sum + penalty.amount, 0);
+    const totalCost = costed.laborCost + penaltyCost;
+    const paidPersonHours = (costed.paidMinutes / 60) * costed.crewSize;
+
+    costedCalls.push({
+      index,
+      line: {
+        description: label,
+        union: {
+          id: union.id,
+          local_number: union.local_number,
+          name: union.name,
+          trade: union.trade
+        },
+        date: call.date,
+        start_time: call.start_time,
+        end_time: call.end_time,
+        crew_size: costed.crewSize,
+        hours_worked: round2(costed.workedMinutes / 60),
+        hours_worked_earlier_that_day: round2(costed.priorMinutes / 60),
+        hours_paid: round2(costed.paidMinutes / 60),
+        minimum_call_applied: costed.minimumCallHours,
+        special_days: costed.specialDays,
+        breakdown: costed.breakdown,
+        penalties: applied,
+        labor_cost: round2(costed.laborCost),
+        penalty_cost: round2(penaltyCost),
+        total_cost: round2(totalCost)
+      }
+    });
+
+    const totals = unionTotals.get(union.id) || {
+      union_id: union.id,
+      local_number: union.local_number,
+      name: union.name,
+      trade: union.trade,
+      calls: 0,
+      person_hours: 0,
+      labor_cost: 0,
+      penalty_cost: 0,
+      total_cost: 0
+    };
+    totals.calls += 1;
+    totals.person_hours += paidPersonHours;
+    totals.labor_cost += costed.laborCost;
+    totals.penalty_cost += penaltyCost;
+    totals.total_cost += totalCost;
+    unionTotals.set(union.id, totals);
+
+    report.total_hours += paidPersonHours;
+    report.total_cost += totalCost;
+  });
+
+  report.calls = costedCalls.sort((a, b) => a.index - b.index).map(entry => entry.line);
+  report.unions = [...unionTotals.values()].map(totals => ({
+    ...totals,
+    person_hours: round2(totals.person_hours),
+    labor_cost: round2(totals.labor_cost),
+    penalty_cost: round2(totals.penalty_cost),
+    total_cost: round2(totals.total_cost)
+  }));
+  report.total_hours = round2(report.total_hours);
+  report.total_cost = round2(report.total_cost);
+};
+
+/**
+ * Costs a call schedule against the property's union agreements.
+ * Each call is { union | union_id, crew_size, date, start_time, end_time,
+ * meal_breaks?, description? }. Returns a per-call breakdown, per-union
+ * totals and a grand total; calls that cannot be costed are reported in
+ * errors/warnings rather than throwing.
+ */
+const calculateLaborCost = async (propertyId, calls) => {
+  const report = {
+    calls: [],
+    unions: [],
+    total_hours: 0,
+    total_cost: 0,
+    errors: [],
+    warnings: []
+  };
+
+  if (!Array.isArray(calls) || calls.length === 0) {
+    report.errors.push('At least one call is required');
+    return report;
+  }
+
+  calls.forEach((call, index) => report.errors.push(...validateCall(call, index)));
+  if (report.errors.length > 0) {
+    return report;
+  }
+
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const unionsResult = await client.query('SELECT * FROM unions WHERE property_id = $1', [propertyId]);
+    const unions = unionsResult.rows;
+    const unionIds = unions.map(union => union.id);
+
+    const [schedulesResult, penaltiesResult, specialDaysResult] = unionIds.length > 0
+      ? await Promise.all([
+        client.query('SELECT * FROM union_schedules WHERE union_id = ANY($1)', [unionIds]),
+        client.query('SELECT * FROM union_time_penalties WHERE union_id = ANY($1)', [unionIds]),
+        client.query('SELECT * FROM union_special_days WHERE union_id = ANY($1)', [unionIds])
+      ])
+      : [{ rows: [] }, { rows: [] }, { rows: [] }];
+
+    costSchedule(calls, {
+      unions,
+      schedules: schedulesResult.rows,
+      penalties: penaltiesResult.rows,
+      specialDays: specialDaysResult.rows
+    }, report);
+
+    logger.info('Labor cost calculated', {
+      propertyId,
+      calls: report.calls.length,
+      total_cost: report.total_cost
+    });
+
+    return report;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  costSchedule,
+  calculateLaborCost
+};
@@ -0,0 +1,69 @@
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const OpenAIProvider = require('./openaiProvider');
+const StubProvider = require('./stubProvider');
+
+const DEFAULT_MODEL = 'gpt-4o';
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'stub.json');
+
+let provider = null;
+
+/**
+ * Builds the provider named by LLM_PROVIDER:
+ *  - openai (default): api.openai.com with OPENAI_API_KEY
+ *  - compatible: any OpenAI-compatible server at LLM_BASE_URL
+ *  - stub: scripted offline replies from LLM_STUB_FIXTURES
+ * LLM_MODEL overrides the model name for the real providers.
+ */
+const createProvider = (name = process.env.LLM_PROVIDER || 'openai') => {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.LLM_MODEL || DEFAULT_MODEL
+      });
+
+    case 'compatible':
+      if (!process.env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required when LLM_PROVIDER=compatible');
+      }
+      return new OpenAIProvider({
+        name: 'compatible',
+        apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || 'not-needed',
+        baseURL: process.env.LLM_BASE_URL,
+        model: process.env.LLM_MODEL || DEFAULT_MODEL
+      });
+
+    case 'stub':
+      return new StubProvider({
+        fixturesPath: process.env.LLM_STUB_FIXTURES || DEFAULT_FIXTURES
+      });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use openai, compatible or stub.`);
+  }
+};
+
+const getLLMProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+    logger.info('LLM provider initialized', { provider: provider.name, model: provider.model });
+  }
+  return provider;
+};
+
+/**
+ * Whether the configured provider can answer without further setup
+ */
+const isLLMConfigured = () => {
+  const name = process.env.LLM_PROVIDER || 'openai';
+  if (name === 'openai') return !!process.env.OPENAI_API_KEY;
+  if (name === 'compatible') return !!process.env.LLM_BASE_URL;
+  return name === 'stub';
+};
+
+module.exports = {
+  createProvider,
+  getLLMProvider,
+  isLLMConfigured
+};
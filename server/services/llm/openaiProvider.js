@@ -0,0 +1,38 @@
+const OpenAI = require('openai');
+
+/**
+ * Chat completion provider backed by the OpenAI SDK. Also serves any
+ * OpenAI-compatible endpoint (vLLM, Ollama, LM Studio, ...) via baseURL.
+ */
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL, model }) {
+    this.name = name;
+    this.model = model;
+    this.options = { apiKey, baseURL };
+    this.client = null;
+  }
+
+  // The SDK throws without an API key, so only build it on first use
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.options.apiKey,
+        ...(this.options.baseURL && { baseURL: this.options.baseURL })
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Mirrors openai.chat.completions.create: resolves to a completion, or to
+   * an async iterable of chunks when params.stream is set
+   */
+  async createChatCompletion(params) {
+    return this.getClient().chat.completions.create({
+      model: this.model,
+      ...params
+    });
+  }
+}
+
+module.exports = OpenAIProvider;
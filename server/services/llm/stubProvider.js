@@ -0,0 +1,126 @@
+const fs = require('fs');
+const { logger } = require('../../utils/logger');
+
+const EMPTY_USAGE = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+const messageText = (message) => {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+  return '';
+};
+
+/**
+ * Offline provider that replays scripted conversations from a fixtures file.
+ *
+ * A fixture file holds { scripts: [{ match, steps }], fallback: { steps } }.
+ * The first script whose `match` regex matches the latest user message is
+ * played; each step is either { tool_calls: [{ name, arguments }] } or
+ * { content }. The step played is chosen by how many tool rounds have
+ * completed since that user message, so the same input always produces the
+ * same sequence. `{{tool_results}}` in content is replaced with the results
+ * of the most recent tool round.
+ */
+class StubProvider {
+  constructor({ fixturesPath, model = 'stub' }) {
+    this.name = 'stub';
+    this.model = model;
+    this.fixturesPath = fixturesPath;
+    this.fixtures = null;
+  }
+
+  loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+      logger.info('Loaded LLM stub fixtures', {
+        path: this.fixturesPath,
+        scripts: (this.fixtures.scripts || []).length
+      });
+    }
+    return this.fixtures;
+  }
+
+  nextStep(messages) {
+    const fixtures = this.loadFixtures();
+
+    let lastUserIndex = -1;
+    messages.forEach((message, index) => {
+      if (message.role === 'user') lastUserIndex = index;
+    });
+
+    const userText = messageText(messages[lastUserIndex]);
+    const script = (fixtures.scripts || []).find(candidate => new RegExp(candidate.match, 'i').test(userText))
+      || fixtures.fallback
+      || { steps: [{ content: 'The stub provider has no scripted reply for this message.' }] };
+
+    const since = messages.slice(lastUserIndex + 1);
+    const rounds = since.filter(message => message.role === 'assistant' && message.tool_calls).length;
+    const step = script.steps[Math.min(rounds, script.steps.length - 1)];
+
+    if (step.tool_calls) {
+      return {
+        role: 'assistant',
+        content: null,
+        tool_calls: step.tool_calls.map((toolCall, index) => ({
+          id: `stub_call_${rounds}_${index}`,
+          type: 'function',
+          function: {
+            name: toolCall.name,
+            arguments: typeof toolCall.arguments === 'string'
+              ? toolCall.arguments
+              : JSON.stringify(toolCall.arguments || {})
+          }
+        }))
+      };
+    }
+
+    let lastAssistantIndex = -1;
+    since.forEach((message, index) => {
+      if (message.role === 'assistant' && message.tool_calls) lastAssistantIndex = index;
+    });
+    const toolResults = since
+      .slice(lastAssistantIndex + 1)
+      .filter(message => message.role === 'tool')
+      .map(message => message.content)
+      .join('\n');
+
+    return {
+      role: 'assistant',
+      content: String(step.content || '').replace(/\{\{tool_results\}\}/g, toolResults)
+    };
+  }
+
+  async createChatCompletion(params) {
+    const message = this.nextStep(params.messages || []);
+
+    if (params.stream) {
+      return this.streamMessage(message);
+    }
+
+    return {
+      id: 'stub-completion',
+      model: this.model,
+      choices: [{ index: 0, message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+      usage: EMPTY_USAGE
+    };
+  }
+
+  async *streamMessage(message) {
+    if (message.tool_calls) {
+      for (const [index, toolCall] of message.tool_calls.entries()) {
+        yield { choices: [{ index: 0, delta: { tool_calls: [{ index, id: toolCall.id, type: 'function', function: { name: toolCall.function.name, arguments: '' } }] } }] };
+        yield { choices: [{ index: 0, delta: { tool_calls: [{ index, function: { arguments: toolCall.function.arguments } }] } }] };
+      }
+    } else {
+      // Word-sized deltas so streaming clients see incremental output
+      for (const piece of message.content.match(/\S+\s*|\s+/g) || []) {
+        yield { choices: [{ index: 0, delta: { content: piece } }] };
+      }
+    }
+    yield { choices: [], usage: EMPTY_USAGE };
+  }
+}
+
+module.exports = StubProvider;
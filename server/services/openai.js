@@ -1,13 +1,16 @@
-const OpenAI = require('openai');
 const { logger } = require('../utils/logger');
 const { getDatabase } = require('../database/init');
-const { validateOrder } = require('./validation');
+const { validateOrder, validateRoomCapability } = require('./validation');
+const { createOrder } = require('./orders');
+const { resolveEventWindow, getReservedQuantities } = require('./reservations');
+const { calculateLaborCost } = require('./laborCosting');
+const { findSubstitutes } = require('./substitutions');
+const { calculateProjection, CONTENT_TYPES, ASPECT_RATIOS, AMBIENT_LIGHT_LEVELS } = require('./projection');
+const { calculateAudioCoverage, PROGRAM_TYPES } = require('./audioCoverage');
+const { SETUP_STYLES, attachRoomDetails } = require('./rooms');
 const fs = require('fs').promises;
 const pdfParse = require('pdf-parse');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const { getLLMProvider } = require('./llm');
 
 const MAX_FUNCTION_CALLS = 5;
 const MAX_VALIDATION_RETRIES = 3;
@@ -29,7 +32,8 @@ AUDIO SYSTEMS FUNDAMENTALS:
 • Impedance Matching: Low-Z (XLR, balanced) vs High-Z (1/4", unbalanced)
 • Feedback Prevention: Proper gain staging, EQ, speaker placement, monitor positioning
 • Coverage Calculations: 1 speaker per 100 people, 90° dispersion typical
-• SPL Requirements: 85dB minimum, +3dB per doubling of distance
+• SPL Requirements: 85dB minimum at the farthest listener; level falls 6dB per doubling of distance
+  - Use calculate_audio_coverage for speaker counts, zones and delay fills rather than estimating
 
 VIDEO SYSTEMS FUNDAMENTALS:
 • Resolution Standards:
@@ -44,6 +48,8 @@ VIDEO SYSTEMS FUNDAMENTALS:
 • Projector Specifications:
   - Throw Ratio: Distance to screen width ratio (1.2:1 to 2.0:1 typical)
   - Lumens: 2500+ for rooms with ambient light, 4000+ for large venues
+• Screen Sizing: Screen height = farthest viewer distance ÷ 6 (general video) or ÷ 4 (detailed content); nearest viewer at least 2x screen height
+  - Use calculate_projection for actual screen, lumens and throw figures rather than estimating
   - Contrast Ratio: 1000:1 minimum, 3000:1+ preferred
 
 LIGHTING SYSTEMS:
@@ -115,7 +121,7 @@ TROUBLESHOOTING GUIDE:
 
 COMPATIBILITY MATRICES:
 • Audio Compatibility:
-  - Wireless Systems: Frequency coordination required for multiple units
+  - Wireless Systems: Frequency coordination required for multiple units, including other events in the building at the same time
   - Mixer Inputs: XLR preferred, 1/4" acceptable, RCA consumer grade
   - Speaker Impedance: 4Ω/8Ω/16Ω matching critical for amplifier performance
 • Video Compatibility:
@@ -134,6 +140,58 @@ COST OPTIMIZATION STRATEGIES:
 • Preventive Maintenance: Regular cleaning, testing, replacement scheduling
 `;
 
+/**
+ * One line of the prompt's room list: measurements, setup capacities,
+ * rigging, power circuits and built-in AV, leaving out anything not recorded
+ */
+const describeRoom = (room) => {
+  const parts = [`Capacity ${room.capacity} people`];
+
+  if (room.length_ft && room.width_ft) {
+    parts.push(`${room.length_ft} x ${room.width_ft} ft`);
+  } else if (room.dimensions) {
+    parts.push(room.dimensions);
+  }
+  if (room.ceiling_height_ft) {
+    parts.push(`${room.ceiling_height_ft} ft ceiling`);
+  }
+
+  const setups = SETUP_STYLES
+    .filter(style => room[`capacity_${style}`])
+    .map(style => `${style} ${room[`capacity_${style}`]}`);
+  if (setups.length > 0) {
+    parts.push(`Setups: ${setups.join(', ')}`);
+  }
+
+  if (room.rigging_points.length > 0) {
+    parts.push(`Rigging: ${room.rigging_points.map(point =>
+      `${point.name}${point.load_limit_lbs ? ` (${point.load_limit_lbs} lbs)` : ''}`
+    ).join(', ')}`);
+  }
+
+  if (room.power_circuits.length > 0) {
+    parts.push(`Power: ${room.power_circuits.map(circuit =>
+      [`${circuit.quantity || 1}x`, circuit.amps && `${circuit.amps}A`, circuit.voltage && `${circuit.voltage}V`, circuit.connector_type]
+        .filter(Boolean).join(' ')
+    ).join(', ')}`);
+  }
+
+  if (room.av_items.length > 0) {
+    parts.push(`Built-in AV: ${room.av_items.map(item => `${item.quantity || 1}x ${item.description || item.av_type}`).join(', ')}`);
+  } else if (room.built_in_av) {
+    parts.push(`Built-in AV: ${room.built_in_av}`);
+  }
+
+  if (room.features) {
+    parts.push(`Features: ${room.features}`);
+  }
+
+  return `- ${room.name}: ${parts.join(', ')}`;
+};
+
+// Costed crew calls from a calculate_labor_requirements result, if any
+const laborPlanCalls = (laborPlan) => (laborPlan && laborPlan.cost_breakdown && laborPlan.cost_breakdown.calls) || [];
+
 class OpenAIService {
   constructor() {
     // Don't initialize database connection here - it will be initialized by the server
@@ -147,9 +205,206 @@ class OpenAIService {
     return this.db;
   }
 
-  async processConversation(messages, propertyId, fileData = null) {
+  /**
+   * Runs one chat completion. With onEvent the response is streamed: text
+   * deltas are forwarded as 'token' events and the full message (including
+   * any tool calls) is rebuilt from the chunks.
+   */
+  async requestCompletion(chatMessages, tools, onEvent) {
+    const llm = getLLMProvider();
+    const request = {
+      messages: chatMessages,
+      tools: tools,
+      tool_choice: 'auto',
+      temperature: 0.7,
+      max_tokens: 2000
+    };
+
+    if (!onEvent) {
+      const response = await llm.createChatCompletion(request);
+      return { message: response.choices[0].message, usage: response.usage };
+    }
+
+    const stream = await llm.createChatCompletion({
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    const message = { role: 'assistant', content: '' };
+    const toolCalls = [];
+    let usage = null;
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const delta = chunk.choices?.[0]?.delta;
+      if (!delta) continue;
+
+      if (delta.content) {
+        message.content += delta.content;
+        onEvent('token', { content: delta.content });
+      }
+
+      // Tool call fragments arrive keyed by index; ids and names come first
+      (delta.tool_calls || []).forEach(fragment => {
+        if (!toolCalls[fragment.index]) {
+          toolCalls[fragment.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+        }
+        const toolCall = toolCalls[fragment.index];
+        toolCall.id += fragment.id || '';
+        toolCall.function.name += fragment.function?.name || '';
+        toolCall.function.arguments += fragment.function?.arguments || '';
+      });
+    }
+
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls.filter(Boolean);
+      if (!message.content) {
+        message.content = null;
+      }
+    }
+
+    return { message, usage };
+  }
+
+  /**
+   * Runs every tool call from one assistant turn concurrently and returns
+   * { name, args, result, message } per call, in call order. Malformed
+   * arguments are reported back to the model as a tool error rather than
+   * failing the request.
+   */
+  async runToolCalls(toolCalls, propertyId, onEvent) {
+    return Promise.all(toolCalls.map(async (toolCall) => {
+      const functionName = toolCall.function.name;
+      let result;
+
+      let functionArgs = null;
+      try {
+        functionArgs = JSON.parse(toolCall.function.arguments || '{}');
+      } catch (error) {
+        logger.warn(`AI tool call ${functionName} sent invalid arguments`, { arguments: toolCall.function.arguments });
+        result = { error: `Invalid JSON arguments for ${functionName}: ${error.message}. Call the tool again with valid JSON.` };
+      }
+
+      if (functionArgs) {
+        logger.info(`AI tool call: ${functionName}`, functionArgs);
+        if (onEvent) {
+          onEvent('function_call', { id: toolCall.id, name: functionName, arguments: functionArgs });
+        }
+        result = await this.executeFunction(functionName, functionArgs, propertyId);
+      }
+
+      if (onEvent) {
+        onEvent('function_result', { id: toolCall.id, name: functionName, success: !result?.error });
+      }
+
+      return {
+        name: functionName,
+        args: functionArgs,
+        result,
+        message: {
+          role: 'tool',
+          tool_call_id: toolCall.id,
+          content: JSON.stringify(result)
+        }
+      };
+    }));
+  }
+
+  /**
+   * Records a validate_order attempt in the report. When the previous attempt
+   * failed, works out how the model changed each short item: swapped it for
+   * other items, reduced the quantity, or left it unchanged.
+   */
+  recordValidationAttempt(report, args, result) {
+    const equipmentList = Array.isArray(args.equipment_list) ? args.equipment_list : [];
+    const previous = report.attempts[report.attempts.length - 1];
+
+    if (previous && !previous.valid) {
+      const previousNames = new Set(previous.equipment_list.map(item => item.item_name));
+      const added = equipmentList.filter(item => !previousNames.has(item.item_name));
+
+      report.substitutions
+        .filter(substitution => substitution.attempt === previous.attempt)
+        .forEach(substitution => {
+          const kept = equipmentList.find(item => item.item_name === substitution.item_name);
+          const candidateNames = new Set(substitution.candidates.map(candidate => candidate.name));
+          const replacements = added.filter(item =>
+            candidateNames.has(item.item_name) || (substitution.category && item.category === substitution.category)
+          );
+
+          if (replacements.length > 0) {
+            substitution.resolution = 'substituted';
+            substitution.replaced_with = replacements.map(item => ({ item_name: item.item_name, quantity: item.quantity }));
+          } else if (!kept) {
+            substitution.resolution = 'removed';
+          } else if (kept.quantity < substitution.requested) {
+            substitution.resolution = 'reduced';
+            substitution.reduced_to = kept.quantity;
+          } else {
+            substitution.resolution = 'unchanged';
+          }
+        });
+    }
+
+    report.attempts.push({
+      attempt: report.attempts.length + 1,
+      valid: !!result.valid,
+      equipment_list: equipmentList,
+      errors: result.errors || []
+    });
+    report.valid = !!result.valid;
+    report.errors = result.errors || [];
+    report.warnings = result.warnings || [];
+  }
+
+  /**
+   * Builds the corrective instruction sent after validate_order reports an
+   * inventory shortage, listing each short item with its ranked in-stock alternatives, and
+   * records those items in the report
+   */
+  async buildValidationRetryPrompt(report, args, result, propertyId) {
+    const equipmentList = Array.isArray(args.equipment_list) ? args.equipment_list : [];
+    const shortItems = (result.details?.inventory_check?.items || []).filter(item => !item.sufficient);
+    const attempt = report.attempts.length;
+
+    const lines = await Promise.all(shortItems.map(async (item) => {
+      const requested = equipmentList.find(line => line.item_name === item.item_name) || {};
+      const { alternatives: candidates } = await findSubstitutes(propertyId, { item_name: item.item_name, category: requested.category }, {
+        eventWindow: result.details.inventory_check.event_window
+      });
+
+      report.substitutions.push({
+        attempt,
+        item_name: item.item_name,
+        category: requested.category || candidates[0]?.category || null,
+        requested: item.requested,
+        available: item.available,
+        reason: item.reserved_by_other_orders > 0
+          ? `Only ${item.available} available; ${item.reserved_by_other_orders} reserved by other orders`
+          : `Only ${item.available} available`,
+        candidates: candidates.map(candidate => ({ name: candidate.name, available: candidate.available })),
+        resolution: null
+      });
+
+      const options = candidates.length > 0
+        ? candidates.map(candidate => `${candidate.name}${candidate.model ? ` (${candidate.model})` : ''}: ${candidate.available} available`).join('; ')
+        : 'no substitutes in stock';
+      return `- ${item.item_name}: requested ${item.requested}, available ${item.available}. Substitutes: ${options}`;
+    }));
+
+    return `validate_order failed (attempt ${attempt} of ${MAX_VALIDATION_RETRIES + 1}).
+${lines.join('\n')}
+
+Revise the equipment list: swap short items for the substitutes listed (keeping the same total quantity where it makes sense) or reduce quantities, then call validate_order again before answering. If nothing workable is in stock, explain the shortfall to the user instead.`;
+  }
+
+  async processConversation(messages, propertyId, fileData = null, { onEvent = null } = {}) {
     try {
-      console.log('Starting processConversation for property:', propertyId);
+      logger.debug('Starting processConversation', { propertyId });
       
       // Process file if provided
       let fileContent = null;
@@ -159,19 +414,25 @@ class OpenAIService {
       
       // Get real inventory data from database
       const inventory = await this.getRealInventory(propertyId);
-      console.log('Retrieved real inventory data:', inventory.length, 'items');
+      logger.debug('Retrieved inventory for the prompt', { propertyId, items: inventory.length });
       
       // Get rooms data for this property
       const rooms = await this.getRooms(propertyId);
-      console.log('Retrieved rooms data:', rooms.length, 'rooms');
+      logger.debug('Retrieved rooms for the prompt', { propertyId, rooms: rooms.length });
+
+      const unions = await this.getUnions(propertyId);
       
       // Build system message with actual inventory and rooms
       let systemMessage;
       
       const roomsList = rooms.length > 0 ? 
-        rooms.map(room => `- ${room.name}: Capacity ${room.capacity} people${room.built_in_av ? ', Built-in AV: ' + room.built_in_av : ''}${room.features ? ', Features: ' + room.features : ''}`).join('\n') :
+        rooms.map(describeRoom).join('\n') :
         '- No rooms configured yet';
       
+      const unionsList = unions.length > 0 ?
+        unions.map(union => `- Local ${union.local_number} ${union.name} (${union.trade})${union.regular_rate ? ': $' + union.regular_rate + '/hour' : ''}${union.minimum_call_hours ? ', ' + union.minimum_call_hours + 'h minimum call' : ''}`).join('\n') :
+        '- No unions configured yet';
+      
       if (inventory.length === 0) {
         systemMessage = `You are an expert AV sales manager and technical consultant for Encore Event Services at the selected property. You have deep expertise in audio/visual systems, equipment integration, and event production.
 
@@ -186,6 +447,10 @@ Please inform the user that inventory data needs to be uploaded through the admi
 
 IMPORTANT: When users mention a specific room name, use the check_room_capabilities function to provide detailed room information and assess equipment compatibility.
 
+IMPORTANT: For screens and projection, call calculate_projection with the room name and attendees to size the screen and get the lumens required from the room's geometry, rather than estimating.
+
+IMPORTANT: For speaker coverage, call calculate_audio_coverage with the room name and attendees to get the speaker count, placement zones and delay fills for the room, rather than estimating.
+
 Even without inventory data, I can help with:
 - AV system design and consultation
 - Equipment recommendations and specifications
@@ -210,10 +475,31 @@ ${roomsList}
 AVAILABLE EQUIPMENT INVENTORY:
 ${inventoryList}
 
+UNION LABOR:
+${unionsList}
+
 IMPORTANT: When recommending equipment, always use the EXACT item names and model numbers from this inventory list. Only recommend equipment that is actually available in the inventory above.
 
 IMPORTANT: When users mention a specific room name, use the check_room_capabilities function to provide detailed room information and assess equipment compatibility.
 
+IMPORTANT: For screens and projectors, call calculate_projection with the room name and attendees (plus setup style, content and ambient light if known). Size the screen and choose the projector from its results, quoting the lumens required and the projector's throw distance, rather than estimating.
+
+IMPORTANT: For speakers, call calculate_audio_coverage with the room name and attendees (plus setup style and program if known). Recommend the speaker count, placement zones and delay fills it returns, and pass its equipment_list to validate_order.
+
+IMPORTANT: Once the room is known, pass room_name to validate_order so the union venue rules for that room are checked. Explain any venue rule error or warning and the action it requires; a requirement such as a projectionist fails validation until the order books that position.
+
+IMPORTANT: validate_order budgets the order's power draw against the room's circuits. When the power check calls for a distro, add it to the order and add the electrician call it names to the labor.
+
+IMPORTANT: validate_order coordinates wireless mic and IEM frequencies with other bookings in the same window. When a wireless band is exhausted, swap the short units for ones on another band, and mention any intermod warnings to the user.
+
+IMPORTANT: The inventory counts above are total stock. Other orders may already hold some of it, so once you know the event date (and times, if given) pass them to fetch_inventory and validate_order to check availability for that window.
+
+IMPORTANT: When validate_order or fetch_inventory shows an item is short or unavailable, call suggest_substitutes for it and offer the user the ranked in-stock alternatives it returns instead of simply dropping the item.
+
+IMPORTANT: For labor costs, always call calculate_labor_requirements with a call_schedule: one entry per crew call (setup, show, strike) naming the union, crew size, date and start/end times. Quote the per-union breakdown it returns, including any overtime, holiday premiums and penalties, rather than estimating hours yourself. Pass that result as labor_plan to validate_order, since a union venue rule requirement such as a projectionist fails validation until a call staffs that position; name the position in the call's description.
+
+IMPORTANT: Once validate_order succeeds and the user is happy with the recommendation, call create_event_order with the same equipment list to save it as a draft order, then tell the user the order number and share the proposal_url it returns so they can download a client-ready proposal PDF.
+
 I can help you:
 - Design complete AV systems based on event requirements
 - Recommend specific equipment from your inventory
@@ -289,65 +575,66 @@ ANALYSIS INSTRUCTIONS:
         }
       }
 
-      // Define available functions
-      const functions = this.getFunctionDefinitions();
+      // Define available tools
+      const tools = this.getToolDefinitions();
 
-      console.log('Sending request to OpenAI with functions enabled');
+      logger.debug(`Sending request to ${getLLMProvider().name} with tools enabled`);
       
-      let response = await openai.chat.completions.create({
-        model: 'gpt-4o', // GPT-4o supports vision natively
-        messages: chatMessages,
-        functions: functions,
-        function_call: 'auto',
-        temperature: 0.7,
-        max_tokens: 2000
-      });
+      let completion = await this.requestCompletion(chatMessages, tools, onEvent);
       
-      console.log('OpenAI response received');
+      logger.debug(`Response received from ${getLLMProvider().name}`);
 
-      // Handle function calls
+      // Handle tool calls; each round may run several tools at once. A failed
+      // validate_order earns the model extra rounds to correct the order.
       let functionCallCount = 0;
-      while (response.choices[0].message.function_call && functionCallCount < MAX_FUNCTION_CALLS) {
-        const functionCall = response.choices[0].message.function_call;
-        const functionName = functionCall.name;
-        const functionArgs = JSON.parse(functionCall.arguments);
-
-        logger.info(`AI function call: ${functionName}`, functionArgs);
-
-        // Add the function call to chat history
-        chatMessages.push(response.choices[0].message);
-
-        // Execute the function
-        const functionResult = await this.executeFunction(functionName, functionArgs, propertyId);
+      let toolRounds = 0;
+      let validationRetries = 0;
+      let validationReport = null;
+
+      while (completion.message.tool_calls?.length > 0 && toolRounds < MAX_FUNCTION_CALLS + validationRetries) {
+        // Add the tool calls to chat history, followed by one result per call
+        chatMessages.push(completion.message);
+        const toolResults = await this.runToolCalls(completion.message.tool_calls, propertyId, onEvent);
+        chatMessages.push(...toolResults.map(toolResult => toolResult.message));
+
+        functionCallCount += toolResults.length;
+        toolRounds++;
+
+        const validations = toolResults.filter(toolResult => toolResult.name === 'validate_order' && toolResult.args && toolResult.result && !toolResult.result.error);
+        for (const validation of validations) {
+          if (!validationReport) {
+            validationReport = { attempts: [], substitutions: [], retries: 0, valid: false, errors: [], warnings: [] };
+          }
+          this.recordValidationAttempt(validationReport, validation.args, validation.result);
+        }
 
-        // Add function result to chat history
-        chatMessages.push({
-          role: 'function',
-          name: functionName,
-          content: JSON.stringify(functionResult)
-        });
+        const failed = validations.find(validation =>
+          !validation.result.valid && validation.result.details?.inventory_check?.passed === false
+        );
+        if (failed && validationRetries < MAX_VALIDATION_RETRIES) {
+          validationRetries++;
+          validationReport.retries = validationRetries;
+          const retryPrompt = await this.buildValidationRetryPrompt(validationReport, failed.args, failed.result, propertyId);
+          chatMessages.push({ role: 'system', content: retryPrompt });
+
+          logger.info('Re-prompting model after failed validation', { propertyId, retry: validationRetries });
+          if (onEvent) {
+            onEvent('validation_retry', { retry: validationRetries, max_retries: MAX_VALIDATION_RETRIES, errors: failed.result.errors });
+          }
+        }
 
         // Get next response
-        response = await openai.chat.completions.create({
-          model: 'gpt-4o',
-          messages: chatMessages,
-          functions: functions,
-          function_call: 'auto',
-          temperature: 0.7,
-          max_tokens: 2000
-        });
-
-        functionCallCount++;
+        completion = await this.requestCompletion(chatMessages, tools, onEvent);
       }
 
       return {
-        message: response.choices[0].message.content,
-        usage: response.usage,
-        functionCallCount
+        message: completion.message.content,
+        usage: completion.usage,
+        functionCallCount,
+        validation: validationReport
       };
 
     } catch (error) {
-      console.error('OpenAI API error details:', error);
       logger.error('OpenAI API error:', error);
       throw { type: 'openai', message: error.message };
     }
@@ -369,13 +656,13 @@ ANALYSIS INSTRUCTIONS:
     }
   }
 
-  async getRooms(propertyId) {
+  async getUnions(propertyId) {
     const db = this.getDb();
     const client = await db.connect();
     
     try {
       const result = await client.query(
-        'SELECT name, capacity, dimensions, built_in_av, features FROM rooms WHERE property_id = $1 ORDER BY name',
+        'SELECT local_number, name, trade, regular_rate, minimum_call_hours FROM unions WHERE property_id = $1 ORDER BY local_number',
         [propertyId]
       );
       
@@ -385,6 +672,23 @@ ANALYSIS INSTRUCTIONS:
     }
   }
 
+  async getRooms(propertyId) {
+    const db = this.getDb();
+    const client = await db.connect();
+    
+    try {
+      const result = await client.query(
+        'SELECT * FROM rooms WHERE property_id = $1 ORDER BY name',
+        [propertyId]
+      );
+
+      // Measurements, setup capacities, rigging, power and built-in AV
+      return await attachRoomDetails(client, result.rows);
+    } finally {
+      client.release();
+    }
+  }
+
   async processFile(fileData) {
     try {
       const { mimetype, path: filePath } = fileData;
@@ -479,56 +783,11 @@ ANALYSIS INSTRUCTIONS:
     }
   }
 
-  buildSystemMessage(propertyData) {
-    const roomInfo = propertyData.rooms.map(room => 
-      `${room.name}: Capacity ${room.capacity || 'not specified'}, ${room.dimensions || 'dimensions not specified'}, Built-in AV: ${room.built_in_av || 'none'}, Features: ${room.features || 'none'}`
-    ).join('\n');
-
-    return `You are an expert AV sales manager and technical consultant for ${propertyData.property.name}, a premier event venue in Chicago. You help clients plan events by understanding their requirements and providing detailed information about rooms, inventory, labor requirements, and costs.
-
-${AV_KNOWLEDGE_BASE}
-
-PROPERTY INFORMATION:
-${propertyData.property.name}
-Address: ${propertyData.property.location}
-Contact: ${propertyData.property.contact_email || 'Not specified'}
-
-AVAILABLE ROOMS:
-${roomInfo}
-
-UNION LABOR REQUIREMENTS:
-Union information will be loaded dynamically when needed.
-
-INVENTORY SUMMARY:
-${propertyData.inventory.map(item => `- ${item.category}/${item.sub_category}: ${item.total_quantity} items available`).join('\n')}
-
-IMPORTANT LABOR RULES:
-- Audio/visual equipment may require specific union technicians
-- Weekend and holiday work has different rates and rules
-- Some unions have specific time-based penalties and requirements
-- Always consider labor costs when providing estimates
-
-YOUR CAPABILITIES:
-You have access to these functions to help clients:
-1. fetch_inventory(category, search_term) - Find available equipment
-2. check_room_capabilities(room_name, equipment_list) - Check if a room can accommodate specific equipment
-3. validate_order(items, event_date, setup_requirements) - Validate if an order is feasible
-4. calculate_labor_requirements(equipment_list, event_duration, setup_complexity, event_date) - Calculate required labor and costs
-
-RESPONSE GUIDELINES:
-- Be helpful, professional, and knowledgeable about event planning and AV systems
-- Proactively suggest equipment and room configurations based on AV best practices
-- Always consider union labor requirements when discussing equipment
-- Mention specific labor rules when relevant (e.g., "Since you need electrical equipment, Local 134 electricians will be required")
-- Provide cost estimates when possible, including labor costs
-- Ask clarifying questions to better understand the client's needs
-- If you mention a room name, automatically check its capabilities
-- Consider venue-specific rules and limitations in your recommendations
-- Apply AV expertise to recommend appropriate equipment for event types
-- Explain technical considerations and compatibility requirements
-- Suggest system redundancy and backup solutions for critical events
-
-Remember: You're representing a premier venue and are an expert in AV systems. Maintain high standards while being helpful and informative about technical requirements.`;
+  getToolDefinitions() {
+    return this.getFunctionDefinitions().map(definition => ({
+      type: 'function',
+      function: definition
+    }));
   }
 
   getFunctionDefinitions() {
@@ -550,6 +809,18 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
             search_term: {
               type: 'string',
               description: 'Search term to find specific equipment'
+            },
+            event_date: {
+              type: 'string',
+              description: 'Event date in YYYY-MM-DD format; when given, quantities are net of reservations held by other orders'
+            },
+            start_time: {
+              type: 'string',
+              description: 'Event start time in 24-hour HH:MM format, if known'
+            },
+            end_time: {
+              type: 'string',
+              description: 'Event end time in 24-hour HH:MM format, if known'
             }
           },
           required: []
@@ -571,6 +842,15 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
               items: {
                 type: 'string'
               }
+            },
+            attendees: {
+              type: 'integer',
+              description: 'Number of attendees, to check against the room capacity'
+            },
+            setup_style: {
+              type: 'string',
+              enum: ['theater', 'classroom', 'banquet', 'reception'],
+              description: 'Seating layout, which sets the capacity to check attendees against'
             }
           },
           required: ['room_name']
@@ -578,7 +858,7 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
       },
       {
         name: 'validate_order',
-        description: 'Validate an event order against inventory and labor rules',
+        description: 'Validate an event order against inventory, labor rules and the room\'s power budget, and coordinate wireless mic and IEM frequencies with other bookings. Pass the event date and times so equipment reserved by other orders in the same window is taken into account.',
         parameters: {
           type: 'object',
           properties: {
@@ -601,6 +881,26 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
             event_duration: {
               type: 'number',
               description: 'Event duration in hours'
+            },
+            event_date: {
+              type: 'string',
+              description: 'Event date in YYYY-MM-DD format'
+            },
+            start_time: {
+              type: 'string',
+              description: 'Event start time in 24-hour HH:MM format, if known'
+            },
+            end_time: {
+              type: 'string',
+              description: 'Event end time in 24-hour HH:MM format, if known'
+            },
+            room_name: {
+              type: 'string',
+              description: 'Name of the room the event is in, if known, so room-specific union rules apply'
+            },
+            labor_plan: {
+              type: 'object',
+              description: 'Labor plan as returned by calculate_labor_requirements with a call_schedule; its calls can meet union venue rule requirements'
             }
           },
           required: ['equipment_list', 'attendees', 'event_duration']
@@ -608,7 +908,7 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
       },
       {
         name: 'calculate_labor_requirements',
-        description: 'Calculate labor requirements based on equipment and event details',
+        description: 'Estimate crew requirements from equipment and event details, and cost a crew call schedule against union rates, overtime, holiday premiums, minimum calls and penalties',
         parameters: {
           type: 'object',
           properties: {
@@ -630,10 +930,210 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
             event_duration: {
               type: 'number',
               description: 'Event duration in hours'
+            },
+            call_schedule: {
+              type: 'array',
+              description: 'Crew calls to cost against union rates, e.g. setup, show and strike calls',
+              items: {
+                type: 'object',
+                properties: {
+                  union: { type: 'string', description: 'Union local number or trade, e.g. "Local 134" or "stagehands"' },
+                  crew_size: { type: 'integer', description: 'Number of workers on this call' },
+                  date: { type: 'string', description: 'Call date in YYYY-MM-DD format' },
+                  start_time: { type: 'string', description: 'Call start in 24-hour HH:MM format' },
+                  end_time: { type: 'string', description: 'Call end in 24-hour HH:MM format; earlier than start means it runs past midnight' },
+                  meal_breaks: { type: 'integer', description: 'Meal breaks given during the call' },
+                  description: { type: 'string', description: 'What the call is for, e.g. "Audio setup"' }
+                },
+                required: ['union', 'crew_size', 'date', 'start_time', 'end_time']
+              }
             }
           },
           required: ['equipment_list', 'attendees', 'event_duration']
         }
+      },
+      {
+        name: 'create_event_order',
+        description: 'Save a recommendation as a draft event order. Only call this after validate_order has succeeded for the same equipment list.',
+        parameters: {
+          type: 'object',
+          properties: {
+            event_name: {
+              type: 'string',
+              description: 'Name of the event'
+            },
+            event_date: {
+              type: 'string',
+              description: 'Event date in YYYY-MM-DD format'
+            },
+            start_time: {
+              type: 'string',
+              description: 'Event start time in 24-hour HH:MM format, if known'
+            },
+            end_time: {
+              type: 'string',
+              description: 'Event end time in 24-hour HH:MM format, if known'
+            },
+            attendees: {
+              type: 'integer',
+              description: 'Number of event attendees'
+            },
+            event_duration: {
+              type: 'number',
+              description: 'Event duration in hours'
+            },
+            room_name: {
+              type: 'string',
+              description: 'Name of the room the event is booked in'
+            },
+            equipment_list: {
+              type: 'array',
+              description: 'Validated list of equipment with quantities',
+              items: {
+                type: 'object',
+                properties: {
+                  item_name: { type: 'string' },
+                  quantity: { type: 'integer' },
+                  category: { type: 'string' },
+                  model: { type: 'string' }
+                }
+              }
+            },
+            labor_plan: {
+              type: 'object',
+              description: 'Labor requirements as returned by calculate_labor_requirements'
+            },
+            total_cost: {
+              type: 'number',
+              description: 'Estimated total cost, if known'
+            },
+            notes: {
+              type: 'string',
+              description: 'Anything else the planner should know about this order'
+            }
+          },
+          required: ['event_name', 'equipment_list', 'attendees']
+        }
+      },
+      {
+        name: 'suggest_substitutes',
+        description: 'Rank in-stock alternatives for an item that is short or unavailable, using venue-declared equivalences, sub-category, model family and manufacturer',
+        parameters: {
+          type: 'object',
+          properties: {
+            item_name: {
+              type: 'string',
+              description: 'Name or model of the item to replace'
+            },
+            category: {
+              type: 'string',
+              description: 'Equipment category of the item, used when it is not in inventory'
+            },
+            event_date: {
+              type: 'string',
+              description: 'Event date in YYYY-MM-DD format, to rank by availability on that date'
+            },
+            start_time: {
+              type: 'string',
+              description: 'Event start time in 24-hour HH:MM format, if known'
+            },
+            end_time: {
+              type: 'string',
+              description: 'Event end time in 24-hour HH:MM format, if known'
+            }
+          },
+          required: ['item_name']
+        }
+      },
+      {
+        name: 'calculate_projection',
+        description: 'Calculate the recommended screen size, farthest and nearest viewing distances, required projector lumens and the throw distance for each projector in inventory, from a room\'s dimensions, ceiling height, setup style and attendee count. Use this instead of estimating screen sizes or lumens.',
+        parameters: {
+          type: 'object',
+          properties: {
+            room_name: {
+              type: 'string',
+              description: 'Name of the room; its recorded dimensions are used'
+            },
+            length_ft: {
+              type: 'number',
+              description: 'Length of the space in feet, if there is no room or to override it'
+            },
+            width_ft: {
+              type: 'number',
+              description: 'Width of the space in feet, if there is no room or to override it'
+            },
+            ceiling_height_ft: {
+              type: 'number',
+              description: 'Ceiling height in feet, if there is no room or to override it'
+            },
+            attendees: {
+              type: 'integer',
+              description: 'Number of attendees, which sets how deep the audience sits'
+            },
+            setup_style: {
+              type: 'string',
+              enum: ['theater', 'classroom', 'banquet', 'reception'],
+              description: 'Seating layout'
+            },
+            content: {
+              type: 'string',
+              enum: CONTENT_TYPES,
+              description: 'general for video and presentations (6x rule), detailed for spreadsheets and fine text (4x rule)'
+            },
+            aspect_ratio: {
+              type: 'string',
+              enum: ASPECT_RATIOS,
+              description: 'Screen aspect ratio, 16:9 unless the content needs otherwise'
+            },
+            ambient_light: {
+              type: 'string',
+              enum: AMBIENT_LIGHT_LEVELS,
+              description: 'Room lighting during the presentation'
+            }
+          },
+          required: []
+        }
+      },
+      {
+        name: 'calculate_audio_coverage',
+        description: 'Calculate how many speakers a room needs, where they go (mains and delay fill zones with delay times) and which inventory speaker model to use, from the room\'s area, ceiling height and attendee count. The returned equipment_list can be passed to validate_order to check availability.',
+        parameters: {
+          type: 'object',
+          properties: {
+            room_name: {
+              type: 'string',
+              description: 'Name of the room; its recorded dimensions are used'
+            },
+            length_ft: {
+              type: 'number',
+              description: 'Length of the space in feet, if there is no room or to override it'
+            },
+            width_ft: {
+              type: 'number',
+              description: 'Width of the space in feet, if there is no room or to override it'
+            },
+            ceiling_height_ft: {
+              type: 'number',
+              description: 'Ceiling height in feet, if there is no room or to override it'
+            },
+            attendees: {
+              type: 'integer',
+              description: 'Number of attendees, which sets how deep the audience sits'
+            },
+            setup_style: {
+              type: 'string',
+              enum: ['theater', 'classroom', 'banquet', 'reception'],
+              description: 'Seating layout'
+            },
+            program: {
+              type: 'string',
+              enum: PROGRAM_TYPES,
+              description: 'speech for presentations and panels, music for bands and playback at volume'
+            }
+          },
+          required: []
+        }
       }
     ];
   }
@@ -655,6 +1155,18 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
         case 'calculate_labor_requirements':
           return await this.calculateLaborRequirements(args, propertyId);
         
+        case 'create_event_order':
+          return await this.createEventOrder(args, propertyId);
+
+        case 'suggest_substitutes':
+          return await this.suggestSubstitutes(args, propertyId);
+
+        case 'calculate_projection':
+          return await this.calculateProjection(args, propertyId);
+
+        case 'calculate_audio_coverage':
+          return await this.calculateAudioCoverage(args, propertyId);
+        
         default:
           throw new Error(`Unknown function: ${functionName}`);
       }
@@ -691,17 +1203,30 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
       const result = await client.query(query, params);
       const items = result.rows;
 
+      const eventWindow = resolveEventWindow({
+        eventDate: args.event_date,
+        startTime: args.start_time,
+        endTime: args.end_time
+      });
+      const reserved = await getReservedQuantities(client, propertyId, eventWindow);
+
       return {
-        items: items.map(item => ({
-          name: item.name,
-          description: item.description,
-          category: item.category,
-          sub_category: item.sub_category,
-          quantity_available: item.quantity_available,
-          model: item.model,
-          manufacturer: item.manufacturer
-        })),
-        total_items: items.length
+        items: items.map(item => {
+          const quantityReserved = Math.min(reserved.get(item.id) || 0, item.quantity_available);
+          return {
+            name: item.name,
+            description: item.description,
+            category: item.category,
+            sub_category: item.sub_category,
+            quantity_available: item.quantity_available - quantityReserved,
+            quantity_reserved: quantityReserved,
+            total_quantity: item.quantity_available,
+            model: item.model,
+            manufacturer: item.manufacturer
+          };
+        }),
+        total_items: items.length,
+        event_window: eventWindow
       };
     } finally {
       client.release();
@@ -709,67 +1234,154 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
   }
 
   async checkRoomCapabilities(args, propertyId) {
-    const db = this.getDb();
-    const client = await db.connect();
-    
-    try {
-      const result = await client.query(
-        'SELECT * FROM rooms WHERE property_id = $1 AND name = $2',
-        [propertyId, args.room_name]
-      );
-      
-      const room = result.rows[0];
+    const equipmentList = Array.isArray(args.equipment_list) ? args.equipment_list : [];
+    const compatibility = await validateRoomCapability(args.room_name, equipmentList, propertyId, {
+      attendees: args.attendees,
+      setupStyle: args.setup_style
+    });
+
+    if (compatibility.room_info && equipmentList.length === 0) {
+      compatibility.equipment_notes.push('No specific equipment provided for compatibility check');
+    }
 
-      if (!room) {
-        return {
-          compatible: false,
-          reason: 'Room not found'
-        };
-      }
+    return compatibility;
+  }
 
-      // Simple compatibility check based on room features
-      const builtInAV = room.built_in_av || '';
-      const features = room.features || '';
-      const roomInfo = (builtInAV + ' ' + features).toLowerCase();
-
-      const compatibility = {
-        compatible: true,
-        room_info: {
-          name: room.name,
-          capacity: room.capacity,
-          dimensions: room.dimensions,
-          built_in_av: room.built_in_av,
-          features: room.features
-        },
-        equipment_notes: []
-      };
+  async calculateProjection(args, propertyId) {
+    if (!args.room_name && (!args.length_ft || !args.width_ft)) {
+      return { error: 'Provide a room name, or the length and width of the space' };
+    }
 
-      // Check each piece of equipment if provided
-      if (args.equipment_list && args.equipment_list.length > 0) {
-        args.equipment_list.forEach(equipment => {
-          const equipmentLower = equipment.toLowerCase();
-          if (equipmentLower.includes('projector') && !roomInfo.includes('projection')) {
-            compatibility.equipment_notes.push(`${equipment}: No built-in projection, will need portable setup`);
-          }
-          if (equipmentLower.includes('audio') && !roomInfo.includes('sound')) {
-            compatibility.equipment_notes.push(`${equipment}: No built-in audio, will need full audio setup`);
-          }
-        });
-      } else {
-        compatibility.equipment_notes.push('No specific equipment provided for compatibility check');
-      }
+    const calculation = await calculateProjection(propertyId, {
+      roomName: args.room_name,
+      length_ft: args.length_ft,
+      width_ft: args.width_ft,
+      ceiling_height_ft: args.ceiling_height_ft,
+      attendees: args.attendees,
+      setupStyle: args.setup_style,
+      content: args.content || undefined,
+      aspectRatio: args.aspect_ratio || undefined,
+      ambientLight: args.ambient_light || undefined
+    });
+
+    return calculation || { error: 'Room not found', room_name: args.room_name };
+  }
 
-      return compatibility;
-    } finally {
-      client.release();
+  async calculateAudioCoverage(args, propertyId) {
+    if (!args.room_name && (!args.length_ft || !args.width_ft)) {
+      return { error: 'Provide a room name, or the length and width of the space' };
     }
+
+    const coverage = await calculateAudioCoverage(propertyId, {
+      roomName: args.room_name,
+      length_ft: args.length_ft,
+      width_ft: args.width_ft,
+      ceiling_height_ft: args.ceiling_height_ft,
+      attendees: args.attendees,
+      setupStyle: args.setup_style,
+      program: args.program || undefined
+    });
+
+    return coverage || { error: 'Room not found', room_name: args.room_name };
   }
 
   async validateOrder(args, propertyId) {
-    const validationResult = await validateOrder(args.equipment_list, propertyId, args.attendees, args.event_duration);
+    const validationResult = await validateOrder(args.equipment_list, propertyId, args.attendees, args.event_duration, {
+      eventDate: args.event_date,
+      startTime: args.start_time,
+      endTime: args.end_time,
+      roomName: args.room_name,
+      laborCalls: laborPlanCalls(args.labor_plan)
+    });
     return validationResult;
   }
 
+  async createEventOrder(args, propertyId) {
+    // Re-validate so a draft is never saved for an order that cannot be fulfilled
+    const validation = await validateOrder(args.equipment_list || [], propertyId, args.attendees, args.event_duration, {
+      eventDate: args.event_date,
+      startTime: args.start_time,
+      endTime: args.end_time,
+      roomName: args.room_name,
+      laborCalls: laborPlanCalls(args.labor_plan)
+    });
+    if (!validation.valid) {
+      return {
+        created: false,
+        reason: 'Order failed validation. Adjust the equipment list and validate it again before saving.',
+        errors: validation.errors
+      };
+    }
+
+    let roomId = null;
+    if (args.room_name) {
+      const db = this.getDb();
+      const client = await db.connect();
+      try {
+        const result = await client.query(
+          'SELECT id FROM rooms WHERE property_id = $1 AND name = $2',
+          [propertyId, args.room_name]
+        );
+        roomId = result.rows[0]?.id || null;
+      } finally {
+        client.release();
+      }
+    }
+
+    const order = await createOrder({
+      property_id: propertyId,
+      event_name: args.event_name,
+      event_date: args.event_date,
+      start_time: args.start_time,
+      end_time: args.end_time,
+      attendees: args.attendees,
+      room_id: roomId,
+      equipment_list: args.equipment_list,
+      labor_plan: args.labor_plan,
+      total_cost: args.total_cost,
+      status: 'draft',
+      notes: args.notes
+    });
+
+    return {
+      created: true,
+      order_id: order.id,
+      status: order.status,
+      event_name: order.event_name,
+      event_date: order.event_date,
+      room_name: order.room_name,
+      item_count: order.equipment_list.length,
+      reservation_shortfalls: order.reservation_shortfalls,
+      proposal_url: `/api/orders/${order.id}/proposal.pdf`,
+      warnings: validation.warnings
+    };
+  }
+
+  async suggestSubstitutes(args, propertyId) {
+    const eventWindow = resolveEventWindow({
+      eventDate: args.event_date,
+      startTime: args.start_time,
+      endTime: args.end_time
+    });
+    const { original, alternatives } = await findSubstitutes(propertyId, {
+      item_name: args.item_name,
+      category: args.category
+    }, { eventWindow });
+
+    return {
+      item_name: args.item_name,
+      found_in_inventory: !!original,
+      alternatives: alternatives.map(alternative => ({
+        name: alternative.name,
+        model: alternative.model,
+        manufacturer: alternative.manufacturer,
+        category: alternative.category,
+        quantity_available: alternative.available,
+        reasons: alternative.reasons
+      }))
+    };
+  }
+
   async calculateLaborRequirements(args, propertyId) {
     const db = this.getDb();
     const client = await db.connect();
@@ -797,7 +1409,7 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
       // Calculate setup time based on equipment
       let totalSetupTime = 0;
       args.equipment_list.forEach(item => {
-        const category = item.category.toLowerCase();
+        const category = (item.category || '').toLowerCase();
         if (category.includes('audio')) {
           totalSetupTime += setupTimes.audio_setup || 2;
         } else if (category.includes('video')) {
@@ -810,7 +1422,7 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
       const breakdownTime = setupTimes.breakdown || 1;
       const totalLaborHours = (totalSetupTime + args.event_duration + breakdownTime) * requiredTechs;
 
-      return {
+      const estimate = {
         required_technicians: requiredTechs,
         setup_time_hours: totalSetupTime,
         event_duration_hours: args.event_duration,
@@ -822,6 +1434,19 @@ Remember: You're representing a premier venue and are an expert in AV systems. M
           breakdown: `${breakdownTime} hours after event`
         }
       };
+
+      if (!Array.isArray(args.call_schedule) || args.call_schedule.length === 0) {
+        return {
+          ...estimate,
+          cost_breakdown: null,
+          note: 'No call_schedule given. Build setup, show and strike calls from this estimate and call again to get union costs.'
+        };
+      }
+
+      return {
+        ...estimate,
+        cost_breakdown: await calculateLaborCost(propertyId, args.call_schedule)
+      };
     } finally {
       client.release();
     }
@@ -0,0 +1,202 @@
+const { getDatabase } = require('../database/init');
+const { logger } = require('../utils/logger');
+const { toDateString, syncOrderReservations } = require('./reservations');
+
+const parseJSONColumn = (value, fallback) => {
+  if (value === null || value === undefined || value === '') {
+    return fallback;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.error('Failed to parse event order column:', error);
+    return fallback;
+  }
+};
+
+/**
+ * Converts an event_orders row into the shape returned by the API,
+ * decoding the JSON columns and numeric fields
+ */
+const parseOrder = (row) => ({
+  ...row,
+  event_date: toDateString(row.event_date),
+  equipment_list: parseJSONColumn(row.equipment_list, []),
+  labor_plan: parseJSONColumn(row.labor_plan, null),
+  crew_plan: parseJSONColumn(row.crew_plan, null),
+  total_cost: row.total_cost === null || row.total_cost === undefined ? null : parseFloat(row.total_cost)
+});
+
+const ORDER_SELECT = `
+  SELECT o.*, r.name AS room_name
+  FROM event_orders o
+  LEFT JOIN rooms r ON r.id = o.room_id
+`;
+
+/**
+ * Lists orders for a property, newest event first
+ */
+const listOrders = async (propertyId, { status } = {}) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    let query = `${ORDER_SELECT} WHERE o.property_id = $1`;
+    const params = [propertyId];
+
+    if (status) {
+      query += ' AND o.status = $2';
+      params.push(status);
+    }
+
+    query += ' ORDER BY o.event_date DESC NULLS LAST, o.created_at DESC';
+
+    const result = await client.query(query, params);
+    return result.rows.map(parseOrder);
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Returns a single order, or null when it does not exist
+ */
+const getOrder = async (orderId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(`${ORDER_SELECT} WHERE o.id = $1`, [orderId]);
+    return result.rows[0] ? parseOrder(result.rows[0]) : null;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Inserts a new order, reserves its equipment for the event window and
+ * returns it along with any lines that could not be reserved
+ */
+const createOrder = async (order) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      INSERT INTO event_orders
+      (property_id, event_name, event_date, start_time, end_time, attendees, room_id, equipment_list, labor_plan, total_cost, status, notes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id
+    `, [
+      order.property_id,
+      order.event_name || '',
+      order.event_date || null,
+      order.start_time || null,
+      order.end_time || null,
+      order.attendees ?? null,
+      order.room_id || null,
+      JSON.stringify(order.equipment_list || []),
+      order.labor_plan ? JSON.stringify(order.labor_plan) : null,
+      order.total_cost ?? null,
+      order.status || 'draft',
+      order.notes || ''
+    ]);
+
+    const orderId = result.rows[0].id;
+    const shortfalls = await syncOrderReservations(client, { ...order, id: orderId, status: order.status || 'draft' });
+
+    const created = await client.query(`${ORDER_SELECT} WHERE o.id = $1`, [orderId]);
+    await client.query('COMMIT');
+
+    logger.info('Event order created', { id: orderId, property_id: order.property_id });
+    return { ...parseOrder(created.rows[0]), reservation_shortfalls: shortfalls };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Replaces an order's editable fields and re-syncs its reservations;
+ * returns the updated order or null
+ */
+const updateOrder = async (orderId, order) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      UPDATE event_orders
+      SET event_name = $1, event_date = $2, start_time = $3, end_time = $4, attendees = $5, room_id = $6,
+          equipment_list = $7, labor_plan = $8, total_cost = $9, status = $10, notes = $11,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $12
+      RETURNING property_id
+    `, [
+      order.event_name || '',
+      order.event_date || null,
+      order.start_time || null,
+      order.end_time || null,
+      order.attendees ?? null,
+      order.room_id || null,
+      JSON.stringify(order.equipment_list || []),
+      order.labor_plan ? JSON.stringify(order.labor_plan) : null,
+      order.total_cost ?? null,
+      order.status || 'draft',
+      order.notes || '',
+      orderId
+    ]);
+
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const shortfalls = await syncOrderReservations(client, {
+      ...order,
+      id: orderId,
+      property_id: result.rows[0].property_id,
+      status: order.status || 'draft'
+    });
+
+    const updated = await client.query(`${ORDER_SELECT} WHERE o.id = $1`, [orderId]);
+    await client.query('COMMIT');
+
+    logger.info('Event order updated', { id: orderId });
+    return { ...parseOrder(updated.rows[0]), reservation_shortfalls: shortfalls };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Deletes an order; returns true when a row was removed
+ */
+const deleteOrder = async (orderId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query('DELETE FROM event_orders WHERE id = $1', [orderId]);
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  listOrders,
+  getOrder,
+  createOrder,
+  updateOrder,
+  deleteOrder
+};
@@ -0,0 +1,133 @@
+// Continuous loads may use 80% of a circuit's rating
+const CIRCUIT_LOAD_FACTOR = 0.8;
+
+// Circuits up to 20A are ordinary wall outlets; anything larger (a company
+// switch, cam-lok tie-in) is dedicated power that needs a distro
+const WALL_CIRCUIT_MAX_AMPS = 20;
+const STANDARD_CIRCUIT = { amps: 20, voltage: 120 };
+
+// Union equipment requirements for power distribution
+const POWER_REQUIREMENT_PATTERN = /power|electric|distro/i;
+
+const usableWatts = (circuit) => Math.floor((circuit.amps || 0) * (circuit.voltage || 0) * CIRCUIT_LOAD_FACTOR);
+
+/**
+ * Checks an order's power draw against a room's circuits at 80% loading.
+ * lines are { item_name, quantity, watts } with watts null when the item has
+ * no power_draw_watts. room may be null, or have no recorded circuits, in
+ * which case a single standard 20A/120V outlet is assumed.
+ *
+ * Returns { total_watts, available_watts, level, circuits_needed,
+ * needs_distro, unknown_items, errors, warnings }, where level is
+ * single_circuit, spread (several wall circuits), dedicated (a distro on a
+ * larger circuit) or exceeds (more than the room's circuits supply).
+ */
+const assessPowerBudget = (room, lines) => {
+  const assessment = {
+    room: room ? room.name : null,
+    total_watts: 0,
+    available_watts: null,
+    level: 'single_circuit',
+    circuits_needed: 0,
+    needs_distro: false,
+    unknown_items: [],
+    errors: [],
+    warnings: []
+  };
+
+  lines.forEach(line => {
+    if (line.watts === null || line.watts === undefined) {
+      assessment.unknown_items.push(line.item_name);
+    } else {
+      assessment.total_watts += line.watts * (line.quantity || 1);
+    }
+  });
+
+  // Nothing on the order has a recorded draw, so there is no budget to check
+  const total = assessment.total_watts;
+  if (total === 0) {
+    return assessment;
+  }
+
+  if (assessment.unknown_items.length > 0) {
+    assessment.warnings.push(`No power draw recorded for ${assessment.unknown_items.join(', ')}; the power budget leaves them out`);
+  }
+
+  const circuits = room ? room.power_circuits || [] : [];
+  const wallCircuits = circuits.filter(circuit => circuit.amps <= WALL_CIRCUIT_MAX_AMPS);
+  const dedicatedCircuits = circuits.filter(circuit => circuit.amps > WALL_CIRCUIT_MAX_AMPS);
+
+  const wallUsable = wallCircuits.reduce((sum, circuit) => sum + usableWatts(circuit) * (circuit.quantity || 1), 0);
+  const dedicatedUsable = dedicatedCircuits.reduce((sum, circuit) => sum + usableWatts(circuit) * (circuit.quantity || 1), 0);
+  const largestWall = wallCircuits.length > 0
+    ? Math.max(...wallCircuits.map(usableWatts))
+    : usableWatts(STANDARD_CIRCUIT);
+
+  assessment.available_watts = circuits.length > 0 ? wallUsable + dedicatedUsable : null;
+  assessment.circuits_needed = Math.ceil(total / largestWall);
+
+  if (circuits.length === 0) {
+    const where = room ? `${room.name} has no power circuits recorded` : 'No room is given';
+    if (total > largestWall) {
+      assessment.level = 'dedicated';
+      assessment.needs_distro = true;
+      assessment.warnings.push(`${where}; the order draws ${total} W, more than a standard 20A circuit carries at 80% load (${largestWall} W), so plan dedicated power or a distro`);
+    }
+    return assessment;
+  }
+
+  if (total <= largestWall) {
+    return assessment;
+  }
+
+  const wallCount = wallCircuits.reduce((sum, circuit) => sum + (circuit.quantity || 1), 0);
+  if (total <= wallUsable && assessment.circuits_needed <= wallCount) {
+    assessment.level = 'spread';
+    assessment.warnings.push(`The order draws ${total} W: spread it across at least ${assessment.circuits_needed} separate wall circuits in ${room.name}`);
+    return assessment;
+  }
+
+  assessment.needs_distro = true;
+  if (dedicatedCircuits.length > 0 && total <= assessment.available_watts) {
+    assessment.level = 'dedicated';
+    assessment.warnings.push(`The order draws ${total} W, more than the wall circuits in ${room.name} carry: tie a distro into ${dedicatedCircuits.map(circuit => circuit.name).join(' or ')}`);
+  } else {
+    assessment.level = 'exceeds';
+    assessment.errors.push(`The order draws ${total} W but the circuits in ${room.name} supply ${assessment.available_watts} W at 80% load; bring in a generator or reduce the equipment`);
+  }
+
+  return assessment;
+};
+
+/**
+ * The union equipment requirements that cover power distribution, with the
+ * union that holds each. Resolves to [] when none are set up.
+ */
+const findPowerRequirements = async (client, propertyId) => {
+  const result = await client.query(`
+    SELECT uer.*, u.local_number, u.trade
+    FROM union_equipment_requirements uer
+    JOIN unions u ON u.id = uer.union_id
+    WHERE u.property_id = $1
+    ORDER BY u.local_number, uer.id
+  `, [propertyId]);
+
+  return result.rows
+    .filter(requirement => POWER_REQUIREMENT_PATTERN.test(`${requirement.equipment_category || ''} ${requirement.equipment_type || ''}`))
+    .map(requirement => ({
+      requirement_id: requirement.id,
+      union_id: requirement.union_id,
+      union: `Local ${requirement.local_number}`,
+      trade: requirement.trade,
+      equipment: requirement.equipment_type || requirement.equipment_category,
+      minimum_crew_size: requirement.minimum_crew_size || 1,
+      is_required: requirement.is_required,
+      notes: requirement.notes || null
+    }));
+};
+
+module.exports = {
+  CIRCUIT_LOAD_FACTOR,
+  assessPowerBudget,
+  findPowerRequirements
+};
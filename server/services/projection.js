@@ -0,0 +1,280 @@
+const { getDatabase } = require('../database/init');
+const { findRoom, resolveSpace, audienceLayout } = require('./rooms');
+const { readInventorySpecs } = require('./inventorySpecs');
+
+// Screen height is the farthest viewing distance divided by 6 for general
+// video and presentations, or by 4 for detailed content (spreadsheets, CAD)
+const CONTENT_DIVISORS = { general: 6, detailed: 4 };
+const CONTENT_TYPES = Object.keys(CONTENT_DIVISORS);
+
+const ASPECT_WIDTHS = { '16:9': 16 / 9, '16:10': 16 / 10, '4:3': 4 / 3 };
+const ASPECT_RATIOS = Object.keys(ASPECT_WIDTHS);
+
+// Target screen brightness in foot-lamberts for the room's lighting
+const TARGET_FOOT_LAMBERTS = { dark: 16, dimmed: 30, lit: 50 };
+const AMBIENT_LIGHT_LEVELS = Object.keys(TARGET_FOOT_LAMBERTS);
+
+const SCREEN_BOTTOM_FT = 4; // bottom edge clears seated heads
+const SCREEN_TOP_CLEARANCE_FT = 1; // below the ceiling for framing and rigging
+const MIN_LUMENS = 2500;
+const LUMENS_STEP = 500;
+
+const PROJECTOR_PATTERN = /projector/i;
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+const roundUpTo = (value, step) => Math.ceil(value / step - 1e-9) * step;
+const roundDownTo = (value, step) => Math.floor(value / step + 1e-9) * step;
+
+const specText = (item) => [item.name, item.model, item.description].filter(Boolean).join(' ');
+
+// "10K lumens", "12,000 ANSI lumens", "7000lm"
+const parseLumens = (text) => {
+  const match = text.match(/(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k)?\s*(?:ansi\s*)?(?:lumens?|lm)\b/i);
+  if (!match) return null;
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  return Math.round(match[2] ? value * 1000 : value);
+};
+
+// "1.7-2.3:1", "1.2 to 1.8:1", or a fixed lens "0.8:1"
+const parseThrowRatio = (text) => {
+  const range = text.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*:\s*1(?!\d)/i);
+  if (range) {
+    return { min: parseFloat(range[1]), max: parseFloat(range[2]) };
+  }
+  const fixed = text.match(/(\d+(?:\.\d+)?)\s*:\s*1(?!\d)/);
+  return fixed ? { min: parseFloat(fixed[1]), max: parseFloat(fixed[1]) } : null;
+};
+
+/**
+ * A projector's lumens and throw ratio range: the recorded specs, falling
+ * back to figures written in its name, model or description
+ */
+const projectorSpecs = (item) => {
+  const specs = readInventorySpecs(item);
+  const text = specText(item);
+  const parsedRatio = parseThrowRatio(text);
+
+  const throwMin = specs.throw_ratio_min ?? specs.throw_ratio_max ?? (parsedRatio && parsedRatio.min);
+  const throwMax = specs.throw_ratio_max ?? specs.throw_ratio_min ?? (parsedRatio && parsedRatio.max);
+
+  return {
+    lumens: specs.lumens ?? parseLumens(text),
+    throw_ratio_min: throwMin ?? null,
+    throw_ratio_max: throwMax ?? null
+  };
+};
+
+/**
+ * Sizes a screen for the space and the farthest viewer, who sits at the back
+ * of the audience (see audienceLayout) measured from the screen on the front
+ * wall. The screen is capped by the ceiling, leaving its bottom edge above
+ * seated heads.
+ */
+const sizeScreen = (space, { attendees, setupStyle, content, aspectRatio }) => {
+  const warnings = [];
+  const layout = audienceLayout(space, { attendees, setupStyle });
+
+  if (layout.floor_needed_sqft > layout.floor_available_sqft) {
+    warnings.push(`${attendees} attendees in ${layout.setup_style} style need about ${layout.floor_needed_sqft} sq ft; the room has about ${layout.floor_available_sqft} sq ft of seating floor`);
+  }
+
+  const maxViewing = layout.farthest_seat_ft;
+  const requiredHeight = maxViewing / CONTENT_DIVISORS[content];
+  let height = roundUpTo(requiredHeight, 0.5);
+
+  const maxHeight = space.ceiling_height_ft
+    ? roundDownTo(space.ceiling_height_ft - SCREEN_BOTTOM_FT - SCREEN_TOP_CLEARANCE_FT, 0.5)
+    : null;
+  const fitsCeiling = maxHeight === null || height <= maxHeight;
+  if (!fitsCeiling) {
+    height = Math.max(maxHeight, 0);
+    warnings.push(`The ${space.ceiling_height_ft} ft ceiling limits the screen to ${height} ft tall; the ${round(requiredHeight)} ft the back rows need calls for repeat screens or larger content`);
+  }
+  if (!space.ceiling_height_ft) {
+    warnings.push('Ceiling height is not recorded, so the screen size is not checked against it');
+  }
+
+  const width = height * ASPECT_WIDTHS[aspectRatio];
+  if (width > space.width_ft) {
+    warnings.push(`A ${round(width)} ft wide screen does not fit the ${space.width_ft} ft wide room`);
+  }
+
+  return {
+    max_viewing_distance_ft: round(maxViewing),
+    min_viewing_distance_ft: round(height * 2),
+    screen: {
+      aspect_ratio: aspectRatio,
+      height_ft: height,
+      width_ft: round(width),
+      diagonal_in: Math.round(Math.sqrt(height ** 2 + width ** 2) * 12),
+      required_height_ft: round(requiredHeight),
+      max_height_ft: maxHeight,
+      bottom_edge_ft: SCREEN_BOTTOM_FT,
+      fits_ceiling: fitsCeiling
+    },
+    warnings
+  };
+};
+
+/**
+ * Lumens needed to reach the target brightness on the screen:
+ * foot-lamberts x screen area / screen gain, rounded up to 500
+ */
+const requiredLumens = (screen, ambientLight, screenGain) => {
+  const area = screen.height_ft * screen.width_ft;
+  return Math.max(MIN_LUMENS, roundUpTo((TARGET_FOOT_LAMBERTS[ambientLight] * area) / screenGain, LUMENS_STEP));
+};
+
+/**
+ * Where a projector must sit for a screen (throw ratio x screen width), and
+ * whether it is bright enough alone or needs stacking
+ */
+const assessProjector = (item, screen, lumensNeeded, roomLength) => {
+  const specs = projectorSpecs(item);
+  const notes = [];
+
+  const throwMin = specs.throw_ratio_min !== null ? round(specs.throw_ratio_min * screen.width_ft) : null;
+  const throwMax = specs.throw_ratio_max !== null ? round(specs.throw_ratio_max * screen.width_ft) : null;
+
+  let fitsRoom = null;
+  if (throwMin === null) {
+    notes.push('Throw ratio is not recorded; add it to the item to get a throw distance');
+  } else {
+    fitsRoom = !roomLength || throwMin <= roomLength;
+    notes.push(fitsRoom
+      ? `Place the projector ${throwMin === throwMax ? throwMin : `${throwMin}-${throwMax}`} ft from the screen`
+      : `Needs at least ${throwMin} ft of throw; the room is ${roomLength} ft long, so use a shorter lens`);
+  }
+
+  let unitsNeeded = null;
+  if (specs.lumens === null) {
+    notes.push('Lumens are not recorded; add them to the item to check brightness');
+  } else {
+    unitsNeeded = Math.ceil(lumensNeeded / specs.lumens);
+    if (unitsNeeded > 1) {
+      notes.push(`${specs.lumens} lumens is short of ${lumensNeeded}; stack ${unitsNeeded} units`);
+    }
+  }
+
+  return {
+    id: item.id,
+    name: item.name,
+    model: item.model || null,
+    manufacturer: item.manufacturer || null,
+    quantity_available: item.quantity_available,
+    lumens: specs.lumens,
+    throw_ratio_min: specs.throw_ratio_min,
+    throw_ratio_max: specs.throw_ratio_max,
+    throw_distance_min_ft: throwMin,
+    throw_distance_max_ft: throwMax,
+    fits_room: fitsRoom,
+    meets_brightness: specs.lumens === null ? null : specs.lumens >= lumensNeeded,
+    units_needed: unitsNeeded,
+    notes
+  };
+};
+
+// Projectors that work alone first, then those needing a stack, then unknowns
+const projectorRank = (projector) => {
+  if (projector.fits_room === false) return 3;
+  if (projector.meets_brightness === true) return 0;
+  if (projector.meets_brightness === false) return 1;
+  return 2;
+};
+
+/**
+ * Recommends a screen size, viewing distances, projector brightness and the
+ * throw distance for each projector in a property's inventory. The space is
+ * a room (by roomId or roomName) and/or explicit length_ft, width_ft and
+ * ceiling_height_ft, which take precedence over the room's. Resolves to null
+ * when the named room does not exist; when the space has no length or width
+ * the result has no screen and a warning saying what to record.
+ */
+const calculateProjection = async (propertyId, {
+  roomId = null,
+  roomName = null,
+  length_ft = null,
+  width_ft = null,
+  ceiling_height_ft = null,
+  attendees = null,
+  setupStyle = null,
+  content = 'general',
+  aspectRatio = '16:9',
+  ambientLight = 'dimmed',
+  screenGain = 1
+} = {}) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const room = roomId || roomName ? await findRoom(client, propertyId, { roomId, roomName }) : null;
+    if ((roomId || roomName) && !room) {
+      return null;
+    }
+
+    const space = resolveSpace(room, { length_ft, width_ft, ceiling_height_ft });
+    const attendeeCount = attendees ? parseInt(attendees, 10) : null;
+
+    const calculation = {
+      room: room ? { id: room.id, name: room.name } : null,
+      space,
+      inputs: {
+        attendees: attendeeCount,
+        setup_style: setupStyle || null,
+        content,
+        aspect_ratio: aspectRatio,
+        ambient_light: ambientLight,
+        screen_gain: Number(screenGain)
+      },
+      max_viewing_distance_ft: null,
+      min_viewing_distance_ft: null,
+      screen: null,
+      required_lumens: null,
+      projectors: [],
+      warnings: []
+    };
+
+    if (!space.length_ft || !space.width_ft) {
+      calculation.warnings.push(room
+        ? `Record the length and width of ${room.name} to size a screen`
+        : 'The length and width of the space are needed to size a screen');
+      return calculation;
+    }
+
+    const sized = sizeScreen(space, { attendees: attendeeCount, setupStyle, content, aspectRatio });
+    const lumensNeeded = requiredLumens(sized.screen, ambientLight, Number(screenGain));
+
+    calculation.max_viewing_distance_ft = sized.max_viewing_distance_ft;
+    calculation.min_viewing_distance_ft = sized.min_viewing_distance_ft;
+    calculation.screen = sized.screen;
+    calculation.required_lumens = lumensNeeded;
+    calculation.warnings.push(...sized.warnings);
+
+    const itemsResult = await client.query(
+      "SELECT * FROM inventory_items WHERE property_id = $1 AND status = 'available' AND quantity_available > 0 ORDER BY name",
+      [propertyId]
+    );
+    calculation.projectors = itemsResult.rows
+      .filter(item => [item.name, item.category, item.sub_category, item.description].some(text => PROJECTOR_PATTERN.test(text || '')))
+      .map(item => assessProjector(item, sized.screen, lumensNeeded, space.length_ft))
+      .sort((a, b) => projectorRank(a) - projectorRank(b) || (a.lumens || 0) - (b.lumens || 0));
+
+    if (calculation.projectors.length === 0) {
+      calculation.warnings.push('No available projectors in inventory');
+    } else if (!calculation.projectors.some(projector => projector.meets_brightness && projector.fits_room !== false)) {
+      calculation.warnings.push(`No single projector in inventory reaches ${lumensNeeded} lumens for this screen`);
+    }
+
+    return calculation;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  ASPECT_RATIOS,
+  AMBIENT_LIGHT_LEVELS,
+  projectorSpecs,
+  calculateProjection
+};
@@ -0,0 +1,389 @@
+const PDFDocument = require('pdfkit');
+const { getDatabase } = require('../database/init');
+const { getOrder } = require('./orders');
+const { MIN_SPACING_KHZ, INTERMOD_GUARD_KHZ, planOrderFrequencies } = require('./frequencyCoordination');
+
+const MARGIN = 50;
+const ROW_HEIGHT = 18;
+const COLORS = {
+  text: '#1f2937',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  band: '#f3f4f6'
+};
+
+const formatCurrency = (value) => `$${Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatTime = (value) => {
+  if (!value) return null;
+  const [hours, minutes] = String(value).split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+const formatDate = (value) => {
+  if (!value) return 'To be confirmed';
+  return new Date(`${value}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+/**
+ * The saved labor plan is either calculate_labor_requirements output (with a
+ * cost_breakdown) or a calculateLaborCost report; returns the cost report
+ * from either, or null when the plan was never costed
+ */
+const getCostReport = (laborPlan) => {
+  if (!laborPlan) return null;
+  if (laborPlan.cost_breakdown && Array.isArray(laborPlan.cost_breakdown.unions)) {
+    return laborPlan.cost_breakdown;
+  }
+  return Array.isArray(laborPlan.unions) ? laborPlan : null;
+};
+
+/**
+ * Loads everything a proposal shows: the order, its property and room, and
+ * inventory details for each equipment line. Returns null if the order does
+ * not exist.
+ */
+const loadProposalData = async (orderId) => {
+  const order = await getOrder(orderId);
+  if (!order) {
+    return null;
+  }
+
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const propertyResult = await client.query('SELECT * FROM properties WHERE id = $1', [order.property_id]);
+    const roomResult = order.room_id
+      ? await client.query('SELECT * FROM rooms WHERE id = $1', [order.room_id])
+      : { rows: [] };
+    const itemsResult = await client.query(
+      'SELECT name, model, manufacturer, category FROM inventory_items WHERE property_id = $1',
+      [order.property_id]
+    );
+
+    const equipment = order.equipment_list.map(line => {
+      const item = itemsResult.rows.find(row => row.name === line.item_name) || {};
+      return {
+        item_name: line.item_name,
+        quantity: line.quantity,
+        category: line.category || item.category || '',
+        manufacturer: item.manufacturer || '',
+        model: line.model || item.model || ''
+      };
+    });
+
+    return {
+      order,
+      property: propertyResult.rows[0] || { name: 'Venue' },
+      room: roomResult.rows[0] || null,
+      equipment,
+      costReport: getCostReport(order.labor_plan)
+    };
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Draws a table with a shaded header row, breaking onto new pages as needed.
+ * Columns are { label, width, align? }; rows are arrays of cell strings.
+ */
+const drawTable = (doc, columns, rows) => {
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, { header = false } = {}) => {
+    if (doc.y + ROW_HEIGHT > bottom()) {
+      doc.addPage();
+    }
+
+    const y = doc.y;
+    if (header) {
+      doc.rect(MARGIN, y, doc.page.width - MARGIN * 2, ROW_HEIGHT).fill(COLORS.band);
+    }
+
+    let x = MARGIN;
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(COLORS.text);
+    columns.forEach((column, index) => {
+      doc.text(String(cells[index] ?? ''), x + 4, y + 5, {
+        width: column.width - 8,
+        align: column.align || 'left',
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+
+    doc.moveTo(MARGIN, y + ROW_HEIGHT).lineTo(doc.page.width - MARGIN, y + ROW_HEIGHT)
+      .strokeColor(COLORS.rule).lineWidth(0.5).stroke();
+    doc.x = MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  drawRow(columns.map(column => column.label), { header: true });
+  rows.forEach(row => drawRow(row));
+  doc.moveDown();
+};
+
+const drawSectionTitle = (doc, title) => {
+  if (doc.y + ROW_HEIGHT * 3 > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.text).text(title, MARGIN);
+  doc.moveDown(0.4);
+};
+
+const drawHeader = (doc, property, order, title = 'Event Proposal') => {
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(COLORS.text).text(property.name, MARGIN, MARGIN, { width: 320 });
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted);
+  [property.location, property.contact_info].filter(Boolean).forEach(line => doc.text(line, { width: 320 }));
+  const headerBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.text)
+    .text(title, MARGIN, MARGIN, { align: 'right' });
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(`Order #${order.id}`, { align: 'right' })
+    .text(`Prepared ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`, { align: 'right' });
+
+  doc.y = Math.max(doc.y, headerBottom);
+  doc.moveDown();
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).strokeColor(COLORS.rule).lineWidth(1).stroke();
+  doc.moveDown();
+};
+
+const drawEventDetails = (doc, order, room) => {
+  drawSectionTitle(doc, order.event_name || 'Event Details');
+
+  const start = formatTime(order.start_time);
+  const end = formatTime(order.end_time);
+  const details = [
+    ['Date', formatDate(order.event_date)],
+    ['Time', start ? `${start}${end ? ` - ${end}` : ''}` : 'To be confirmed'],
+    ['Attendees', order.attendees ? String(order.attendees) : 'To be confirmed'],
+    ['Room', room
+      ? [room.name, room.capacity ? `capacity ${room.capacity}` : null, room.dimensions].filter(Boolean).join(', ')
+      : 'To be confirmed']
+  ];
+
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.muted).text(label, MARGIN, y, { width: 90 });
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(value, MARGIN + 90, y);
+    doc.moveDown(0.2);
+  });
+};
+
+const drawEquipment = (doc, equipment) => {
+  drawSectionTitle(doc, 'Equipment');
+
+  if (equipment.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text('No equipment on this order.', MARGIN);
+    return;
+  }
+
+  drawTable(doc, [
+    { label: 'Qty', width: 40, align: 'right' },
+    { label: 'Item', width: 200 },
+    { label: 'Manufacturer / Model', width: 170 },
+    { label: 'Category', width: 102 }
+  ], equipment.map(line => [
+    line.quantity,
+    line.item_name,
+    [line.manufacturer, line.model].filter(Boolean).join(' '),
+    line.category
+  ]));
+};
+
+const drawLabor = (doc, order, costReport) => {
+  drawSectionTitle(doc, 'Labor');
+
+  if (costReport && costReport.unions.length > 0) {
+    drawTable(doc, [
+      { label: 'Union', width: 172 },
+      { label: 'Calls', width: 45, align: 'right' },
+      { label: 'Person-hours', width: 75, align: 'right' },
+      { label: 'Labor', width: 75, align: 'right' },
+      { label: 'Penalties', width: 70, align: 'right' },
+      { label: 'Total', width: 75, align: 'right' }
+    ], costReport.unions.map(union => [
+      `${union.local_number ? `${union.local_number} ` : ''}${union.name}`,
+      union.calls,
+      union.person_hours,
+      formatCurrency(union.labor_cost),
+      formatCurrency(union.penalty_cost),
+      formatCurrency(union.total_cost)
+    ]));
+    return;
+  }
+
+  const plan = order.labor_plan;
+  const text = plan && plan.required_technicians
+    ? `${plan.required_technicians} technician(s), ${plan.total_labor_hours} labor hours estimated. Union labor costs to follow.`
+    : 'Labor to be confirmed.';
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(text, MARGIN);
+};
+
+const drawTotals = (doc, order, costReport) => {
+  drawSectionTitle(doc, 'Totals');
+
+  const rows = [];
+  if (costReport) {
+    rows.push(['Labor', formatCurrency(costReport.total_cost)]);
+  }
+  rows.push(['Estimated total', order.total_cost !== null ? formatCurrency(order.total_cost) : 'To be confirmed']);
+
+  rows.forEach(([label, value], index) => {
+    const y = doc.y;
+    const font = index === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+    doc.font(font).fontSize(11).fillColor(COLORS.text)
+      .text(label, doc.page.width - MARGIN - 250, y, { width: 130 })
+      .text(value, doc.page.width - MARGIN - 120, y, { width: 120, align: 'right' });
+    doc.moveDown(0.3);
+  });
+
+  if (order.notes) {
+    drawSectionTitle(doc, 'Notes');
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(order.notes, MARGIN);
+  }
+};
+
+const drawNotice = (doc, text) => {
+  doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted).text(text, MARGIN);
+  doc.moveDown(0.3);
+};
+
+const drawFrequencies = (doc, plan) => {
+  const own = plan.systems.filter(system => system.this_order);
+  const others = plan.systems.filter(system => !system.this_order);
+
+  drawSectionTitle(doc, 'Wireless Frequencies');
+  if (own.length === 0) {
+    drawNotice(doc, 'No wireless mics or IEMs on this order.');
+    return;
+  }
+
+  drawTable(doc, [
+    { label: 'Channel', width: 180 },
+    { label: 'Frequency (MHz)', width: 95, align: 'right' },
+    { label: 'Band (MHz)', width: 95 },
+    { label: 'Notes', width: 142 }
+  ], own.flatMap(system => {
+    const band = system.range_mhz ? `${system.range_mhz.min_mhz}-${system.range_mhz.max_mhz}` : 'Not recorded';
+    const rows = system.channels.map(channel => [
+      channel.channel,
+      channel.frequency_mhz.toFixed(3),
+      band,
+      channel.intermod ? 'Intermod conflict' : ''
+    ]);
+    if (system.unassigned > 0) {
+      rows.push([`${system.item_name} x${system.unassigned}`, 'Unassigned', band, system.range_mhz ? 'Band exhausted' : 'Record the band']);
+    }
+    return rows;
+  }));
+
+  if (others.length > 0) {
+    drawSectionTitle(doc, 'Other Wireless in This Window');
+    drawTable(doc, [
+      { label: 'Order', width: 170 },
+      { label: 'Room', width: 110 },
+      { label: 'Channel', width: 137 },
+      { label: 'Frequency (MHz)', width: 95, align: 'right' }
+    ], others.flatMap(system => system.channels.map(channel => [
+      `#${system.order_id} ${system.event_name || ''}`,
+      system.room || '',
+      channel.channel,
+      channel.frequency_mhz.toFixed(3)
+    ])));
+  }
+
+  if (plan.errors.length > 0 || plan.warnings.length > 0) {
+    drawSectionTitle(doc, 'Coordination Notes');
+    [...plan.errors, ...plan.warnings].forEach(note => drawNotice(doc, note));
+  }
+
+  doc.moveDown(0.5);
+  drawNotice(doc, `Carriers are at least ${MIN_SPACING_KHZ} kHz apart and ${INTERMOD_GUARD_KHZ} kHz clear of third-order intermod products, across all rooms booked in this window. Scan the site before the show and confirm against local TV channels.`);
+};
+
+// Collects a pdfkit document into a Buffer once it is ended
+const collectPdf = (doc) => {
+  const chunks = [];
+  return new Promise((resolve, reject) => {
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+};
+
+const createDocument = (data, title) => new PDFDocument({
+  size: 'LETTER',
+  margin: MARGIN,
+  info: {
+    Title: `${data.order.event_name || 'Event'} - ${title}`,
+    Author: data.property.name
+  }
+});
+
+/**
+ * Renders an event order as a client-facing proposal PDF. The document is
+ * built locally with pdfkit's standard fonts. Resolves to { order, pdf }
+ * where pdf is a Buffer, or null if the order does not exist.
+ */
+const renderOrderProposal = async (orderId) => {
+  const data = await loadProposalData(orderId);
+  if (!data) {
+    return null;
+  }
+
+  const doc = createDocument(data, 'Proposal');
+  const done = collectPdf(doc);
+
+  drawHeader(doc, data.property, data.order);
+  drawEventDetails(doc, data.order, data.room);
+  drawEquipment(doc, data.equipment);
+  drawLabor(doc, data.order, data.costReport);
+  drawTotals(doc, data.order, data.costReport);
+  doc.end();
+
+  return { order: data.order, pdf: await done };
+};
+
+/**
+ * Renders an order's wireless frequency plan as a printable PDF for the
+ * audio crew: each channel's frequency, and the other bookings' wireless
+ * it was coordinated against. Resolves to { order, plan, pdf }, or null if
+ * the order does not exist.
+ */
+const renderFrequencyPlan = async (orderId) => {
+  const data = await loadProposalData(orderId);
+  if (!data) {
+    return null;
+  }
+
+  const plan = await planOrderFrequencies(data.order);
+  const doc = createDocument(data, 'Frequency Plan');
+  const done = collectPdf(doc);
+
+  drawHeader(doc, data.property, data.order, 'Frequency Plan');
+  drawEventDetails(doc, data.order, data.room);
+  drawFrequencies(doc, plan);
+  doc.end();
+
+  return { order: data.order, plan, pdf: await done };
+};
+
+module.exports = {
+  renderOrderProposal,
+  renderFrequencyPlan
+};
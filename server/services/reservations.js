@@ -0,0 +1,163 @@
+const { logger } = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+/**
+ * Normalizes a DATE column value or request string to YYYY-MM-DD
+ */
+const toDateString = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  const date = String(value).substring(0, 10);
+  return DATE_PATTERN.test(date) ? date : null;
+};
+
+const toTimeString = (value) => {
+  if (!value || !TIME_PATTERN.test(String(value))) {
+    return null;
+  }
+  return String(value).substring(0, 5);
+};
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().substring(0, 10);
+};
+
+/**
+ * Resolves an event date and optional start/end times into a reservation
+ * window. Without times the whole day is held; an end time at or before the
+ * start time is treated as running past midnight. Returns null without a date.
+ */
+const resolveEventWindow = ({ eventDate, startTime, endTime } = {}) => {
+  const date = toDateString(eventDate);
+  if (!date) {
+    return null;
+  }
+
+  const start = toTimeString(startTime) || '00:00';
+  const end = toTimeString(endTime);
+
+  let endsAt;
+  if (!end) {
+    endsAt = `${addDays(date, 1)} 00:00:00`;
+  } else if (end <= start) {
+    endsAt = `${addDays(date, 1)} ${end}:00`;
+  } else {
+    endsAt = `${date} ${end}:00`;
+  }
+
+  return {
+    starts_at: `${date} ${start}:00`,
+    ends_at: endsAt
+  };
+};
+
+/**
+ * Sums the quantity of each inventory item held by other active orders whose
+ * reservations overlap the window. Returns a Map of inventory_item_id -> quantity.
+ */
+const getReservedQuantities = async (client, propertyId, window, { excludeOrderId = null } = {}) => {
+  const reserved = new Map();
+  if (!window) {
+    return reserved;
+  }
+
+  const result = await client.query(`
+    SELECT r.inventory_item_id, SUM(r.quantity) AS quantity
+    FROM inventory_reservations r
+    JOIN event_orders o ON o.id = r.order_id
+    WHERE r.property_id = $1
+      AND r.starts_at < $3
+      AND r.ends_at > $2
+      AND o.status <> 'cancelled'
+      AND ($4::integer IS NULL OR r.order_id <> $4)
+    GROUP BY r.inventory_item_id
+  `, [propertyId, window.starts_at, window.ends_at, excludeOrderId]);
+
+  result.rows.forEach(row => {
+    reserved.set(row.inventory_item_id, parseInt(row.quantity));
+  });
+
+  return reserved;
+};
+
+/**
+ * Replaces an order's reservations with holds for its current equipment list.
+ * Each line is allocated across matching available items (exact name first,
+ * then category) up to what is free in the window. Cancelled or undated orders
+ * hold nothing. Must be called with a client inside the caller's transaction:
+ * it takes a per-property advisory lock held until that transaction ends, so
+ * orders saved at the same time reserve one after the other and each sees
+ * the other's holds. Returns any lines that could not be fully reserved.
+ */
+const syncOrderReservations = async (client, order) => {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [order.property_id]);
+  await client.query('DELETE FROM inventory_reservations WHERE order_id = $1', [order.id]);
+
+  const window = resolveEventWindow({
+    eventDate: order.event_date,
+    startTime: order.start_time,
+    endTime: order.end_time
+  });
+
+  if (order.status === 'cancelled' || !window) {
+    return [];
+  }
+
+  const itemsResult = await client.query(
+    'SELECT * FROM inventory_items WHERE property_id = $1 AND status = $2 ORDER BY id',
+    [order.property_id, 'available']
+  );
+  const reserved = await getReservedQuantities(client, order.property_id, window, { excludeOrderId: order.id });
+  const shortfalls = [];
+
+  for (const line of order.equipment_list || []) {
+    const byName = itemsResult.rows.filter(item => item.name === line.item_name);
+    const candidates = byName.length > 0
+      ? byName
+      : itemsResult.rows.filter(item => line.category && item.category === line.category);
+
+    let remaining = line.quantity;
+    for (const item of candidates) {
+      if (remaining <= 0) break;
+
+      const free = item.quantity_available - (reserved.get(item.id) || 0);
+      const quantity = Math.min(free, remaining);
+      if (quantity <= 0) continue;
+
+      await client.query(`
+        INSERT INTO inventory_reservations (order_id, inventory_item_id, property_id, quantity, starts_at, ends_at)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [order.id, item.id, order.property_id, quantity, window.starts_at, window.ends_at]);
+
+      reserved.set(item.id, (reserved.get(item.id) || 0) + quantity);
+      remaining -= quantity;
+    }
+
+    if (remaining > 0) {
+      shortfalls.push({ item_name: line.item_name, requested: line.quantity, unreserved: remaining });
+    }
+  }
+
+  if (shortfalls.length > 0) {
+    logger.warn('Order could not reserve all requested equipment', { order_id: order.id, shortfalls });
+  }
+
+  return shortfalls;
+};
+
+module.exports = {
+  toDateString,
+  resolveEventWindow,
+  getReservedQuantities,
+  syncOrderReservations
+};
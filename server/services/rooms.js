@@ -0,0 +1,404 @@
+const SETUP_STYLES = ['theater', 'classroom', 'banquet', 'reception'];
+const AV_ITEM_TYPES = ['projector', 'screen', 'display', 'speaker', 'microphone', 'mixer', 'lighting', 'other'];
+
+// Floor area per attendee for each setup style, aisles included
+const SQFT_PER_PERSON = { theater: 9, classroom: 18, banquet: 12, reception: 9 };
+
+// Stage, screen and PA zone between the front wall and the first row
+const STAGE_DEPTH_FT = 8;
+
+// Measurements are in feet; capacity_<style> is the head count for that setup
+const ROOM_DETAIL_COLUMNS = [
+  'length_ft',
+  'width_ft',
+  'ceiling_height_ft',
+  ...SETUP_STYLES.map(style => `capacity_${style}`)
+];
+
+// Typed line items stored one row per entry, replaced wholesale on save
+const ROOM_CHILDREN = {
+  rigging_points: {
+    table: 'room_rigging_points',
+    fields: ['name', 'load_limit_lbs', 'notes']
+  },
+  power_circuits: {
+    table: 'room_power_circuits',
+    fields: ['name', 'amps', 'voltage', 'connector_type', 'quantity', 'notes']
+  },
+  av_items: {
+    table: 'room_av_items',
+    fields: ['av_type', 'description', 'quantity']
+  }
+};
+
+const NUMERIC_FIELDS = ['length_ft', 'width_ft', 'ceiling_height_ft', 'load_limit_lbs'];
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// DECIMAL columns arrive as strings from the driver
+const parseNumericFields = (row) => {
+  const parsed = { ...row };
+  NUMERIC_FIELDS.forEach(field => {
+    if (field in parsed) {
+      parsed[field] = toNumber(parsed[field]);
+    }
+  });
+  return parsed;
+};
+
+/**
+ * Loads each room's rigging points, power circuits and AV items onto it as
+ * arrays. Returns new room objects; rooms may be empty.
+ */
+const attachRoomDetails = async (client, rooms) => {
+  if (rooms.length === 0) {
+    return [];
+  }
+
+  const roomIds = rooms.map(room => room.id);
+  const children = await Promise.all(Object.values(ROOM_CHILDREN).map(spec =>
+    client.query(`SELECT * FROM ${spec.table} WHERE room_id = ANY($1) ORDER BY id`, [roomIds])
+  ));
+
+  return rooms.map(room => {
+    const detailed = parseNumericFields(room);
+    Object.keys(ROOM_CHILDREN).forEach((key, index) => {
+      detailed[key] = children[index].rows
+        .filter(row => row.room_id === room.id)
+        .map(parseNumericFields);
+    });
+    return detailed;
+  });
+};
+
+/**
+ * Finds a property's room by id, or by name ignoring case, with its details
+ * attached. Resolves to null when there is no such room.
+ */
+const findRoom = async (client, propertyId, { roomId = null, roomName = null }) => {
+  const result = roomId
+    ? await client.query('SELECT * FROM rooms WHERE property_id = $1 AND id = $2', [propertyId, roomId])
+    : await client.query('SELECT * FROM rooms WHERE property_id = $1 AND LOWER(name) = LOWER($2)', [propertyId, roomName]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const [room] = await attachRoomDetails(client, result.rows);
+  return room;
+};
+
+/**
+ * The space a calculation works in: the room's measurements, overridden by
+ * any length_ft, width_ft or ceiling_height_ft given. room may be null.
+ */
+const resolveSpace = (room, overrides = {}) => Object.fromEntries(
+  ['length_ft', 'width_ft', 'ceiling_height_ft'].map(field => [
+    field,
+    toNumber(overrides[field]) ?? (room ? room[field] : null)
+  ])
+);
+
+/**
+ * Where the audience sits in a space: attendees at the setup style's floor
+ * area per person fill the room's width from the stage zone back, or the
+ * whole room when attendees are unknown. Distances are from the front of the
+ * stage zone. Returns { setup_style, audience_depth_ft, farthest_seat_ft,
+ * floor_needed_sqft, floor_available_sqft }; floor_needed_sqft exceeding
+ * floor_available_sqft means the room cannot seat everyone.
+ */
+const audienceLayout = (space, { attendees = null, setupStyle = null } = {}) => {
+  const style = setupStyle || 'theater';
+  const seatingDepth = Math.max(space.length_ft - STAGE_DEPTH_FT, 0);
+  const available = seatingDepth * space.width_ft;
+  const needed = attendees ? attendees * SQFT_PER_PERSON[style] : available;
+  const depth = Math.min(seatingDepth, needed / space.width_ft);
+
+  return {
+    setup_style: style,
+    audience_depth_ft: depth,
+    farthest_seat_ft: STAGE_DEPTH_FT + depth,
+    floor_needed_sqft: Math.round(needed),
+    floor_available_sqft: Math.round(available)
+  };
+};
+
+/**
+ * Replaces a room's line items for each child array present on room (absent
+ * keys are left alone). Must run inside the caller's transaction.
+ */
+const replaceRoomDetails = async (client, roomId, room) => {
+  for (const [key, spec] of Object.entries(ROOM_CHILDREN)) {
+    if (!Array.isArray(room[key])) continue;
+
+    await client.query(`DELETE FROM ${spec.table} WHERE room_id = $1`, [roomId]);
+    for (const entry of room[key]) {
+      // Omit blanks so column defaults (quantity 1, 120V) apply
+      const fields = spec.fields.filter(field => entry[field] !== undefined && entry[field] !== null && entry[field] !== '');
+      await client.query(
+        `INSERT INTO ${spec.table} (room_id, ${fields.join(', ')}) VALUES ($1, ${fields.map((field, i) => `$${i + 2}`).join(', ')})`,
+        [roomId, ...fields.map(field => entry[field])]
+      );
+    }
+  }
+};
+
+/**
+ * Values for the room detail columns, in ROOM_DETAIL_COLUMNS order, with
+ * blanks stored as NULL. Columns absent from room keep existing's value.
+ */
+const roomDetailValues = (room, existing = {}) => ROOM_DETAIL_COLUMNS.map(column => (
+  room[column] === undefined ? toNumber(existing[column]) : toNumber(room[column])
+));
+
+/**
+ * Total watts the room's recorded circuits can supply (amps x volts x count)
+ */
+const roomPowerWatts = (room) => (room.power_circuits || []).reduce(
+  (sum, circuit) => sum + (circuit.amps || 0) * (circuit.voltage || 0) * (circuit.quantity || 1),
+  0
+);
+
+const hasAvType = (room, types) => (room.av_items || []).filter(item => types.includes(item.av_type));
+
+const EQUIPMENT_CHECKS = [
+  {
+    pattern: /projector|projection|screen/,
+    avTypes: ['projector', 'screen'],
+    missing: 'Room has no built-in projector or screen. Will need portable setup.',
+    requirement: 'portable_projection_screen'
+  },
+  {
+    pattern: /audio|sound|speaker|microphone|\bmic\b/,
+    avTypes: ['speaker', 'mixer'],
+    missing: 'Room has no built-in speakers or mixer. Will need full audio setup.',
+    requirement: 'portable_audio_system'
+  },
+  {
+    pattern: /lighting|light\b|lights\b/,
+    avTypes: ['lighting'],
+    missing: 'Room has no built-in event lighting. Will need additional lighting.',
+    requirement: 'additional_lighting'
+  }
+];
+
+const RIGGING_PATTERN = /truss|rigging|line array|\bhang|motor|chain hoist|flown/;
+
+/**
+ * Checks requested equipment against a room's recorded AV items, rigging
+ * points and ceiling height, and attendees against the capacity for the
+ * setup style (or the room's overall capacity). room must carry its details
+ * (see attachRoomDetails). Returns { compatible, room_info, equipment_notes,
+ * requirements }; compatible is false only when the room cannot hold the
+ * attendees or the equipment needs rigging the room does not have.
+ */
+const assessRoomCompatibility = (room, equipmentList = [], { attendees = null, setupStyle = null } = {}) => {
+  const compatibility = {
+    compatible: true,
+    room_info: {
+      name: room.name,
+      capacity: room.capacity,
+      capacity_by_setup: Object.fromEntries(SETUP_STYLES.map(style => [style, room[`capacity_${style}`] ?? null])),
+      length_ft: room.length_ft,
+      width_ft: room.width_ft,
+      ceiling_height_ft: room.ceiling_height_ft,
+      dimensions: room.dimensions,
+      av_items: room.av_items,
+      rigging_points: room.rigging_points,
+      power_circuits: room.power_circuits,
+      power_available_watts: roomPowerWatts(room),
+      built_in_av: room.built_in_av,
+      features: room.features
+    },
+    equipment_notes: [],
+    requirements: []
+  };
+
+  if (attendees) {
+    const styleCapacity = setupStyle ? room[`capacity_${setupStyle}`] : null;
+    const capacity = styleCapacity || room.capacity;
+    const label = styleCapacity ? `${setupStyle} capacity` : 'capacity';
+    if (capacity && attendees > capacity) {
+      compatibility.compatible = false;
+      compatibility.equipment_notes.push(`${attendees} attendees exceeds the room's ${label} of ${capacity}`);
+    }
+  }
+
+  equipmentList.forEach(equipment => {
+    const equipmentLower = String(equipment).toLowerCase();
+
+    EQUIPMENT_CHECKS.forEach(check => {
+      if (!check.pattern.test(equipmentLower)) return;
+      const builtIn = hasAvType(room, check.avTypes);
+      if (builtIn.length > 0) {
+        compatibility.equipment_notes.push(
+          `${equipment}: Room has built-in ${builtIn.map(item => item.description || item.av_type).join(', ')}`
+        );
+      } else {
+        compatibility.equipment_notes.push(`${equipment}: ${check.missing}`);
+        if (!compatibility.requirements.includes(check.requirement)) {
+          compatibility.requirements.push(check.requirement);
+        }
+      }
+    });
+
+    if (/projector|projection|screen/.test(equipmentLower) && room.ceiling_height_ft) {
+      // Screens are hung with their bottom edge about 4 ft above the floor
+      compatibility.equipment_notes.push(
+        `${equipment}: ${room.ceiling_height_ft} ft ceiling allows a screen up to about ${Math.max(0, room.ceiling_height_ft - 4)} ft tall`
+      );
+    }
+
+    if (RIGGING_PATTERN.test(equipmentLower)) {
+      const points = room.rigging_points || [];
+      if (points.length === 0) {
+        compatibility.compatible = false;
+        compatibility.equipment_notes.push(`${equipment}: Room has no rigging points; use ground support instead`);
+        if (!compatibility.requirements.includes('ground_support')) {
+          compatibility.requirements.push('ground_support');
+        }
+      } else {
+        const limits = points.map(point => point.load_limit_lbs).filter(limit => limit !== null);
+        const low = Math.min(...limits);
+        const high = Math.max(...limits);
+        const rating = limits.length === 0 ? '' : `, rated ${low === high ? low : `${low}-${high}`} lbs each`;
+        compatibility.equipment_notes.push(`${equipment}: ${points.length} rigging point(s)${rating}`);
+      }
+    }
+  });
+
+  if (equipmentList.length > 0 && (room.power_circuits || []).length === 0) {
+    compatibility.equipment_notes.push('No power circuits are recorded for this room; confirm power with the venue');
+  }
+
+  return compatibility;
+};
+
+// Spreadsheet headers for the detail columns on the Rooms sheet
+const ROOM_DETAIL_HEADERS = [
+  ['length_ft', 'Length (ft)'],
+  ['width_ft', 'Width (ft)'],
+  ['ceiling_height_ft', 'Ceiling Height (ft)'],
+  ['capacity_theater', 'Theater Capacity'],
+  ['capacity_classroom', 'Classroom Capacity'],
+  ['capacity_banquet', 'Banquet Capacity'],
+  ['capacity_reception', 'Reception Capacity']
+];
+
+// One sheet per kind of line item, each row naming its room in a Room column
+const ROOM_CHILD_SHEETS = [
+  {
+    key: 'rigging_points',
+    sheet: 'Rigging Points',
+    columns: [['name', 'Name'], ['load_limit_lbs', 'Load Limit (lbs)'], ['notes', 'Notes']]
+  },
+  {
+    key: 'power_circuits',
+    sheet: 'Power Circuits',
+    columns: [['name', 'Name'], ['amps', 'Amps'], ['voltage', 'Voltage'], ['connector_type', 'Connector Type'], ['quantity', 'Quantity'], ['notes', 'Notes']]
+  },
+  {
+    key: 'av_items',
+    sheet: 'Built-in AV',
+    columns: [['av_type', 'Type'], ['description', 'Description'], ['quantity', 'Quantity']]
+  }
+];
+
+const cellValue = (row, field, header) => {
+  const value = row[header] !== undefined ? row[header] : row[field];
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  return typeof value === 'string' ? value.trim() : value;
+};
+
+/**
+ * Reads the room detail columns from a Rooms sheet row
+ */
+const readRoomDetailCells = (row) => Object.fromEntries(
+  ROOM_DETAIL_HEADERS.map(([field, header]) => [field, cellValue(row, field, header)])
+);
+
+/**
+ * Reads the line-item sheets present in a workbook. Returns { entries,
+ * detailsFor }: entries lists each row's { sheet, row, room } so rows naming
+ * an unknown room can be reported, and detailsFor(roomName) returns the rows
+ * for that room keyed as replaceRoomDetails expects. A room with no rows on
+ * a sheet that is present gets an empty list, clearing that kind of item.
+ */
+const readRoomChildSheets = (workbook, XLSX) => {
+  const byRoom = new Map();
+  const entries = [];
+  const present = [];
+
+  ROOM_CHILD_SHEETS.forEach(spec => {
+    const sheetName = workbook.SheetNames.find(name => name.trim().toLowerCase() === spec.sheet.toLowerCase());
+    if (!sheetName) return;
+    present.push(spec.key);
+
+    XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' }).forEach((raw, index) => {
+      const room = cellValue(raw, 'room', 'Room');
+      const record = Object.fromEntries(spec.columns.map(([field, header]) => [field, cellValue(raw, field, header)]));
+      if (record.av_type) {
+        record.av_type = String(record.av_type).toLowerCase();
+      }
+
+      // Row numbers as shown in the spreadsheet, after the header row
+      entries.push({ sheet: spec.sheet, row: index + 2, room });
+
+      const key = String(room || '').trim().toLowerCase();
+      const records = byRoom.get(key) || [];
+      records.push({ key: spec.key, record });
+      byRoom.set(key, records);
+    });
+  });
+
+  const detailsFor = (roomName) => {
+    const records = byRoom.get(String(roomName || '').trim().toLowerCase()) || [];
+    return Object.fromEntries(present.map(key => [
+      key,
+      records.filter(entry => entry.key === key).map(entry => entry.record)
+    ]));
+  };
+
+  return { entries, detailsFor };
+};
+
+/**
+ * Builds the Rooms sheet rows' detail columns and the line-item sheets for
+ * rooms carrying their details. Returns { detailCells(room), childSheets }
+ * where childSheets is [{ sheet, headers, rows }].
+ */
+const roomSheetsFor = (rooms) => ({
+  detailCells: (room) => Object.fromEntries(
+    ROOM_DETAIL_HEADERS.map(([field, header]) => [header, room[field] ?? ''])
+  ),
+  childSheets: ROOM_CHILD_SHEETS.map(spec => ({
+    sheet: spec.sheet,
+    headers: ['Room', ...spec.columns.map(([, header]) => header)],
+    rows: rooms.flatMap(room => (room[spec.key] || []).map(record => ({
+      'Room': room.name,
+      ...Object.fromEntries(spec.columns.map(([field, header]) => [header, record[field] ?? '']))
+    })))
+  }))
+});
+
+module.exports = {
+  SETUP_STYLES,
+  AV_ITEM_TYPES,
+  SQFT_PER_PERSON,
+  STAGE_DEPTH_FT,
+  ROOM_DETAIL_COLUMNS,
+  ROOM_CHILDREN,
+  attachRoomDetails,
+  findRoom,
+  resolveSpace,
+  audienceLayout,
+  replaceRoomDetails,
+  roomDetailValues,
+  roomPowerWatts,
+  assessRoomCompatibility,
+  ROOM_DETAIL_HEADERS,
+  ROOM_CHILD_SHEETS,
+  readRoomDetailCells,
+  readRoomChildSheets,
+  roomSheetsFor
+};
@@ -0,0 +1,226 @@
+const { getDatabase } = require('../database/init');
+const { getReservedQuantities } = require('./reservations');
+
+const DEFAULT_LIMIT = 5;
+
+// Ranking weights: an admin-declared equivalence outranks any inferred match
+const SCORES = {
+  equivalence: 100,
+  sub_category: 30,
+  model_family: 20,
+  manufacturer: 15,
+  category: 10
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+/**
+ * Leading letters of a model number, e.g. "ULXD4" -> "ulxd", "PRX815" -> "prx"
+ */
+const modelFamily = (model) => {
+  const match = normalize(model).match(/^[a-z]+/);
+  return match && match[0].length >= 2 ? match[0] : null;
+};
+
+/**
+ * Whether an equivalence side ("ULXD4") refers to an item, by name or model
+ */
+const matchesItem = (side, item) => {
+  const value = normalize(side);
+  return !!value && (normalize(item.name) === value || normalize(item.model) === value);
+};
+
+/**
+ * Lists the equivalences for a property
+ */
+const listEquivalences = async (propertyId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM inventory_equivalences WHERE property_id = $1 ORDER BY item_a, item_b',
+      [propertyId]
+    );
+    return result.rows;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Creates an equivalence between two items, by name or model
+ */
+const createEquivalence = async ({ property_id, item_a, item_b, notes }) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(`
+      INSERT INTO inventory_equivalences (property_id, item_a, item_b, notes)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [property_id, item_a.trim(), item_b.trim(), notes || null]);
+    return result.rows[0];
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Updates an equivalence. Returns null if it does not exist.
+ */
+const updateEquivalence = async (id, { item_a, item_b, notes }) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query(`
+      UPDATE inventory_equivalences
+      SET item_a = $1, item_b = $2, notes = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [item_a.trim(), item_b.trim(), notes || null, id]);
+    return result.rows[0] || null;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Deletes an equivalence. Returns false if it does not exist.
+ */
+const deleteEquivalence = async (id) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query('DELETE FROM inventory_equivalences WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Ranks in-stock alternatives for a requested item. The item is given either
+ * as an inventory_item_id or as { item_name, category } from the assistant.
+ * Candidates must share the category or be listed as equivalent; they are
+ * scored by equivalence, sub-category, model family and manufacturer, then
+ * by free quantity in the event window. Returns { original, alternatives }.
+ */
+const findSubstitutes = async (
+  propertyId,
+  { inventory_item_id = null, item_name = null, category = null },
+  { eventWindow = null, excludeOrderId = null, limit = DEFAULT_LIMIT } = {}
+) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const itemsResult = await client.query(
+      'SELECT * FROM inventory_items WHERE property_id = $1',
+      [propertyId]
+    );
+    const items = itemsResult.rows;
+
+    const original = inventory_item_id
+      ? items.find(item => item.id === inventory_item_id)
+      : items.find(item => normalize(item.name) === normalize(item_name) || normalize(item.model) === normalize(item_name));
+    const reference = original || { name: item_name, category, sub_category: null, manufacturer: null, model: null };
+
+    const equivalencesResult = await client.query(
+      'SELECT * FROM inventory_equivalences WHERE property_id = $1',
+      [propertyId]
+    );
+    const equivalentSides = equivalencesResult.rows
+      .map(equivalence => {
+        if (matchesItem(equivalence.item_a, reference) || normalize(equivalence.item_a) === normalize(item_name)) {
+          return { side: equivalence.item_b, notes: equivalence.notes };
+        }
+        if (matchesItem(equivalence.item_b, reference) || normalize(equivalence.item_b) === normalize(item_name)) {
+          return { side: equivalence.item_a, notes: equivalence.notes };
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    const reserved = await getReservedQuantities(client, propertyId, eventWindow, { excludeOrderId });
+    const family = modelFamily(reference.model);
+
+    const alternatives = items
+      .filter(item => item.status === 'available' && (!original || item.id !== original.id) && normalize(item.name) !== normalize(reference.name))
+      .map(item => {
+        const reasons = [];
+        let score = 0;
+
+        const equivalence = equivalentSides.find(entry => matchesItem(entry.side, item));
+        if (equivalence) {
+          score += SCORES.equivalence;
+          reasons.push(equivalence.notes ? `Listed as equivalent (${equivalence.notes})` : 'Listed as equivalent');
+        }
+
+        const sameCategory = !!reference.category && normalize(item.category) === normalize(reference.category);
+        if (!equivalence && !sameCategory) {
+          return null;
+        }
+        if (sameCategory) {
+          score += SCORES.category;
+        }
+        if (reference.sub_category && normalize(item.sub_category) === normalize(reference.sub_category)) {
+          score += SCORES.sub_category;
+          reasons.push(`Same sub-category (${item.sub_category})`);
+        }
+        if (family && modelFamily(item.model) === family) {
+          score += SCORES.model_family;
+          reasons.push(`Same model family (${family.toUpperCase()})`);
+        }
+        if (reference.manufacturer && normalize(item.manufacturer) === normalize(reference.manufacturer)) {
+          score += SCORES.manufacturer;
+          reasons.push(`Same manufacturer (${item.manufacturer})`);
+        }
+        if (reasons.length === 0) {
+          reasons.push(`Same category (${item.category})`);
+        }
+
+        return {
+          id: item.id,
+          name: item.name,
+          model: item.model,
+          manufacturer: item.manufacturer,
+          category: item.category,
+          sub_category: item.sub_category,
+          available: item.quantity_available - Math.min(reserved.get(item.id) || 0, item.quantity_available),
+          score,
+          reasons
+        };
+      })
+      .filter(item => item && item.available > 0)
+      .sort((a, b) => (b.score - a.score) || (b.available - a.available))
+      .slice(0, limit);
+
+    return {
+      original: original
+        ? {
+          id: original.id,
+          name: original.name,
+          model: original.model,
+          manufacturer: original.manufacturer,
+          category: original.category,
+          sub_category: original.sub_category
+        }
+        : null,
+      alternatives
+    };
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  listEquivalences,
+  createEquivalence,
+  updateEquivalence,
+  deleteEquivalence,
+  findSubstitutes
+};
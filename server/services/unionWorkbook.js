@@ -0,0 +1,286 @@
+const XLSX = require('xlsx');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+const pad = (value) => String(value).padStart(2, '0');
+
+// Spreadsheet cells arrive as text, numbers or Excel serial dates/times; these
+// turn them into the strings and numbers the union tables and validateUnion expect
+const cellText = (value) => (isBlank(value) ? null : String(value).trim());
+
+const cellNumber = (value) => (isBlank(value) ? null : Number(value));
+
+const cellBoolean = (value) => ['true', 'yes', 'y', '1', 'x'].includes(String(value).trim().toLowerCase());
+
+const cellTime = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return `${pad(parsed.H)}:${pad(parsed.M)}`;
+  }
+  return String(value).trim();
+};
+
+const cellDate = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return `${parsed.y}-${pad(parsed.m)}-${pad(parsed.d)}`;
+  }
+  return String(value).trim();
+};
+
+// Accepts 0-6 or a day name ("Sunday", "sun")
+const cellDay = (value) => {
+  if (isBlank(value)) return null;
+  const text = String(value).trim().toLowerCase();
+  const byName = DAY_NAMES.findIndex(day => day === text || day.substring(0, 3) === text);
+  return byName !== -1 ? byName : Number(text);
+};
+
+// One sheet per table, each child sheet keyed to its union by Local Number.
+// columns are [field, header, parse]; headers also match by field name.
+const UNION_SHEETS = [
+  {
+    key: 'unions',
+    sheet: 'Unions',
+    columns: [
+      ['local_number', 'Local Number', cellText],
+      ['name', 'Name', cellText],
+      ['trade', 'Trade', cellText],
+      ['regular_hours_start', 'Regular Hours Start', cellTime],
+      ['regular_hours_end', 'Regular Hours End', cellTime],
+      ['regular_rate', 'Regular Rate', cellNumber],
+      ['overtime_rate', 'Overtime Rate', cellNumber],
+      ['doubletime_rate', 'Doubletime Rate', cellNumber],
+      ['overtime_threshold', 'Overtime Threshold', cellNumber],
+      ['doubletime_threshold', 'Doubletime Threshold', cellNumber],
+      ['minimum_call_hours', 'Minimum Call Hours', cellNumber],
+      ['weekend_rules', 'Weekend Rules', cellText],
+      ['holiday_rules', 'Holiday Rules', cellText],
+      ['contact_info', 'Contact Info', cellText],
+      ['notes', 'Notes', cellText]
+    ]
+  },
+  {
+    key: 'schedules',
+    sheet: 'Schedules',
+    table: 'union_schedules',
+    columns: [
+      ['day_of_week', 'Day Of Week', cellDay],
+      ['start_time', 'Start Time', cellTime],
+      ['end_time', 'End Time', cellTime],
+      ['rate_type', 'Rate Type', cellText],
+      ['rate_multiplier', 'Rate Multiplier', cellNumber],
+      ['description', 'Description', cellText]
+    ]
+  },
+  {
+    key: 'equipment_requirements',
+    sheet: 'Equipment Requirements',
+    table: 'union_equipment_requirements',
+    columns: [
+      ['equipment_category', 'Equipment Category', cellText],
+      ['equipment_type', 'Equipment Type', cellText],
+      ['is_required', 'Is Required', cellBoolean],
+      ['minimum_crew_size', 'Minimum Crew Size', cellNumber],
+      ['notes', 'Notes', cellText]
+    ]
+  },
+  {
+    key: 'venue_rules',
+    sheet: 'Venue Rules',
+    table: 'union_venue_rules',
+    columns: [
+      // Room name, resolved to room_id on import; blank applies to all rooms
+      ['room', 'Room', cellText],
+      ['rule_type', 'Rule Type', cellText],
+      ['condition_text', 'Condition', cellText],
+      ['threshold_value', 'Threshold Value', cellNumber],
+      ['threshold_unit', 'Threshold Unit', cellText],
+      ['action_required', 'Action Required', cellText],
+      ['notes', 'Notes', cellText]
+    ]
+  },
+  {
+    key: 'time_penalties',
+    sheet: 'Time Penalties',
+    table: 'union_time_penalties',
+    columns: [
+      ['penalty_type', 'Penalty Type', cellText],
+      ['condition_description', 'Condition Description', cellText],
+      ['penalty_amount', 'Penalty Amount', cellNumber],
+      ['penalty_type_amount', 'Amount Type', cellText],
+      ['applies_after_hours', 'Applies After Hours', cellNumber],
+      ['applies_before_time', 'Applies Before Time', cellTime],
+      ['notes', 'Notes', cellText]
+    ]
+  },
+  {
+    key: 'special_days',
+    sheet: 'Special Days',
+    table: 'union_special_days',
+    columns: [
+      ['date_specific', 'Date', cellDate],
+      ['date_pattern', 'Date Pattern', cellText],
+      ['holiday_name', 'Holiday Name', cellText],
+      ['rate_multiplier', 'Rate Multiplier', cellNumber],
+      ['minimum_call', 'Minimum Call', cellNumber],
+      ['special_rules', 'Special Rules', cellText]
+    ]
+  }
+];
+
+const UNION_CHILD_SHEETS = UNION_SHEETS.filter(spec => spec.table);
+
+const toSnakeCase = (value) => String(value || '').trim().toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+const findSheetName = (workbook, spec) =>
+  workbook.SheetNames.find(name => toSnakeCase(name) === toSnakeCase(spec.sheet)) || null;
+
+/**
+ * Reads one sheet into { row, local_number, record } entries, where row is
+ * the spreadsheet row number and record holds the parsed columns
+ */
+const readSheet = (worksheet, spec) => {
+  const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+
+  return rows.map((raw) => {
+    const cells = {};
+    Object.entries(raw).forEach(([header, value]) => {
+      cells[toSnakeCase(header)] = value;
+    });
+    const cell = (field, header) => cells[field] !== undefined ? cells[field] : cells[toSnakeCase(header)];
+
+    const record = {};
+    spec.columns.forEach(([field, header, parse]) => {
+      record[field] = parse(cell(field, header));
+    });
+
+    return {
+      // sheet_to_json skips blank rows, so take the row number it records
+      row: raw.__rowNum__ + 1,
+      local_number: cellText(cell('local_number', 'Local Number')),
+      record
+    };
+  });
+};
+
+/**
+ * Reads a union workbook into a list of unions, each carrying its child rows
+ * (schedules, equipment_requirements, ...) as arrays ready for validateUnion.
+ * A single-sheet workbook (e.g. a CSV) is read as the Unions sheet. Child
+ * rows whose local number is not on the Unions sheet are reported in errors.
+ * Returns { unions, sheets, errors }, where sheets lists the keys of the
+ * sheets found, or null when there is no Unions sheet.
+ */
+const readUnionWorkbook = (workbook) => {
+  const [unionSpec] = UNION_SHEETS;
+  const unionSheet = findSheetName(workbook, unionSpec) ||
+    (workbook.SheetNames.length === 1 ? workbook.SheetNames[0] : null);
+
+  if (!unionSheet) {
+    return null;
+  }
+
+  const errors = [];
+  const byLocal = new Map();
+  const unions = [];
+
+  readSheet(workbook.Sheets[unionSheet], unionSpec).forEach(entry => {
+    const key = (entry.record.local_number || '').toLowerCase();
+    if (key && byLocal.has(key)) {
+      errors.push(`${unionSpec.sheet} row ${entry.row}: Local ${entry.record.local_number} appears more than once`);
+      return;
+    }
+
+    const union = { row: entry.row, ...entry.record };
+    UNION_CHILD_SHEETS.forEach(spec => { union[spec.key] = []; });
+    unions.push(union);
+    if (key) byLocal.set(key, union);
+  });
+
+  const sheets = [unionSpec.key];
+  UNION_CHILD_SHEETS.forEach(spec => {
+    const sheetName = findSheetName(workbook, spec);
+    if (!sheetName) return;
+    sheets.push(spec.key);
+
+    readSheet(workbook.Sheets[sheetName], spec).forEach(entry => {
+      const union = byLocal.get((entry.local_number || '').toLowerCase());
+      if (!union) {
+        errors.push(`${spec.sheet} row ${entry.row}: Local ${entry.local_number || '(blank)'} is not on the ${unionSpec.sheet} sheet`);
+        return;
+      }
+      union[spec.key].push(entry.record);
+    });
+  });
+
+  return { unions, sheets, errors };
+};
+
+const formatTime = (value) => (value ? String(value).substring(0, 5) : '');
+
+const formatDate = (value) => {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return value ? String(value).substring(0, 10) : '';
+};
+
+// How stored values are written back out, so an export imports unchanged
+const EXPORT_FORMATS = {
+  day_of_week: (value) => {
+    const name = DAY_NAMES[value];
+    return name ? name.charAt(0).toUpperCase() + name.slice(1) : value;
+  },
+  is_required: (value) => (value ? 'Yes' : 'No'),
+  date_specific: formatDate
+};
+
+const formatCell = (field, parse, value) => {
+  if (value === null || value === undefined) return '';
+  if (EXPORT_FORMATS[field]) return EXPORT_FORMATS[field](value);
+  if (parse === cellTime) return formatTime(value);
+  if (parse === cellNumber) return Number(value);
+  return value;
+};
+
+/**
+ * Appends the union sheets to a workbook. unions carry their child arrays as
+ * returned by readUnionWorkbook; venue rules name their room via roomNames
+ * (room id -> name). Empty sheets keep their headers so they can be filled in.
+ */
+const appendUnionSheets = (workbook, unions, roomNames = new Map()) => UNION_SHEETS.forEach(spec => {
+  const headers = [...(spec.table ? ['Local Number'] : []), ...spec.columns.map(([, header]) => header)];
+  const rows = [];
+
+  unions.forEach(union => {
+    const records = spec.table ? (union[spec.key] || []) : [union];
+    records.forEach(record => {
+      const row = spec.table ? { 'Local Number': union.local_number } : {};
+      spec.columns.forEach(([field, header, parse]) => {
+        const value = field === 'room' && record.room === undefined
+          ? (record.room_id ? roomNames.get(record.room_id) : null)
+          : record[field];
+        row[header] = formatCell(field, parse, value);
+      });
+      rows.push(row);
+    });
+  });
+
+  const worksheet = rows.length > 0
+    ? XLSX.utils.json_to_sheet(rows, { header: headers })
+    : XLSX.utils.aoa_to_sheet([headers]);
+  XLSX.utils.book_append_sheet(workbook, worksheet, spec.sheet);
+});
+
+module.exports = {
+  UNION_SHEETS,
+  UNION_CHILD_SHEETS,
+  readUnionWorkbook,
+  appendUnionSheets
+};
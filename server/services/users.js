@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getDatabase } = require('../database/init');
+const { logger } = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['planner', 'property_admin', 'super_admin'];
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random salt as "scrypt$<salt>$<hash>"
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Strips the password hash and attaches the user's property ids
+ */
+const toPublicUser = (row, propertyIds) => ({
+  id: row.id,
+  email: row.email,
+  name: row.name,
+  role: row.role,
+  active: row.active,
+  last_login_at: row.last_login_at,
+  property_ids: propertyIds
+});
+
+const loadPropertyIds = async (client, userId) => {
+  const result = await client.query(
+    'SELECT property_id FROM user_properties WHERE user_id = $1 ORDER BY property_id',
+    [userId]
+  );
+  return result.rows.map(row => row.property_id);
+};
+
+const setPropertyIds = async (client, userId, propertyIds) => {
+  await client.query('DELETE FROM user_properties WHERE user_id = $1', [userId]);
+  for (const propertyId of [...new Set(propertyIds)]) {
+    await client.query(
+      'INSERT INTO user_properties (user_id, property_id) VALUES ($1, $2)',
+      [userId, propertyId]
+    );
+  }
+};
+
+/**
+ * Lists all users with their property assignments
+ */
+const listUsers = async () => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const usersResult = await client.query('SELECT * FROM users ORDER BY email');
+    const assignmentsResult = await client.query('SELECT user_id, property_id FROM user_properties ORDER BY property_id');
+
+    return usersResult.rows.map(row => toPublicUser(
+      row,
+      assignmentsResult.rows.filter(assignment => assignment.user_id === row.id).map(assignment => assignment.property_id)
+    ));
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Gets an active or inactive user by id, without the password hash
+ */
+const getUser = async (userId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query('SELECT * FROM users WHERE id = $1', [userId]);
+    if (!result.rows[0]) {
+      return null;
+    }
+    return toPublicUser(result.rows[0], await loadPropertyIds(client, userId));
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Checks an email and password. Returns the user on success, or null if the
+ * account does not exist, is inactive or the password is wrong.
+ */
+const authenticateUser = async (email, password) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+    const row = result.rows[0];
+
+    if (!row || !row.active || !(await verifyPassword(password, row.password_hash))) {
+      return null;
+    }
+
+    await client.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [row.id]);
+    return toPublicUser(row, await loadPropertyIds(client, row.id));
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Creates a user and assigns their properties
+ */
+const createUser = async ({ email, name, password, role = 'planner', property_ids = [], active = true }) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      INSERT INTO users (email, name, password_hash, role, active)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [email.trim().toLowerCase(), name || null, await hashPassword(password), role, active !== false]);
+    const row = result.rows[0];
+
+    await setPropertyIds(client, row.id, property_ids);
+    await client.query('COMMIT');
+
+    logger.info('User created', { id: row.id, email: row.email, role: row.role });
+    return toPublicUser(row, [...new Set(property_ids)].sort((a, b) => a - b));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Updates a user's details, role, properties and (optionally) password.
+ * Returns null if the user does not exist.
+ */
+const updateUser = async (userId, { email, name, password, role, property_ids, active }) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      UPDATE users
+      SET email = COALESCE($1, email),
+          name = COALESCE($2, name),
+          role = COALESCE($3, role),
+          active = COALESCE($4, active),
+          password_hash = COALESCE($5, password_hash),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING *
+    `, [
+      email ? email.trim().toLowerCase() : null,
+      name === undefined ? null : name,
+      role || null,
+      active === undefined ? null : active,
+      password ? await hashPassword(password) : null,
+      userId
+    ]);
+
+    if (!result.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (Array.isArray(property_ids)) {
+      await setPropertyIds(client, userId, property_ids);
+    }
+    await client.query('COMMIT');
+
+    return toPublicUser(result.rows[0], await loadPropertyIds(client, userId));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Deletes a user. Returns false if the user does not exist.
+ */
+const deleteUser = async (userId) => {
+  const db = getDatabase();
+  const client = await db.connect();
+
+  try {
+    const result = await client.query('DELETE FROM users WHERE id = $1', [userId]);
+    return result.rowCount > 0;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Creates the first super-admin from ADMIN_EMAIL / ADMIN_PASSWORD when no
+ * users exist yet, so a fresh install can be signed into
+ */
+const ensureBootstrapAdmin = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  const db = getDatabase();
+  const client = await db.connect();
+  let count;
+  try {
+    const result = await client.query('SELECT COUNT(*) AS count FROM users');
+    count = parseInt(result.rows[0].count);
+  } finally {
+    client.release();
+  }
+
+  if (count > 0) {
+    return;
+  }
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    logger.warn('No users exist. Set ADMIN_EMAIL and ADMIN_PASSWORD (or run scripts/createUser.js) to create a super-admin.');
+    return;
+  }
+
+  await createUser({ email: ADMIN_EMAIL, name: 'Administrator', password: ADMIN_PASSWORD, role: 'super_admin' });
+  logger.info('Bootstrap super-admin created', { email: ADMIN_EMAIL });
+};
+
+module.exports = {
+  ROLES,
+  listUsers,
+  getUser,
+  authenticateUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  ensureBootstrapAdmin
+};
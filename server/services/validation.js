@@ -1,5 +1,24 @@
 const { getDatabase } = require('../database/init');
 const { logger } = require('../utils/logger');
+const { resolveEventWindow, getReservedQuantities } = require('./reservations');
+const { ROLES } = require('./users');
+const { IMPORT_FIELDS } = require('./importProfiles');
+const { isValidDatePattern, findSpecialDay } = require('./holidays');
+const { countRoomsInUse, evaluateVenueRules } = require('./venueRules');
+const { SETUP_STYLES, AV_ITEM_TYPES, assessRoomCompatibility, attachRoomDetails, findRoom } = require('./rooms');
+const { INVENTORY_SPECS, readInventorySpecs } = require('./inventorySpecs');
+const { assessPowerBudget, findPowerRequirements } = require('./powerPlanning');
+const { coordinateFrequencies } = require('./frequencyCoordination');
+const { CONTENT_TYPES, ASPECT_RATIOS, AMBIENT_LIGHT_LEVELS } = require('./projection');
+const { PROGRAM_TYPES } = require('./audioCoverage');
+
+const INVENTORY_STATUSES = ['available', 'maintenance', 'reserved', 'out_of_service'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+const isNonNegativeNumber = (value) => !isNaN(value) && Number(value) >= 0;
+const isPositiveNumber = (value) => !isNaN(value) && Number(value) > 0;
+const isWholeNumber = (value, min) => Number.isInteger(Number(value)) && Number(value) >= min;
+const hasText = (value) => !isBlank(value) && String(value).trim().length > 0;
 
 /**
  * Validates inventory item data for creation/update
@@ -24,8 +43,122 @@ const validateInventoryItem = (item) => {
     errors.push('Quantity available must be a non-negative number');
   }
 
-  if (item.status && !['available', 'maintenance', 'reserved', 'out_of_service'].includes(item.status)) {
-    errors.push('Status must be one of: available, maintenance, reserved, out_of_service');
+  if (item.status && !INVENTORY_STATUSES.includes(item.status)) {
+    errors.push(`Status must be one of: ${INVENTORY_STATUSES.join(', ')}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const isOptionalNumber = (value, check) => isBlank(value) || check(value);
+
+/**
+ * Validates an inventory item's technical specs (lumens, throw ratios).
+ * Returns a list of errors; blank specs are allowed.
+ */
+const validateInventorySpecs = (item) => {
+  const errors = [];
+
+  INVENTORY_SPECS.forEach(spec => {
+    const check = spec.integer ? (value) => isWholeNumber(value, 1) : isPositiveNumber;
+    if (!isOptionalNumber(item[spec.column], check)) {
+      errors.push(`${spec.label} must be a positive ${spec.integer ? 'whole number' : 'number'}`);
+    } else if (spec.max && Number(item[spec.column]) > spec.max) {
+      errors.push(`${spec.label} cannot exceed ${spec.max}`);
+    }
+  });
+
+  if (!isBlank(item.throw_ratio_min) && !isBlank(item.throw_ratio_max) &&
+      Number(item.throw_ratio_min) > Number(item.throw_ratio_max)) {
+    errors.push('Minimum throw ratio cannot exceed the maximum throw ratio');
+  }
+
+  if (!isBlank(item.frequency_min_mhz) && !isBlank(item.frequency_max_mhz) &&
+      Number(item.frequency_min_mhz) >= Number(item.frequency_max_mhz)) {
+    errors.push('Minimum frequency must be below the maximum frequency');
+  }
+
+  return errors;
+};
+
+/**
+ * Validates the space a calculator works in: a room (by id or name) or an
+ * explicit length and width, plus optional ceiling height, attendees and
+ * setup style. Returns a list of errors.
+ */
+const validateCalculatorSpace = (request) => {
+  const errors = [];
+
+  if (!request.property_id) {
+    errors.push('Property ID is required');
+  }
+
+  if (!isOptionalNumber(request.room_id, value => isWholeNumber(value, 1))) {
+    errors.push('Room ID must be a number');
+  }
+
+  if (isBlank(request.room_id) && isBlank(request.room_name) &&
+      (isBlank(request.length_ft) || isBlank(request.width_ft))) {
+    errors.push('A room, or the length and width of the space, is required');
+  }
+
+  [['length_ft', 'Length'], ['width_ft', 'Width'], ['ceiling_height_ft', 'Ceiling height']].forEach(([field, label]) => {
+    if (!isOptionalNumber(request[field], isPositiveNumber)) {
+      errors.push(`${label} must be a positive number of feet`);
+    }
+  });
+
+  if (!isOptionalNumber(request.attendees, value => isWholeNumber(value, 1))) {
+    errors.push('Attendees must be a positive whole number');
+  }
+
+  if (!isBlank(request.setup_style) && !SETUP_STYLES.includes(request.setup_style)) {
+    errors.push(`Setup style must be one of: ${SETUP_STYLES.join(', ')}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Validates the inputs to the projection calculator: the space (see
+ * validateCalculatorSpace) plus optional content type, aspect ratio,
+ * ambient light level and screen gain
+ */
+const validateProjectionRequest = (request) => {
+  const errors = validateCalculatorSpace(request);
+
+  if (!isOptionalNumber(request.screen_gain, isPositiveNumber)) {
+    errors.push('Screen gain must be a positive number');
+  }
+
+  [
+    ['content', CONTENT_TYPES, 'Content'],
+    ['aspect_ratio', ASPECT_RATIOS, 'Aspect ratio'],
+    ['ambient_light', AMBIENT_LIGHT_LEVELS, 'Ambient light']
+  ].forEach(([field, allowed, label]) => {
+    if (!isBlank(request[field]) && !allowed.includes(request[field])) {
+      errors.push(`${label} must be one of: ${allowed.join(', ')}`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates the inputs to the audio coverage calculator: the space (see
+ * validateCalculatorSpace) plus an optional program type
+ */
+const validateAudioCoverageRequest = (request) => {
+  const errors = validateCalculatorSpace(request);
+
+  if (!isBlank(request.program) && !PROGRAM_TYPES.includes(request.program)) {
+    errors.push(`Program must be one of: ${PROGRAM_TYPES.join(', ')}`);
   }
 
   return {
@@ -34,6 +167,58 @@ const validateInventoryItem = (item) => {
   };
 };
 
+/**
+ * Validates a room's structured attributes: measurements, capacity per setup
+ * style, rigging points, power circuits and built-in AV items. Returns a list
+ * of errors; absent fields are not checked.
+ */
+const validateRoomDetails = (room) => {
+  const errors = [];
+  const isCount = (value) => isWholeNumber(value, 0);
+
+  [['length_ft', 'Length'], ['width_ft', 'Width'], ['ceiling_height_ft', 'Ceiling height']].forEach(([field, label]) => {
+    if (!isOptionalNumber(room[field], isPositiveNumber)) {
+      errors.push(`${label} must be a positive number of feet`);
+    }
+  });
+
+  SETUP_STYLES.forEach(style => {
+    if (!isOptionalNumber(room[`capacity_${style}`], isCount)) {
+      errors.push(`${style.charAt(0).toUpperCase() + style.slice(1)} capacity must be a whole number`);
+    }
+  });
+
+  const eachEntry = (key, label, check) => {
+    if (room[key] === undefined) return;
+    if (!Array.isArray(room[key])) {
+      errors.push(`${label}s must be a list`);
+      return;
+    }
+    room[key].forEach((entry, index) => {
+      check(entry || {}).forEach(error => errors.push(`${label} ${index + 1}: ${error}`));
+    });
+  };
+
+  eachEntry('rigging_points', 'Rigging point', (point) => [
+    ...(!hasText(point.name) ? ['Name is required'] : []),
+    ...(!isOptionalNumber(point.load_limit_lbs, isPositiveNumber) ? ['Load limit must be a positive number of pounds'] : [])
+  ]);
+
+  eachEntry('power_circuits', 'Power circuit', (circuit) => [
+    ...(!hasText(circuit.name) ? ['Name is required'] : []),
+    ...(!isWholeNumber(circuit.amps, 1) ? ['Amps must be a positive whole number'] : []),
+    ...(!isOptionalNumber(circuit.voltage, value => isWholeNumber(value, 1)) ? ['Voltage must be a positive whole number'] : []),
+    ...(!isOptionalNumber(circuit.quantity, value => isWholeNumber(value, 1)) ? ['Quantity must be a positive whole number'] : [])
+  ]);
+
+  eachEntry('av_items', 'AV item', (item) => [
+    ...(!AV_ITEM_TYPES.includes(item.av_type) ? [`Type must be one of: ${AV_ITEM_TYPES.join(', ')}`] : []),
+    ...(!isOptionalNumber(item.quantity, value => isWholeNumber(value, 1)) ? ['Quantity must be a positive whole number'] : [])
+  ]);
+
+  return errors;
+};
+
 /**
  * Validates room data for creation/update
  */
@@ -52,6 +237,8 @@ const validateRoom = (room) => {
     errors.push('Capacity is required and must be a positive number');
   }
 
+  errors.push(...validateRoomDetails(room));
+
   return {
     valid: errors.length === 0,
     errors
@@ -88,26 +275,450 @@ const validateLaborRule = (rule) => {
   };
 };
 
+// Union times are stored as TIME, so "8:00", "08:00" and "08:00:00" all pass
+const CLOCK_TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PENALTY_AMOUNT_TYPES = ['flat_fee', 'hourly_rate', 'percentage'];
+
+const validateUnionSchedule = (schedule) => {
+  const errors = [];
+
+  if (isBlank(schedule.day_of_week) || !isWholeNumber(schedule.day_of_week, 0) || Number(schedule.day_of_week) > 6) {
+    errors.push('Day of week must be 0 (Sunday) to 6 (Saturday)');
+  }
+  if (!CLOCK_TIME_PATTERN.test(schedule.start_time || '') || !CLOCK_TIME_PATTERN.test(schedule.end_time || '')) {
+    errors.push('Start and end time must be in HH:MM format');
+  }
+  if (!hasText(schedule.rate_type)) {
+    errors.push('Rate type is required');
+  }
+  if (!isPositiveNumber(schedule.rate_multiplier)) {
+    errors.push('Rate multiplier must be a positive number');
+  }
+
+  return errors;
+};
+
+const validateUnionEquipmentRequirement = (requirement) => {
+  const errors = [];
+
+  if (!hasText(requirement.equipment_category) && !hasText(requirement.equipment_type)) {
+    errors.push('Equipment category or type is required');
+  }
+  if (!isBlank(requirement.minimum_crew_size) && !isWholeNumber(requirement.minimum_crew_size, 1)) {
+    errors.push('Minimum crew size must be a whole number of at least 1');
+  }
+
+  return errors;
+};
+
+const validateUnionVenueRule = (rule) => {
+  const errors = [];
+
+  if (!hasText(rule.rule_type)) {
+    errors.push('Rule type is required');
+  }
+  if (!hasText(rule.condition_text)) {
+    errors.push('Condition is required');
+  }
+  if (!isBlank(rule.threshold_value) && !isWholeNumber(rule.threshold_value, 0)) {
+    errors.push('Threshold value must be a whole number');
+  }
+
+  return errors;
+};
+
+const validateUnionTimePenalty = (penalty) => {
+  const errors = [];
+
+  if (!hasText(penalty.penalty_type)) {
+    errors.push('Penalty type is required');
+  }
+  if (!hasText(penalty.condition_description)) {
+    errors.push('Condition description is required');
+  }
+  if (!isBlank(penalty.penalty_amount) && !isNonNegativeNumber(penalty.penalty_amount)) {
+    errors.push('Penalty amount must be a non-negative number');
+  }
+  if (!isBlank(penalty.penalty_type_amount) && !PENALTY_AMOUNT_TYPES.includes(penalty.penalty_type_amount)) {
+    errors.push(`Penalty amount type must be one of: ${PENALTY_AMOUNT_TYPES.join(', ')}`);
+  }
+  if (!isBlank(penalty.applies_after_hours) && !isWholeNumber(penalty.applies_after_hours, 0)) {
+    errors.push('Applies after hours must be a whole number');
+  }
+  if (!isBlank(penalty.applies_before_time) && !CLOCK_TIME_PATTERN.test(penalty.applies_before_time)) {
+    errors.push('Applies before time must be in HH:MM format');
+  }
+
+  return errors;
+};
+
+const validateUnionSpecialDay = (day) => {
+  const errors = [];
+
+  if (isBlank(day.date_specific) && !hasText(day.date_pattern)) {
+    errors.push('A specific date or a date pattern is required');
+  }
+  if (!isBlank(day.date_specific) && !DATE_PATTERN.test(day.date_specific)) {
+    errors.push('Specific date must be in YYYY-MM-DD format');
+  }
+  if (hasText(day.date_pattern) && !isValidDatePattern(day.date_pattern)) {
+    errors.push('Date pattern must look like last_monday_may, fourth_thursday_november, december_25 or july_4_observed');
+  }
+  if (!isPositiveNumber(day.rate_multiplier)) {
+    errors.push('Rate multiplier must be a positive number');
+  }
+  if (!isBlank(day.minimum_call) && !isWholeNumber(day.minimum_call, 0)) {
+    errors.push('Minimum call must be a whole number of hours');
+  }
+
+  return errors;
+};
+
+// Child tables a union may carry, keyed by the array they arrive in
+const UNION_CHILDREN = {
+  schedules: { label: 'Schedule', validate: validateUnionSchedule },
+  equipment_requirements: { label: 'Equipment requirement', validate: validateUnionEquipmentRequirement },
+  venue_rules: { label: 'Venue rule', validate: validateUnionVenueRule },
+  time_penalties: { label: 'Time penalty', validate: validateUnionTimePenalty },
+  special_days: { label: 'Special day', validate: validateUnionSpecialDay }
+};
+
+/**
+ * Validates union data for creation/update. Any schedules, equipment_requirements,
+ * venue_rules, time_penalties or special_days arrays on the union are
+ * validated too, with errors labelled by their position.
+ */
+const validateUnion = (union) => {
+  const errors = [];
+
+  if (!hasText(union.local_number)) {
+    errors.push('Local number is required');
+  }
+
+  if (!hasText(union.name)) {
+    errors.push('Union name is required');
+  }
+
+  if (!hasText(union.trade)) {
+    errors.push('Trade is required');
+  }
+
+  [
+    ['regular_rate', 'Regular rate'],
+    ['overtime_rate', 'Overtime rate'],
+    ['doubletime_rate', 'Doubletime rate'],
+    ['minimum_call_hours', 'Minimum call hours']
+  ].forEach(([field, label]) => {
+    if (!isBlank(union[field]) && !isNonNegativeNumber(union[field])) {
+      errors.push(`${label} must be a positive number`);
+    }
+  });
+
+  if (!isBlank(union.overtime_threshold) && !(Number(union.overtime_threshold) >= 1)) {
+    errors.push('Overtime threshold must be at least 1 hour');
+  }
+
+  if (!isBlank(union.doubletime_threshold) && !(Number(union.doubletime_threshold) >= 1)) {
+    errors.push('Doubletime threshold must be at least 1 hour');
+  }
+
+  if (!isBlank(union.regular_hours_start) && !CLOCK_TIME_PATTERN.test(union.regular_hours_start)) {
+    errors.push('Regular hours start must be in HH:MM format');
+  }
+
+  if (!isBlank(union.regular_hours_end) && !CLOCK_TIME_PATTERN.test(union.regular_hours_end)) {
+    errors.push('Regular hours end must be in HH:MM format');
+  }
+
+  Object.entries(UNION_CHILDREN).forEach(([key, { label, validate }]) => {
+    (union[key] || []).forEach((entry, index) => {
+      validate(entry).forEach(error => errors.push(`${label} ${index + 1}: ${error}`));
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates one row of a union child table, keyed as on the union
+ * (schedules, equipment_requirements, venue_rules, time_penalties, special_days)
+ */
+const validateUnionChild = (key, entry) => {
+  const errors = UNION_CHILDREN[key].validate(entry);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const ORDER_STATUSES = ['draft', 'confirmed', 'cancelled'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
 /**
- * Validates an event order against inventory limits, room capacity, and labor rules
+ * Validates event order data for creation/update
  */
-const validateOrder = async (equipmentList, propertyId, attendees, eventDuration) => {
+const validateEventOrder = (order) => {
+  const errors = [];
+
+  if (!order.property_id) {
+    errors.push('Property ID is required');
+  }
+
+  if (!Array.isArray(order.equipment_list)) {
+    errors.push('Equipment list is required and must be an array');
+  } else {
+    order.equipment_list.forEach((item, index) => {
+      if (!item || !item.item_name || typeof item.item_name !== 'string') {
+        errors.push(`Equipment item ${index + 1} must have an item name`);
+      }
+      if (!Number.isInteger(item?.quantity) || item.quantity <= 0) {
+        errors.push(`Equipment item ${index + 1} must have a positive whole quantity`);
+      }
+    });
+  }
+
+  if (order.event_date && isNaN(Date.parse(order.event_date))) {
+    errors.push('Event date must be a valid date (YYYY-MM-DD)');
+  }
+
+  ['start_time', 'end_time'].forEach(field => {
+    if (order[field] && !TIME_PATTERN.test(order[field])) {
+      errors.push(`${field === 'start_time' ? 'Start' : 'End'} time must be in HH:MM format`);
+    }
+  });
+
+  if ((order.start_time || order.end_time) && !order.event_date) {
+    errors.push('Event date is required when start or end time is given');
+  }
+
+  if (order.attendees !== undefined && order.attendees !== null &&
+      (!Number.isInteger(order.attendees) || order.attendees < 0)) {
+    errors.push('Attendees must be a non-negative whole number');
+  }
+
+  if (order.room_id !== undefined && order.room_id !== null &&
+      (!Number.isInteger(order.room_id) || order.room_id <= 0)) {
+    errors.push('Room ID must be a positive whole number');
+  }
+
+  if (order.total_cost !== undefined && order.total_cost !== null &&
+      (typeof order.total_cost !== 'number' || order.total_cost < 0)) {
+    errors.push('Total cost must be a non-negative number');
+  }
+
+  if (order.status && !ORDER_STATUSES.includes(order.status)) {
+    errors.push(`Status must be one of: ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const CREW_PHASE_KEYS = ['load_in', 'set', 'show', 'strike'];
+
+/**
+ * Validates edited crew calls before they are saved on an order
+ */
+const validateCrewPlan = (calls) => {
+  const errors = [];
+
+  if (!Array.isArray(calls)) {
+    errors.push('Calls must be an array');
+    return { valid: false, errors };
+  }
+
+  calls.forEach((call, index) => {
+    const label = `Call ${index + 1}`;
+    if (!call || typeof call !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (call.phase && !CREW_PHASE_KEYS.includes(call.phase)) {
+      errors.push(`${label}: phase must be one of: ${CREW_PHASE_KEYS.join(', ')}`);
+    }
+    if (!call.union_id && !hasText(call.union)) {
+      errors.push(`${label}: a union is required`);
+    }
+    if (!call.date || !DATE_PATTERN.test(call.date)) {
+      errors.push(`${label}: date must be in YYYY-MM-DD format`);
+    }
+    ['start_time', 'end_time'].forEach(field => {
+      if (!call[field] || !TIME_PATTERN.test(call[field])) {
+        errors.push(`${label}: ${field === 'start_time' ? 'start' : 'end'} time must be in HH:MM format`);
+      }
+    });
+    if (!Number.isInteger(call.crew_size) || call.crew_size < 1) {
+      errors.push(`${label}: crew size must be a positive whole number`);
+    }
+    if (call.positions !== undefined && (!Array.isArray(call.positions) || call.positions.some(position => typeof position !== 'string'))) {
+      errors.push(`${label}: positions must be a list of names`);
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates an inventory equivalence ("ULXD4 is interchangeable with QLXD4")
+ */
+const validateEquivalence = (equivalence) => {
+  const errors = [];
+
+  if (!equivalence.property_id) {
+    errors.push('Property ID is required');
+  }
+
+  ['item_a', 'item_b'].forEach(field => {
+    if (!equivalence[field] || typeof equivalence[field] !== 'string' || equivalence[field].trim().length === 0) {
+      errors.push(`${field === 'item_a' ? 'First' : 'Second'} item is required and must be a non-empty string`);
+    }
+  });
+
+  if (typeof equivalence.item_a === 'string' && typeof equivalence.item_b === 'string' &&
+      equivalence.item_a.trim().toLowerCase() === equivalence.item_b.trim().toLowerCase()) {
+    errors.push('An item cannot be equivalent to itself');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates an import profile: column_map maps spreadsheet headers to import
+ * fields and status_map maps status values to inventory statuses
+ */
+const validateImportProfile = (profile) => {
+  const errors = [];
+
+  if (!profile.property_id) {
+    errors.push('Property ID is required');
+  }
+
+  if (!profile.name || typeof profile.name !== 'string' || profile.name.trim().length === 0) {
+    errors.push('Name is required and must be a non-empty string');
+  }
+
+  if (profile.column_map !== undefined && !isPlainObject(profile.column_map)) {
+    errors.push('Column map must be an object of spreadsheet header to field');
+  } else {
+    const targets = Object.values(profile.column_map || {});
+    Object.entries(profile.column_map || {}).forEach(([header, field]) => {
+      if (!IMPORT_FIELDS.includes(field)) {
+        errors.push(`Column "${header}" must map to one of: ${IMPORT_FIELDS.join(', ')}`);
+      }
+    });
+    const duplicates = [...new Set(targets.filter((field, index) => targets.indexOf(field) !== index))];
+    duplicates.forEach(field => errors.push(`Only one column can map to ${field}`));
+  }
+
+  if (profile.status_map !== undefined && !isPlainObject(profile.status_map)) {
+    errors.push('Status map must be an object of status value to inventory status');
+  } else {
+    Object.entries(profile.status_map || {}).forEach(([value, status]) => {
+      if (!INVENTORY_STATUSES.includes(status)) {
+        errors.push(`Status "${value}" must map to one of: ${INVENTORY_STATUSES.join(', ')}`);
+      }
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validates user account data. A password is required on creation and
+ * optional on update.
+ */
+const validateUser = (user, { requirePassword = true } = {}) => {
+  const errors = [];
+
+  if (!user.email || !EMAIL_PATTERN.test(user.email)) {
+    errors.push('A valid email address is required');
+  }
+
+  if (requirePassword || user.password) {
+    if (!user.password || typeof user.password !== 'string' || user.password.length < 8) {
+      errors.push('Password must be at least 8 characters');
+    }
+  }
+
+  if (user.role && !ROLES.includes(user.role)) {
+    errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (user.property_ids !== undefined &&
+      (!Array.isArray(user.property_ids) || !user.property_ids.every(id => Number.isInteger(id) && id > 0))) {
+    errors.push('Property IDs must be an array of property ids');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validates an event order against inventory limits, room capacity, and labor rules.
+ * When options.eventDate is given, inventory is checked against what other
+ * orders have reserved in the same window; options.excludeOrderId skips the
+ * order being edited so it does not compete with its own reservations.
+ * options.roomId or options.roomName place the order in a room, which scopes
+ * union venue rules to it and sets the circuits the power budget is checked
+ * against. options.laborCalls are the order's crew calls, which can meet a
+ * venue rule's requirement. Wireless mics and IEMs are given frequencies coordinated with the
+ * wireless other orders hold in the window.
+ */
+const validateOrder = async (equipmentList, propertyId, attendees, eventDuration, options = {}) => {
   const db = getDatabase();
   const validation = {
     valid: true,
     errors: [],
     warnings: [],
     details: {
-      inventory_check: { passed: true, items: [] },
+      inventory_check: { passed: true, items: [], event_window: null },
       room_check: { passed: true, details: null },
-      labor_check: { passed: true, details: null }
+      labor_check: { passed: true, details: null },
+      venue_rule_check: { passed: true, rules: [] },
+      power_check: { passed: true, details: null, union_requirements: [] },
+      frequency_check: { passed: true, details: null }
     }
   };
+  const powerLines = [];
 
   let client;
   try {
     client = await db.connect();
 
+    const eventWindow = resolveEventWindow(options);
+    const reserved = await getReservedQuantities(client, propertyId, eventWindow, {
+      excludeOrderId: options.excludeOrderId
+    });
+
+    validation.details.inventory_check.event_window = eventWindow;
+    if (!eventWindow) {
+      validation.warnings.push(
+        'No event date given: availability reflects total stock, not reservations held by other orders.'
+      );
+    }
+
     // 1. Validate inventory availability
     for (const equipmentItem of equipmentList) {
       const { item_name, quantity, category } = equipmentItem;
@@ -117,17 +728,24 @@ const validateOrder = async (equipmentList, propertyId, attendees, eventDuration
         'SELECT * FROM inventory_items WHERE property_id = $1 AND (name = $2 OR category = $3) AND status = $4',
         [propertyId, item_name, category, 'available']
       );
-      const inventoryItems = result.rows;
+      // A named item is only satisfied by that item; the category is a
+      // fallback for generic requests, matching how reservations allocate
+      const namedItems = result.rows.filter(item => item.name === item_name);
+      const inventoryItems = namedItems.length > 0 ? namedItems : result.rows;
 
       let availableQuantity = 0;
+      let reservedQuantity = 0;
       const matchingItems = [];
 
       for (const item of inventoryItems) {
         if (item.name === item_name || item.category === category) {
-          availableQuantity += item.quantity_available;
+          const itemReserved = Math.min(reserved.get(item.id) || 0, item.quantity_available);
+          availableQuantity += item.quantity_available - itemReserved;
+          reservedQuantity += itemReserved;
           matchingItems.push({
             name: item.name,
-            available: item.quantity_available,
+            available: item.quantity_available - itemReserved,
+            reserved: itemReserved,
             model: item.model
           });
         }
@@ -137,17 +755,26 @@ const validateOrder = async (equipmentList, propertyId, attendees, eventDuration
         item_name,
         requested: quantity,
         available: availableQuantity,
+        reserved_by_other_orders: reservedQuantity,
         sufficient: availableQuantity >= quantity,
         matching_items: matchingItems
       };
 
       validation.details.inventory_check.items.push(itemValidation);
 
+      // Budget the hungriest matching item, since allocation may pick any
+      const draws = inventoryItems
+        .map(item => readInventorySpecs(item).power_draw_watts)
+        .filter(watts => watts !== null);
+      powerLines.push({ item_name, quantity, watts: draws.length > 0 ? Math.max(...draws) : null });
+
       if (!itemValidation.sufficient) {
         validation.valid = false;
         validation.details.inventory_check.passed = false;
         validation.errors.push(
-          `Insufficient inventory for ${item_name}: requested ${quantity}, available ${availableQuantity}`
+          reservedQuantity > 0
+            ? `Insufficient inventory for ${item_name}: requested ${quantity}, available ${availableQuantity} (${reservedQuantity} reserved by other orders in this window)`
+            : `Insufficient inventory for ${item_name}: requested ${quantity}, available ${availableQuantity}`
         );
       }
     }
@@ -221,6 +848,125 @@ const validateOrder = async (equipmentList, propertyId, attendees, eventDuration
       }
     }
 
+    // 4. Flag union holidays on the event's date(s), which price at the holiday multiplier
+    if (eventWindow) {
+      const eventDates = [...new Set([eventWindow.starts_at, eventWindow.ends_at].map(value => value.substring(0, 10)))];
+      // An event ending at midnight does not run into the next day
+      if (eventWindow.ends_at.endsWith(' 00:00:00')) {
+        eventDates.pop();
+      }
+
+      const unionsResult = await client.query(
+        'SELECT id, local_number, name FROM unions WHERE property_id = $1',
+        [propertyId]
+      );
+      const specialDaysResult = unionsResult.rows.length > 0
+        ? await client.query('SELECT * FROM union_special_days WHERE union_id = ANY($1)', [unionsResult.rows.map(union => union.id)])
+        : { rows: [] };
+
+      const holidays = [];
+      unionsResult.rows.forEach(union => {
+        const specialDays = specialDaysResult.rows.filter(day => day.union_id === union.id);
+        eventDates.forEach(date => {
+          const holiday = findSpecialDay(specialDays, date);
+          if (holiday) {
+            holidays.push({
+              date,
+              union: `Local ${union.local_number}`,
+              holiday_name: holiday.holiday_name,
+              rate_multiplier: parseFloat(holiday.rate_multiplier),
+              minimum_call: holiday.minimum_call
+            });
+          }
+        });
+      });
+
+      if (holidays.length > 0) {
+        validation.details.labor_check.holidays = holidays;
+        holidays.forEach(holiday => validation.warnings.push(
+          `${holiday.date} is ${holiday.holiday_name || 'a holiday'} for ${holiday.union}: labor is billed at ${holiday.rate_multiplier}x`
+        ));
+      }
+    }
+
+    const room = options.roomId || options.roomName
+      ? await findRoom(client, propertyId, { roomId: options.roomId ? parseInt(options.roomId) : null, roomName: options.roomName })
+      : null;
+    const roomId = room ? room.id : null;
+
+    // 5. Evaluate union venue rules against rooms in use, hours and people
+    const venueRulesResult = await client.query(`
+      SELECT uvr.*, u.local_number, r.name AS room_name
+      FROM union_venue_rules uvr
+      JOIN unions u ON u.id = uvr.union_id
+      LEFT JOIN rooms r ON r.id = uvr.room_id
+      WHERE u.property_id = $1
+      ORDER BY u.local_number, uvr.id
+    `, [propertyId]);
+
+    if (venueRulesResult.rows.length > 0) {
+      // Without a stated duration, take it from the event's start and end times
+      let hours = eventDuration ?? null;
+      if (hours === null && eventWindow && options.startTime && options.endTime) {
+        hours = (Date.parse(`${eventWindow.ends_at.replace(' ', 'T')}Z`) - Date.parse(`${eventWindow.starts_at.replace(' ', 'T')}Z`)) / 3600000;
+      }
+
+      const outcome = evaluateVenueRules(venueRulesResult.rows, {
+        rooms: await countRoomsInUse(client, propertyId, eventWindow, { roomId, excludeOrderId: options.excludeOrderId }),
+        hours,
+        people: attendees ?? null,
+        roomId,
+        laborCalls: options.laborCalls || [],
+        equipmentList
+      });
+
+      validation.details.venue_rule_check.rules = outcome.rules;
+      if (outcome.errors.length > 0) {
+        validation.valid = false;
+        validation.details.venue_rule_check.passed = false;
+        validation.errors.push(...outcome.errors);
+      }
+      validation.warnings.push(...outcome.warnings);
+    }
+
+    // 6. Budget the order's power draw against the room's circuits; a distro
+    // brings in the union that covers power distribution
+    const power = assessPowerBudget(room, powerLines);
+    validation.details.power_check.details = power;
+    if (power.needs_distro) {
+      const requirements = await findPowerRequirements(client, propertyId);
+      validation.details.power_check.union_requirements = requirements;
+      if (requirements.length === 0) {
+        power.warnings.push('No union equipment requirement covers power distribution; confirm who ties in the distro');
+      }
+      requirements.forEach(requirement => power.warnings.push(
+        `Power distribution calls for ${requirement.union} (${requirement.trade}): a crew of at least ${requirement.minimum_crew_size}${requirement.is_required ? ', required' : ''}`
+      ));
+    }
+    if (power.errors.length > 0) {
+      validation.valid = false;
+      validation.details.power_check.passed = false;
+      validation.errors.push(...power.errors);
+    }
+    validation.warnings.push(...power.warnings);
+
+    // 7. Coordinate wireless frequencies across every room booked in the window
+    const frequencies = await coordinateFrequencies(client, propertyId, {
+      equipmentList,
+      window: eventWindow,
+      orderId: options.excludeOrderId ? parseInt(options.excludeOrderId) : null,
+      roomName: room ? room.name : null
+    });
+    if (frequencies.systems.length > 0) {
+      validation.details.frequency_check.details = frequencies;
+      if (frequencies.errors.length > 0) {
+        validation.valid = false;
+        validation.details.frequency_check.passed = false;
+        validation.errors.push(...frequencies.errors);
+      }
+      validation.warnings.push(...frequencies.warnings);
+    }
+
     logger.info('Order validation completed', {
       propertyId,
       valid: validation.valid,
@@ -242,9 +988,11 @@ const validateOrder = async (equipmentList, propertyId, attendees, eventDuration
 };
 
 /**
- * Validates if a room can support the requested equipment setup
+ * Validates if a room can support the requested equipment setup, using its
+ * recorded AV items, rigging points, ceiling height and setup capacities.
+ * options.attendees and options.setupStyle check the head count.
  */
-const validateRoomCapability = async (roomName, equipmentList, propertyId) => {
+const validateRoomCapability = async (roomName, equipmentList, propertyId, options = {}) => {
   const db = getDatabase();
   let client;
   
@@ -255,9 +1003,8 @@ const validateRoomCapability = async (roomName, equipmentList, propertyId) => {
       'SELECT * FROM rooms WHERE property_id = $1 AND name = $2',
       [propertyId, roomName]
     );
-    const room = result.rows[0];
 
-    if (!room) {
+    if (result.rows.length === 0) {
       return {
         compatible: false,
         reason: 'Room not found',
@@ -265,56 +1012,8 @@ const validateRoomCapability = async (roomName, equipmentList, propertyId) => {
       };
     }
 
-    const builtInAV = (room.built_in_av || '').toLowerCase();
-    const features = (room.features || '').toLowerCase();
-    const roomInfo = builtInAV + ' ' + features;
-
-    const compatibility = {
-      compatible: true,
-      room_info: {
-        name: room.name,
-        capacity: room.capacity,
-        dimensions: room.dimensions,
-        built_in_av: room.built_in_av,
-        features: room.features
-      },
-      equipment_notes: [],
-      requirements: []
-    };
-
-    // Check each piece of equipment against room capabilities
-    equipmentList.forEach(equipment => {
-      const equipmentLower = equipment.toLowerCase();
-      
-      if (equipmentLower.includes('projector') || equipmentLower.includes('projection')) {
-        if (!roomInfo.includes('projection') && !roomInfo.includes('screen')) {
-          compatibility.equipment_notes.push(
-            `${equipment}: Room has no built-in projection capability. Will need portable setup.`
-          );
-          compatibility.requirements.push('portable_projection_screen');
-        }
-      }
-      
-      if (equipmentLower.includes('audio') || equipmentLower.includes('sound') || equipmentLower.includes('microphone')) {
-        if (!roomInfo.includes('sound') && !roomInfo.includes('audio')) {
-          compatibility.equipment_notes.push(
-            `${equipment}: Room has no built-in audio system. Will need full audio setup.`
-          );
-          compatibility.requirements.push('portable_audio_system');
-        }
-      }
-      
-      if (equipmentLower.includes('lighting')) {
-        if (!roomInfo.includes('lighting') && !roomInfo.includes('stage')) {
-          compatibility.equipment_notes.push(
-            `${equipment}: Room lighting may need enhancement for this setup.`
-          );
-          compatibility.requirements.push('additional_lighting');
-        }
-      }
-    });
-
-    return compatibility;
+    const [room] = await attachRoomDetails(client, result.rows);
+    return assessRoomCompatibility(room, equipmentList, options);
 
   } catch (error) {
     logger.error('Error validating room capability:', error);
@@ -332,8 +1031,19 @@ const validateRoomCapability = async (roomName, equipmentList, propertyId) => {
 
 module.exports = {
   validateInventoryItem,
+  validateInventorySpecs,
+  validateProjectionRequest,
+  validateAudioCoverageRequest,
   validateRoom,
+  validateRoomDetails,
   validateLaborRule,
+  validateUnion,
+  validateUnionChild,
+  validateEventOrder,
+  validateCrewPlan,
+  validateEquivalence,
+  validateImportProfile,
+  validateUser,
   validateOrder,
   validateRoomCapability
 }; 
\ No newline at end of file
@@ -0,0 +1,182 @@
+const { resolveEventWindow } = require('./reservations');
+
+// threshold_unit values are free text; these are the ones that can be measured
+const UNIT_ALIASES = {
+  rooms: ['room', 'rooms'],
+  hours: ['hour', 'hours', 'hr', 'hrs', 'h'],
+  people: ['people', 'person', 'persons', 'attendee', 'attendees', 'guest', 'guests', 'pax', 'heads']
+};
+
+const normalizeUnit = (unit) => {
+  const text = String(unit || '').trim().toLowerCase();
+  return Object.keys(UNIT_ALIASES).find(key => UNIT_ALIASES[key].includes(text)) || null;
+};
+
+const overlaps = (a, b) => a.starts_at < b.ends_at && b.starts_at < a.ends_at;
+
+/**
+ * Counts the rooms in use at the property during the event window: rooms
+ * booked by other active orders that overlap it, plus this order's room
+ * (counted once even when unnamed). Without a window only this order counts.
+ */
+const countRoomsInUse = async (client, propertyId, eventWindow, { roomId = null, excludeOrderId = null } = {}) => {
+  if (!eventWindow) {
+    return 1;
+  }
+
+  const date = eventWindow.starts_at.substring(0, 10);
+  const result = await client.query(`
+    SELECT id, room_id, event_date, start_time, end_time
+    FROM event_orders
+    WHERE property_id = $1
+      AND status <> 'cancelled'
+      AND room_id IS NOT NULL
+      AND event_date BETWEEN $2::date - 1 AND $2::date + 1
+      AND ($3::integer IS NULL OR id <> $3)
+  `, [propertyId, date, excludeOrderId]);
+
+  const rooms = new Set();
+  result.rows.forEach(order => {
+    const window = resolveEventWindow({
+      eventDate: order.event_date,
+      startTime: order.start_time,
+      endTime: order.end_time
+    });
+    if (window && overlaps(window, eventWindow) && order.room_id !== roomId) {
+      rooms.add(order.room_id);
+    }
+  });
+
+  return rooms.size + 1;
+};
+
+// Lower-case words with plurals trimmed: "Audio Engineers" -> ["audio", "engineer"]
+const positionWords = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z]+/)
+  .filter(Boolean)
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+/**
+ * The position a requirement asks for, as words: what comes before
+ * "required" in its action ("Projectionists required above threshold"), or
+ * after "without" in its condition ("3 ICW rooms without projectionists").
+ * Null when neither names one.
+ */
+const requiredPosition = (rule) => {
+  const match = String(rule.action_required || '').match(/^\s*(?:an?\s+)?([a-z][a-z\s/-]*?)\s+(?:(?:is|are)\s+)?required\b/i)
+    || String(rule.condition_text || '').match(/\bwithout\s+(?:an?\s+)?([a-z][a-z\s/-]*?)\s*$/i);
+  const words = match ? positionWords(match[1]) : [];
+  return words.length > 0 ? words : null;
+};
+
+// Whether text names the position as whole words, in order
+const namesPosition = (text, position) => {
+  const words = positionWords(text);
+  return words.some((word, index) => position.every((part, offset) => words[index + offset] === part));
+};
+
+/**
+ * Whether an order already provides the position a requirement asks for: a
+ * labor call staffing it (one of its positions, its trade or its
+ * description names it), or an order line for it as a labor item
+ * ("Projectionist" for "Projectionists required above threshold"). Calls are
+ * crew plan calls with positions and trade, or costed calls whose trade is
+ * on union. A requirement that names no position cannot be met this way.
+ */
+const requirementSatisfied = (rule, { laborCalls = [], equipmentList = [] }) => {
+  const position = requiredPosition(rule);
+  if (!position) {
+    return false;
+  }
+
+  const staffed = laborCalls.some(call => [
+    ...(call.positions || []),
+    call.trade || (call.union && call.union.trade),
+    call.description
+  ].some(text => namesPosition(text, position)));
+
+  return staffed || equipmentList.some(line => positionWords(line.item_name).join(' ') === position.join(' '));
+};
+
+/**
+ * Evaluates each union venue rule against what is measured for an order.
+ * A rule triggers when the measure for its threshold_unit (rooms, hours or
+ * people) exceeds threshold_value; a requirement without a threshold always
+ * triggers. Rules scoped to another room do not apply. Triggered limitations
+ * are errors (more labor will not satisfy them), as are requirements the
+ * order's labor or equipment does not meet; exceptions are warnings naming
+ * the action required.
+ *
+ * rules carry local_number and room_name; measures is { rooms, hours, people,
+ * roomId, laborCalls, equipmentList }, with null for anything unknown.
+ * Returns { rules, errors, warnings }.
+ */
+const evaluateVenueRules = (rules, measures) => {
+  const outcome = { rules: [], errors: [], warnings: [] };
+
+  rules.forEach(rule => {
+    const unit = normalizeUnit(rule.threshold_unit);
+    const threshold = rule.threshold_value === null || rule.threshold_value === undefined
+      ? null
+      : parseInt(rule.threshold_value, 10);
+    const measured = unit ? measures[unit] : null;
+
+    const entry = {
+      rule_id: rule.id,
+      union: `Local ${rule.local_number}`,
+      room: rule.room_name || null,
+      rule_type: rule.rule_type,
+      condition: rule.condition_text,
+      threshold,
+      unit: rule.threshold_unit || null,
+      measured: measured ?? null,
+      action_required: rule.action_required || null,
+      status: 'passed'
+    };
+    outcome.rules.push(entry);
+
+    if (rule.room_id && rule.room_id !== measures.roomId) {
+      entry.status = 'not_applicable';
+      return;
+    }
+
+    if (threshold === null) {
+      if (rule.rule_type !== 'requirement') {
+        entry.status = 'not_evaluated';
+        return;
+      }
+    } else if (!unit || measured === null || measured === undefined) {
+      entry.status = 'not_evaluated';
+      return;
+    } else if (measured <= threshold) {
+      return;
+    }
+
+    if (rule.rule_type === 'requirement' && requirementSatisfied(rule, measures)) {
+      entry.status = 'satisfied';
+      return;
+    }
+
+    entry.status = 'triggered';
+    const scope = rule.room_name ? ` in ${rule.room_name}` : '';
+    const reason = threshold === null
+      ? rule.condition_text
+      : `${measured} ${unit} exceeds ${threshold} (${rule.condition_text})`;
+    const message = `${entry.union}${scope}: ${reason}. ${rule.action_required || 'Check the union agreement'}`;
+
+    if (rule.rule_type === 'limitation' || rule.rule_type === 'requirement') {
+      outcome.errors.push(message);
+    } else {
+      outcome.warnings.push(message);
+    }
+  });
+
+  return outcome;
+};
+
+module.exports = {
+  normalizeUnit,
+  countRoomsInUse,
+  evaluateVenueRules
+};
@@ -0,0 +1,54 @@
+// Drives the chat tool loop with the offline stub provider and its bundled
+// fixtures; the service's database reads are replaced per test.
+process.env.LLM_PROVIDER = 'stub';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const OpenAIService = require('../services/openai');
+
+const createService = (executeFunction) => {
+  const service = new OpenAIService();
+  service.getRealInventory = async () => [];
+  service.getRooms = async () => [];
+  service.getUnions = async () => [];
+  service.executed = [];
+  service.executeFunction = async (name, args) => {
+    service.executed.push({ name, args });
+    return executeFunction(name, args);
+  };
+  return service;
+};
+
+test('malformed tool arguments are returned to the model as a tool error', async () => {
+  const service = createService(() => assert.fail('a tool with invalid arguments must not run'));
+
+  const response = await service.processConversation([
+    { role: 'user', content: 'Send malformed arguments' }
+  ], 1);
+
+  assert.strictEqual(response.functionCallCount, 1);
+  assert.deepStrictEqual(service.executed, []);
+  assert.match(response.message, /Invalid JSON arguments for fetch_inventory/);
+});
+
+test('parallel tool calls all run and their results reach the next reply', async () => {
+  const service = createService((name, args) => ({ tool: name, room: args.room_name || null }));
+  const events = [];
+
+  const response = await service.processConversation([
+    { role: 'user', content: 'What can the Grand Ballroom do?' }
+  ], 1, null, { onEvent: (type, data) => events.push({ type, data }) });
+
+  assert.deepStrictEqual(service.executed.map(call => call.args.room_name || call.name), [
+    'Grand Ballroom',
+    'Salon A',
+    'fetch_inventory'
+  ]);
+  assert.strictEqual(response.functionCallCount, 3);
+  assert.match(response.message, /"room":"Salon A"/);
+
+  const results = events.filter(event => event.type === 'function_result');
+  assert.strictEqual(results.length, 3);
+  assert.ok(results.every(event => event.data.success));
+  assert.ok(events.some(event => event.type === 'token'));
+});
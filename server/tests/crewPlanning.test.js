@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { planCrewCalls } = require('../services/crewPlanning');
+const { costSchedule } = require('../services/laborCosting');
+
+const unions = [
+  { id: 1, local_number: '2', name: 'Stagehands', trade: 'Stagehand', regular_rate: '50.00' },
+  { id: 2, local_number: '134', name: 'Electricians', trade: 'Electrician', regular_rate: '60.00' }
+];
+
+const requirements = [
+  { union_id: 1, equipment_category: 'Audio', equipment_type: null, minimum_crew_size: 2 },
+  { union_id: 2, equipment_category: 'Power', equipment_type: null, minimum_crew_size: 1 }
+];
+
+const setupTimes = { audio_setup: 2, video_setup: 1.5, lighting_setup: 3, breakdown: 1, load_in: 1 };
+
+const turnaroundPenalties = unions.map(union => ({
+  union_id: union.id,
+  penalty_type: 'turnaround',
+  condition_description: '10 hours off between calls',
+  applies_after_hours: 10,
+  penalty_type_amount: 'flat_fee',
+  penalty_amount: '100.00'
+}));
+
+test('a generated crew plan is costed as continuous work with no turnaround penalty', () => {
+  const order = {
+    event_date: '2030-06-01',
+    start_time: '19:00',
+    end_time: '00:30',
+    equipment_list: [
+      { item_name: 'Line Array', quantity: 4, category: 'Audio' },
+      { item_name: 'Power Distro', quantity: 1, category: 'Power' }
+    ]
+  };
+
+  const plan = planCrewCalls(order, { setupTimes, unions, requirements, items: [] });
+  assert.strictEqual(plan.calls.length, 8);
+
+  const report = { calls: [], unions: [], total_hours: 0, total_cost: 0, errors: [], warnings: [] };
+  costSchedule(plan.calls, { unions, schedules: [], penalties: turnaroundPenalties, specialDays: [] }, report);
+
+  assert.strictEqual(report.calls.length, 8);
+  report.calls.forEach(line => assert.deepStrictEqual(line.penalties, [], line.description));
+
+  const show = report.calls.find(line => line.description === 'Show - Local 2');
+  assert.strictEqual(show.hours_worked_earlier_that_day, 3);
+});
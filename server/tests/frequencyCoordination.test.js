@@ -0,0 +1,82 @@
+// The chained-bookings test runs against the PostgreSQL database in
+// DATABASE_URL (use a scratch database) and is skipped when it is not set.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { initDatabase, getDatabase, closeDatabase } = require('../database/init');
+const { createOrder } = require('../services/orders');
+const { assignFrequencies, planOrderFrequencies } = require('../services/frequencyCoordination');
+
+const skip = !process.env.DATABASE_URL && 'DATABASE_URL is not set';
+
+// Room for two carriers 400 kHz apart: 470.000 and 470.400
+const range = { min_mhz: 470, max_mhz: 470.4 };
+
+const system = (orderId, start, end) => ({
+  order_id: orderId,
+  this_order: false,
+  window: { starts_at: `2030-06-01 ${start}:00`, ends_at: `2030-06-01 ${end}:00` },
+  item_id: 1,
+  item_name: 'Wireless Handheld',
+  quantity: 1,
+  range
+});
+
+const frequency = (plan, orderId) => plan.find(entry => entry.order_id === orderId).channels[0].frequency_mhz;
+
+test('a frequency is reused only once the booking holding it is off the air', () => {
+  const plan = assignFrequencies([system(1, '08:00', '10:00'), system(2, '09:00', '12:00'), system(3, '11:00', '13:00')]);
+
+  assert.strictEqual(frequency(plan, 1), 470);
+  assert.strictEqual(frequency(plan, 2), 470.4);
+  assert.strictEqual(frequency(plan, 3), 470);
+  assert.ok(plan.every(entry => entry.unassigned === 0));
+});
+
+let propertyId;
+
+before(async () => {
+  if (skip) return;
+  await initDatabase();
+
+  const db = getDatabase();
+  const property = await db.query(
+    'INSERT INTO properties (property_code, name) VALUES ($1, $2) RETURNING id',
+    [`F${Date.now() % 1e9}`, 'Frequency test property']
+  );
+  propertyId = property.rows[0].id;
+
+  await db.query(`
+    INSERT INTO inventory_items (property_id, name, category, quantity_available, status, frequency_min_mhz, frequency_max_mhz)
+    VALUES ($1, 'Wireless Handheld', 'Audio', 3, 'available', 470, 470.4)
+  `, [propertyId]);
+});
+
+after(async () => {
+  if (skip) return;
+  await getDatabase().query('DELETE FROM properties WHERE id = $1', [propertyId]);
+  await closeDatabase();
+});
+
+test('orders chained by overlaps get one plan, with no shared frequency on air', { skip }, async () => {
+  const order = (name, startTime, endTime) => createOrder({
+    property_id: propertyId,
+    event_name: name,
+    event_date: '2030-06-01',
+    start_time: startTime,
+    end_time: endTime,
+    equipment_list: [{ item_name: 'Wireless Handheld', quantity: 1, category: 'Audio' }]
+  });
+
+  const z = await order('Breakfast', '08:00', '10:00');
+  const a = await order('Keynote', '09:00', '12:00');
+  const b = await order('Lunch', '11:00', '13:00');
+
+  const plans = await Promise.all([z, a, b].map(planOrderFrequencies));
+  const [zPlan, aPlan, bPlan] = plans.map(plan => plan.systems);
+
+  assert.notStrictEqual(frequency(aPlan, a.id), frequency(bPlan, b.id));
+  assert.strictEqual(frequency(zPlan, a.id), frequency(aPlan, a.id));
+  assert.strictEqual(frequency(aPlan, b.id), frequency(bPlan, b.id));
+  assert.strictEqual(frequency(bPlan, a.id), frequency(aPlan, a.id));
+  assert.ok(plans.every(plan => plan.errors.length === 0));
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { costSchedule } = require('../services/laborCosting');
+
+const union = {
+  id: 1,
+  local_number: '2',
+  name: 'Stagehands',
+  trade: 'Stagehand',
+  regular_rate: '50.00',
+  overtime_threshold: 8,
+  doubletime_threshold: 12,
+  minimum_call_hours: null
+};
+
+const turnaround = {
+  union_id: 1,
+  penalty_type: 'turnaround',
+  condition_description: '10 hours off between calls',
+  applies_after_hours: 10,
+  penalty_type_amount: 'flat_fee',
+  penalty_amount: '100.00'
+};
+
+const cost = (calls) => {
+  const report = { calls: [], unions: [], total_hours: 0, total_cost: 0, errors: [], warnings: [] };
+  costSchedule(calls.map(call => ({ union_id: 1, crew_size: 2, ...call })), {
+    unions: [union],
+    schedules: [],
+    penalties: [turnaround],
+    specialDays: []
+  }, report);
+  return report;
+};
+
+const turnarounds = (line) => line.penalties.filter(penalty => penalty.type === 'turnaround');
+
+test('crews working side by side are not charged turnaround against each other', () => {
+  const report = cost([
+    { description: 'Crew A', date: '2030-06-01', start_time: '08:00', end_time: '12:00' },
+    { description: 'Crew B', date: '2030-06-01', start_time: '08:00', end_time: '12:00' }
+  ]);
+
+  report.calls.forEach(line => assert.deepStrictEqual(turnarounds(line), []));
+  assert.strictEqual(report.total_cost, 800);
+});
+
+test('back-to-back calls are continuous work: overtime, not turnaround', () => {
+  const report = cost([
+    { description: 'Set', date: '2030-06-01', start_time: '08:00', end_time: '14:00' },
+    { description: 'Show', date: '2030-06-01', start_time: '14:00', end_time: '18:00' },
+    { description: 'Strike', date: '2030-06-02', start_time: '00:00', end_time: '02:00' },
+    { description: 'Late show', date: '2030-06-01', start_time: '20:00', end_time: '00:00' }
+  ]);
+
+  report.calls.forEach(line => assert.deepStrictEqual(turnarounds(line), [], line.description));
+  const show = report.calls.find(line => line.description === 'Show');
+  assert.strictEqual(show.hours_worked_earlier_that_day, 6);
+  assert.strictEqual(show.breakdown.overtime.hours, 2);
+});
+
+test('turnaround counts rest from the latest end of the previous day', () => {
+  const report = cost([
+    { description: 'Long call', date: '2030-06-01', start_time: '14:00', end_time: '23:00' },
+    { description: 'Short call', date: '2030-06-01', start_time: '15:00', end_time: '18:00' },
+    { description: 'Early call', date: '2030-06-02', start_time: '06:00', end_time: '10:00' }
+  ]);
+
+  const early = report.calls.find(line => line.description === 'Early call');
+  const [penalty] = turnarounds(early);
+  assert.match(penalty.description, /Only 7h rest/);
+  assert.strictEqual(penalty.amount, 200);
+});
+
+test('enough rest between days carries no turnaround', () => {
+  const report = cost([
+    { date: '2030-06-01', start_time: '08:00', end_time: '18:00' },
+    { date: '2030-06-02', start_time: '08:00', end_time: '12:00' }
+  ]);
+
+  report.calls.forEach(line => assert.deepStrictEqual(turnarounds(line), []));
+});
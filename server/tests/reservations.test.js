@@ -0,0 +1,56 @@
+// Runs against the PostgreSQL database in DATABASE_URL (use a scratch
+// database); skipped when it is not set. Run with `npm test`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { initDatabase, getDatabase, closeDatabase } = require('../database/init');
+const { createOrder } = require('../services/orders');
+
+const skip = !process.env.DATABASE_URL && 'DATABASE_URL is not set';
+
+let propertyId;
+
+before(async () => {
+  if (skip) return;
+  await initDatabase();
+
+  const db = getDatabase();
+  const property = await db.query(
+    'INSERT INTO properties (property_code, name) VALUES ($1, $2) RETURNING id',
+    [`T${Date.now() % 1e9}`, 'Reservation test property']
+  );
+  propertyId = property.rows[0].id;
+
+  await db.query(`
+    INSERT INTO inventory_items (property_id, name, category, quantity_available, status)
+    VALUES ($1, 'Test Projector', 'Video', 1, 'available')
+  `, [propertyId]);
+});
+
+after(async () => {
+  if (skip) return;
+  await getDatabase().query('DELETE FROM properties WHERE id = $1', [propertyId]);
+  await closeDatabase();
+});
+
+test('concurrent overlapping orders cannot both reserve the last unit', { skip }, async () => {
+  const order = (name, startTime, endTime) => createOrder({
+    property_id: propertyId,
+    event_name: name,
+    event_date: '2030-06-01',
+    start_time: startTime,
+    end_time: endTime,
+    equipment_list: [{ item_name: 'Test Projector', quantity: 1, category: 'Video' }]
+  });
+
+  const results = await Promise.all([
+    order('Morning session', '09:00', '12:00'),
+    order('Overlapping lunch', '11:00', '14:00')
+  ]);
+
+  const reserved = await getDatabase().query(
+    'SELECT COALESCE(SUM(quantity), 0) AS quantity FROM inventory_reservations WHERE property_id = $1',
+    [propertyId]
+  );
+  assert.strictEqual(parseInt(reserved.rows[0].quantity), 1);
+  assert.strictEqual(results.filter(result => result.reservation_shortfalls.length > 0).length, 1);
+});
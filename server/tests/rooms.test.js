@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ROOM_DETAIL_COLUMNS, roomDetailValues } = require('../services/rooms');
+
+const existing = Object.fromEntries(ROOM_DETAIL_COLUMNS.map((column, i) => [column, String(10 + i)]));
+
+test('an update keeps the recorded details it omits', () => {
+  const values = roomDetailValues({ length_ft: 80 }, existing);
+
+  assert.deepStrictEqual(values, ROOM_DETAIL_COLUMNS.map((column, i) => (column === 'length_ft' ? 80 : 10 + i)));
+});
+
+test('an update clears the details it sends blank', () => {
+  const values = roomDetailValues({ width_ft: '', ceiling_height_ft: null }, existing);
+
+  assert.strictEqual(values[ROOM_DETAIL_COLUMNS.indexOf('width_ft')], null);
+  assert.strictEqual(values[ROOM_DETAIL_COLUMNS.indexOf('ceiling_height_ft')], null);
+  assert.strictEqual(values[ROOM_DETAIL_COLUMNS.indexOf('length_ft')], 10);
+});
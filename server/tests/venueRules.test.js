@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { evaluateVenueRules } = require('../services/venueRules');
+
+const projectionists = {
+  id: 1,
+  union_id: 7,
+  local_number: '110',
+  rule_type: 'requirement',
+  condition_text: '3 ICW rooms without projectionists',
+  threshold_value: 3,
+  threshold_unit: 'rooms',
+  action_required: 'Projectionists required above threshold'
+};
+
+const measures = { rooms: 4, hours: 4, people: 200, roomId: null };
+
+const stagehandCall = {
+  union_id: 7,
+  union: 'Local 110',
+  trade: 'Stagehand',
+  description: 'Show - Local 110',
+  positions: ['Audio Technician', 'Audio Technician']
+};
+
+test('a requirement is met by a call that staffs the required position', () => {
+  const outcome = evaluateVenueRules([projectionists], {
+    ...measures,
+    laborCalls: [stagehandCall, { ...stagehandCall, positions: ['Projectionist'] }]
+  });
+
+  assert.deepStrictEqual(outcome.errors, []);
+  assert.strictEqual(outcome.rules[0].status, 'satisfied');
+});
+
+test('a requirement is met by a costed call whose union trade is the position', () => {
+  const outcome = evaluateVenueRules([projectionists], {
+    ...measures,
+    laborCalls: [{ description: 'Show', union: { id: 7, trade: 'Projectionists' } }]
+  });
+
+  assert.deepStrictEqual(outcome.errors, []);
+});
+
+test('other crew from the same union does not meet a requirement', () => {
+  const outcome = evaluateVenueRules([projectionists], {
+    ...measures,
+    laborCalls: [stagehandCall],
+    equipmentList: [{ item_name: 'Projector', quantity: 2 }, { item_name: 'Project', quantity: 1 }]
+  });
+
+  assert.strictEqual(outcome.rules[0].status, 'triggered');
+  assert.deepStrictEqual(outcome.errors, [
+    'Local 110: 4 rooms exceeds 3 (3 ICW rooms without projectionists). Projectionists required above threshold'
+  ]);
+});
+
+test('an order line for the position meets a requirement; exceptions stay warnings', () => {
+  const exception = { ...projectionists, id: 2, rule_type: 'exception', action_required: 'Notify the steward' };
+  const outcome = evaluateVenueRules([projectionists, exception], {
+    ...measures,
+    equipmentList: [{ item_name: 'Projectionist', quantity: 1 }]
+  });
+
+  assert.deepStrictEqual(outcome.errors, []);
+  assert.strictEqual(outcome.warnings.length, 1);
+  assert.match(outcome.warnings[0], /Notify the steward/);
+});